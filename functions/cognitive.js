@@ -0,0 +1,132 @@
+/**
+ * Cognitive trends from brain game results
+ *
+ * Pure functions (no Firestore access) used by onGameResultRecorded in index.js to build
+ * users/{uid}/data/cognitiveTrend. Scores are the normalized 0-100 game scores, grouped
+ * per gameType and per domain the same way the app does (CognitiveMetrics in
+ * lib/models/game_result.dart).
+ *
+ * The last COGNITIVE_RECENT_WEEKS of results are compared with the COGNITIVE_BASELINE_WEEKS
+ * before them. A group is declining when its recent mean is at least
+ * COGNITIVE_MIN_CHANGE_POINTS below the baseline mean and Welch's t-score reaches
+ * COGNITIVE_MIN_T_SCORE, so a couple of bad games don't count. The decline is sustained
+ * when every recent week on its own is also that far below the baseline.
+ */
+
+const {
+  COGNITIVE_RECENT_WEEKS,
+  COGNITIVE_BASELINE_WEEKS,
+  COGNITIVE_MIN_RESULTS,
+  COGNITIVE_MIN_CHANGE_POINTS,
+  COGNITIVE_MIN_T_SCORE,
+} = require("./constants");
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const GAME_DOMAINS = {
+  memory: ["memory_match", "sequence_follow", "picture_recall"],
+  reaction_speed: ["speed_tap", "spot_the_difference"],
+  problem_solving: ["simple_sums", "pattern_complete", "odd_one_out", "word_categories"],
+  verbal: ["word_jumble"],
+};
+
+const round = (value, places = 1) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Mean and sample standard deviation
+ */
+function describeScores(scores) {
+  const count = scores.length;
+  if (count === 0) return { count, mean: null, stdDev: null };
+  const mean = scores.reduce((sum, s) => sum + s, 0) / count;
+  const variance = count > 1 ? scores.reduce((sum, s) => sum + (s - mean) ** 2, 0) / (count - 1) : 0;
+  return { count, mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Rolling stats and trend for one group of results
+ * @param {Array<{timestamp: Date, score: number}>} results - The group's results inside the window
+ * @param {Date} now - End of the window
+ * @returns {Object} - Trend document entry
+ */
+function getGroupTrend(results, now) {
+  const totalWeeks = COGNITIVE_RECENT_WEEKS + COGNITIVE_BASELINE_WEEKS;
+  const weeks = Array.from({ length: totalWeeks }, () => []);
+  for (const { timestamp, score } of results) {
+    const weeksAgo = Math.floor((now - timestamp) / WEEK_MS);
+    if (weeksAgo >= 0 && weeksAgo < totalWeeks) weeks[totalWeeks - 1 - weeksAgo].push(score);
+  }
+
+  const recentWeeks = weeks.slice(COGNITIVE_BASELINE_WEEKS);
+  const recent = describeScores(recentWeeks.flat());
+  const baseline = describeScores(weeks.slice(0, COGNITIVE_BASELINE_WEEKS).flat());
+
+  let trend = "insufficient_data";
+  let change = null;
+  let tScore = null;
+  let sustained = false;
+  if (recent.count >= COGNITIVE_MIN_RESULTS && baseline.count >= COGNITIVE_MIN_RESULTS) {
+    change = recent.mean - baseline.mean;
+    // Scores are whole points, so the standard error is floored at one point
+    const standardError = Math.max(
+      Math.sqrt(recent.stdDev ** 2 / recent.count + baseline.stdDev ** 2 / baseline.count), 1);
+    tScore = change / standardError;
+
+    const meaningful = Math.abs(change) >= COGNITIVE_MIN_CHANGE_POINTS && Math.abs(tScore) >= COGNITIVE_MIN_T_SCORE;
+    trend = !meaningful ? "stable" : change < 0 ? "declining" : "improving";
+    sustained = trend === "declining" && recentWeeks.every(week => week.length > 0 &&
+      baseline.mean - describeScores(week).mean >= COGNITIVE_MIN_CHANGE_POINTS);
+  }
+
+  return {
+    trend,
+    sustained,
+    recentMean: recent.mean === null ? null : round(recent.mean),
+    recentCount: recent.count,
+    baselineMean: baseline.mean === null ? null : round(baseline.mean),
+    baselineCount: baseline.count,
+    change: change === null ? null : round(change),
+    tScore: tScore === null ? null : round(tScore, 2),
+    // Oldest week first; each week ends a multiple of 7 days before now
+    weekly: weeks.map(week => {
+      const stats = describeScores(week);
+      return { count: stats.count, mean: stats.mean === null ? null : round(stats.mean) };
+    }),
+  };
+}
+
+/**
+ * Build the cognitive trend document from a senior's recent game results
+ * @param {Array<{gameType: string, score: number, timestamp: Date}>} results - Any order; older ones are ignored
+ * @param {Date} now - End of the window
+ * @returns {{gamesPlayed: number, overall: Object, domains: Object, games: Object, sustainedDeclines: Array<string>}}
+ */
+function buildCognitiveTrend(results, now = new Date()) {
+  const windowStart = now.getTime() - (COGNITIVE_RECENT_WEEKS + COGNITIVE_BASELINE_WEEKS) * WEEK_MS;
+  const inWindow = results.filter(r => typeof r.score === "number" && Number.isFinite(r.score) &&
+    r.timestamp.getTime() > windowStart && r.timestamp <= now);
+
+  const games = {};
+  for (const gameType of new Set(inWindow.map(r => r.gameType).filter(Boolean))) {
+    games[gameType] = getGroupTrend(inWindow.filter(r => r.gameType === gameType), now);
+  }
+
+  const domains = {};
+  for (const [domain, gameTypes] of Object.entries(GAME_DOMAINS)) {
+    domains[domain] = getGroupTrend(inWindow.filter(r => gameTypes.includes(r.gameType)), now);
+  }
+
+  return {
+    gamesPlayed: inWindow.length,
+    overall: getGroupTrend(inWindow, now),
+    domains,
+    games,
+    // Family alerts are raised per domain
+    sustainedDeclines: Object.keys(domains).filter(domain => domains[domain].sustained),
+  };
+}
+
+module.exports = {
+  GAME_DOMAINS,
+  buildCognitiveTrend,
+};
@@ -19,14 +19,81 @@ module.exports = {
   BATCH_SIZE: 500,
   GETALL_CHUNK_SIZE: 500,
   
-  // Grace period in minutes before marking check-in as missed
-  // Set to 0 for instant notification when scheduled time passes
+  // Check-in windows: each slot stays open for windowMinutes (60: 9:00 -> 9:00-10:00),
+  // then the grace period runs before the check-in is marked missed.
+  // Defaults for seniorState.checkInWindow { windowMinutes, graceMinutes, reminderMinutes }
+  // (see resolveCheckInWindow in schedule.js); the reminder push defaults to mid-window.
+  // No window by default: seniors without checkInWindow are due at the slot time, as before.
+  CHECK_IN_WINDOW_MINUTES: 0,
   GRACE_PERIOD_MINUTES: 0,
+  MAX_CHECK_IN_WINDOW_MINUTES: 4 * 60,
+  MAX_GRACE_PERIOD_MINUTES: 2 * 60,
   
   // Cloud Tasks configuration
   CLOUD_TASKS_QUEUE: 'check-in-queue',
   CLOUD_TASKS_LOCATION: 'us-central1',
   
-  // Escalation threshold: send alerts after this many consecutive missed days
-  ESCALATION_THRESHOLD_DAYS: 3,
+  // Default escalation ladder, used when users/{uid}/data/escalationPolicy is missing or invalid
+  // Each step runs as its own Cloud Task, delayMinutes after the missed check-in is detected.
+  // A check-in (or vacation mode) cancels the remaining steps.
+  DEFAULT_ESCALATION_STEPS: [
+    { delayMinutes: 0, audience: 'senior' },
+    { delayMinutes: 30, audience: 'primary_family' },
+    { delayMinutes: 120, audience: 'all_connections' },
+    { delayMinutes: 360, audience: 'emergency_contact' },
+  ],
+  
+  // Audiences an escalation step can target
+  ESCALATION_AUDIENCES: ['senior', 'primary_family', 'all_connections', 'emergency_contact'],
+  
+  // Upper bounds for custom escalation policies
+  MAX_ESCALATION_STEPS: 10,
+  MAX_ESCALATION_DELAY_MINUTES: 24 * 60,
+  
+  // SOS follow-up: repeat the alert every N minutes until someone responds
+  SOS_REMINDER_INTERVAL_MINUTES: 2,
+  SOS_MAX_REMINDERS: 30,
+  
+  // Push notification retries (see notifications.js)
+  // Transient FCM failures are retried after 1, 2, 4, 8 minutes, then marked failed
+  NOTIFICATION_MAX_ATTEMPTS: 5,
+  NOTIFICATION_RETRY_BASE_MINUTES: 1,
+  // How long a retry sweep holds a claimed notification before another sweep may take it
+  NOTIFICATION_RETRY_LEASE_MINUTES: 10,
+  
+  // Wellness anomaly detection on check-in answers (see wellness.js)
+  // Compared with the senior's own check-ins from the last WELLNESS_BASELINE_DAYS
+  WELLNESS_BASELINE_DAYS: 14,
+  WELLNESS_MIN_BASELINE: 5,
+  WELLNESS_DROP_THRESHOLD: 0.4,
+  WELLNESS_POOR_SLEEP_DAYS: 3,
+  WELLNESS_SKIPPED_MEDICATION_COUNT: 2,
+  WELLNESS_SKIPPED_MEDICATION_DAYS: 7,
+  // The same concern alerts the family at most once per this many days
+  WELLNESS_ALERT_COOLDOWN_DAYS: 3,
+
+  // Cognitive trends from brain game scores (see cognitive.js)
+  // The last COGNITIVE_RECENT_WEEKS are compared with the COGNITIVE_BASELINE_WEEKS before them
+  COGNITIVE_RECENT_WEEKS: 2,
+  COGNITIVE_BASELINE_WEEKS: 6,
+  COGNITIVE_MIN_RESULTS: 3,
+  // A decline needs both a drop of this many points (0-100 scale) and this t-score
+  COGNITIVE_MIN_CHANGE_POINTS: 8,
+  COGNITIVE_MIN_T_SCORE: 2,
+  // A sustained decline alerts opted-in family at most once per this many days
+  COGNITIVE_ALERT_COOLDOWN_DAYS: 14,
+
+  // Health reports (generateHealthReport): longest date range and how long the
+  // signed download links stay valid
+  REPORT_MAX_DAYS: 92,
+  REPORT_URL_TTL_MINUTES: 15,
+
+  // Daily summaries: a senior behind on rollups is caught up at most this many days back
+  // (older gaps start over with a streak of 0)
+  SUMMARY_BACKFILL_MAX_DAYS: 30,
+
+  // Family digests: default local send time (minutes after midnight) and
+  // ISO weekday (1 = Monday ... 7 = Sunday) that gets the weekly rollup instead
+  DIGEST_DEFAULT_TIME_MINUTES: 20 * 60,
+  DIGEST_DEFAULT_WEEKLY_DAY: 7,
 };
@@ -0,0 +1,156 @@
+/**
+ * Pluggable SMS / voice provider for escalation fallback delivery
+ *
+ * A provider is any object with:
+ * - name: string used in delivery records
+ * - sendSms({ to, body }) => Promise<{ id: string|null }>
+ * - placeCall({ to, message }) => Promise<{ id: string|null }>
+ *
+ * Both methods throw on failure. The error's `code` (if set) is recorded
+ * alongside the delivery attempt.
+ *
+ * Selection (see getContactProvider):
+ * - CONTACT_PROVIDER=twilio, or TWILIO_ACCOUNT_SID set -> Twilio REST API
+ * - CONTACT_PROVIDER=fake -> in-memory fake (emulator / tests)
+ * - otherwise -> not-configured provider (every attempt fails and is recorded)
+ */
+
+const logger = require("firebase-functions/logger");
+
+let activeProvider = null;
+
+/**
+ * Escape text for inclusion in TwiML
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Create a provider backed by the Twilio REST API
+ * @param {{accountSid: string, authToken: string, fromNumber: string}} config
+ */
+function createTwilioProvider({ accountSid, authToken, fromNumber }) {
+  const baseUrl = `https://api.twilio.com/2010-04-01/Accounts/${accountSid}`;
+  const authHeader = "Basic " + Buffer.from(`${accountSid}:${authToken}`).toString("base64");
+
+  async function post(resource, params) {
+    const response = await fetch(`${baseUrl}/${resource}.json`, {
+      method: "POST",
+      headers: {
+        "Authorization": authHeader,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({ From: fromNumber, ...params }).toString(),
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(body.message || `Twilio request failed with HTTP ${response.status}`);
+      error.code = body.code ? `twilio/${body.code}` : `http/${response.status}`;
+      throw error;
+    }
+    return { id: body.sid || null };
+  }
+
+  return {
+    name: "twilio",
+    sendSms: ({ to, body }) => post("Messages", { To: to, Body: body }),
+    placeCall: ({ to, message }) => post("Calls", {
+      To: to,
+      Twiml: `<Response><Say>${escapeXml(message)}</Say></Response>`,
+    }),
+  };
+}
+
+/**
+ * Create an in-memory provider that records every request
+ * Use `failFor` to simulate failures for specific numbers
+ * @param {{failFor?: Array<string>}} options
+ */
+function createFakeProvider({ failFor = [] } = {}) {
+  const failing = new Set(failFor);
+  const sent = [];
+
+  function record(channel, to, text) {
+    if (failing.has(to)) {
+      const error = new Error(`Fake ${channel} delivery failure for ${to}`);
+      error.code = "fake/failure";
+      throw error;
+    }
+    const id = `fake_${channel}_${sent.length + 1}`;
+    sent.push({ id, channel, to, text });
+    return { id };
+  }
+
+  return {
+    name: "fake",
+    sent,
+    sendSms: async ({ to, body }) => record("sms", to, body),
+    placeCall: async ({ to, message }) => record("voice", to, message),
+  };
+}
+
+/**
+ * Provider used when nothing is configured
+ * Fails every request so the attempt is recorded rather than silently dropped
+ */
+function createNotConfiguredProvider() {
+  function fail(channel, to) {
+    logger.warn(`No SMS/voice provider configured, cannot send ${channel} to ${to}`);
+    const error = new Error("No SMS/voice provider configured");
+    error.code = "provider/not-configured";
+    throw error;
+  }
+
+  return {
+    name: "none",
+    sendSms: async ({ to }) => fail("sms", to),
+    placeCall: async ({ to }) => fail("voice", to),
+  };
+}
+
+/**
+ * Get the active provider, creating it from environment on first use
+ */
+function getContactProvider() {
+  if (activeProvider) return activeProvider;
+
+  const selected = process.env.CONTACT_PROVIDER ||
+    (process.env.TWILIO_ACCOUNT_SID ? "twilio" : "none");
+
+  if (selected === "twilio") {
+    activeProvider = createTwilioProvider({
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      fromNumber: process.env.TWILIO_FROM_NUMBER,
+    });
+  } else if (selected === "fake") {
+    activeProvider = createFakeProvider();
+  } else {
+    activeProvider = createNotConfiguredProvider();
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Override the active provider (tests / emulator)
+ * Pass null to fall back to environment-based selection
+ */
+function setContactProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  getContactProvider,
+  setContactProvider,
+  createTwilioProvider,
+  createFakeProvider,
+  createNotConfiguredProvider,
+};
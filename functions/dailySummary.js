@@ -0,0 +1,108 @@
+/**
+ * Daily check-in rollups
+ *
+ * Pure functions (no Firestore access) behind the rollupDailySummaries job in index.js,
+ * which stores one users/{uid}/dailySummaries/{yyyy-mm-dd} doc per senior and local day
+ * and keeps seniorState.currentStreak and the 7/30-day success rates in step with them.
+ *
+ * A slot is completed by the first check-in whose scheduledFor lists it (check-ins
+ * without scheduledFor, written by older apps, complete every open slot that is due).
+ * It is on time when that check-in came before the slot's deadline (window end plus
+ * grace, see resolveCheckInWindow), late otherwise; slots never completed are missed.
+ */
+
+const { DateTime } = require("luxon");
+
+const {
+  parseScheduleToTime,
+  isSameScheduleTime,
+  getSchedulesForDate,
+  getSlotWindow,
+} = require("./schedule");
+
+/**
+ * Summarize one local day
+ * @param {Object} options
+ * @param {Array<string>|Object} options.schedule - From scheduleFromState
+ * @param {string} options.localDate - ISO date in the senior's timezone
+ * @param {string} options.timezone - Senior's IANA timezone
+ * @param {Array<{timestamp: Date, scheduledFor: Array<string>|undefined}>} options.checkIns - That day's check-ins
+ * @param {Object} options.checkInWindow - From resolveCheckInWindow
+ * @param {boolean} options.vacation - Monitoring was paused; nothing is scheduled
+ * @param {Date|null} options.since - For the day the account was created: leave out slots before this moment
+ * @param {Date|null} options.until - For a day still in progress: leave out slots that are
+ *   not completed and not yet due at this moment
+ * @returns {Object} - dailySummaries document data (without streak)
+ */
+function buildDailySummary({ schedule, localDate, timezone, checkIns, checkInWindow, vacation = false, since = null, until = null }) {
+  const day = DateTime.fromISO(localDate, { zone: timezone });
+  const ordered = [...checkIns].sort((a, b) => a.timestamp - b.timestamp);
+
+  const slots = [];
+  if (!vacation) {
+    for (const slot of getSchedulesForDate(schedule, day)) {
+      const parsed = parseScheduleToTime(slot);
+      if (!parsed || slots.some(s => isSameScheduleTime(s.slot, slot))) continue;
+      const scheduledTime = day.set({ hour: parsed.hours, minute: parsed.minutes }).toJSDate();
+      if (since && scheduledTime < since) continue;
+      slots.push({ slot: slot.trim(), scheduledTime, deadline: getSlotWindow(scheduledTime, checkInWindow).deadline });
+    }
+    slots.sort((a, b) => a.scheduledTime - b.scheduledTime);
+  }
+
+  const counts = { onTime: 0, late: 0, missed: 0 };
+  const slotResults = [];
+  for (const { slot, scheduledTime, deadline } of slots) {
+    const checkIn = ordered.find(c => Array.isArray(c.scheduledFor)
+      ? c.scheduledFor.some(s => isSameScheduleTime(s, slot))
+      : c.timestamp >= scheduledTime);
+    // Slots still open at `until` only count once completed
+    if (!checkIn && until && deadline > until) continue;
+    const status = !checkIn ? "missed" : checkIn.timestamp <= deadline ? "on_time" : "late";
+    counts[status === "on_time" ? "onTime" : status]++;
+    slotResults.push({ slot, status, checkedInAt: checkIn ? checkIn.timestamp : null });
+  }
+
+  return {
+    date: localDate,
+    timezone,
+    vacation,
+    scheduled: slotResults.length,
+    completed: counts.onTime + counts.late,
+    onTime: counts.onTime,
+    late: counts.late,
+    missed: counts.missed,
+    checkIns: ordered.length,
+    slots: slotResults,
+  };
+}
+
+/**
+ * Streak after a summarized day: days where every slot was completed extend it,
+ * a missed slot resets it, and days with nothing scheduled (or on vacation) keep it
+ * @param {number} previousStreak - Streak at the end of the day before
+ * @param {Object} summary - From buildDailySummary
+ * @returns {number}
+ */
+function getNextStreak(previousStreak, summary) {
+  if (summary.scheduled === 0) return previousStreak;
+  return summary.missed === 0 ? previousStreak + 1 : 0;
+}
+
+/**
+ * Share of scheduled slots completed (on time or late) over a set of summaries
+ * @param {Array<Object>} summaries - dailySummaries data
+ * @returns {number|null} - 0..1 rounded to 3 places, null if nothing was scheduled
+ */
+function getSuccessRate(summaries) {
+  const scheduled = summaries.reduce((sum, s) => sum + (s.scheduled || 0), 0);
+  if (scheduled === 0) return null;
+  const completed = summaries.reduce((sum, s) => sum + (s.completed || 0), 0);
+  return Math.round((completed / scheduled) * 1000) / 1000;
+}
+
+module.exports = {
+  buildDailySummary,
+  getNextStreak,
+  getSuccessRate,
+};
@@ -3,20 +3,57 @@
  * 
  * CLOUD TASKS ARCHITECTURE v3:
  * - Uses Cloud Tasks for event-driven check-in monitoring
- * - Tasks are created when schedules are set, cancelled on check-in
+ * - One task per schedule slot (seniorState.scheduledTasks), created when schedules
+ *   are set; a check-in cancels only the slots it satisfied
+ * - Each slot is a window (seniorState.checkInWindow): a reminder task fires partway
+ *   through it and the miss task at its end plus the grace period
  * - No periodic polling - only run code when needed
- * - Consecutive missed days trigger escalation alerts
+ * - Missed check-ins start a tiered escalation ladder (one Cloud Task per step)
+ * - Tasks go through taskQueue.js; under the emulator a Firestore-backed local
+ *   queue stands in for Cloud Tasks (fire due tasks with runLocalTasks)
  */
 
 const { setGlobalOptions } = require("firebase-functions");
 const { onDocumentWritten } = require("firebase-functions/v2/firestore");
-const { onRequest } = require("firebase-functions/v2/https");
+const { onRequest, onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { initializeApp } = require("firebase-admin/app");
-const { getFirestore, Timestamp, FieldValue } = require("firebase-admin/firestore");
-const { getMessaging } = require("firebase-admin/messaging");
+const { getFirestore, Timestamp, FieldValue, FieldPath } = require("firebase-admin/firestore");
+const { getStorage } = require("firebase-admin/storage");
 const logger = require("firebase-functions/logger");
+const crypto = require("crypto");
 const { DateTime } = require("luxon");
-const { CloudTasksClient } = require("@google-cloud/tasks");
+const { getContactProvider } = require("./contactProvider");
+const { enqueueTask, cancelTask, listTasks, getTaskQueue, getFunctionUrl } = require("./taskQueue");
+const { verifyTaskRequest } = require("./taskAuth");
+const { buildDailySummary, getNextStreak, getSuccessRate } = require("./dailySummary");
+const { detectWellnessConcerns } = require("./wellness");
+const { buildCognitiveTrend } = require("./cognitive");
+const { buildHealthReport, renderReportCsv, renderReportPdf } = require("./report");
+const {
+  calculateNextExpectedCheckIn,
+  getSchedulesToResolve,
+  getUpcomingSlots,
+  getSlotKey,
+  scheduleFromState,
+  hasOnlyDefaultSchedule,
+  getSchedulesForDate,
+  isSameScheduleTime,
+  formatTimeToSchedule,
+  getMissedCheckInKey,
+  resolveCheckInWindow,
+  getSlotWindow,
+} = require("./schedule");
+const {
+  DEFAULT_LANGUAGE,
+  renderTemplate,
+  sendNotification,
+  sendNotificationToUsers,
+  normalizePreferences,
+  getNextDigestAt,
+  retryDueNotifications,
+  summarizeResults,
+} = require("./notifications");
 
 const admin = require("firebase-admin");
 
@@ -27,10 +64,21 @@ const {
   TIMEZONE,
   BATCH_SIZE,
   GETALL_CHUNK_SIZE,
-  GRACE_PERIOD_MINUTES,
-  CLOUD_TASKS_QUEUE,
   CLOUD_TASKS_LOCATION,
-  ESCALATION_THRESHOLD_DAYS,
+  DEFAULT_ESCALATION_STEPS,
+  ESCALATION_AUDIENCES,
+  MAX_ESCALATION_STEPS,
+  MAX_ESCALATION_DELAY_MINUTES,
+  SOS_REMINDER_INTERVAL_MINUTES,
+  SOS_MAX_REMINDERS,
+  WELLNESS_BASELINE_DAYS,
+  WELLNESS_ALERT_COOLDOWN_DAYS,
+  COGNITIVE_RECENT_WEEKS,
+  COGNITIVE_BASELINE_WEEKS,
+  COGNITIVE_ALERT_COOLDOWN_DAYS,
+  REPORT_MAX_DAYS,
+  REPORT_URL_TTL_MINUTES,
+  SUMMARY_BACKFILL_MAX_DAYS,
 } = require("./constants");
 
 // Initialize Firebase Admin (guarded to prevent duplicate initialization)
@@ -38,7 +86,6 @@ if (!admin.apps.length) {
   initializeApp();
 }
 const db = getFirestore();
-const tasksClient = new CloudTasksClient();
 
 // Global options for cost control
 setGlobalOptions({ maxInstances: 20 });
@@ -49,197 +96,6 @@ if (!PROJECT_ID) {
   throw new Error("PROJECT_ID not found in environment variables");
 }
 
-/**
- * Parse a schedule time string (e.g., "11:00 AM") into hours and minutes
- */
-function parseScheduleToTime(schedule) {
-  try {
-    if (!schedule || typeof schedule !== "string") return null;
-    
-    // First add space before AM/PM if missing, then normalize all whitespace
-    let normalized = schedule.trim().toUpperCase();
-    normalized = normalized.replace(/(AM|PM)$/i, " $1"); // Add space before AM/PM
-    normalized = normalized.replace(/\s+/g, " ").trim(); // Normalize to single spaces
-    
-    const parts = normalized.split(" ");
-    if (parts.length !== 2) return null;
-
-    const [time, period] = parts;
-    if (period !== "AM" && period !== "PM") return null;
-    
-    const timeParts = time.split(":");
-    if (timeParts.length !== 2) return null;
-
-    let hours = parseInt(timeParts[0], 10);
-    const minutes = parseInt(timeParts[1], 10);
-
-    if (isNaN(hours) || isNaN(minutes)) return null;
-    if (hours < 1 || hours > 12 || minutes < 0 || minutes > 59) return null;
-
-    if (period === "PM" && hours !== 12) hours += 12;
-    if (period === "AM" && hours === 12) hours = 0;
-
-    return { hours, minutes };
-  } catch (error) {
-    return null;
-  }
-}
-
-/**
- * Calculate the next expected check-in time based on schedules
- * Uses Luxon for timezone-aware date handling
- * For multi check-in support, considers which schedules are already completed today
- * @param {Array<string>} schedules - Check-in schedule times
- * @param {Date} now - Current time
- * @param {Date|null} lastCheckIn - Last check-in time
- * @param {string|null} userTimezone - User's IANA timezone (optional, defaults to TIMEZONE constant)
- * @param {Array<string>} completedSchedulesToday - List of schedule times already completed today
- * @returns {Date|null} - JS Date object for caller compatibility
- */
-function calculateNextExpectedCheckIn(schedules, now, lastCheckIn, userTimezone = null, completedSchedulesToday = []) {
-  const effectiveSchedules = schedules?.length ? schedules : ["11:00 AM"];
-  
-  // Use user's timezone if provided, otherwise fall back to default
-  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
-    ? userTimezone.trim() 
-    : TIMEZONE;
-  
-  // Convert to timezone-aware DateTime
-  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
-  const tomorrowInZone = nowInZone.plus({ days: 1 });
-  
-  // Normalize completed schedules for comparison
-  const completedSet = new Set(
-    (completedSchedulesToday || []).map(s => s.toUpperCase().trim())
-  );
-  
-  // Check if ALL past-due schedules are completed
-  const allPastDueCompleted = effectiveSchedules.every(schedule => {
-    const parsed = parseScheduleToTime(schedule);
-    if (!parsed) return true;
-    
-    const scheduleTime = nowInZone.set({ 
-      hour: parsed.hours, 
-      minute: parsed.minutes, 
-      second: 0, 
-      millisecond: 0 
-    });
-    
-    // If schedule hasn't passed yet, it doesn't count as past-due
-    if (scheduleTime > nowInZone) return true;
-    
-    // Check if this past-due schedule is completed
-    return completedSet.has(schedule.toUpperCase().trim());
-  });
-  
-  // Find next pending schedule today (not completed and in the future)
-  let nextPendingToday = null;
-  let earliestPastDueToday = null; // For "running late" detection
-  let earliestTomorrow = null;
-  
-  for (const schedule of effectiveSchedules) {
-    const parsed = parseScheduleToTime(schedule);
-    if (!parsed) continue;
-    
-    const isCompleted = completedSet.has(schedule.toUpperCase().trim());
-    
-    const todayTime = nowInZone.set({ 
-      hour: parsed.hours, 
-      minute: parsed.minutes, 
-      second: 0, 
-      millisecond: 0 
-    });
-    
-    // Track earliest past-due incomplete schedule for "running late" detection
-    if (!isCompleted && todayTime <= nowInZone) {
-      if (!earliestPastDueToday || todayTime < earliestPastDueToday) {
-        earliestPastDueToday = todayTime;
-      }
-    }
-    
-    // Track next future schedule today that's not completed
-    if (!isCompleted && todayTime > nowInZone) {
-      if (!nextPendingToday || todayTime < nextPendingToday) {
-        nextPendingToday = todayTime;
-      }
-    }
-    
-    const tomorrowTime = tomorrowInZone.set({ 
-      hour: parsed.hours, 
-      minute: parsed.minutes, 
-      second: 0, 
-      millisecond: 0 
-    });
-    
-    if (!earliestTomorrow || tomorrowTime < earliestTomorrow) {
-      earliestTomorrow = tomorrowTime;
-    }
-  }
-  
-  // Priority: 
-  // 1. Next pending future today
-  // 2. Past-due incomplete (for "running late" detection)
-  // 3. Earliest tomorrow (if all today's schedules are done or no schedules today)
-  let result;
-  if (nextPendingToday) {
-    result = nextPendingToday;
-  } else if (earliestPastDueToday) {
-    result = earliestPastDueToday;
-  } else {
-    // All today's schedules done OR no past-due schedules - go to tomorrow
-    result = earliestTomorrow;
-  }
-  
-  return result ? result.toJSDate() : null;
-}
-
-/**
- * Get list of schedule times that have passed but are not yet completed
- * Used for multi check-in tracking
- * @param {Array<string>} schedules - All scheduled times
- * @param {Array<string>} completedSchedules - Already completed schedules
- * @param {Date} now - Current time
- * @param {string} userTimezone - User's timezone
- * @returns {Array<string>} - List of pending past-due schedules
- */
-function getPendingSchedules(schedules, completedSchedules, now, userTimezone) {
-  const effectiveSchedules = schedules?.length ? schedules : ["11:00 AM"];
-  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
-    ? userTimezone.trim() 
-    : TIMEZONE;
-  
-  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
-  const completedSet = new Set(
-    (completedSchedules || []).map(s => s.toUpperCase().trim())
-  );
-  
-  const pending = [];
-  
-  for (const schedule of effectiveSchedules) {
-    const normalizedSchedule = schedule.toUpperCase().trim();
-    
-    // Skip if already completed
-    if (completedSet.has(normalizedSchedule)) continue;
-    
-    const parsed = parseScheduleToTime(schedule);
-    if (!parsed) continue;
-    
-    const scheduleTime = nowInZone.set({ 
-      hour: parsed.hours, 
-      minute: parsed.minutes, 
-      second: 0, 
-      millisecond: 0 
-    });
-    
-    // If schedule time has passed, it's pending
-    if (nowInZone >= scheduleTime) {
-      pending.push(normalizedSchedule);
-    }
-  }
-  
-  return pending;
-}
-
 /**
  * Get user timezone from their profile document
  * @param {string} userId - User's ID
@@ -260,37 +116,16 @@ async function getUserTimezone(userId) {
   }
 }
 
-/**
- * Format a Date to schedule string for display
- */
-function formatTimeToSchedule(date) {
-  if (!date) return "11:00 AM";
-  let hours = date.getHours();
-  const minutes = date.getMinutes();
-  const period = hours >= 12 ? "PM" : "AM";
-  if (hours > 12) hours -= 12;
-  if (hours === 0) hours = 12;
-  return `${hours}:${String(minutes).padStart(2, "0")} ${period}`;
-}
-
-/**
- * Generate a deterministic document ID for missed check-in idempotency
- */
-function getMissedCheckInKey(userId, schedule, date) {
-  const dateStr = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
-  return `missed_${userId}_${schedule.replace(/[^a-zA-Z0-9]/g, "")}_${dateStr}`;
-}
-
 /**
  * Check if a missed check-in was already logged for a specific schedule time
  * Used for idempotency to prevent duplicate alerts
  * @param {string} userId - User ID
  * @param {string} scheduleStr - Schedule string (e.g., "6:45 PM")
- * @param {Date} date - The date to check
+ * @param {string} localDate - ISO date in the senior's timezone
  * @returns {Promise<boolean>} - True if already logged
  */
-async function checkMissedCheckInLogged(userId, scheduleStr, date) {
-  const docId = getMissedCheckInKey(userId, scheduleStr, date);
+async function checkMissedCheckInLogged(userId, scheduleStr, localDate) {
+  const docId = getMissedCheckInKey(userId, scheduleStr, localDate);
   const activityRef = db.collection("users").doc(userId).collection("activityLogs").doc(docId);
   const doc = await activityRef.get();
   return doc.exists;
@@ -302,7 +137,7 @@ async function checkMissedCheckInLogged(userId, scheduleStr, date) {
  * - Where userId is the seniorId (notify familyId)
  * - Where userId is the familyId (notify seniorId)
  * @param {string} userId - User ID to find connections for
- * @returns {Promise<Array<{userId: string, connectionId: string}>>} - List of connected user IDs
+ * @returns {Promise<Array<{userId: string, connectionId: string, createdAt: Date|null}>>} - List of connected user IDs
  */
 async function getConnectedUsers(userId) {
   // Query 1: Find connections where user is the senior
@@ -327,7 +162,8 @@ async function getConnectedUsers(userId) {
     const data = doc.data();
     connectedUsers.push({
       userId: data.familyId,
-      connectionId: doc.id
+      connectionId: doc.id,
+      createdAt: data.createdAt?.toDate?.() || null,
     });
   });
   
@@ -336,7 +172,8 @@ async function getConnectedUsers(userId) {
     const data = doc.data();
     connectedUsers.push({
       userId: data.seniorId,
-      connectionId: doc.id
+      connectionId: doc.id,
+      createdAt: data.createdAt?.toDate?.() || null,
     });
   });
   
@@ -350,214 +187,150 @@ async function getConnectedUsers(userId) {
 }
 
 /**
- * Find the next future schedule time (for Cloud Task scheduling)
- * Unlike calculateNextExpectedCheckIn which returns earliest missed for UI,
- * this returns only schedules that are still in the future
- * @param {Array<string>} schedules - Check-in schedule times
- * @param {Date} now - Current time
- * @param {string|null} userTimezone - User's IANA timezone
- * @returns {Date|null} - Next future schedule time, or null if none today
+ * Only let Cloud Tasks through to task handlers (OIDC token or HMAC signature,
+ * see taskAuth.js). Sends 401 otherwise.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} functionName - Exported function name (its URL is the expected audience)
+ * @returns {Promise<boolean>} - True if the request may proceed
  */
-function findNextFutureSchedule(schedules, now, userTimezone = null) {
-  const effectiveSchedules = schedules?.length ? schedules : ["11:00 AM"];
-  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
-    ? userTimezone.trim() 
-    : TIMEZONE;
-  
-  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
-  
-  logger.info(`findNextFutureSchedule DEBUG:`, {
-    schedules: effectiveSchedules,
-    rawNow: now.toISOString(),
-    timezone: tz,
-    nowInZone: nowInZone.toISO(),
+async function authorizeTaskRequest(req, res, functionName) {
+  const { ok, method, reason } = await verifyTaskRequest(req, {
+    audiences: [getFunctionUrl(functionName), ...(process.env.TASKS_OIDC_AUDIENCE || "").split(",")],
   });
   
-  let nextFuture = null;
-  let earliestTomorrow = null;
-  const tomorrowInZone = nowInZone.plus({ days: 1 });
-  
-  for (const schedule of effectiveSchedules) {
-    const parsed = parseScheduleToTime(schedule);
-    
-    logger.info(`findNextFutureSchedule - parsing schedule "${schedule}":`, {
-      parsed: parsed ? JSON.stringify(parsed) : 'null (PARSE FAILED)',
-    });
-    
-    if (!parsed) continue;
-    
-    const todayTime = nowInZone.set({ 
-      hour: parsed.hours, 
-      minute: parsed.minutes, 
-      second: 0, 
-      millisecond: 0 
-    });
-    
-    const isFuture = todayTime > nowInZone;
-    logger.info(`findNextFutureSchedule - time comparison:`, {
-      schedule,
-      todayTimeISO: todayTime.toISO(),
-      nowInZoneISO: nowInZone.toISO(),
-      isFuture,
-      diffMs: todayTime.toMillis() - nowInZone.toMillis(),
-    });
-    
-    // Only consider future times for task scheduling
-    if (isFuture) {
-      if (!nextFuture || todayTime < nextFuture) {
-        nextFuture = todayTime;
-      }
-    }
-    
-    const tomorrowTime = tomorrowInZone.set({ 
-      hour: parsed.hours, 
-      minute: parsed.minutes, 
-      second: 0, 
-      millisecond: 0 
-    });
-    
-    if (!earliestTomorrow || tomorrowTime < earliestTomorrow) {
-      earliestTomorrow = tomorrowTime;
-    }
+  if (!ok) {
+    logger.warn(`${functionName}: Rejected unauthenticated request`, { reason });
+    res.status(401).send("Unauthorized");
+    return false;
   }
   
-  // Return next future today, or earliest tomorrow if no future today
-  const result = nextFuture || earliestTomorrow;
-  
-  logger.info(`findNextFutureSchedule - result:`, {
-    nextFuture: nextFuture?.toISO() || 'null',
-    earliestTomorrow: earliestTomorrow?.toISO() || 'null',
-    finalResult: result?.toISO() || 'null',
-  });
-  
-  return result ? result.toJSDate() : null;
+  logger.debug(`${functionName}: Request authenticated`, { method });
+  return true;
 }
 
 /**
- * Get the full Cloud Tasks queue path
+ * Deterministic Cloud Task id for one check-in slot
+ * The generation changes whenever tasks are cancelled for a slot that may be scheduled
+ * again (vacation, schedule edits): Cloud Tasks won't reuse a recently deleted name.
+ * @param {string} userId - Senior's user ID
+ * @param {string} slotKey - "yyyyMMdd_HHmm" from getUpcomingSlots
+ * @param {number} generation - seniorState.taskGeneration
+ * @returns {string}
  */
-function getQueuePath() {
-  return tasksClient.queuePath(PROJECT_ID, CLOUD_TASKS_LOCATION, CLOUD_TASKS_QUEUE);
+function getCheckInTaskId(userId, slotKey, generation = 0) {
+  return `checkin-${userId.replace(/[^A-Za-z0-9_-]/g, "_")}-${slotKey}-g${generation}`;
 }
 
 /**
- * Create a Cloud Task for a scheduled check-in
+ * Create the Cloud Tasks for one scheduled check-in slot (idempotent)
+ * The miss task runs when the window closes plus the grace period; the reminder task
+ * (if the senior has one) partway through the window. Both carry the miss task's
+ * taskId, which handlers compare with the scheduledTasks entry.
  * @param {string} userId - Senior's user ID
- * @param {Date} scheduledTime - When to execute (should include grace period)
+ * @param {{key: string, slot: string, localDate: string, scheduledTime: Date}} slot - From getUpcomingSlots
  * @param {string} userTimezone - User's timezone
- * @returns {Promise<string|null>} - Task name if created, null on failure
+ * @param {string} taskId - From getCheckInTaskId
+ * @param {{reminderAt: Date|null, closesAt: Date, deadline: Date}} times - From getSlotWindow
+ * @returns {Promise<{taskName: string|null, reminderTaskName: string|null}>} - Names of the created
+ *   (or already existing) tasks; taskName is null on failure
  */
-async function createCloudTask(userId, scheduledTime, userTimezone) {
-  const queuePath = getQueuePath();
-  
-  // Calculate execution time with grace period
-  const executeAt = new Date(scheduledTime.getTime() + GRACE_PERIOD_MINUTES * 60 * 1000);
+async function createCloudTask(userId, slot, userTimezone, taskId, times) {
+  const { scheduledTime } = slot;
   
   // Task payload
   const payload = {
     userId,
     scheduledTime: scheduledTime.toISOString(),
+    closesAt: times.closesAt.toISOString(),
+    slot: slot.slot,
+    localDate: slot.localDate,
+    taskKey: slot.key,
+    taskId,
     createdAt: new Date().toISOString(),
     timezone: userTimezone || TIMEZONE,
   };
 
-  // Get the function URL for handleMissedCheckIn (Cloud Run / v2 Functions format)
-  // Format: https://handlemissedcheckin-{hash}-{region code}.a.run.app
-  // We use environment variable FUNCTION_TARGET or construct from project ID
-  // Note: For v2 functions, the URL pattern is different from v1
-  // Using the deployed URL directly for reliability
-  const functionUrl = process.env.HANDLE_MISSED_CHECKIN_URL || 
-    `https://handlemissedcheckin-kkx7gmy44a-uc.a.run.app`;
-
-  const task = {
-    httpRequest: {
-      httpMethod: "POST",
-      url: functionUrl,
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: Buffer.from(JSON.stringify(payload)).toString("base64"),
-      oidcToken: {
-        serviceAccountEmail: `${PROJECT_ID}@appspot.gserviceaccount.com`,
-      },
-    },
-    scheduleTime: {
-      seconds: Math.floor(executeAt.getTime() / 1000),
-    },
-  };
-
-  // Retry with exponential backoff (3 attempts: 1s, 2s, 4s delays)
-  const maxAttempts = 3;
-  let lastError = null;
-  
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const [response] = await tasksClient.createTask({
-        parent: queuePath,
-        task,
-      });
-
-      logger.info(`Created Cloud Task for user ${userId}`, { 
-        taskName: response.name,
-        functionUrl,
-        scheduledTime: scheduledTime.toISOString(),
-        executeAt: executeAt.toISOString(),
-        attempt,
-      });
-
-      return response.name;
-    } catch (error) {
-      lastError = error;
-      
-      // Only retry on transient errors
-      const isTransient = error.code === 14 || // UNAVAILABLE
-                         error.code === 4 ||  // DEADLINE_EXCEEDED
-                         error.message?.includes("UNAVAILABLE");
-      
-      if (!isTransient || attempt === maxAttempts) {
-        logger.error(`Error creating Cloud Task for user ${userId} (attempt ${attempt}/${maxAttempts}):`, { 
-          error: error.message,
-          code: error.code,
-        });
-        break;
-      }
-      
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = Math.pow(2, attempt - 1) * 1000;
-      logger.warn(`Retrying Cloud Task creation for user ${userId} (attempt ${attempt}/${maxAttempts}), waiting ${delay}ms`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+  const taskName = await enqueueTask({
+    target: "handleMissedCheckIn",
+    payload,
+    executeAt: times.deadline,
+    logLabel: `check-in of user ${userId} at ${scheduledTime.toISOString()}`,
+    taskId,
+  });
+  if (!taskName || !times.reminderAt) {
+    return { taskName, reminderTaskName: null };
   }
   
-  return null;
+  // A missing reminder is not worth failing the slot over
+  const reminderTaskName = await enqueueTask({
+    target: "handleCheckInReminder",
+    payload,
+    executeAt: times.reminderAt,
+    logLabel: `check-in reminder of user ${userId} at ${times.reminderAt.toISOString()}`,
+    taskId: `${taskId}-reminder`,
+  });
+  return { taskName, reminderTaskName };
 }
 
 /**
- * Cancel an existing Cloud Task
- * @param {string} taskName - Full task name/path
- * @returns {Promise<boolean>} - True if cancelled or not found, false on error
+ * Remove entries from seniorState.scheduledTasks and cancel their tasks
+ * The map is updated first, so a failed cancel leaves at most an orphan task
+ * (handleMissedCheckIn ignores tasks whose slot was replaced or removed).
+ * @param {string} userId - Senior's user ID
+ * @param {Function} predicate - (entry, key) => true for entries to remove
+ * @param {Object} options
+ * @param {string} options.reason - For logs
+ * @param {boolean} options.cancel - Cancel the tasks (false for tasks that already ran)
+ * @param {boolean} options.bumpGeneration - Use fresh task names for future slots
+ * @returns {Promise<Array<Object>>} - Removed entries
  */
-async function cancelCloudTask(taskName) {
-  if (!taskName) return true;
+async function releaseCheckInTasks(userId, predicate, { reason, cancel = true, bumpGeneration = false } = {}) {
+  const seniorStateRef = db.collection("users").doc(userId).collection("data").doc("seniorState");
   
-  try {
-    await tasksClient.deleteTask({ name: taskName });
-    logger.info(`Cancelled Cloud Task: ${taskName}`);
-    return true;
-  } catch (error) {
-    // Task may have already executed or been deleted
-    if (error.code === 5) { // NOT_FOUND
-      logger.info(`Task already gone: ${taskName}`);
-      return true;
+  const removed = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(seniorStateRef);
+    if (!doc.exists) return [];
+    
+    const matches = Object.entries(doc.data().scheduledTasks || {})
+      .filter(([key, entry]) => predicate(entry, key));
+    if (matches.length === 0) return [];
+    
+    const updates = {};
+    for (const [key] of matches) {
+      updates[`scheduledTasks.${key}`] = FieldValue.delete();
     }
-    logger.error(`Error cancelling Cloud Task:`, { taskName, error: error.message });
-    return false;
+    if (bumpGeneration) {
+      updates.taskGeneration = FieldValue.increment(1);
+    }
+    transaction.update(seniorStateRef, updates);
+    return matches.map(([, entry]) => entry);
+  });
+  
+  if (cancel) {
+    const names = removed.flatMap(entry => [entry.taskName, entry.reminderTaskName]).filter(Boolean);
+    await Promise.all(names.map(name => cancelTask(name)));
+  }
+  if (removed.length > 0) {
+    logger.info(`Released ${removed.length} check-in task(s) for user ${userId}`, {
+      reason,
+      cancelled: cancel,
+      slots: removed.map(entry => `${entry.localDate} ${entry.slot}`),
+    });
   }
+  return removed;
 }
 
 /**
- * Schedule or reschedule a check-in task for a user
- * Uses transaction to prevent race conditions
+ * Make sure every upcoming schedule slot (next 24h) has its own Cloud Task
+ * Tasks are tracked in seniorState.scheduledTasks, keyed "yyyyMMdd_HHmm" (senior's local
+ * date and slot time). Task names are deterministic, so re-running never duplicates:
+ * slots already in the map are left alone and a re-created slot reuses its name.
+ * 
+ * - vacation: every task is cancelled and the map cleared
+ * - slots removed from the schedule: their tasks are cancelled
+ * - slots not yet open whose window settings changed: their tasks are re-created
+ * - entries whose task already ran are dropped from the map
  * 
  * IMPORTANT: This function ONLY handles Cloud Task scheduling.
  * It does NOT update nextExpectedCheckIn - that is handled by the Dart client
@@ -576,115 +349,147 @@ async function scheduleCheckInTask(userId) {
     }
     
     const initialData = initialDoc.data();
-    const initialVacationMode = initialData.vacationMode;
-    const initialActiveTaskId = initialData.activeTaskId;
-    const schedules = initialData.checkInSchedules || ["11:00 AM"];
+    const schedule = scheduleFromState(initialData);
+    const window = resolveCheckInWindow(initialData.checkInWindow);
+    const initialTasks = initialData.scheduledTasks || {};
+    const now = new Date();
     
     // ========== PHASE 2: External I/O outside transaction ==========
-    // Cancel existing task if any (safe to do before transaction)
-    if (initialActiveTaskId) {
-      await cancelCloudTask(initialActiveTaskId);
+    // Single task from before per-slot scheduling
+    if (initialData.activeTaskId) {
+      await cancelTask(initialData.activeTaskId);
+      await seniorStateRef.update({ activeTaskId: FieldValue.delete() });
     }
     
-    // If vacation mode is on, just clear the task ID in a transaction
-    if (initialVacationMode) {
+    // If vacation mode is on, cancel every slot
+    if (initialData.vacationMode) {
       logger.info(`User ${userId} is on vacation, skipping task scheduling`);
-      await db.runTransaction(async (transaction) => {
-        const doc = await transaction.get(seniorStateRef);
-        if (!doc.exists) return;
-        const data = doc.data();
-        
-        // Only delete activeTaskId if it still matches what we cancelled
-        if (data.activeTaskId === initialActiveTaskId) {
-          transaction.update(seniorStateRef, {
-            activeTaskId: FieldValue.delete(),
-          });
-        }
-      });
+      if (initialData.activeEscalation) {
+        await cancelEscalationLadder(userId, "vacation", initialData.activeEscalation);
+      }
+      await releaseCheckInTasks(userId, () => true, { reason: "vacation", bumpGeneration: true });
       return;
     }
     
+    const entries = Object.entries(initialTasks);
+    const isScheduled = (entry, key) => getSchedulesForDate(schedule, entry.localDate)
+      .some(s => getSlotKey(s, entry.localDate) === key);
+    const hasRun = (entry) => !entry.executeAt?.toDate || entry.executeAt.toDate() <= now;
+    // Open windows keep the settings they started with; entries from before windows have no closesAt
+    const windowChanged = (entry) => {
+      if (!entry.closesAt?.toDate || entry.scheduledTime.toDate() <= now) return false;
+      const expected = getSlotWindow(entry.scheduledTime.toDate(), window);
+      return entry.closesAt.toDate().getTime() !== expected.closesAt.getTime() ||
+        entry.executeAt.toDate().getTime() !== expected.deadline.getTime() ||
+        (entry.reminderAt?.toDate?.().getTime() ?? null) !== (expected.reminderAt?.getTime() ?? null);
+    };
+    
+    if (entries.some(([key, entry]) => !isScheduled(entry, key) && !hasRun(entry))) {
+      await releaseCheckInTasks(userId, (entry, key) => !isScheduled(entry, key) && !hasRun(entry), {
+        reason: "schedule_removed",
+        bumpGeneration: true,
+      });
+    }
+    if (entries.some(([key, entry]) => isScheduled(entry, key) && windowChanged(entry))) {
+      await releaseCheckInTasks(userId, (entry, key) => isScheduled(entry, key) && windowChanged(entry), {
+        reason: "window_changed",
+        bumpGeneration: true,
+      });
+    }
+    if (entries.some(([, entry]) => hasRun(entry))) {
+      await releaseCheckInTasks(userId, hasRun, { reason: "already_run", cancel: false });
+    }
+    
     // Get user timezone (external I/O)
     const userTimezone = await getUserTimezone(userId);
-    const now = new Date();
+    
+    // Re-read: the releases above may have changed the map and generation
+    const currentDoc = await seniorStateRef.get();
+    if (!currentDoc.exists) return;
+    const currentData = currentDoc.data();
+    const currentTasks = currentData.scheduledTasks || {};
+    const generation = currentData.taskGeneration || 0;
+    
+    const missingSlots = getUpcomingSlots(schedule, now, userTimezone)
+      .filter(slot => !currentTasks[slot.key]);
     
     logger.info(`DEBUG: scheduleCheckInTask for user ${userId}`, {
-      schedules,
+      schedules: initialData.checkInSchedules,
+      scheduleRules: initialData.scheduleRules || null,
+      window,
       now: now.toISOString(),
       userTimezone,
-      existingNextExpected: initialData.nextExpectedCheckIn?.toDate?.()?.toISOString(),
+      existingSlots: Object.keys(currentTasks),
+      missingSlots: missingSlots.map(slot => slot.key),
     });
     
-    // Find next FUTURE schedule for Cloud Task (only future times)
-    const nextTaskTime = findNextFutureSchedule(schedules, now, userTimezone);
-    
-    if (!nextTaskTime) {
-      logger.info(`No future schedule for user ${userId}, clearing activeTaskId`);
-      await db.runTransaction(async (transaction) => {
-        const doc = await transaction.get(seniorStateRef);
-        if (!doc.exists) return;
-        const data = doc.data();
-        
-        // Only clear if activeTaskId matches what we cancelled
-        if (data.activeTaskId === initialActiveTaskId || !data.activeTaskId) {
-          transaction.update(seniorStateRef, {
-            activeTaskId: FieldValue.delete(),
-          });
-        }
-      });
+    if (missingSlots.length === 0) {
       return;
     }
     
-    // Create Cloud Task (external I/O - do BEFORE transaction)
-    const taskName = await createCloudTask(userId, nextTaskTime, userTimezone);
+    // Create Cloud Tasks (external I/O - do BEFORE transaction)
+    const created = [];
+    for (const slot of missingSlots) {
+      const taskId = getCheckInTaskId(userId, slot.key, generation);
+      const times = getSlotWindow(slot.scheduledTime, window);
+      const { taskName, reminderTaskName } = await createCloudTask(userId, slot, userTimezone, taskId, times);
+      if (taskName) {
+        created.push({ slot, taskId, taskName, reminderTaskName, times });
+      }
+    }
     
     // ========== PHASE 3: Short transaction to validate & update atomically ==========
-    let taskNeedsCleanup = false;
+    let tasksNeedCleanup = false;
     
     await db.runTransaction(async (transaction) => {
       const doc = await transaction.get(seniorStateRef);
       
       if (!doc.exists) {
-        // State was deleted, mark task for cleanup
-        taskNeedsCleanup = true;
+        // State was deleted, mark tasks for cleanup
+        tasksNeedCleanup = true;
         return;
       }
       
       const data = doc.data();
       
-      // Validate state hasn't changed in a way that invalidates our work
+      // Vacation mode was enabled after we started, cleanup required
       if (data.vacationMode) {
-        // Vacation mode was enabled after we started, cleanup required
-        taskNeedsCleanup = true;
-        transaction.update(seniorStateRef, {
-          activeTaskId: FieldValue.delete(),
-        });
+        tasksNeedCleanup = true;
+        transaction.update(seniorStateRef, { taskGeneration: FieldValue.increment(1) });
         return;
       }
       
-      // Check if schedules changed (would require different task time)
-      const currentSchedules = data.checkInSchedules || ["11:00 AM"];
-      if (JSON.stringify(currentSchedules) !== JSON.stringify(schedules)) {
-        // Schedules changed, cleanup and let next invocation handle it
-        taskNeedsCleanup = true;
-        return;
+      // Record the tasks even if schedules changed meanwhile: the schedule
+      // change triggers another run, which cancels slots that were removed
+      if (created.length === 0) return;
+      const updates = {};
+      for (const { slot, taskId, taskName, reminderTaskName, times } of created) {
+        updates[`scheduledTasks.${slot.key}`] = {
+          taskName,
+          taskId,
+          reminderTaskName,
+          slot: slot.slot,
+          localDate: slot.localDate,
+          scheduledTime: Timestamp.fromDate(slot.scheduledTime),
+          reminderAt: times.reminderAt ? Timestamp.fromDate(times.reminderAt) : null,
+          closesAt: Timestamp.fromDate(times.closesAt),
+          executeAt: Timestamp.fromDate(times.deadline),
+        };
       }
+      transaction.update(seniorStateRef, updates);
       
-      // All good - atomically update activeTaskId
-      transaction.update(seniorStateRef, {
-        activeTaskId: taskName || FieldValue.delete(),
-      });
-      
-      logger.info(`Scheduled Cloud Task for user ${userId}`, {
-        nextTaskTime: nextTaskTime.toISOString(),
-        taskName,
+      logger.info(`Scheduled ${created.length} check-in task(s) for user ${userId}`, {
+        slots: created.map(({ slot }) => slot.key),
       });
     });
     
     // ========== PHASE 4: Compensating cleanup if needed ==========
-    if (taskNeedsCleanup && taskName) {
-      logger.info(`Cleaning up orphaned task due to state change: ${taskName}`);
-      await cancelCloudTask(taskName);
+    if (tasksNeedCleanup) {
+      logger.info(`Cleaning up ${created.length} orphaned task(s) due to state change for user ${userId}`);
+      await Promise.all(created
+        .flatMap(({ taskName, reminderTaskName }) => [taskName, reminderTaskName])
+        .filter(Boolean)
+        .map(name => cancelTask(name)));
     }
     
   } catch (error) {
@@ -694,118 +499,669 @@ async function scheduleCheckInTask(userId) {
 
 /**
  * Send FCM push notification to senior for missed check-in
+ * Fans out to every registered device
  * @param {string} userId - Senior's user ID  
  * @param {number} missedCount - Number of missed check-ins today
+ * @returns {Promise<Object>} - Delivery result from sendNotification
  */
 async function sendMissedCheckInNotification(userId, missedCount) {
+  const result = await sendNotification(userId, "missed_checkin", { missedCount }, {
+    data: { missedCount },
+    badge: missedCount,
+  });
+  logger.info(`FCM sent for user ${userId}`, { ...result, missedCount });
+  return result;
+}
+
+/**
+ * Normalize a phone number for de-duplication (keeps leading + and digits)
+ */
+function normalizePhoneNumber(phone) {
+  if (!phone || typeof phone !== "string") return null;
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, "");
+  if (!digits) return null;
+  return trimmed.startsWith("+") ? `+${digits}` : digits;
+}
+
+/**
+ * Record a single escalation delivery attempt and its outcome
+ * Stored in users/{userId}/escalationDeliveries for later review
+ */
+async function recordEscalationDelivery(userId, escalationId, attempt) {
   try {
-    // Get user's FCM token from profile
-    const profileDoc = await db.collection("users").doc(userId)
-      .collection("data").doc("profile").get();
-    
-    if (!profileDoc.exists) {
-      logger.info(`No profile found for user ${userId}, skipping FCM`);
-      return;
-    }
+    await db.collection("users").doc(userId)
+      .collection("escalationDeliveries").add({
+        escalationId,
+        channel: attempt.channel,
+        recipientUserId: attempt.recipientUserId || null,
+        recipientPhone: attempt.recipientPhone || null,
+        recipientSource: attempt.recipientSource,
+        provider: attempt.provider || null,
+        status: attempt.status,
+        messageId: attempt.messageId || null,
+        errorCode: attempt.errorCode || null,
+        errorMessage: attempt.errorMessage || null,
+        attemptedAt: Timestamp.now(),
+      });
+  } catch (error) {
+    logger.error(`Error recording escalation delivery for user ${userId}:`, { error: error.message });
+  }
+}
+
+/**
+ * Deliver escalation alerts (the emergency_contact step of the escalation ladder)
+ * 1. Push to every connected user (BIDIRECTIONAL via getConnectedUsers)
+ * 2. Fall back to SMS (then voice) for the senior's emergencyContact and
+ *    familyContacts phone numbers through the pluggable contact provider.
+ *    Family contacts whose contactUid already received the push are skipped.
+ * Every attempt is recorded in users/{userId}/escalationDeliveries.
+ * @param {string} userId - Senior's user ID
+ * @param {{escalationId: string, consecutiveMissedDays: number, missedSchedule: string}} escalation
+ * @returns {Promise<{pushSent: number, pushFailed: number, phoneSent: number, phoneFailed: number}>}
+ */
+async function deliverEscalationAlerts(userId, { escalationId, consecutiveMissedDays, missedSchedule }) {
+  const summary = { pushSent: 0, pushFailed: 0, phoneSent: 0, phoneFailed: 0 };
+  const userRef = db.collection("users").doc(userId);
+  
+  const [profileDoc, seniorStateDoc, familyContactsSnapshot, connectedUsers] = await Promise.all([
+    userRef.collection("data").doc("profile").get(),
+    userRef.collection("data").doc("seniorState").get(),
+    userRef.collection("familyContacts").get(),
+    getConnectedUsers(userId),
+  ]);
+  
+  const templateParams = {
+    seniorName: profileDoc.exists ? profileDoc.data()?.displayName : null,
+    consecutiveMissedDays,
+    missedSchedule,
+  };
+  // SMS / voice go to phone numbers without a language preference
+  const alertText = renderTemplate("escalation", templateParams, DEFAULT_LANGUAGE).body;
+  
+  logger.warn(`ESCALATION delivery for user ${userId}`, {
+    escalationId,
+    consecutiveMissedDays,
+    connections: connectedUsers.length,
+  });
+  
+  // ========== 1. Push to every connection ==========
+  const pushedUserIds = new Set();
+  
+  await Promise.all(connectedUsers.map(async ({ userId: connectedUserId }) => {
+    const attempt = {
+      channel: "push",
+      recipientUserId: connectedUserId,
+      recipientSource: "connection",
+    };
     
-    const fcmToken = profileDoc.data()?.fcmToken;
-    if (!fcmToken) {
-      logger.info(`No FCM token for user ${userId}, skipping push notification`);
-      return;
+    try {
+      const result = await sendNotification(connectedUserId, "escalation", templateParams, {
+        data: { seniorUserId: userId, escalationId, consecutiveMissedDays },
+      });
+      
+      if (result.status === "no_devices") {
+        attempt.status = "skipped";
+        attempt.errorCode = "no-fcm-token";
+      } else if (result.successCount > 0) {
+        attempt.status = "sent";
+        pushedUserIds.add(connectedUserId);
+      } else {
+        attempt.status = "failed";
+        attempt.errorCode = result.errorCodes[0] || null;
+      }
+    } catch (error) {
+      attempt.status = "failed";
+      attempt.errorCode = error.code || null;
+      attempt.errorMessage = error.message;
     }
     
-    // Build notification based on missed count
-    const title = missedCount === 1 
-      ? "Check-in Reminder"
-      : "Multiple Missed Check-ins";
-    
-    const body = missedCount === 1
-      ? "You haven't checked in yet today. Tap to let your family know you're okay!"
-      : `You've missed ${missedCount} check-ins today. Tap to check in now.`;
-    
-    // Send FCM message
-    const message = {
-      token: fcmToken,
-      notification: {
-        title,
-        body,
-      },
-      data: {
-        type: "missed_checkin",
-        missedCount: String(missedCount),
-        source: "server",
-        timestamp: new Date().toISOString(),
-      },
-      android: {
-        priority: "high",
-        notification: {
-          channelId: "check_in_reminders",
-          priority: "high",
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: "default",
-            badge: missedCount,
-          },
-        },
-      },
+    if (attempt.status === "sent") summary.pushSent++;
+    else summary.pushFailed++;
+    await recordEscalationDelivery(userId, escalationId, attempt);
+  }));
+  
+  // ========== 2. SMS / voice fallback to phone contacts ==========
+  const phoneRecipients = [];
+  const seenPhones = new Set();
+  
+  function addPhoneRecipient(phone, source, contactUid = null) {
+    const normalized = normalizePhoneNumber(phone);
+    if (!normalized || seenPhones.has(normalized)) return;
+    seenPhones.add(normalized);
+    phoneRecipients.push({ phone: normalized, source, contactUid });
+  }
+  
+  const emergencyContact = seniorStateDoc.exists ? seniorStateDoc.data()?.emergencyContact : null;
+  if (emergencyContact?.phoneNumber) {
+    addPhoneRecipient(emergencyContact.phoneNumber, "emergency_contact");
+  }
+  
+  familyContactsSnapshot.docs.forEach(doc => {
+    const contact = doc.data();
+    // Connected family members who already got the push don't need an SMS too
+    if (contact.contactUid && pushedUserIds.has(contact.contactUid)) return;
+    addPhoneRecipient(contact.phone, "family_contact", contact.contactUid || null);
+  });
+  
+  const provider = getContactProvider();
+  
+  for (const recipient of phoneRecipients) {
+    const baseAttempt = {
+      recipientUserId: recipient.contactUid,
+      recipientPhone: recipient.phone,
+      recipientSource: recipient.source,
+      provider: provider.name,
     };
     
-    const response = await getMessaging().send(message);
-    logger.info(`FCM sent for user ${userId}`, { messageId: response, missedCount });
-    
-  } catch (error) {
-    // Handle invalid token errors gracefully
-    if (error.code === "messaging/invalid-registration-token" ||
-        error.code === "messaging/registration-token-not-registered") {
-      logger.warn(`Invalid FCM token for user ${userId}, clearing token`);
-      // Clear invalid token
+    // Try SMS first, then a voice call if SMS fails
+    let delivered = false;
+    for (const channel of ["sms", "voice"]) {
+      const attempt = { ...baseAttempt, channel };
       try {
-        await db.collection("users").doc(userId)
-          .collection("data").doc("profile")
-          .update({ fcmToken: FieldValue.delete() });
-      } catch (clearError) {
-        logger.error("Error clearing invalid token:", { error: clearError.message });
+        const response = channel === "sms"
+          ? await provider.sendSms({ to: recipient.phone, body: `SafeCheck alert: ${alertText}` })
+          : await provider.placeCall({ to: recipient.phone, message: `This is a SafeCheck alert. ${alertText}` });
+        attempt.status = "sent";
+        attempt.messageId = response?.id || null;
+        delivered = true;
+      } catch (error) {
+        attempt.status = "failed";
+        attempt.errorCode = error.code || null;
+        attempt.errorMessage = error.message;
       }
-    } else {
-      logger.error(`Error sending FCM for user ${userId}:`, { error: error.message });
+      await recordEscalationDelivery(userId, escalationId, attempt);
+      if (delivered) break;
     }
+    
+    if (delivered) summary.phoneSent++;
+    else summary.phoneFailed++;
   }
+  
+  // Attach outcome summary to the escalation activity log
+  await userRef.collection("activityLogs").doc(escalationId)
+    .update({ "metadata.delivery": summary })
+    .catch(error => logger.error(`Error updating escalation log ${escalationId}:`, { error: error.message }));
+  
+  logger.info(`Escalation delivery completed for user ${userId}`, { escalationId, ...summary });
+  return summary;
 }
 
 /**
- * HTTP Handler: Called by Cloud Tasks when check-in time passes
+ * Notify connected users that a senior missed a check-in
+ * Used by the primary_family and all_connections escalation steps.
+ * Each recipient's notification preferences (quiet hours, type toggle,
+ * per-senior mute/priority) apply; suppressed sends don't count as successes.
+ * @param {string} userId - Senior's user ID
+ * @param {Array<{userId: string}>} connectedUsers - Recipients (from getConnectedUsers)
+ * @param {number} missedCount - Number of missed check-ins today
+ * @param {string|null} incidentId - Incident the recipient can acknowledge
+ * @returns {Promise<number>} - Number of successful sends
  */
-exports.handleMissedCheckIn = onRequest({
-  region: CLOUD_TASKS_LOCATION,
-  timeoutSeconds: 60,
-  memory: "256MiB",
-}, async (req, res) => {
-  logger.info("=== handleMissedCheckIn STARTED ===");
+async function notifyConnectedUsersOfMiss(userId, connectedUsers, missedCount, incidentId = null) {
+  logger.info(`Family notification: Notifying ${connectedUsers.length} connected users for user ${userId}`);
   
-  // Validate request
-  if (req.method !== "POST") {
-    logger.error("handleMissedCheckIn: Invalid method", { method: req.method });
-    res.status(405).send("Method not allowed");
-    return;
+  if (connectedUsers.length === 0) {
+    logger.info(`Family notification: No active connections found for senior ${userId}`);
+    return 0;
   }
   
-  let payload;
-  try {
-    payload = req.body;
-    if (typeof payload === "string") {
-      payload = JSON.parse(payload);
-    }
-    logger.info("handleMissedCheckIn: Payload parsed", { payload });
-  } catch (error) {
-    logger.error("Invalid request payload:", { error: error.message });
+  // Fetch senior's name for better notification context
+  const seniorProfileDoc = await db.collection("users").doc(userId)
+    .collection("data").doc("profile").get();
+  const seniorName = seniorProfileDoc.exists ? seniorProfileDoc.data()?.displayName : null;
+  
+  // Fan out to every device registered for each connected user, in their own language
+  const results = await sendNotificationToUsers(
+    connectedUsers.map(connection => connection.userId),
+    "family_missed_alert",
+    { seniorName },
+    { data: { seniorUserId: userId, missedCount, incidentId } }
+  );
+  
+  results.forEach(result => logger.info(`Family notification: ${result.status} for ${result.userId}`, result));
+  const successCount = results.filter(r => r.successCount > 0).length;
+  logger.info(`Sent family notifications for user ${userId}: ${successCount}/${results.length} succeeded`);
+  return successCount;
+}
+
+/**
+ * Get a senior's escalation policy from users/{uid}/data/escalationPolicy
+ * Falls back to DEFAULT_ESCALATION_STEPS when missing or invalid
+ * @param {string} userId - Senior's user ID
+ * @returns {Promise<{enabled: boolean, steps: Array<{delayMinutes: number, audience: string}>, primaryFamilyUserId: string|null}>}
+ */
+async function getEscalationPolicy(userId) {
+  const defaults = {
+    enabled: true,
+    steps: DEFAULT_ESCALATION_STEPS,
+    primaryFamilyUserId: null,
+  };
+  
+  try {
+    const policyDoc = await db.collection("users").doc(userId)
+      .collection("data").doc("escalationPolicy").get();
+    
+    if (!policyDoc.exists) return defaults;
+    
+    const data = policyDoc.data() || {};
+    const primaryFamilyUserId = typeof data.primaryFamilyUserId === "string"
+      ? data.primaryFamilyUserId
+      : null;
+    
+    if (data.enabled === false) {
+      return { ...defaults, enabled: false, primaryFamilyUserId };
+    }
+    
+    const rawSteps = Array.isArray(data.steps) ? data.steps : null;
+    const steps = (rawSteps || [])
+      .filter(step => step &&
+        ESCALATION_AUDIENCES.includes(step.audience) &&
+        Number.isFinite(step.delayMinutes) &&
+        step.delayMinutes >= 0 &&
+        step.delayMinutes <= MAX_ESCALATION_DELAY_MINUTES)
+      .map(step => ({ delayMinutes: step.delayMinutes, audience: step.audience }))
+      .sort((a, b) => a.delayMinutes - b.delayMinutes)
+      .slice(0, MAX_ESCALATION_STEPS);
+    
+    if (steps.length === 0) {
+      if (rawSteps) {
+        logger.warn(`Invalid escalation policy for user ${userId}, using defaults`);
+      }
+      return { ...defaults, primaryFamilyUserId };
+    }
+    
+    return { enabled: true, steps, primaryFamilyUserId };
+  } catch (error) {
+    logger.error(`Error fetching escalation policy for user ${userId}:`, { error: error.message });
+    return defaults;
+  }
+}
+
+/**
+ * Pick the primary family member for the primary_family step
+ * Uses the policy's primaryFamilyUserId if still connected, otherwise the oldest connection
+ * @param {Array<{userId: string, createdAt: Date|null}>} connectedUsers
+ * @param {string|null} primaryFamilyUserId
+ * @returns {{userId: string}|null}
+ */
+function pickPrimaryFamilyMember(connectedUsers, primaryFamilyUserId) {
+  if (connectedUsers.length === 0) return null;
+  
+  const configured = connectedUsers.find(cu => cu.userId === primaryFamilyUserId);
+  if (configured) return configured;
+  
+  return [...connectedUsers].sort((a, b) => {
+    const aTime = a.createdAt ? a.createdAt.getTime() : Infinity;
+    const bTime = b.createdAt ? b.createdAt.getTime() : Infinity;
+    return aTime - bTime;
+  })[0];
+}
+
+/**
+ * Start the escalation ladder for a genuine missed check-in
+ * Creates one Cloud Task per policy step and stores the task names in
+ * seniorState.activeEscalation so a check-in can cancel the rest.
+ * @param {string} userId - Senior's user ID
+ * @param {{escalationId: string, consecutiveMissedDays: number, missedSchedule: string, missedCount: number}} escalation
+ */
+async function startEscalationLadder(userId, escalation) {
+  const { escalationId } = escalation;
+  const policy = await getEscalationPolicy(userId);
+  const seniorStateRef = db.collection("users").doc(userId).collection("data").doc("seniorState");
+  
+  if (!policy.enabled) {
+    logger.info(`Escalation disabled for user ${userId}, only reminding the senior`);
+    await sendMissedCheckInNotification(userId, escalation.missedCount);
+    await cancelEscalationLadder(userId, "disabled");
+    return;
+  }
+  
+  const startedAt = Date.now();
+  const taskNames = [];
+  
+  for (let stepIndex = 0; stepIndex < policy.steps.length; stepIndex++) {
+    const step = policy.steps[stepIndex];
+    const stepPayload = {
+      ...escalation,
+      userId,
+      stepIndex,
+      audience: step.audience,
+      isFinalStep: stepIndex === policy.steps.length - 1,
+      primaryFamilyUserId: policy.primaryFamilyUserId,
+    };
+    
+    const taskName = await enqueueTask({
+      target: "handleEscalationStep",
+      payload: stepPayload,
+      executeAt: new Date(startedAt + step.delayMinutes * 60 * 1000),
+      logLabel: `escalation ${escalationId} step ${stepIndex} (${step.audience})`,
+    });
+    
+    if (taskName) {
+      taskNames.push(taskName);
+    } else if (step.delayMinutes === 0) {
+      // Immediate steps must not be lost - run them inline
+      logger.warn(`Running escalation step ${stepIndex} inline for user ${userId}`);
+      await runEscalationStep(stepPayload);
+    }
+  }
+  
+  // Only record task names if this ladder is still the active one
+  const stillActive = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(seniorStateRef);
+    const active = doc.exists ? doc.data().activeEscalation : null;
+    if (active?.id !== escalationId) return false;
+    
+    transaction.update(seniorStateRef, { "activeEscalation.taskNames": taskNames });
+    return true;
+  });
+  
+  if (!stillActive) {
+    // Cancelled (check-in / vacation) while we were creating tasks
+    logger.info(`Escalation ${escalationId} ended during setup, deleting its tasks`);
+    await Promise.all(taskNames.map(name => cancelTask(name)));
+    return;
+  }
+  
+  logger.info(`Escalation ladder started for user ${userId}`, {
+    escalationId,
+    steps: policy.steps.map(step => `${step.audience}@+${step.delayMinutes}m`),
+    tasksCreated: taskNames.length,
+  });
+}
+
+/**
+ * Cancel the remaining steps of a senior's active escalation ladder
+ * @param {string} userId - Senior's user ID
+ * @param {string} reason - Why the ladder stopped (e.g., "check_in", "vacation")
+ * @param {Object|null} knownEscalation - activeEscalation already read by the caller (skips the read)
+ */
+async function cancelEscalationLadder(userId, reason, knownEscalation = null) {
+  const seniorStateRef = db.collection("users").doc(userId).collection("data").doc("seniorState");
+  
+  try {
+    let active = knownEscalation;
+    if (!active) {
+      const doc = await seniorStateRef.get();
+      active = doc.exists ? doc.data().activeEscalation : null;
+    }
+    if (!active?.id) return;
+    
+    await Promise.all((active.taskNames || []).map(name => cancelTask(name)));
+    
+    // Clear only if it is still the same ladder
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(seniorStateRef);
+      if (doc.exists && doc.data().activeEscalation?.id === active.id) {
+        transaction.update(seniorStateRef, { activeEscalation: FieldValue.delete() });
+      }
+    });
+    
+    await db.collection("users").doc(userId)
+      .collection("activityLogs").doc(active.id)
+      .update({
+        "metadata.endedAt": Timestamp.now(),
+        "metadata.endReason": reason,
+      })
+      .catch(error => logger.warn(`Could not update escalation log ${active.id}:`, { error: error.message }));
+    
+    logger.info(`Cancelled escalation ladder ${active.id} for user ${userId}`, { reason });
+  } catch (error) {
+    logger.error(`Error cancelling escalation ladder for user ${userId}:`, { error: error.message });
+  }
+}
+
+/**
+ * Execute a single escalation step
+ * Re-validates that the ladder is still active and claims the step in a transaction
+ * before delivering anything, so a Cloud Tasks retry or a duplicate task never sends
+ * the same step twice (at most once: a step that fails mid-delivery is not re-sent).
+ * @param {Object} step - Step payload created by startEscalationLadder
+ * @returns {Promise<boolean>} - True if the step delivered alerts
+ */
+async function runEscalationStep(step) {
+  const { userId, escalationId, stepIndex, audience, isFinalStep } = step;
+  const seniorStateRef = db.collection("users").doc(userId).collection("data").doc("seniorState");
+  
+  // ========== Claim the step atomically ==========
+  const claim = await db.runTransaction(async (transaction) => {
+    const seniorStateDoc = await transaction.get(seniorStateRef);
+    if (!seniorStateDoc.exists) return { skip: "no_senior_state" };
+    
+    const data = seniorStateDoc.data();
+    const active = data.activeEscalation;
+    if (!active || active.id !== escalationId) return { skip: "inactive" };
+    if (data.vacationMode) return { skip: "vacation", active };
+    
+    const lastCheckIn = data.lastCheckIn?.toDate?.();
+    const startedAt = active.startedAt?.toDate?.();
+    if (lastCheckIn && startedAt && lastCheckIn > startedAt) return { skip: "check_in", active };
+    
+    if ((active.completedSteps || []).includes(stepIndex) || (active.claimedSteps || []).includes(stepIndex)) {
+      return { skip: "already_claimed" };
+    }
+    
+    transaction.update(seniorStateRef, { "activeEscalation.claimedSteps": FieldValue.arrayUnion(stepIndex) });
+    return { skip: null };
+  });
+  
+  if (claim.skip === "no_senior_state") {
+    logger.info(`Escalation step ${stepIndex}: senior state gone for user ${userId} - EXITING`);
+    return false;
+  }
+  if (claim.skip === "inactive") {
+    logger.info(`Escalation step ${stepIndex}: ladder ${escalationId} no longer active for user ${userId} - EXITING`);
+    return false;
+  }
+  if (claim.skip === "vacation") {
+    logger.info(`Escalation step ${stepIndex}: user ${userId} is on vacation - EXITING`);
+    await cancelEscalationLadder(userId, "vacation", claim.active);
+    return false;
+  }
+  if (claim.skip === "check_in") {
+    logger.info(`Escalation step ${stepIndex}: user ${userId} checked in since ladder start - EXITING`);
+    await cancelEscalationLadder(userId, "check_in", claim.active);
+    return false;
+  }
+  if (claim.skip === "already_claimed") {
+    logger.info(`Escalation step ${stepIndex} already claimed for ${escalationId} - EXITING (idempotency)`);
+    return false;
+  }
+  
+  logger.warn(`ESCALATION step ${stepIndex} (${audience}) for user ${userId}`, { escalationId });
+  
+  let delivered = 0;
+  let deliveryError = null;
+  try {
+    if (audience === "senior") {
+      await sendMissedCheckInNotification(userId, step.missedCount);
+      delivered = 1;
+    } else if (audience === "primary_family" || audience === "all_connections") {
+      const connectedUsers = await getConnectedUsers(userId);
+      const recipients = audience === "all_connections"
+        ? connectedUsers
+        : [pickPrimaryFamilyMember(connectedUsers, step.primaryFamilyUserId)].filter(Boolean);
+      delivered = await notifyConnectedUsersOfMiss(userId, recipients, step.missedCount, step.incidentId);
+    } else if (audience === "emergency_contact") {
+      const summary = await deliverEscalationAlerts(userId, step);
+      delivered = summary.pushSent + summary.phoneSent;
+    }
+  } catch (error) {
+    // The step stays claimed: a retry must not call the emergency contact twice
+    deliveryError = error.message;
+    logger.error(`Escalation step ${stepIndex} delivery failed for user ${userId}:`, { escalationId, error: error.message });
+  }
+  
+  // ========== Record the outcome ==========
+  // The ladder is finished after its final step (unless it was replaced meanwhile)
+  await db.runTransaction(async (transaction) => {
+    const seniorStateDoc = await transaction.get(seniorStateRef);
+    if (seniorStateDoc.data()?.activeEscalation?.id !== escalationId) return;
+    transaction.update(seniorStateRef, isFinalStep
+      ? { activeEscalation: FieldValue.delete() }
+      : { "activeEscalation.completedSteps": FieldValue.arrayUnion(stepIndex) });
+  });
+  
+  await db.collection("users").doc(userId)
+    .collection("activityLogs").doc(escalationId)
+    .update({ [`metadata.steps.${stepIndex}`]: { audience, delivered, error: deliveryError, at: Timestamp.now() } })
+    .catch(error => logger.warn(`Could not update escalation log ${escalationId}:`, { error: error.message }));
+  
+  return delivered > 0;
+}
+
+/**
+ * Build a new incident document
+ * Incidents live in users/{seniorId}/incidents/{incidentId} and let family members
+ * coordinate who is responding to a missed check-in or SOS.
+ * Status flow: open -> acknowledged -> resolved (open -> resolved is also allowed)
+ * @param {Object} options
+ * @param {string} options.type - "missed_check_in" or "sos"
+ * @param {string} options.seniorId - Senior's user ID
+ * @param {string|null} options.escalationId - Escalation ladder this incident stops when acknowledged
+ * @param {Object} options.details - Type-specific context (schedule, location, ...)
+ * @returns {Object}
+ */
+function buildIncident({ type, seniorId, escalationId = null, details = {} }) {
+  return {
+    type,
+    seniorId,
+    status: "open",
+    escalationId,
+    details,
+    createdAt: Timestamp.now(),
+    acknowledgedBy: null,
+    acknowledgedAt: null,
+    resolvedBy: null,
+    resolvedAt: null,
+    notes: [],
+    timeline: [{ event: "opened", at: Timestamp.now() }],
+  };
+}
+
+/**
+ * Tell the other connections that someone acknowledged or resolved an incident
+ * @param {string} seniorId - Senior's user ID
+ * @param {string} incidentId - Incident ID
+ * @param {Object} incident - Incident data (after the update)
+ * @param {string} actorUserId - User who acted (not notified)
+ * @param {string} action - "acknowledged" or "resolved"
+ */
+async function notifyIncidentUpdate(seniorId, incidentId, incident, actorUserId, action) {
+  const userRef = (uid) => db.collection("users").doc(uid).collection("data").doc("profile");
+  const [seniorProfile, actorProfile, connectedUsers] = await Promise.all([
+    userRef(seniorId).get(),
+    userRef(actorUserId).get(),
+    getConnectedUsers(seniorId),
+  ]);
+  
+  const recipients = connectedUsers
+    .map(cu => cu.userId)
+    .filter(uid => uid !== actorUserId);
+  
+  const results = await sendNotificationToUsers(
+    recipients,
+    action === "acknowledged" ? "incident_acknowledged" : "incident_resolved",
+    {
+      seniorName: seniorProfile.exists ? seniorProfile.data()?.displayName : null,
+      actorName: actorProfile.exists ? actorProfile.data()?.displayName : null,
+      incidentType: incident.type,
+    },
+    {
+      data: {
+        type: "incident_update",
+        seniorId,
+        incidentId,
+        incidentType: incident.type,
+        status: incident.status,
+        actorUserId,
+      },
+    }
+  );
+  
+  logger.info(`Incident ${incidentId} ${action} notifications`, summarizeResults(results));
+}
+
+/**
+ * Resolve all open/acknowledged incidents of a type (e.g., after a check-in)
+ * @param {string} seniorId - Senior's user ID
+ * @param {string} type - Incident type
+ * @param {string} resolvedBy - User ID or system reason (e.g., "check_in")
+ * @returns {Promise<number>} - Number of incidents resolved
+ */
+async function resolveOpenIncidents(seniorId, type, resolvedBy) {
+  try {
+    const snapshot = await db.collection("users").doc(seniorId)
+      .collection("incidents")
+      .where("type", "==", type)
+      .where("status", "in", ["open", "acknowledged"])
+      .get();
+    
+    if (snapshot.empty) return 0;
+    
+    let batch = db.batch();
+    let batchCount = 0;
+    for (const doc of snapshot.docs) {
+      batch.update(doc.ref, {
+        status: "resolved",
+        resolvedBy,
+        resolvedAt: Timestamp.now(),
+      });
+      batchCount++;
+      if (batchCount >= BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        batchCount = 0;
+      }
+    }
+    if (batchCount > 0) {
+      await batch.commit();
+    }
+    
+    logger.info(`Resolved ${snapshot.size} open ${type} incidents for user ${seniorId}`, { resolvedBy });
+    return snapshot.size;
+  } catch (error) {
+    logger.error(`Error resolving ${type} incidents for user ${seniorId}:`, { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * HTTP Handler: Called by Cloud Tasks when a slot's check-in window (plus grace) has passed
+ */
+exports.handleMissedCheckIn = onRequest({
+  region: CLOUD_TASKS_LOCATION,
+  timeoutSeconds: 60,
+  memory: "256MiB",
+}, async (req, res) => {
+  logger.info("=== handleMissedCheckIn STARTED ===");
+  
+  // Validate request
+  if (req.method !== "POST") {
+    logger.error("handleMissedCheckIn: Invalid method", { method: req.method });
+    res.status(405).send("Method not allowed");
+    return;
+  }
+  
+  if (!await authorizeTaskRequest(req, res, "handleMissedCheckIn")) {
+    return;
+  }
+  
+  let payload;
+  try {
+    payload = req.body;
+    if (typeof payload === "string") {
+      payload = JSON.parse(payload);
+    }
+    logger.info("handleMissedCheckIn: Payload parsed", { payload });
+  } catch (error) {
+    logger.error("Invalid request payload:", { error: error.message });
     res.status(400).send("Invalid payload");
     return;
   }
   
-  const { userId, scheduledTime, createdAt, timezone } = payload;
+  const { userId, scheduledTime, closesAt, createdAt, timezone, taskKey, taskId, slot, localDate } = payload;
   
   if (!userId || !scheduledTime) {
     logger.error("Missing required fields:", { userId, scheduledTime });
@@ -819,8 +1175,24 @@ exports.handleMissedCheckIn = onRequest({
   const now = new Date();
   
   try {
-    // Capture missedCount from transaction for FCM notification
-    const missedCount = await db.runTransaction(async (transaction) => {
+    // Slot and local date come from the payload. Tasks enqueued before slots were
+    // carried in the payload only have scheduledTime: derive both in the senior's
+    // timezone (not the server's, which is UTC on Cloud Run).
+    const tz = resolveTimezone(timezone || await getUserTimezone(userId));
+    const scheduledDateTime = new Date(scheduledTime);
+    const missedSchedule = slot || formatTimeToSchedule(scheduledDateTime, tz);
+    const missedLocalDate = localDate || DateTime.fromJSDate(scheduledDateTime, { zone: tz }).toISODate();
+    const docId = getMissedCheckInKey(userId, missedSchedule, missedLocalDate);
+    // Key the same miss got before keys used the local date: a task retried across the
+    // upgrade must not log it twice. Safe to drop once those tasks have drained.
+    const legacyDocId = getMissedCheckInKey(
+      userId,
+      formatTimeToSchedule(scheduledDateTime, "UTC"),
+      DateTime.fromJSDate(scheduledDateTime, { zone: "UTC" }).toISODate()
+    );
+    
+    // Capture missedCount (and escalation, if triggered) from transaction for notifications
+    const result = await db.runTransaction(async (transaction) => {
       logger.info(`handleMissedCheckIn: Starting transaction for ${userId}`);
       
       const seniorStateDoc = await transaction.get(seniorStateRef);
@@ -844,43 +1216,53 @@ exports.handleMissedCheckIn = onRequest({
         return null;
       }
       
-      // TOCTOU check: Did user check in between task creation and now?
+      // Per-slot tasks: ignore a task that was replaced or whose slot was removed
+      // (its cancel may have failed or raced with this run)
+      if (taskKey) {
+        const entry = data.scheduledTasks?.[taskKey];
+        if (entry && entry.taskId !== taskId) {
+          logger.info(`handleMissedCheckIn: Task ${taskId} was REPLACED by ${entry.taskId} - EXITING`);
+          return null;
+        }
+        const slotsThatDay = getSchedulesForDate(scheduleFromState(data), localDate);
+        if (!slotsThatDay.some(s => getSlotKey(s, localDate) === taskKey)) {
+          logger.info(`handleMissedCheckIn: Slot ${taskKey} is no longer scheduled for user ${userId} - EXITING`);
+          return null;
+        }
+      }
+      
+      // TOCTOU check: Did user check in since the slot was due?
+      // Per-slot tasks are created up to a day ahead, so compare with the slot time
+      // (any check-in during the window counts);
+      // older single tasks were created at the previous check-in or miss.
       const lastCheckIn = data.lastCheckIn?.toDate?.();
-      const taskCreatedAt = new Date(createdAt);
+      const checkInCutoff = taskKey ? scheduledDateTime : new Date(createdAt);
       
-      if (lastCheckIn && lastCheckIn > taskCreatedAt) {
-        logger.info(`handleMissedCheckIn: User ${userId} checked in AFTER task creation - EXITING`, {
+      if (lastCheckIn && lastCheckIn >= checkInCutoff) {
+        logger.info(`handleMissedCheckIn: User ${userId} checked in AFTER ${taskKey ? "slot time" : "task creation"} - EXITING`, {
           lastCheckIn: lastCheckIn.toISOString(),
-          taskCreatedAt: taskCreatedAt.toISOString(),
+          cutoff: checkInCutoff.toISOString(),
         });
         return null;
       }
       
       // Multi-schedule support: Check if THIS SPECIFIC schedule was already completed today
-      // (The TOCTOU check above handles generic "checked in after task was created" cases)
-      const scheduledDateTime = new Date(scheduledTime);
-      const missedScheduleStr = formatTimeToSchedule(scheduledDateTime);
+      // (The TOCTOU check above handles generic "checked in since" cases; an early check-in,
+      // made before the slot time, completes the slot via recordCheckIn's scheduledFor).
+      // completedSchedulesToday only describes the senior's current local day.
       const completedSchedulesToday = data.completedSchedulesToday || [];
+      const isSlotToday = DateTime.fromJSDate(now, { zone: tz }).toISODate() === missedLocalDate;
       
-      // Normalize for comparison
-      const normalizedCompleted = completedSchedulesToday.map(s => s.toUpperCase().trim());
-      const normalizedMissed = missedScheduleStr.toUpperCase().trim();
-      
-      if (normalizedCompleted.includes(normalizedMissed)) {
-        logger.info(`handleMissedCheckIn: Schedule ${missedScheduleStr} already COMPLETED today for user ${userId} - EXITING`);
+      if (isSlotToday && completedSchedulesToday.some(s => isSameScheduleTime(s, missedSchedule))) {
+        logger.info(`handleMissedCheckIn: Schedule ${missedSchedule} already COMPLETED today for user ${userId} - EXITING`);
         return null;
       }
-
       
       // Day 1 check: Skip ONLY if account was created today AND using only default schedule
       // If user adds custom schedules on Day 1, those SHOULD work normally
       const seniorCreatedAt = data.seniorCreatedAt?.toDate?.();
-      const schedules = data.checkInSchedules || ["11:00 AM"];
-      const hasOnlyDefaultSchedule = schedules.length === 1 && 
-          schedules[0].toUpperCase() === "11:00 AM";
       
-      if (seniorCreatedAt && hasOnlyDefaultSchedule) {
-        const tz = timezone || TIMEZONE;
+      if (seniorCreatedAt && hasOnlyDefaultSchedule(data)) {
         const createdLuxon = DateTime.fromJSDate(seniorCreatedAt, { zone: tz });
         const nowLuxon = DateTime.fromJSDate(now, { zone: tz });
         
@@ -892,17 +1274,18 @@ exports.handleMissedCheckIn = onRequest({
       }
       
       // This is a genuine missed check-in
-      const missedSchedule = formatTimeToSchedule(scheduledDateTime);
-      // Use scheduledDateTime for idempotency key (not 'now') to prevent duplicate logs across day boundaries
-      const docId = getMissedCheckInKey(userId, missedSchedule, scheduledDateTime);
-      
-      logger.info(`handleMissedCheckIn: Checking idempotency for ${userId}`, { docId, missedSchedule });
+      // The idempotency key uses the slot's local date (not 'now') to prevent duplicate logs across day boundaries
+      logger.info(`handleMissedCheckIn: Checking idempotency for ${userId}`, { docId, missedSchedule, missedLocalDate });
       
       // Check if we already logged this miss (idempotency)
-      const activityRef = db.collection("users").doc(userId).collection("activityLogs").doc(docId);
-      const existingLog = await transaction.get(activityRef);
+      const activityLogs = db.collection("users").doc(userId).collection("activityLogs");
+      const activityRef = activityLogs.doc(docId);
+      const [existingLog, legacyLog] = await Promise.all([
+        transaction.get(activityRef),
+        legacyDocId !== docId ? transaction.get(activityLogs.doc(legacyDocId)) : null,
+      ]);
       
-      if (existingLog.exists) {
+      if (existingLog.exists || legacyLog?.exists) {
         logger.info(`handleMissedCheckIn: Already logged for user ${userId} - EXITING (idempotency)`);
         return null;
       }
@@ -917,6 +1300,8 @@ exports.handleMissedCheckIn = onRequest({
         isAlert: true,
         metadata: {
           scheduledTime: missedSchedule,
+          scheduledDate: missedLocalDate,
+          windowClosedAt: closesAt || null,
           detectedAt: now.toISOString(),
         },
       });
@@ -932,6 +1317,9 @@ exports.handleMissedCheckIn = onRequest({
         missedCheckInsToday: FieldValue.increment(1),
         activeTaskId: FieldValue.delete(), // Task completed
       };
+      if (taskKey) {
+        updates[`scheduledTasks.${taskKey}`] = FieldValue.delete();
+      }
       
       transaction.update(seniorStateRef, updates);
       
@@ -942,150 +1330,83 @@ exports.handleMissedCheckIn = onRequest({
       
       // Compute missedCount for FCM notification
       const computedMissedCount = (data.missedCheckInsToday || 0) + 1;
+      let escalation = null;
       
-      // Check for escalation
-      if (newConsecutive >= ESCALATION_THRESHOLD_DAYS) {
-        const lastEscalation = data.lastEscalationNotificationAt?.toDate?.();
-        const hoursSinceLastEscalation = lastEscalation 
-          ? (now.getTime() - lastEscalation.getTime()) / (1000 * 60 * 60)
-          : Infinity;
+      // Start the escalation ladder unless one is already running for an earlier miss
+      // (the senior has been unresponsive since then, so that ladder keeps climbing)
+      if (!data.activeEscalation) {
+        const escalationId = `escalation_${docId}`;
+        logger.warn(`ESCALATION: Starting ladder ${escalationId} for user ${userId}`);
         
-        // Rate limit: max once per 24 hours
-        if (hoursSinceLastEscalation >= 24) {
-          logger.warn(`ESCALATION: User ${userId} has missed ${newConsecutive} consecutive days!`);
-          
-          // TODO: Send push notification / SMS
-          // For now, just log and update timestamp
-          transaction.update(seniorStateRef, {
-            lastEscalationNotificationAt: Timestamp.now(),
-          });
-          
-          // Log escalation activity
-          const escalationRef = db.collection("users").doc(userId)
-            .collection("activityLogs").doc();
-          transaction.set(escalationRef, {
-            seniorId: userId,
-            activityType: "escalation_triggered",
-            timestamp: Timestamp.now(),
-            isAlert: true,
-            metadata: {
-              consecutiveMissedDays: newConsecutive,
-              reason: `Missed ${newConsecutive} consecutive check-ins`,
-            },
-          });
-        }
+        transaction.update(seniorStateRef, {
+          lastEscalationNotificationAt: Timestamp.now(),
+          activeEscalation: {
+            id: escalationId,
+            missedSchedule,
+            scheduledTime,
+            startedAt: Timestamp.now(),
+            taskNames: [],
+            completedSteps: [],
+            claimedSteps: [],
+          },
+        });
+        
+        // Log escalation activity (step delivery results are attached later)
+        const escalationRef = db.collection("users").doc(userId)
+          .collection("activityLogs").doc(escalationId);
+        transaction.set(escalationRef, {
+          seniorId: userId,
+          activityType: "escalation_triggered",
+          timestamp: Timestamp.now(),
+          isAlert: true,
+          metadata: {
+            consecutiveMissedDays: newConsecutive,
+            missedSchedule,
+            reason: `Missed ${missedSchedule} check-in`,
+          },
+        });
+        
+        escalation = {
+          escalationId,
+          consecutiveMissedDays: newConsecutive,
+          missedSchedule,
+          missedCount: computedMissedCount,
+        };
+      } else {
+        logger.info(`handleMissedCheckIn: Escalation ${data.activeEscalation.id} already active for user ${userId}`);
+      }
+      
+      // Open an incident so family members can coordinate ("I'm handling it")
+      const incidentRef = db.collection("users").doc(userId).collection("incidents").doc(docId);
+      transaction.set(incidentRef, buildIncident({
+        type: "missed_check_in",
+        seniorId: userId,
+        escalationId: escalation?.escalationId || data.activeEscalation.id,
+        details: { missedSchedule, scheduledTime },
+      }));
+      if (escalation) {
+        escalation.incidentId = docId;
       }
       
       // Return missedCount for FCM notification (now properly captured outside)
       logger.info(`handleMissedCheckIn: Transaction SUCCESS, returning missedCount=${computedMissedCount}`);
-      return computedMissedCount;
+      return { missedCount: computedMissedCount, escalation };
     });
     
+    const missedCount = result?.missedCount ?? null;
     logger.info(`handleMissedCheckIn: Transaction completed for ${userId}`, { missedCount });
     
-    // Send FCM push notification outside transaction (non-blocking)
-    if (missedCount != null && missedCount > 0) {
-      logger.info(`handleMissedCheckIn: Sending FCM notifications for ${userId} (missedCount=${missedCount})`);
-      try {
-        // 1. Notify the Senior
-        await sendMissedCheckInNotification(userId, missedCount);
-        
-        // 2. Notify Linked Family Members (BIDIRECTIONAL)
-        // Query connections where user is EITHER seniorId OR familyId
-        // This supports users who can swap between Senior and Family roles
-        const connectedUsers = await getConnectedUsers(userId);
-        
-        logger.info(`Family notification: Found ${connectedUsers.length} active connections for user ${userId}`);
-          
-        // Fetch senior's name for better notification context
-        const seniorProfileDoc = await db.collection("users").doc(userId)
-          .collection("data").doc("profile").get();
-        const seniorName = seniorProfileDoc.exists 
-          ? (seniorProfileDoc.data()?.displayName || "A connected senior") 
-          : "A connected senior";
-
-        if (connectedUsers.length > 0) {
-          const familyNotificationPromises = connectedUsers.map(async (connection) => {
-            const connectedUserId = connection.userId;
-            
-            logger.info(`Family notification: Processing connected user ${connectedUserId}`);
-            
-            // Get connected user's FCM token from correct subcollection path
-            const connectedProfileDoc = await db.collection("users")
-              .doc(connectedUserId)
-              .collection("data")
-              .doc("profile")
-              .get();
-              
-            if (!connectedProfileDoc.exists) {
-              logger.warn(`Family notification: Profile not found for connected user ${connectedUserId}`);
-              return null;
-            }
-            
-            const connectedData = connectedProfileDoc.data();
-            const connectedFcmToken = connectedData?.fcmToken;
-            
-            logger.info(`Family notification: Connected user ${connectedUserId} token status: ${connectedFcmToken ? 'PRESENT' : 'MISSING'}`);
-            
-            if (connectedFcmToken) {
-              try {
-                const result = await admin.messaging().send({
-                  token: connectedFcmToken,
-                  notification: {
-                    title: "Missed Check-in Alert",
-                    body: `${seniorName} has missed a scheduled check-in. Please check on them.`,
-                  },
-                  data: {
-                    type: "family_missed_alert",
-                    seniorUserId: userId,
-                    missedCount: String(missedCount),
-                    click_action: "FLUTTER_NOTIFICATION_CLICK",
-                  },
-                  android: {
-                    priority: "high",
-                    notification: {
-                      channelId: "high_importance_channel",
-                      priority: "max",
-                      visibility: "public",
-                    },
-                  },
-                  apns: {
-                    payload: {
-                      aps: {
-                        sound: "default",
-                        "content-available": 1,
-                      },
-                    },
-                  },
-                });
-                logger.info(`Family notification: Successfully sent to ${connectedUserId}, messageId: ${result}`);
-                return result;
-              } catch (sendError) {
-                logger.error(`Family notification: Failed to send to ${connectedUserId}:`, { error: sendError.message, code: sendError.code });
-                return null;
-              }
-            } else {
-               logger.warn(`No FCM token found for connected user ${connectedUserId}`);
-               return null;
-            }
-          });
-          
-          const results = await Promise.allSettled(familyNotificationPromises);
-          const successCount = results.filter(r => r.status === 'fulfilled' && r.value).length;
-          logger.info(`Sent family notifications for user ${userId}: ${successCount}/${results.length} succeeded`);
-        } else {
-          logger.info(`Family notification: No active connections found for senior ${userId}`);
-        }
-        
-      } catch (fcmError) {
-        // Log but don't fail the request - FCM is best-effort
-        logger.error(`FCM notification failed for user ${userId}:`, { error: fcmError.message });
-      }
+    // Notifications are delivered by the escalation ladder steps (each its own Cloud Task)
+    if (result?.escalation) {
+      await startEscalationLadder(userId, result.escalation);
+    } else if (missedCount != null && missedCount > 0) {
+      // A ladder is already climbing for an earlier miss - still remind the senior
+      await sendMissedCheckInNotification(userId, missedCount);
     } else {
       logger.info(`handleMissedCheckIn: Skipping notifications - missedCount is ${missedCount} (null or 0 means no genuine miss)`);
     }
     
-    // Schedule next day's task (outside transaction for simplicity)
+    // Top up slot tasks for the next 24h (outside transaction for simplicity)
     await scheduleCheckInTask(userId);
     
     logger.info(`=== handleMissedCheckIn COMPLETED for ${userId} ===`);
@@ -1097,221 +1418,2449 @@ exports.handleMissedCheckIn = onRequest({
 });
 
 /**
- * TRIGGER: Sync seniorState changes to top-level collection
- * Also schedules/cancels Cloud Tasks based on state changes
+ * HTTP Handler: Called by Cloud Tasks partway through a slot's check-in window
+ * Gently reminds the senior before the miss is declared. Skipped if the slot's task
+ * was replaced or released (check-in, schedule change), or the senior already checked in.
  */
-exports.syncSeniorStateToTopLevel = onDocumentWritten({
-  document: "users/{userId}/data/seniorState",
-  region: "us-central1",
-}, async (event) => {
-  const userId = event.params.userId;
-  const topLevelRef = db.collection("seniorStates").doc(userId);
+exports.handleCheckInReminder = onRequest({
+  region: CLOUD_TASKS_LOCATION,
+  timeoutSeconds: 60,
+  memory: "256MiB",
+}, async (req, res) => {
+  if (req.method !== "POST") {
+    res.status(405).send("Method not allowed");
+    return;
+  }
   
-  // Document deleted
-  if (!event.data?.after?.exists) {
-    await topLevelRef.delete().catch(() => {});
-    
-    // Cancel any pending task
-    const beforeData = event.data?.before?.data?.();
-    if (beforeData?.activeTaskId) {
-      await cancelCloudTask(beforeData.activeTaskId);
+  if (!await authorizeTaskRequest(req, res, "handleCheckInReminder")) {
+    return;
+  }
+  
+  let payload = req.body;
+  try {
+    if (typeof payload === "string") {
+      payload = JSON.parse(payload);
     }
-    
-    logger.info(`Deleted seniorStates/${userId}`);
+  } catch (error) {
+    logger.error("handleCheckInReminder: Invalid payload", { error: error.message });
+    res.status(400).send("Invalid payload");
     return;
   }
   
-  const data = event.data.after.data();
-  const beforeData = event.data?.before?.data?.() || {};
+  const { userId, taskKey, taskId, slot, scheduledTime, closesAt, timezone } = payload || {};
+  if (!userId || !taskKey || !scheduledTime) {
+    res.status(400).send("Missing required fields");
+    return;
+  }
   
-  // Sync to top-level collection
-  await topLevelRef.set({
-    nextExpectedCheckIn: data.nextExpectedCheckIn || null,
-    vacationMode: data.vacationMode || false,
-    lastCheckIn: data.lastCheckIn || null,
-    checkInSchedules: data.checkInSchedules || ["11:00 AM"],
-    seniorCreatedAt: data.seniorCreatedAt || null,
+  const seniorStateRef = db.collection("users").doc(userId).collection("data").doc("seniorState");
+  
+  try {
+    const doc = await seniorStateRef.get();
+    const data = doc.exists ? doc.data() : null;
+    const entry = data?.scheduledTasks?.[taskKey];
+    const lastCheckIn = data?.lastCheckIn?.toDate?.();
+    
+    let skipReason = null;
+    if (!data) {
+      skipReason = "no_senior_state";
+    } else if (data.vacationMode) {
+      skipReason = "vacation";
+    } else if (!entry || entry.taskId !== taskId) {
+      skipReason = "slot_released";
+    } else if (lastCheckIn && lastCheckIn >= new Date(scheduledTime)) {
+      skipReason = "checked_in";
+    } else if (entry.reminderSentAt) {
+      skipReason = "already_sent";
+    }
+    
+    if (skipReason) {
+      logger.info(`handleCheckInReminder: Skipping reminder for user ${userId} - EXITING`, { taskKey, skipReason });
+      res.status(200).json({ sent: false, reason: skipReason });
+      return;
+    }
+    
+    const closesAtLocal = closesAt
+      ? DateTime.fromISO(closesAt).setZone(resolveTimezone(timezone)).toFormat("h:mm a")
+      : null;
+    const result = await sendNotification(userId, "checkin_window_reminder", { slot, closesAt: closesAtLocal }, {
+      data: { slot: slot || "", taskKey },
+    });
+    // Mark the entry so a retried task doesn't remind twice (unless it was released meanwhile)
+    await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(seniorStateRef);
+      if (current.data()?.scheduledTasks?.[taskKey]?.taskId === taskId) {
+        transaction.update(seniorStateRef, { [`scheduledTasks.${taskKey}.reminderSentAt`]: Timestamp.now() });
+      }
+    }).catch(error => {
+      logger.warn(`handleCheckInReminder: Could not mark reminder sent for user ${userId}`, { error: error.message });
+    });
+    
+    logger.info(`handleCheckInReminder: Reminder sent to user ${userId}`, { taskKey, ...result });
+    res.status(200).json({ sent: true, ...result });
+  } catch (error) {
+    logger.error(`handleCheckInReminder ERROR for user ${userId}:`, { error: error.message });
+    res.status(500).send("Internal error");
+  }
+});
+
+/**
+ * HTTP Handler: Called by Cloud Tasks for each escalation ladder step
+ */
+exports.handleEscalationStep = onRequest({
+  region: CLOUD_TASKS_LOCATION,
+  timeoutSeconds: 120,
+  memory: "256MiB",
+}, async (req, res) => {
+  if (req.method !== "POST") {
+    logger.error("handleEscalationStep: Invalid method", { method: req.method });
+    res.status(405).send("Method not allowed");
+    return;
+  }
+  
+  if (!await authorizeTaskRequest(req, res, "handleEscalationStep")) {
+    return;
+  }
+  
+  let payload;
+  try {
+    payload = req.body;
+    if (typeof payload === "string") {
+      payload = JSON.parse(payload);
+    }
+  } catch (error) {
+    logger.error("Invalid escalation step payload:", { error: error.message });
+    res.status(400).send("Invalid payload");
+    return;
+  }
+  
+  const { userId, escalationId, stepIndex, audience } = payload || {};
+  
+  if (!userId || !escalationId || !Number.isInteger(stepIndex) || !ESCALATION_AUDIENCES.includes(audience)) {
+    logger.error("Missing required escalation step fields:", { userId, escalationId, stepIndex, audience });
+    res.status(400).send("Missing required fields");
+    return;
+  }
+  
+  try {
+    await runEscalationStep(payload);
+    res.status(200).send("OK");
+  } catch (error) {
+    logger.error(`handleEscalationStep ERROR for user ${userId}:`, { error: error.message, stack: error.stack });
+    res.status(500).send("Internal error");
+  }
+});
+
+/**
+ * CALLABLE: Family member acknowledges ("I'm handling it") or resolves an incident
+ * Request data: { seniorId, incidentId, action: "acknowledge" | "resolve", note? }
+ * 
+ * - Caller must be the senior or one of their active connections
+ * - Acknowledging stops the incident's escalation ladder and tells the other connections
+ * - Resolving an SOS incident also clears sosActive on the senior's state
+ */
+exports.respondToIncident = onCall({
+  region: "us-central1",
+}, async (request) => {
+  const callerId = request.auth?.uid;
+  if (!callerId) {
+    throw new HttpsError("unauthenticated", "Sign in to respond to alerts.");
+  }
+  
+  const { seniorId, incidentId, action, note } = request.data || {};
+  
+  if (typeof seniorId !== "string" || !seniorId || typeof incidentId !== "string" || !incidentId) {
+    throw new HttpsError("invalid-argument", "seniorId and incidentId are required.");
+  }
+  if (action !== "acknowledge" && action !== "resolve") {
+    throw new HttpsError("invalid-argument", "action must be \"acknowledge\" or \"resolve\".");
+  }
+  if (note != null && (typeof note !== "string" || note.length > 1000)) {
+    throw new HttpsError("invalid-argument", "note must be a string of at most 1000 characters.");
+  }
+  
+  if (callerId !== seniorId) {
+    const connectedUsers = await getConnectedUsers(seniorId);
+    if (!connectedUsers.some(cu => cu.userId === callerId)) {
+      throw new HttpsError("permission-denied", "You are not connected to this senior.");
+    }
+  }
+  
+  const incidentRef = db.collection("users").doc(seniorId).collection("incidents").doc(incidentId);
+  
+  const incident = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(incidentRef);
+    if (!doc.exists) {
+      throw new HttpsError("not-found", "Incident not found.");
+    }
+    
+    const data = doc.data();
+    
+    if (data.status === "resolved") {
+      throw new HttpsError("failed-precondition", "This incident is already resolved.");
+    }
+    if (action === "acknowledge" && data.status === "acknowledged") {
+      throw new HttpsError("failed-precondition", "Someone is already handling this incident.", {
+        acknowledgedBy: data.acknowledgedBy,
+      });
+    }
+    
+    const updates = action === "acknowledge"
+      ? { status: "acknowledged", acknowledgedBy: callerId, acknowledgedAt: Timestamp.now() }
+      : { status: "resolved", resolvedBy: callerId, resolvedAt: Timestamp.now() };
+    
+    // Resolving without an explicit acknowledgement counts as handling it
+    if (action === "resolve" && !data.acknowledgedBy) {
+      updates.acknowledgedBy = callerId;
+      updates.acknowledgedAt = Timestamp.now();
+    }
+    
+    if (note && note.trim()) {
+      updates.notes = FieldValue.arrayUnion({
+        userId: callerId,
+        text: note.trim(),
+        createdAt: Timestamp.now(),
+      });
+    }
+    
+    updates.timeline = FieldValue.arrayUnion({
+      event: action === "acknowledge" ? "acknowledged" : "resolved",
+      at: Timestamp.now(),
+      userId: callerId,
+    });
+    
+    transaction.update(incidentRef, updates);
+    return { ...data, ...updates };
+  });
+  
+  const actionLabel = action === "acknowledge" ? "acknowledged" : "resolved";
+  logger.info(`Incident ${incidentId} ${actionLabel} by ${callerId}`, { seniorId, type: incident.type });
+  
+  // Stop the escalation steps for this incident
+  if (incident.escalationId) {
+    const seniorStateDoc = await db.collection("users").doc(seniorId)
+      .collection("data").doc("seniorState").get();
+    const active = seniorStateDoc.exists ? seniorStateDoc.data().activeEscalation : null;
+    if (active?.id === incident.escalationId) {
+      await cancelEscalationLadder(seniorId, actionLabel, active);
+    }
+  }
+  
+  // Someone is responding - stop repeating the SOS alert
+  if (incident.reminderTaskName) {
+    await cancelTask(incident.reminderTaskName);
+  }
+  
+  // Resolving an SOS incident ends the SOS
+  // onSOSTriggered announces "SOS resolved by X" to every connection
+  if (incident.type === "sos" && action === "resolve") {
+    await db.collection("users").doc(seniorId)
+      .collection("data").doc("seniorState")
+      .set({ sosActive: false, sosResolvedBy: callerId }, { merge: true });
+    return { incidentId, status: incident.status };
+  }
+  
+  await notifyIncidentUpdate(seniorId, incidentId, incident, callerId, actionLabel)
+    .catch(error => logger.error(`Error notifying incident update ${incidentId}:`, { error: error.message }));
+  
+  return { incidentId, status: incident.status };
+});
+
+// ========== VACATIONS ==========
+
+/**
+ * ISO string of a Firestore timestamp (or null), as carried in vacation task payloads
+ */
+function toIsoOrNull(timestamp) {
+  return timestamp?.toDate?.()?.toISOString() || null;
+}
+
+/**
+ * Tell connected family members that the senior turned vacation mode on
+ * @param {string} userId - Senior's user ID
+ * @param {Object} data - seniorState after the change
+ */
+async function notifyVacationStarted(userId, data) {
+  const connectedUsers = await getConnectedUsers(userId);
+  if (connectedUsers.length === 0) return;
+  
+  const [profileDoc, userTimezone] = await Promise.all([
+    db.collection("users").doc(userId).collection("data").doc("profile").get(),
+    getUserTimezone(userId),
+  ]);
+  const vacationEnd = data.vacationEnd?.toDate?.();
+  
+  const results = await sendNotificationToUsers(
+    connectedUsers.map(connection => connection.userId),
+    "vacation_started",
+    {
+      seniorName: profileDoc.exists ? (profileDoc.data()?.displayName || null) : null,
+      reason: data.vacationReason || null,
+      untilDate: vacationEnd
+        ? DateTime.fromJSDate(vacationEnd, { zone: userTimezone || TIMEZONE }).toFormat("d LLL yyyy")
+        : null,
+    },
+    { data: { seniorUserId: userId } }
+  );
+  logger.info(`Vacation notice for user ${userId}`, summarizeResults(results));
+}
+
+/**
+ * Push "monitoring resumed" to the senior and their connections
+ * @param {string} userId - Senior's user ID
+ */
+async function notifyMonitoringResumed(userId) {
+  const [connectedUsers, profileDoc] = await Promise.all([
+    getConnectedUsers(userId),
+    db.collection("users").doc(userId).collection("data").doc("profile").get(),
+  ]);
+  const seniorName = profileDoc.exists ? (profileDoc.data()?.displayName || null) : null;
+  
+  const results = await Promise.all([
+    sendNotification(userId, "monitoring_resumed", { forSenior: true }, { data: { seniorUserId: userId } }),
+    ...await sendNotificationToUsers(
+      connectedUsers.map(connection => connection.userId),
+      "monitoring_resumed",
+      { seniorName },
+      { data: { seniorUserId: userId } }
+    ),
+  ]);
+  logger.info(`Monitoring resumed notice for user ${userId}`, summarizeResults(results));
+}
+
+/**
+ * Start or end a scheduled vacation
+ * The dates must still match the ones the transition was planned for; otherwise
+ * a newer transition covers the new window and this one is skipped.
+ * Ending clears the vacation fields, sends "monitoring resumed" (only if vacation
+ * was still on) and re-schedules check-in tasks.
+ * @param {string} userId - Senior's user ID
+ * @param {"start"|"end"} action
+ * @param {{vacationStart: string|null, vacationEnd: string|null}} window - ISO dates
+ * @returns {Promise<string>} - "started", "ended", "cleared", "unchanged", "superseded" or "missing"
+ */
+async function applyVacationTransition(userId, action, { vacationStart, vacationEnd }) {
+  const seniorStateRef = db.collection("users").doc(userId).collection("data").doc("seniorState");
+  
+  const outcome = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(seniorStateRef);
+    if (!doc.exists) return "missing";
+    
+    const data = doc.data();
+    if (toIsoOrNull(data.vacationStart) !== vacationStart || toIsoOrNull(data.vacationEnd) !== vacationEnd) {
+      return "superseded";
+    }
+    
+    if (action === "start") {
+      if (data.vacationMode) return "unchanged";
+      transaction.update(seniorStateRef, { vacationMode: true, "vacationTasks.start": null });
+      return "started";
+    }
+    
+    transaction.update(seniorStateRef, {
+      vacationMode: false,
+      vacationStart: FieldValue.delete(),
+      vacationEnd: FieldValue.delete(),
+      vacationReason: FieldValue.delete(),
+      vacationTasks: FieldValue.delete(),
+    });
+    // Turned off by hand before the end date: nothing to announce
+    return data.vacationMode ? "ended" : "cleared";
+  });
+  
+  logger.info(`Vacation ${action} for user ${userId}: ${outcome}`, { vacationStart, vacationEnd });
+  
+  if (outcome === "ended") {
+    await notifyMonitoringResumed(userId);
+    await scheduleCheckInTask(userId);
+  }
+  return outcome;
+}
+
+/**
+ * Plan the Cloud Tasks that turn a scheduled vacation on and off
+ * Called when vacationStart / vacationEnd change. Replaces the tasks in
+ * seniorState.vacationTasks; a window that is already open (or over) is applied now.
+ * Without vacationStart the vacation starts when the senior turns vacation mode on;
+ * without vacationEnd it lasts until they turn it off.
+ * @param {string} userId - Senior's user ID
+ * @param {Object} data - seniorState after the change
+ */
+async function scheduleVacationTransitions(userId, data) {
+  const seniorStateRef = db.collection("users").doc(userId).collection("data").doc("seniorState");
+  const previousTasks = data.vacationTasks || {};
+  const start = data.vacationStart?.toDate?.() || null;
+  const end = data.vacationEnd?.toDate?.() || null;
+  
+  await Promise.all([previousTasks.start, previousTasks.end].filter(Boolean).map(name => cancelTask(name)));
+  if (!start && !end && !data.vacationTasks) return;
+  
+  const now = new Date();
+  const window = { vacationStart: toIsoOrNull(data.vacationStart), vacationEnd: toIsoOrNull(data.vacationEnd) };
+  const vacationTasks = { start: null, end: null };
+  const valid = !(start && end && end <= start);
+  
+  if (!valid) {
+    logger.warn(`Ignoring vacation of user ${userId} that ends before it starts`, window);
+  } else {
+    if (start && start > now) {
+      vacationTasks.start = await enqueueTask({
+        target: "handleVacationTransition",
+        payload: { userId, action: "start", ...window },
+        executeAt: start,
+        logLabel: `vacation start of user ${userId}`,
+      });
+    }
+    if (end && end > now) {
+      vacationTasks.end = await enqueueTask({
+        target: "handleVacationTransition",
+        payload: { userId, action: "end", ...window },
+        executeAt: end,
+        logLabel: `vacation end of user ${userId}`,
+      });
+    }
+  }
+  
+  await seniorStateRef.update({ vacationTasks: start || end ? vacationTasks : FieldValue.delete() });
+  
+  if (valid && start && start <= now && (!end || end > now) && !data.vacationMode) {
+    await applyVacationTransition(userId, "start", window);
+  } else if (valid && end && end <= now && data.vacationMode) {
+    await applyVacationTransition(userId, "end", window);
+  }
+}
+
+/**
+ * HTTP Handler: Called by Cloud Tasks at a scheduled vacation's start or end
+ */
+exports.handleVacationTransition = onRequest({
+  region: CLOUD_TASKS_LOCATION,
+  timeoutSeconds: 60,
+  memory: "256MiB",
+}, async (req, res) => {
+  if (req.method !== "POST") {
+    logger.error("handleVacationTransition: Invalid method", { method: req.method });
+    res.status(405).send("Method not allowed");
+    return;
+  }
+  
+  if (!await authorizeTaskRequest(req, res, "handleVacationTransition")) {
+    return;
+  }
+  
+  let payload;
+  try {
+    payload = req.body;
+    if (typeof payload === "string") {
+      payload = JSON.parse(payload);
+    }
+  } catch (error) {
+    logger.error("handleVacationTransition: Invalid payload", { error: error.message });
+    res.status(400).send("Invalid payload");
+    return;
+  }
+  
+  const { userId, action } = payload || {};
+  if (!userId || !["start", "end"].includes(action)) {
+    logger.error("handleVacationTransition: Missing required fields", { userId, action });
+    res.status(400).send("Missing required fields");
+    return;
+  }
+  
+  try {
+    const outcome = await applyVacationTransition(userId, action, {
+      vacationStart: payload.vacationStart || null,
+      vacationEnd: payload.vacationEnd || null,
+    });
+    res.status(200).json({ outcome });
+  } catch (error) {
+    logger.error(`handleVacationTransition ERROR for user ${userId}:`, { error: error.message });
+    res.status(500).send("Internal error");
+  }
+});
+
+/**
+ * TRIGGER: Sync seniorState changes to top-level collection
+ * Also schedules/cancels Cloud Tasks based on state changes
+ */
+exports.syncSeniorStateToTopLevel = onDocumentWritten({
+  document: "users/{userId}/data/seniorState",
+  region: "us-central1",
+}, async (event) => {
+  const userId = event.params.userId;
+  const topLevelRef = db.collection("seniorStates").doc(userId);
+  
+  // Document deleted
+  if (!event.data?.after?.exists) {
+    await topLevelRef.delete().catch(() => {});
+    
+    // Cancel any pending check-in tasks
+    const beforeData = event.data?.before?.data?.();
+    await Promise.all([
+      beforeData?.activeTaskId,
+      ...Object.values(beforeData?.scheduledTasks || {}).flatMap(entry => [entry.taskName, entry.reminderTaskName]),
+      beforeData?.vacationTasks?.start,
+      beforeData?.vacationTasks?.end,
+    ].filter(Boolean).map(name => cancelTask(name)));
+    // Cancel remaining escalation steps
+    await Promise.all((beforeData?.activeEscalation?.taskNames || []).map(name => cancelTask(name)));
+    
+    logger.info(`Deleted seniorStates/${userId}`);
+    return;
+  }
+  
+  const data = event.data.after.data();
+  const beforeData = event.data?.before?.data?.() || {};
+  
+  // Sync to top-level collection
+  await topLevelRef.set({
+    nextExpectedCheckIn: data.nextExpectedCheckIn || null,
+    vacationMode: data.vacationMode || false,
+    vacationStart: data.vacationStart || null,
+    vacationEnd: data.vacationEnd || null,
+    lastCheckIn: data.lastCheckIn || null,
+    checkInSchedules: data.checkInSchedules || ["11:00 AM"],
+    scheduleRules: data.scheduleRules || null,
+    seniorCreatedAt: data.seniorCreatedAt || null,
     missedCheckInsToday: data.missedCheckInsToday || 0,
+    completedSchedulesTodayCount: (data.completedSchedulesToday || []).length,
     consecutiveMissedDays: data.consecutiveMissedDays || 0,
+    // Due for rollupDailySummaries now until its first run stores the next one
+    nextRollupAt: data.nextRollupAt || Timestamp.now(),
     updatedAt: Timestamp.now(),
   }, { merge: true });
   
   // Detect schedule changes that require task rescheduling
-  const schedulesChanged = JSON.stringify(data.checkInSchedules) !== JSON.stringify(beforeData.checkInSchedules);
-  const vacationToggled = data.vacationMode !== beforeData.vacationMode;
+  const schedulesChanged = JSON.stringify(data.checkInSchedules) !== JSON.stringify(beforeData.checkInSchedules) ||
+    JSON.stringify(data.scheduleRules || null) !== JSON.stringify(beforeData.scheduleRules || null) ||
+    JSON.stringify(data.checkInWindow || null) !== JSON.stringify(beforeData.checkInWindow || null);
+  const vacationToggled = Boolean(data.vacationMode) !== Boolean(beforeData.vacationMode);
   const newSenior = !event.data?.before?.exists && data.checkInSchedules?.length > 0;
+  const vacationDatesChanged = toIsoOrNull(data.vacationStart) !== toIsoOrNull(beforeData.vacationStart) ||
+    toIsoOrNull(data.vacationEnd) !== toIsoOrNull(beforeData.vacationEnd);
+  
+  if (schedulesChanged || vacationToggled || newSenior) {
+    // Creates/cancels slot tasks; on vacation cancels them all and stops any escalation ladder
+    await scheduleCheckInTask(userId);
+  }
+  
+  if (vacationToggled && data.vacationMode) {
+    await notifyVacationStarted(userId, data);
+  }
+  
+  if (vacationDatesChanged) {
+    await scheduleVacationTransitions(userId, data);
+  }
+  
+  logger.info(`Synced seniorStates/${userId}`);
+});
+
+// ========== CHECK-IN RECORDING ==========
+
+// Free-text wellness answers on a check-in document (mood, sleep, ...)
+const CHECK_IN_TEXT_FIELDS = ["mood", "sleep", "energy", "medication"];
+const MAX_CUSTOM_RESPONSES = 50;
+
+/**
+ * Validate the optional answers sent with a check-in
+ * @param {Object} data - recordCheckIn request data
+ * @returns {Object} - Fields for the check-in document
+ * @throws {HttpsError} invalid-argument
+ */
+function parseCheckInAnswers(data) {
+  const answers = {};
+  
+  for (const field of CHECK_IN_TEXT_FIELDS) {
+    const value = data[field];
+    if (value != null && (typeof value !== "string" || value.length > 100)) {
+      throw new HttpsError("invalid-argument", `${field} must be a string of at most 100 characters.`);
+    }
+    answers[field] = value ?? null;
+  }
+  
+  if (data.brainExerciseCompleted != null && typeof data.brainExerciseCompleted !== "boolean") {
+    throw new HttpsError("invalid-argument", "brainExerciseCompleted must be a boolean.");
+  }
+  answers.brainExerciseCompleted = data.brainExerciseCompleted === true;
+  
+  const { latitude, longitude, locationAddress } = data;
+  if (latitude != null || longitude != null) {
+    if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 ||
+        !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+      throw new HttpsError("invalid-argument", "latitude and longitude must be valid coordinates.");
+    }
+  }
+  if (locationAddress != null && (typeof locationAddress !== "string" || locationAddress.length > 500)) {
+    throw new HttpsError("invalid-argument", "locationAddress must be a string of at most 500 characters.");
+  }
+  answers.latitude = latitude ?? null;
+  answers.longitude = longitude ?? null;
+  answers.locationAddress = locationAddress ?? null;
+  
+  const customResponses = data.customResponses;
+  if (customResponses != null) {
+    const entries = typeof customResponses === "object" && !Array.isArray(customResponses)
+      ? Object.entries(customResponses)
+      : null;
+    const isValidAnswer = (value) => typeof value === "boolean" || Number.isFinite(value) ||
+      (typeof value === "string" && value.length <= 1000);
+    if (!entries || entries.length > MAX_CUSTOM_RESPONSES || !entries.every(([, value]) => isValidAnswer(value))) {
+      throw new HttpsError("invalid-argument",
+        `customResponses must map at most ${MAX_CUSTOM_RESPONSES} questions to short answers.`);
+    }
+    if (entries.length > 0) {
+      answers.customResponses = customResponses;
+    }
+  }
+  
+  return answers;
+}
+
+/**
+ * Stop what a check-in made unnecessary: the tasks of the slots it satisfied,
+ * the escalation ladder and open missed check-in incidents
+ * @param {string} userId - Senior's user ID
+ * @param {Array<string>} scheduledFor - Slots the check-in satisfied
+ * @param {Date} checkInTime - When the senior checked in
+ * @param {string|null} userTimezone - Senior's timezone
+ */
+async function settleCheckIn(userId, scheduledFor, checkInTime, userTimezone) {
+  const seniorStateDoc = await db.collection("users").doc(userId)
+    .collection("data").doc("seniorState").get();
+  
+  if (seniorStateDoc.exists) {
+    // Cancel only the slots this check-in satisfied (scheduledFor, senior's local day)
+    if (scheduledFor.length > 0) {
+      const checkInDate = DateTime.fromJSDate(checkInTime, { zone: userTimezone || TIMEZONE }).toISODate();
+      const satisfiedKeys = new Set(scheduledFor.map(s => getSlotKey(s, checkInDate)).filter(Boolean));
+      await releaseCheckInTasks(userId, (entry, key) => satisfiedKeys.has(key), { reason: "check_in" });
+    }
+    // A check-in stops the rest of the escalation ladder
+    const activeEscalation = seniorStateDoc.data().activeEscalation;
+    if (activeEscalation) {
+      await cancelEscalationLadder(userId, "check_in", activeEscalation);
+    }
+  }
+  
+  // The senior is fine - close any open missed check-in incidents
+  await resolveOpenIncidents(userId, "missed_check_in", "check_in");
+}
+
+/**
+ * Callable: Record a check-in for the calling senior
+ * Request data (all optional): { requestId, mood, sleep, energy, medication,
+ *   brainExerciseCompleted, latitude, longitude, locationAddress, customResponses }
+ * 
+ * Server-authoritative replacement for the app writing checkIns itself: the check-in
+ * time is server time, and the slots it satisfies are the senior's past-due slots, or
+ * the nearest upcoming slot for an early check-in (getSchedulesToResolve), in their
+ * timezone. The check-in document (scheduledFor) and
+ * seniorState (completedSchedulesToday, lastCheckIn, nextExpectedCheckIn) are
+ * written in one transaction, then slot tasks are released and topped up.
+ * currentStreak is left to the daily summaries (rollupDailySummaries).
+ * A retried call with the same requestId returns the first result: the requestId is kept
+ * in users/{uid}/checkInRequests/{requestId} ({ checkInId }), never used as the check-in's id.
+ */
+exports.recordCheckIn = onCall({
+  region: "us-central1",
+}, async (request) => {
+  const userId = request.auth?.uid;
+  if (!userId) {
+    throw new HttpsError("unauthenticated", "Sign in to check in.");
+  }
+  
+  const data = request.data || {};
+  const { requestId } = data;
+  if (requestId != null && (typeof requestId !== "string" || !/^[A-Za-z0-9_-]{1,100}$/.test(requestId))) {
+    throw new HttpsError("invalid-argument", "requestId must be 1-100 letters, digits, '-' or '_'.");
+  }
+  const answers = parseCheckInAnswers(data);
+  
+  const userRef = db.collection("users").doc(userId);
+  const seniorStateRef = userRef.collection("data").doc("seniorState");
+  const profileRef = userRef.collection("data").doc("profile");
+  const requestRef = requestId ? userRef.collection("checkInRequests").doc(requestId) : null;
+  
+  const result = await db.runTransaction(async (transaction) => {
+    const [stateDoc, profileDoc, requestDoc] = await Promise.all([
+      transaction.get(seniorStateRef),
+      transaction.get(profileRef),
+      requestRef ? transaction.get(requestRef) : null,
+    ]);
+    
+    if (!stateDoc.exists) {
+      throw new HttpsError("failed-precondition", "Only seniors can check in.");
+    }
+    const state = stateDoc.data();
+    const tz = resolveTimezone(profileDoc.exists ? profileDoc.data().timezone : null);
+    
+    // A request whose check-in is gone (deleted, or an invalid record) is recorded again
+    const previousDoc = requestDoc?.exists && typeof requestDoc.data().checkInId === "string"
+      ? await transaction.get(userRef.collection("checkIns").doc(requestDoc.data().checkInId))
+      : null;
+    const previous = previousDoc?.exists ? previousDoc.data() : null;
+    if (previous?.timestamp?.toDate) {
+      return {
+        duplicate: true,
+        checkInId: previousDoc.id,
+        tz,
+        checkInTime: previous.timestamp.toDate(),
+        scheduledFor: previous.scheduledFor || [],
+        currentStreak: state.currentStreak || 0,
+        nextExpected: state.nextExpectedCheckIn?.toDate?.() || null,
+      };
+    }
+    
+    const now = new Date();
+    const schedule = scheduleFromState(state);
+    
+    // completedSchedulesToday belongs to the day of the last check-in (see getDailyCounterResets)
+    const todayStart = DateTime.fromJSDate(now, { zone: tz }).startOf("day");
+    const lastCheckIn = state.lastCheckIn?.toDate?.();
+    const isNewDay = !lastCheckIn || DateTime.fromJSDate(lastCheckIn) < todayStart;
+    const completedToday = isNewDay ? [] : state.completedSchedulesToday || [];
+    
+    const scheduledFor = getSchedulesToResolve(schedule, completedToday, now, tz);
+    const updatedCompleted = [...completedToday, ...scheduledFor];
+    const nextExpected = calculateNextExpectedCheckIn(schedule, now, now, tz, updatedCompleted);
+    
+    const checkInRef = userRef.collection("checkIns").doc();
+    transaction.set(checkInRef, {
+      userId,
+      timestamp: Timestamp.fromDate(now),
+      ...answers,
+      scheduledCount: scheduledFor.length,
+      scheduledFor,
+      source: "recordCheckIn",
+    });
+    
+    transaction.set(seniorStateRef, {
+      lastCheckIn: Timestamp.fromDate(now),
+      completedSchedulesToday: updatedCompleted,
+      ...(isNewDay ? { lastScheduleResetDate: Timestamp.fromDate(now) } : {}),
+      missedCheckInsToday: 0,
+      consecutiveMissedDays: 0,
+      nextExpectedCheckIn: nextExpected ? Timestamp.fromDate(nextExpected) : FieldValue.delete(),
+    }, { merge: true });
+    
+    if (requestRef) {
+      transaction.set(requestRef, { checkInId: checkInRef.id, createdAt: Timestamp.fromDate(now) });
+    }
+    
+    if (answers.latitude != null) {
+      transaction.set(profileRef, {
+        latitude: answers.latitude,
+        longitude: answers.longitude,
+        ...(answers.locationAddress ? { locationAddress: answers.locationAddress } : {}),
+      }, { merge: true });
+    }
+    
+    return {
+      duplicate: false,
+      checkInId: checkInRef.id,
+      tz,
+      checkInTime: now,
+      scheduledFor,
+      currentStreak: state.currentStreak || 0,
+      nextExpected,
+    };
+  });
+  
+  if (result.duplicate) {
+    logger.info(`recordCheckIn: Request ${requestId} of user ${userId} was already recorded`);
+  } else {
+    logger.info(`recordCheckIn: Check-in recorded for user ${userId}`, {
+      checkInId: result.checkInId,
+      scheduledFor: result.scheduledFor,
+    });
+    await settleCheckIn(userId, result.scheduledFor, result.checkInTime, result.tz);
+    await scheduleCheckInTask(userId);
+  }
+  
+  return {
+    checkInId: result.checkInId,
+    duplicate: result.duplicate,
+    timestamp: result.checkInTime.toISOString(),
+    scheduledFor: result.scheduledFor,
+    currentStreak: result.currentStreak,
+    nextExpectedCheckIn: result.nextExpected?.toISOString() || null,
+  };
+});
+
+// ========== WELLNESS CONCERNS ==========
+
+/**
+ * Compare a new check-in's answers with the senior's recent check-ins (see wellness.js)
+ * Each concern is logged once per local day as a wellness_concern activity and, outside
+ * the WELLNESS_ALERT_COOLDOWN_DAYS cooldown kept in seniorState.wellnessAlerts, sent to
+ * every connected user. Never throws: a failure here must not block rescheduling.
+ * @param {string} userId - Senior's user ID
+ * @param {string} checkInId - New check-in document ID
+ * @param {Object} checkInData - New check-in document data
+ * @param {string|null} userTimezone - Senior's IANA timezone (falls back to TIMEZONE)
+ * @returns {Promise<Array<string>>} - Concern types that were alerted
+ */
+async function checkWellnessAnswers(userId, checkInId, checkInData, userTimezone) {
+  const current = {
+    timestamp: checkInData.timestamp?.toDate?.() || new Date(),
+    mood: checkInData.mood,
+    sleep: checkInData.sleep,
+    energy: checkInData.energy,
+    medication: checkInData.medication,
+  };
+  if (!current.mood && !current.sleep && !current.energy && !current.medication) return [];
+  
+  try {
+    const userRef = db.collection("users").doc(userId);
+    const since = new Date(current.timestamp.getTime() - WELLNESS_BASELINE_DAYS * 24 * 60 * 60 * 1000);
+    const historySnapshot = await userRef.collection("checkIns")
+      .where("timestamp", ">=", Timestamp.fromDate(since))
+      .orderBy("timestamp", "desc")
+      .get();
+    
+    const history = historySnapshot.docs
+      .filter(doc => doc.id !== checkInId)
+      .map(doc => {
+        const data = doc.data();
+        return { ...data, timestamp: data.timestamp?.toDate?.() || new Date(0) };
+      });
+    
+    const tz = resolveTimezone(userTimezone);
+    const concerns = detectWellnessConcerns({ current, history, timezone: tz });
+    if (concerns.length === 0) return [];
+    
+    const localDate = DateTime.fromJSDate(current.timestamp, { zone: tz }).toISODate();
+    const cooldownMs = WELLNESS_ALERT_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+    const seniorStateRef = userRef.collection("data").doc("seniorState");
+    const alerted = [];
+    
+    for (const concern of concerns) {
+      // Log once per concern and local day; alert only outside the cooldown
+      const shouldAlert = await db.runTransaction(async (transaction) => {
+        const activityRef = userRef.collection("activityLogs").doc(`wellness_${userId}_${concern.type}_${localDate}`);
+        const [existingLog, seniorStateDoc] = await Promise.all([
+          transaction.get(activityRef),
+          transaction.get(seniorStateRef),
+        ]);
+        if (existingLog.exists) return false;
+        
+        const lastAlert = seniorStateDoc.data()?.wellnessAlerts?.[concern.type]?.toDate?.();
+        const coolingDown = !!lastAlert && current.timestamp - lastAlert < cooldownMs;
+        
+        transaction.set(activityRef, {
+          seniorId: userId,
+          activityType: "wellness_concern",
+          timestamp: Timestamp.now(),
+          isAlert: !coolingDown,
+          metadata: {
+            concern: concern.type,
+            details: concern.details,
+            checkInId,
+            notified: !coolingDown,
+          },
+        });
+        if (!coolingDown && seniorStateDoc.exists) {
+          transaction.update(seniorStateRef, {
+            [`wellnessAlerts.${concern.type}`]: Timestamp.fromDate(current.timestamp),
+          });
+        }
+        return !coolingDown;
+      });
+      
+      logger.info(`Wellness concern ${concern.type} for user ${userId}`, { checkInId, alert: shouldAlert, ...concern.details });
+      if (shouldAlert) alerted.push(concern.type);
+    }
+    
+    if (alerted.length === 0) return alerted;
+    
+    const [connectedUsers, seniorProfileDoc] = await Promise.all([
+      getConnectedUsers(userId),
+      userRef.collection("data").doc("profile").get(),
+    ]);
+    const seniorName = seniorProfileDoc.exists ? seniorProfileDoc.data()?.displayName : null;
+    
+    for (const type of alerted) {
+      const results = await sendNotificationToUsers(
+        connectedUsers.map(connection => connection.userId),
+        "wellness_concern",
+        { seniorName, concern: type },
+        { data: { seniorUserId: userId, concern: type, checkInId } }
+      );
+      logger.info(`Wellness concern ${type} notifications for user ${userId}`, summarizeResults(results));
+    }
+    
+    return alerted;
+  } catch (error) {
+    logger.error(`Error checking wellness answers for user ${userId}:`, { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * TRIGGER: Update nextExpectedCheckIn when a check-in is recorded
+ * Cancels the tasks of the slots it satisfied and tops up upcoming ones
+ */
+exports.onCheckInRecorded = onDocumentWritten({
+  document: "users/{userId}/checkIns/{checkInId}",
+  region: "us-central1",
+}, async (event) => {
+  if (!event.data?.after?.exists || event.data?.before?.exists) {
+    return;
+  }
+  
+  const userId = event.params.userId;
+  const checkInData = event.data.after.data();
+  const checkInTime = checkInData.timestamp?.toDate?.() || new Date();
+  
+  // Fetch user timezone for timezone-aware calculations (external I/O outside transaction)
+  const userTimezone = await getUserTimezone(userId);
+  
+  await checkWellnessAnswers(userId, event.params.checkInId, checkInData, userTimezone);
+  
+  // recordCheckIn already updated the state and rescheduled
+  if (checkInData.source === "recordCheckIn") {
+    logger.info(`Check-in ${event.params.checkInId} of user ${userId} was recorded by recordCheckIn - EXITING`);
+    return;
+  }
+  
+  logger.info(`Check-in recorded for user ${userId}, rescheduling task`);
+  
+  const seniorStateRef = db.collection("users").doc(userId)
+    .collection("data").doc("seniorState");
+  
+  try {
+    // ========== Cancel tasks and the ladder OUTSIDE transaction ==========
+    await settleCheckIn(userId, checkInData.scheduledFor || [], checkInTime, userTimezone);
+    
+    // ========== Short transaction: re-read, validate, and update atomically ==========
+    await db.runTransaction(async (transaction) => {
+      const seniorStateDoc = await transaction.get(seniorStateRef);
+      
+      if (!seniorStateDoc.exists) return;
+      
+      const seniorState = seniorStateDoc.data();
+      
+      const completedToday = seniorState.completedSchedulesToday || [];
+      
+      // Pass completedSchedulesToday for multi check-in support
+      const nextExpected = calculateNextExpectedCheckIn(
+        scheduleFromState(seniorState), 
+        new Date(), 
+        checkInTime, 
+        userTimezone,
+        completedToday
+      );
+      
+      // Reset consecutive missed days on successful check-in
+      transaction.update(seniorStateRef, {
+        nextExpectedCheckIn: nextExpected ? Timestamp.fromDate(nextExpected) : FieldValue.delete(),
+        lastCheckIn: Timestamp.fromDate(checkInTime),
+        consecutiveMissedDays: 0, // Reset streak
+      });
+      
+      logger.info(`Updated nextExpectedCheckIn for ${userId}: ${nextExpected?.toISOString()}, completedSchedules: ${completedToday.length}`);
+    });
+    
+    // Top up slot tasks (outside transaction)
+    await scheduleCheckInTask(userId);
+    
+  } catch (error) {
+    logger.error(`Error updating check-in for ${userId}:`, { error: error.message });
+  }
+});
+
+// ========== COGNITIVE TRENDS ==========
+
+/**
+ * TRIGGER: Refresh a senior's cognitive trend when a brain game result is saved
+ * Rebuilds users/{uid}/data/cognitiveTrend from the results of the last
+ * COGNITIVE_RECENT_WEEKS + COGNITIVE_BASELINE_WEEKS (see cognitive.js for the stats):
+ * {
+ *   computedAt, gamesPlayed,
+ *   overall, domains: { memory, reaction_speed, problem_solving, verbal }, games: { [gameType] },
+ *     // each { trend: "improving" | "stable" | "declining" | "insufficient_data", sustained,
+ *     //        recentMean, baselineMean, change, tScore, weekly: [{ count, mean }] }
+ *   sustainedDeclines: ["memory", ...],
+ *   alerts: { [domain]: Timestamp }  // last family alert per domain
+ * }
+ * A domain that starts a sustained decline notifies connected users who opted in to
+ * cognitive_decline, at most once per COGNITIVE_ALERT_COOLDOWN_DAYS.
+ */
+exports.onGameResultRecorded = onDocumentWritten({
+  document: "users/{userId}/gameResults/{resultId}",
+  region: "us-central1",
+}, async (event) => {
+  if (!event.data?.after?.exists || event.data?.before?.exists) {
+    return;
+  }
+  
+  const userId = event.params.userId;
+  const userRef = db.collection("users").doc(userId);
+  const trendRef = userRef.collection("data").doc("cognitiveTrend");
+  const now = new Date();
+  
+  try {
+    const since = new Date(now.getTime() - (COGNITIVE_RECENT_WEEKS + COGNITIVE_BASELINE_WEEKS) * 7 * 24 * 60 * 60 * 1000);
+    const resultsSnapshot = await userRef.collection("gameResults")
+      .where("timestamp", ">", Timestamp.fromDate(since))
+      .get();
+    
+    const gameResults = resultsSnapshot.docs.map(doc => {
+      const data = doc.data();
+      return { gameType: data.gameType, score: data.score, timestamp: data.timestamp?.toDate?.() || new Date(0) };
+    });
+    const trend = buildCognitiveTrend(gameResults, now);
+    
+    const cooldownMs = COGNITIVE_ALERT_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+    const alertDomains = await db.runTransaction(async (transaction) => {
+      const previousDoc = await transaction.get(trendRef);
+      const alerts = { ...(previousDoc.data()?.alerts || {}) };
+      
+      const due = trend.sustainedDeclines.filter(domain => {
+        const lastAlert = alerts[domain]?.toDate?.();
+        return !lastAlert || now - lastAlert >= cooldownMs;
+      });
+      due.forEach(domain => { alerts[domain] = Timestamp.fromDate(now); });
+      
+      transaction.set(trendRef, { ...trend, computedAt: Timestamp.fromDate(now), alerts });
+      return due;
+    });
+    
+    logger.info(`Cognitive trend updated for user ${userId}`, {
+      gamesPlayed: trend.gamesPlayed,
+      overall: trend.overall.trend,
+      sustainedDeclines: trend.sustainedDeclines,
+    });
+    
+    if (alertDomains.length === 0) return;
+    
+    const [connectedUsers, seniorProfileDoc] = await Promise.all([
+      getConnectedUsers(userId),
+      userRef.collection("data").doc("profile").get(),
+    ]);
+    const seniorName = seniorProfileDoc.exists ? seniorProfileDoc.data()?.displayName : null;
+    
+    const results = await sendNotificationToUsers(
+      connectedUsers.map(connection => connection.userId),
+      "cognitive_decline",
+      { seniorName, domains: alertDomains },
+      { data: { seniorUserId: userId, domains: alertDomains.join(",") } }
+    );
+    logger.info(`Cognitive decline notifications for user ${userId}`, { domains: alertDomains, ...summarizeResults(results) });
+  } catch (error) {
+    logger.error(`Error updating cognitive trend for user ${userId}:`, { error: error.message });
+  }
+});
+
+/**
+ * Resolve a valid IANA timezone, falling back to the default TIMEZONE
+ * @param {string|null} timezone - Candidate timezone (e.g., profile.timezone)
+ * @returns {string}
+ */
+function resolveTimezone(timezone) {
+  if (timezone && typeof timezone === "string" && timezone.trim()) {
+    const candidate = timezone.trim();
+    if (DateTime.now().setZone(candidate).isValid) return candidate;
+  }
+  return TIMEZONE;
+}
+
+/**
+ * Fetch documents with db.getAll in chunks of GETALL_CHUNK_SIZE
+ * @param {Array<FirebaseFirestore.DocumentReference>} refs
+ * @returns {Promise<Array<FirebaseFirestore.DocumentSnapshot>>} - Snapshots in the same order as refs
+ */
+async function getAllInChunks(refs) {
+  const snapshots = [];
+  for (let i = 0; i < refs.length; i += GETALL_CHUNK_SIZE) {
+    const chunk = refs.slice(i, i + GETALL_CHUNK_SIZE);
+    if (chunk.length > 0) {
+      snapshots.push(...await db.getAll(...chunk));
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Work out which daily counters are stale at the senior's local midnight
+ * A counter is stale when the event that last changed it happened before local todayStart:
+ * - missedCheckInsToday: lastMissedCheckIn
+ * - completedSchedulesToday: lastCheckIn
+ * @param {Object} data - users/{uid}/data/seniorState data
+ * @param {DateTime} todayStart - Start of the senior's local day
+ * @returns {Object|null} - Firestore updates, or null if nothing needs resetting
+ */
+function getDailyCounterResets(data, todayStart) {
+  // RACE CONDITION GUARD: Already reset since local midnight (by a previous run or check-in logic)
+  const lastResetDate = data.lastScheduleResetDate?.toDate?.();
+  if (lastResetDate && DateTime.fromJSDate(lastResetDate) >= todayStart) {
+    return null;
+  }
+  
+  const isBeforeToday = (timestamp) => {
+    const date = timestamp?.toDate?.();
+    return !date || DateTime.fromJSDate(date) < todayStart;
+  };
+  
+  const updates = {};
+  
+  if ((data.missedCheckInsToday || 0) > 0 && isBeforeToday(data.lastMissedCheckIn)) {
+    updates.missedCheckInsToday = 0;
+  }
+  
+  if ((data.completedSchedulesToday || []).length > 0 && isBeforeToday(data.lastCheckIn)) {
+    updates.completedSchedulesToday = [];
+    updates.lastScheduleResetDate = Timestamp.now();
+  }
+  
+  return Object.keys(updates).length > 0 ? updates : null;
+}
+
+// seniorStates fields selecting resetDailyCounters candidates, paged through in order
+const DAILY_RESET_PHASES = ["missedCheckInsToday", "completedSchedulesTodayCount"];
+
+/**
+ * Start (or resume) a run of a scheduled job, recorded in jobRuns/{job}_{runKey}
+ * Retries of the same scheduled invocation share the runKey, so they pick up the
+ * saved checkpoint and counters instead of starting over.
+ * @param {string} job - Job name, e.g. "resetDailyCounters"
+ * @param {string} runKey - Identifies the invocation (the scheduler's scheduleTime)
+ * @returns {Promise<{ref: DocumentReference, run: Object, completed: boolean}>}
+ */
+async function beginJobRun(job, runKey) {
+  const ref = db.collection("jobRuns").doc(`${job}_${runKey.replace(/[^0-9A-Za-z]/g, "")}`);
+  
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(ref);
+    
+    if (doc.exists && doc.data().status === "completed") {
+      return { ref, run: doc.data(), completed: true };
+    }
+    
+    const run = doc.exists ? doc.data() : {
+      job,
+      runKey,
+      checkpoint: null,
+      metrics: {},
+      pages: 0,
+      attempts: 0,
+      startedAt: Timestamp.now(),
+    };
+    run.attempts = (run.attempts || 0) + 1;
+    run.status = "running";
+    
+    transaction.set(ref, { ...run, updatedAt: Timestamp.now(), lastError: null });
+    if (doc.exists) {
+      logger.info(`${job}: Resuming run ${runKey} from checkpoint`, { checkpoint: run.checkpoint, attempt: run.attempts });
+    }
+    return { ref, run, completed: false };
+  });
+}
+
+/**
+ * SCHEDULED: Reset daily counters at each senior's local midnight
+ * Runs hourly (Cloud Scheduler).
+ * 
+ * Seniors are bucketed by profile.timezone (same source as getUserTimezone) so each
+ * bucket's day boundary is computed once. A counter is only reset once the event
+ * that set it belongs to a previous local day, so a senior whose midnight hasn't
+ * arrived yet is left untouched.
+ * 
+ * Candidates are seniors with missedCheckInsToday > 0, then seniors with
+ * completedSchedulesTodayCount > 0 (catches stale completedSchedulesToday when nothing
+ * was missed). Each is paged through with a cursor; after every page the cursor and
+ * counters are saved to jobRuns, so a retry resumes where the failed attempt stopped.
+ */
+exports.resetDailyCounters = onSchedule({
+  schedule: "0 * * * *",
+  timeZone: "UTC",
+  region: "us-central1",
+  timeoutSeconds: 540,
+  memory: "256MiB",
+  retryCount: 3,
+}, async (event) => {
+  const startTime = Date.now();
+  const runKey = event?.scheduleTime || new Date().toISOString();
+  logger.info("Starting daily counter reset", { runKey });
+  
+  const { ref: runRef, run, completed } = await beginJobRun("resetDailyCounters", runKey);
+  if (completed) {
+    logger.info(`resetDailyCounters: Run ${runKey} already completed - EXITING`);
+    return;
+  }
+  
+  const metrics = { reset: 0, skipped: 0, failed: 0, ...run.metrics };
+  let checkpoint = run.checkpoint || { phase: 0, lastValue: null, lastId: null };
+  let pages = run.pages || 0;
+  const todayStartByZone = new Map();
+  
+  try {
+    while (checkpoint.phase < DAILY_RESET_PHASES.length) {
+      const field = DAILY_RESET_PHASES[checkpoint.phase];
+      
+      for (;;) {
+        let query = db.collection("seniorStates")
+          .where(field, ">", 0)
+          .orderBy(field)
+          .orderBy(FieldPath.documentId())
+          .select(field)
+          .limit(BATCH_SIZE);
+        if (checkpoint.lastId) {
+          query = query.startAfter(checkpoint.lastValue, checkpoint.lastId);
+        }
+        
+        const page = await query.get();
+        if (page.empty) break;
+        
+        // Read authoritative state and timezone for the page
+        const userRefs = page.docs.map(doc => db.collection("users").doc(doc.id).collection("data"));
+        const [stateDocs, profileDocs] = await Promise.all([
+          getAllInChunks(userRefs.map(ref => ref.doc("seniorState"))),
+          getAllInChunks(userRefs.map(ref => ref.doc("profile"))),
+        ]);
+        
+        const batch = db.batch();
+        let batchCount = 0;
+        
+        for (let i = 0; i < page.docs.length; i++) {
+          const stateDoc = stateDocs[i];
+          if (!stateDoc.exists) {
+            metrics.skipped++;
+            continue;
+          }
+          
+          const tz = resolveTimezone(profileDocs[i].exists ? profileDocs[i].data()?.timezone : null);
+          if (!todayStartByZone.has(tz)) {
+            todayStartByZone.set(tz, DateTime.now().setZone(tz).startOf("day"));
+          }
+          
+          const updates = getDailyCounterResets(stateDoc.data(), todayStartByZone.get(tz));
+          if (!updates) {
+            // Local midnight not reached yet, or already reset today
+            metrics.skipped++;
+            continue;
+          }
+          
+          batch.update(stateDoc.ref, updates);
+          batchCount++;
+        }
+        
+        if (batchCount > 0) {
+          try {
+            await batch.commit();
+            metrics.reset += batchCount;
+          } catch (error) {
+            // Still candidates next hour; don't block the rest of the run
+            metrics.failed += batchCount;
+            logger.error(`resetDailyCounters: Failed to reset ${batchCount} seniors`, { error: error.message });
+          }
+        }
+        
+        // Checkpoint: a retry continues after this page
+        const lastDoc = page.docs[page.docs.length - 1];
+        checkpoint = { phase: checkpoint.phase, lastValue: lastDoc.get(field), lastId: lastDoc.id };
+        pages++;
+        await runRef.update({ checkpoint, metrics, pages, updatedAt: Timestamp.now() });
+        
+        if (page.size < BATCH_SIZE) break;
+      }
+      
+      checkpoint = { phase: checkpoint.phase + 1, lastValue: null, lastId: null };
+    }
+    
+    const duration = Date.now() - startTime;
+    await runRef.update({
+      status: "completed",
+      checkpoint: null,
+      metrics,
+      pages,
+      completedAt: Timestamp.now(),
+      updatedAt: Timestamp.now(),
+      durationMs: duration,
+    });
+    
+    logger.info("Daily counter reset completed", {
+      ...metrics,
+      pages,
+      zones: todayStartByZone.size,
+      attempt: run.attempts,
+      durationMs: duration,
+    });
+    
+  } catch (error) {
+    logger.error("Error in resetDailyCounters:", { error: error.message, checkpoint });
+    await runRef.update({
+      status: "failed",
+      lastError: error.message,
+      metrics,
+      pages,
+      updatedAt: Timestamp.now(),
+    }).catch(() => {});
+    // Let Cloud Scheduler retry; the next attempt resumes from the checkpoint
+    throw error;
+  }
+});
+
+// ========== DAILY SUMMARIES ==========
+
+/**
+ * Write the dailySummaries doc of one senior's finished local day and update
+ * seniorState.currentStreak / successRate7d / successRate30d from the summaries
+ * nextRollupAt moves on to the end of the following local day, when that day is due.
+ * The summary is created, never overwritten, so re-runs leave a summarized day alone.
+ * Slots before seniorCreatedAt are left out, and a senior with only the default schedule
+ * has nothing scheduled on the day the account was created (as in handleMissedCheckIn).
+ * @param {string} userId - Senior's user ID
+ * @param {Object} state - seniorState data
+ * @param {string} tz - Senior's timezone
+ * @param {string} localDate - Day to summarize (ISO, senior's timezone)
+ * @returns {Promise<boolean>} - False if the day was already summarized
+ */
+async function rollupSeniorDay(userId, state, tz, localDate) {
+  const userRef = db.collection("users").doc(userId);
+  const summaries = userRef.collection("dailySummaries");
+  const dayStart = DateTime.fromISO(localDate, { zone: tz });
+  const dayEnd = dayStart.plus({ days: 1 });
+  
+  const [previousDoc, recentSnapshot, checkInsSnapshot] = await Promise.all([
+    summaries.doc(dayStart.minus({ days: 1 }).toISODate()).get(),
+    summaries.where("date", ">", dayStart.minus({ days: 30 }).toISODate()).where("date", "<", localDate).get(),
+    userRef.collection("checkIns")
+      .where("timestamp", ">=", Timestamp.fromDate(dayStart.toJSDate()))
+      .where("timestamp", "<", Timestamp.fromDate(dayEnd.toJSDate()))
+      .get(),
+  ]);
+  
+  const createdAt = state.seniorCreatedAt?.toDate?.() || null;
+  const isFirstDay = createdAt && DateTime.fromJSDate(createdAt, { zone: tz }).toISODate() === localDate;
+  
+  const summary = buildDailySummary({
+    schedule: isFirstDay && hasOnlyDefaultSchedule(state) ? [] : scheduleFromState(state),
+    localDate,
+    timezone: tz,
+    checkIns: checkInsSnapshot.docs.map(doc => ({
+      timestamp: doc.data().timestamp?.toDate?.() || dayStart.toJSDate(),
+      scheduledFor: doc.data().scheduledFor,
+    })),
+    checkInWindow: resolveCheckInWindow(state.checkInWindow),
+    vacation: state.vacationMode === true,
+    since: isFirstDay ? createdAt : null,
+  });
+  
+  // The first summarized day starts the streak from 0
+  const previousStreak = previousDoc.exists ? previousDoc.data().streak || 0 : 0;
+  summary.streak = getNextStreak(previousStreak, summary);
+  
+  const recent = [...recentSnapshot.docs.map(doc => doc.data()), summary];
+  const weekStart = dayStart.minus({ days: 7 }).toISODate();
+  
+  const batch = db.batch();
+  batch.create(summaries.doc(localDate), { ...summary, createdAt: Timestamp.now() });
+  batch.update(userRef.collection("data").doc("seniorState"), {
+    currentStreak: summary.streak,
+    successRate7d: getSuccessRate(recent.filter(s => s.date > weekStart)),
+    successRate30d: getSuccessRate(recent),
+    lastSummaryDate: localDate,
+    nextRollupAt: Timestamp.fromDate(dayEnd.plus({ days: 1 }).toJSDate()),
+  });
+  
+  try {
+    await batch.commit();
+  } catch (error) {
+    if (error.code === 6) return false; // ALREADY_EXISTS
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * First and last local day a senior's next rollup should cover, or null if they are up to date
+ * Starts the day after seniorState.lastSummaryDate (or the day the account was created),
+ * at most SUMMARY_BACKFILL_MAX_DAYS back, and ends yesterday.
+ * @param {Object} state - seniorState data
+ * @param {string} tz - Senior's timezone
+ * @param {DateTime} now
+ * @returns {{from: string, to: string}|null} - ISO dates, inclusive
+ */
+function getRollupRange(state, tz, now) {
+  const yesterday = now.setZone(tz).startOf("day").minus({ days: 1 });
+  const earliest = yesterday.minus({ days: SUMMARY_BACKFILL_MAX_DAYS - 1 });
+  const createdAt = state.seniorCreatedAt?.toDate?.();
+  
+  let from = state.lastSummaryDate
+    ? DateTime.fromISO(state.lastSummaryDate, { zone: tz }).plus({ days: 1 })
+    : createdAt ? DateTime.fromJSDate(createdAt, { zone: tz }).startOf("day") : yesterday;
+  if (from < earliest) from = earliest;
+  
+  return from <= yesterday ? { from: from.toISODate(), to: yesterday.toISODate() } : null;
+}
+
+/**
+ * When a senior's first day without a summary ends: the day after seniorState.lastSummaryDate,
+ * else the day the account was created, else today
+ * @param {Object} state - seniorState data
+ * @param {string} tz - Senior's timezone
+ * @param {DateTime} now
+ * @returns {Timestamp}
+ */
+function getNextRollupAt(state, tz, now) {
+  const createdAt = state.seniorCreatedAt?.toDate?.();
+  const firstDay = state.lastSummaryDate
+    ? DateTime.fromISO(state.lastSummaryDate, { zone: tz }).plus({ days: 1 })
+    : createdAt ? DateTime.fromJSDate(createdAt, { zone: tz }).startOf("day") : now.setZone(tz).startOf("day");
+  return Timestamp.fromDate(firstDay.plus({ days: 1 }).toJSDate());
+}
+
+/**
+ * SCHEDULED: Roll up each senior's finished local days into dailySummaries/{yyyy-mm-dd}
+ * Runs hourly (Cloud Scheduler); the first run after a senior's local midnight writes
+ * their summary (scheduled, completed, on time, late, missed slots and the streak,
+ * see dailySummary.js). Only seniors whose nextRollupAt has passed are read, so a run
+ * touches the seniors whose local day just ended (or who are still behind).
+ * Days missed by earlier runs are summarized in order before yesterday (see getRollupRange),
+ * so the streak never carries across a day without a summary.
+ * 
+ * Slots are worked out from the current schedule, and a senior on vacation at rollup
+ * time gets a vacation day (nothing scheduled, streak kept).
+ * Pages through seniorStates by nextRollupAt with the same jobRuns checkpoints as
+ * resetDailyCounters, so a retry resumes after the last finished page.
+ */
+exports.rollupDailySummaries = onSchedule({
+  schedule: "5 * * * *",
+  timeZone: "UTC",
+  region: "us-central1",
+  timeoutSeconds: 540,
+  memory: "256MiB",
+  retryCount: 3,
+}, async (event) => {
+  const startTime = Date.now();
+  const runKey = event?.scheduleTime || new Date().toISOString();
+  logger.info("Starting daily summary rollup", { runKey });
+  
+  const { ref: runRef, run, completed } = await beginJobRun("rollupDailySummaries", runKey);
+  if (completed) {
+    logger.info(`rollupDailySummaries: Run ${runKey} already completed - EXITING`);
+    return;
+  }
+  
+  const metrics = { summarized: 0, days: 0, skipped: 0, failed: 0, ...run.metrics };
+  let checkpoint = run.checkpoint || { lastValue: null, lastId: null };
+  let pages = run.pages || 0;
+  const now = DateTime.now();
+  
+  try {
+    for (;;) {
+      let query = db.collection("seniorStates")
+        .where("nextRollupAt", "<=", Timestamp.fromDate(now.toJSDate()))
+        .orderBy("nextRollupAt")
+        .orderBy(FieldPath.documentId())
+        .select("nextRollupAt")
+        .limit(BATCH_SIZE);
+      if (checkpoint.lastId) {
+        query = query.startAfter(checkpoint.lastValue, checkpoint.lastId);
+      }
+      
+      const page = await query.get();
+      if (page.empty) break;
+      
+      const userRefs = page.docs.map(doc => db.collection("users").doc(doc.id).collection("data"));
+      const [stateDocs, profileDocs] = await Promise.all([
+        getAllInChunks(userRefs.map(ref => ref.doc("seniorState"))),
+        getAllInChunks(userRefs.map(ref => ref.doc("profile"))),
+      ]);
+      
+      for (let i = 0; i < page.docs.length; i++) {
+        const userId = page.docs[i].id;
+        const state = stateDocs[i].exists ? stateDocs[i].data() : null;
+        const tz = resolveTimezone(profileDocs[i].exists ? profileDocs[i].data()?.timezone : null);
+        const range = state ? getRollupRange(state, tz, now) : null;
+        
+        if (!range) {
+          // Due early (new senior, or the local day moved with the timezone): wait for the day to end
+          if (state) {
+            await stateDocs[i].ref.update({ nextRollupAt: getNextRollupAt(state, tz, now) }).catch(error => {
+              logger.error(`rollupDailySummaries: Failed to update nextRollupAt for user ${userId}`, { error: error.message });
+            });
+          }
+          metrics.skipped++;
+          continue;
+        }
+        
+        // Day by day, so each summary's streak builds on the one before
+        let localDate = range.from;
+        let days = 0;
+        try {
+          for (; localDate <= range.to; localDate = DateTime.fromISO(localDate).plus({ days: 1 }).toISODate()) {
+            if (await rollupSeniorDay(userId, state, tz, localDate)) days++;
+          }
+        } catch (error) {
+          // Picked up again (from this day) by the next hourly run
+          metrics.failed++;
+          logger.error(`rollupDailySummaries: Failed to summarize ${localDate} for user ${userId}`, { error: error.message });
+        }
+        metrics.days += days;
+        if (days > 0) metrics.summarized++;
+        else if (localDate > range.to) metrics.skipped++;
+      }
+      
+      // Checkpoint: a retry continues after this page
+      const lastDoc = page.docs[page.docs.length - 1];
+      checkpoint = { lastValue: lastDoc.get("nextRollupAt"), lastId: lastDoc.id };
+      pages++;
+      await runRef.update({ checkpoint, metrics, pages, updatedAt: Timestamp.now() });
+      
+      if (page.size < BATCH_SIZE) break;
+    }
+    
+    const duration = Date.now() - startTime;
+    await runRef.update({
+      status: "completed",
+      checkpoint: null,
+      metrics,
+      pages,
+      completedAt: Timestamp.now(),
+      updatedAt: Timestamp.now(),
+      durationMs: duration,
+    });
+    
+    logger.info("Daily summary rollup completed", { ...metrics, pages, attempt: run.attempts, durationMs: duration });
+    
+  } catch (error) {
+    logger.error("Error in rollupDailySummaries:", { error: error.message, checkpoint });
+    await runRef.update({
+      status: "failed",
+      lastError: error.message,
+      metrics,
+      pages,
+      updatedAt: Timestamp.now(),
+    }).catch(() => {});
+    // Let Cloud Scheduler retry; the next attempt resumes from the checkpoint
+    throw error;
+  }
+});
+
+/**
+ * SCHEDULED: Retry push notifications that failed with a transient error
+ * Runs every 5 minutes (Cloud Scheduler).
+ * 
+ * Failed sends are recorded in notifications/{id} with status "retry_pending" and a
+ * backed-off nextAttemptAt (see notifications.js); this sweep re-sends the due ones.
+ * Each retry is leased, so an overlapping run never sends the same notification twice.
+ */
+exports.retryFailedNotifications = onSchedule({
+  schedule: "*/5 * * * *",
+  timeZone: "UTC",
+  region: "us-central1",
+  timeoutSeconds: 300,
+  memory: "256MiB",
+}, async () => {
+  const startTime = Date.now();
+  
+  try {
+    const summary = await retryDueNotifications();
+    const duration = Date.now() - startTime;
+    logger.info("Notification retry sweep completed", { ...summary, durationMs: duration });
+    return { ...summary, durationMs: duration };
+    
+  } catch (error) {
+    logger.error("Error in retryFailedNotifications:", { error: error.message });
+    throw error;
+  }
+});
+
+// ========== TASK RECONCILIATION ==========
+
+// Task handlers that must not run for a senior on vacation
+const VACATION_CANCELLED_TARGETS = ["handleMissedCheckIn", "handleCheckInReminder", "handleEscalationStep"];
+
+/**
+ * Find seniors whose upcoming check-in slots have no task and re-schedule them
+ * Pages through seniorStates by document ID; the authoritative state and the
+ * timezone are read per page.
+ * @param {Date} now - Current time
+ * @param {Set<string>|null} queuedNames - Names of the tasks in the queue, if it can be listed.
+ *   Pending scheduledTasks entries missing from it are dropped and re-created.
+ * @returns {Promise<Object>} - Counts plus the IDs of re-scheduled seniors
+ */
+async function reconcileSeniorTasks(now, queuedNames) {
+  const report = {
+    seniorsScanned: 0,
+    lostTasks: 0,
+    vacationsEnded: 0,
+    onVacation: 0,
+    healthy: 0,
+    rescheduled: 0,
+    rescheduleFailed: 0,
+    overdue: 0,
+    staleMirrors: 0,
+    rescheduledUserIds: [],
+  };
+  let lastDoc = null;
+  
+  for (;;) {
+    let query = db.collection("seniorStates").orderBy(FieldPath.documentId()).limit(BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const page = await query.get();
+    if (page.empty) break;
+    lastDoc = page.docs[page.docs.length - 1];
+    
+    const userRefs = page.docs.map(doc => db.collection("users").doc(doc.id).collection("data"));
+    const [stateDocs, profileDocs] = await Promise.all([
+      getAllInChunks(userRefs.map(ref => ref.doc("seniorState"))),
+      getAllInChunks(userRefs.map(ref => ref.doc("profile"))),
+    ]);
+    
+    for (let i = 0; i < page.docs.length; i++) {
+      const userId = page.docs[i].id;
+      report.seniorsScanned++;
+      
+      if (!stateDocs[i].exists) {
+        // Mirror outlived the senior state (its delete trigger failed)
+        report.staleMirrors++;
+        continue;
+      }
+      
+      const state = stateDocs[i].data();
+      if (state.vacationMode) {
+        // Scheduled vacation whose end task never ran
+        const vacationEnd = state.vacationEnd?.toDate?.();
+        if (vacationEnd && vacationEnd <= now) {
+          const outcome = await applyVacationTransition(userId, "end", {
+            vacationStart: toIsoOrNull(state.vacationStart),
+            vacationEnd: toIsoOrNull(state.vacationEnd),
+          });
+          if (outcome === "ended") {
+            report.vacationsEnded++;
+            continue;
+          }
+        }
+        report.onVacation++;
+        continue;
+      }
+      
+      const tz = resolveTimezone(profileDocs[i].exists ? profileDocs[i].data()?.timezone : null);
+      const tasks = { ...state.scheduledTasks };
+      
+      // Recorded as pending but not in the queue
+      const lostNames = new Set(Object.values(tasks)
+        .filter(entry => queuedNames && entry.executeAt?.toDate?.() > now && !queuedNames.has(entry.taskName))
+        .map(entry => entry.taskName));
+      if (lostNames.size > 0) {
+        report.lostTasks += lostNames.size;
+        const released = await releaseCheckInTasks(userId, entry => lostNames.has(entry.taskName), {
+          reason: "task_lost",
+          cancel: false,
+          bumpGeneration: true,
+        });
+        for (const [key, entry] of Object.entries(tasks)) {
+          if (released.some(r => r.taskName === entry.taskName)) delete tasks[key];
+        }
+      }
+      
+      const missing = getUpcomingSlots(scheduleFromState(state), now, tz).filter(slot => !tasks[slot.key]);
+      if (missing.length === 0) {
+        report.healthy++;
+        continue;
+      }
+      
+      // A due check-in passed while nothing was watching it: the miss went unnoticed
+      const nextExpected = page.docs[i].data().nextExpectedCheckIn?.toDate?.();
+      const hasPending = Object.values(tasks).some(entry => entry.executeAt?.toDate?.() > now);
+      if (!hasPending && nextExpected &&
+          getSlotWindow(nextExpected, resolveCheckInWindow(state.checkInWindow)).deadline < now) {
+        report.overdue++;
+        logger.warn(`Reconciler: check-in of user ${userId} was due at ${nextExpected.toISOString()} without a task`);
+      }
+      
+      await scheduleCheckInTask(userId);
+      
+      const after = (await stateDocs[i].ref.get()).data()?.scheduledTasks || {};
+      if (missing.every(slot => after[slot.key])) {
+        report.rescheduled++;
+        report.rescheduledUserIds.push(userId);
+      } else {
+        report.rescheduleFailed++;
+        logger.error(`Reconciler: could not schedule check-in tasks for user ${userId}`, {
+          missingSlots: missing.filter(slot => !after[slot.key]).map(slot => slot.key),
+        });
+      }
+    }
+    
+    if (page.size < BATCH_SIZE) break;
+  }
+  
+  return report;
+}
+
+/**
+ * Delete queued tasks that point to deleted seniors, or to seniors on vacation
+ * (check-in and escalation tasks only - SOS reminders still matter)
+ * @param {Array<Object>|null} tasks - From listTasks (null if the queue can't be listed)
+ * @returns {Promise<Object>} - Counts; tasksScanned is null if the queue can't be listed
+ */
+async function reconcileOrphanedTasks(tasks) {
+  const report = { tasksScanned: null, orphansDeleted: 0, orphanDeleteFailed: 0, orphanedTasks: [] };
+  
+  if (!tasks) {
+    logger.warn("Reconciler: task queue backend cannot list tasks, skipping orphan scan");
+    return report;
+  }
+  report.tasksScanned = tasks.length;
+  
+  const withUser = tasks
+    .map(task => ({ ...task, target: task.url?.split("/").pop(), userId: task.payload?.userId }))
+    .filter(task => task.userId);
+  const userIds = [...new Set(withUser.map(task => task.userId))];
+  const stateDocs = await getAllInChunks(
+    userIds.map(userId => db.collection("users").doc(userId).collection("data").doc("seniorState"))
+  );
+  const stateByUser = new Map(userIds.map((userId, i) => [userId, stateDocs[i]]));
+  
+  for (const task of withUser) {
+    const stateDoc = stateByUser.get(task.userId);
+    let reason = null;
+    if (!stateDoc.exists) {
+      reason = "senior_deleted";
+    } else if (stateDoc.data().vacationMode && VACATION_CANCELLED_TARGETS.includes(task.target)) {
+      reason = "vacation";
+    }
+    if (!reason) continue;
+    
+    if (await cancelTask(task.name)) {
+      report.orphansDeleted++;
+      report.orphanedTasks.push({ name: task.name, target: task.target, userId: task.userId, reason });
+    } else {
+      report.orphanDeleteFailed++;
+    }
+  }
+  
+  return report;
+}
+
+/**
+ * SCHEDULED: Self-heal check-in monitoring
+ * Runs hourly (Cloud Scheduler).
+ * 
+ * - Seniors not on vacation whose upcoming slots have no task (e.g. task creation
+ *   failed after its retries, or a recorded task is no longer queued) are
+ *   re-scheduled with scheduleCheckInTask.
+ * - Scheduled vacations past their end date are ended.
+ * - Queued tasks for deleted seniors, or check-in/escalation tasks for seniors on
+ *   vacation, are deleted.
+ * Logs (and returns) a summary report.
+ */
+exports.reconcileCheckInTasks = onSchedule({
+  schedule: "30 * * * *",
+  timeZone: "UTC",
+  region: "us-central1",
+  timeoutSeconds: 540,
+  memory: "256MiB",
+}, async () => {
+  const startTime = Date.now();
+  logger.info("Starting check-in task reconciliation");
+  
+  try {
+    const tasks = await listTasks();
+    const orphans = await reconcileOrphanedTasks(tasks);
+    const seniors = await reconcileSeniorTasks(new Date(), tasks ? new Set(tasks.map(task => task.name)) : null);
+    
+    const duration = Date.now() - startTime;
+    const report = { ...seniors, ...orphans, durationMs: duration };
+    
+    if (seniors.lostTasks + seniors.vacationsEnded + seniors.rescheduled + seniors.rescheduleFailed + orphans.orphansDeleted + orphans.orphanDeleteFailed > 0) {
+      logger.warn("Check-in task reconciliation repaired or failed to repair tasks", report);
+    } else {
+      logger.info("Check-in task reconciliation completed, nothing to repair", report);
+    }
+    
+    return report;
+    
+  } catch (error) {
+    logger.error("Error in reconcileCheckInTasks:", { error: error.message });
+    throw error;
+  }
+});
+
+// ========== FAMILY DIGESTS ==========
+
+/**
+ * Aggregate a senior's activity over a period for a digest
+ * The period is made of whole local days in the senior's timezone: today, or the 7 days
+ * ending today. Slots are counted per day with buildDailySummary; today's slots that are
+ * still open (not completed, deadline not passed) are left out until they resolve.
+ * @param {string} seniorId - Senior's user ID
+ * @param {number} days - Period length in local days, ending today
+ * @param {Date} now - When the digest is built
+ * @returns {Promise<{seniorId: string, seniorName: string|null, startDate: string, endDate: string,
+ *   checkIns: number, completed: number, expected: number, missed: number, alerts: number,
+ *   games: number, mood: string|null, vacationMode: boolean}>}
+ */
+async function buildSeniorDigest(seniorId, days, now) {
+  const userRef = db.collection("users").doc(seniorId);
+  
+  const [profileDoc, seniorStateDoc] = await Promise.all([
+    userRef.collection("data").doc("profile").get(),
+    userRef.collection("data").doc("seniorState").get(),
+  ]);
+  
+  const timezone = resolveTimezone(profileDoc.data()?.timezone);
+  const today = DateTime.fromJSDate(now, { zone: timezone }).startOf("day");
+  const periodStart = today.minus({ days: days - 1 });
+  const startTs = Timestamp.fromDate(periodStart.toJSDate());
+  const endTs = Timestamp.fromDate(today.plus({ days: 1 }).toJSDate());
+  
+  const [checkInsSnapshot, activitySnapshot, gamesSnapshot] = await Promise.all([
+    userRef.collection("checkIns")
+      .where("timestamp", ">=", startTs).where("timestamp", "<", endTs)
+      .orderBy("timestamp", "desc").get(),
+    userRef.collection("activityLogs").where("timestamp", ">=", startTs).where("timestamp", "<", endTs).get(),
+    userRef.collection("gameResults").where("timestamp", ">=", startTs).where("timestamp", "<", endTs).get(),
+  ]);
+  
+  const seniorState = seniorStateDoc.exists ? seniorStateDoc.data() : {};
+  const vacationMode = seniorState.vacationMode === true;
+  const schedule = scheduleFromState({
+    ...seniorState,
+    checkInSchedules: seniorState.checkInSchedules || DEFAULT_SCHEDULES,
+  });
+  const checkInWindow = resolveCheckInWindow(seniorState.checkInWindow);
+  
+  const checkIns = checkInsSnapshot.docs.map(doc => doc.data());
+  const checkInsByDate = new Map();
+  checkIns.forEach(checkIn => {
+    const timestamp = checkIn.timestamp.toDate();
+    const localDate = DateTime.fromJSDate(timestamp, { zone: timezone }).toISODate();
+    if (!checkInsByDate.has(localDate)) checkInsByDate.set(localDate, []);
+    checkInsByDate.get(localDate).push({ timestamp, scheduledFor: checkIn.scheduledFor });
+  });
+  
+  // Expected and completed slots day by day (weekday slots and exceptions vary the count);
+  // vacation mode is only known for today
+  let expected = 0;
+  let completed = 0;
+  let missed = 0;
+  for (let day = periodStart; day <= today; day = day.plus({ days: 1 })) {
+    const localDate = day.toISODate();
+    const summary = buildDailySummary({
+      schedule,
+      localDate,
+      timezone,
+      checkIns: checkInsByDate.get(localDate) || [],
+      checkInWindow,
+      vacation: vacationMode && localDate === today.toISODate(),
+      until: now,
+    });
+    expected += summary.scheduled;
+    completed += summary.completed;
+    missed += summary.missed;
+  }
+  
+  // Daily digests show the latest mood, weekly ones the most common
+  let mood = null;
+  if (days === 1) {
+    mood = checkIns.find(checkIn => checkIn.mood)?.mood || null;
+  } else {
+    const moodCounts = {};
+    checkIns.filter(checkIn => checkIn.mood).forEach(checkIn => {
+      moodCounts[checkIn.mood] = (moodCounts[checkIn.mood] || 0) + 1;
+    });
+    mood = Object.entries(moodCounts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  }
+  
+  return {
+    seniorId,
+    seniorName: profileDoc.exists ? (profileDoc.data()?.displayName || null) : null,
+    startDate: periodStart.toISODate(),
+    endDate: today.toISODate(),
+    checkIns: checkInsSnapshot.size,
+    completed,
+    expected,
+    missed,
+    alerts: activitySnapshot.docs.filter(doc => doc.data().isAlert).length,
+    games: gamesSnapshot.size,
+    mood,
+    vacationMode,
+  };
+}
+
+/**
+ * Build, store and send one recipient's digest
+ * The digest doc id is "{period}_{localDate}", so a re-run in the same hour sends nothing.
+ * @param {string} recipientId - Family member's user ID
+ * @param {Array<string>} seniorIds - Seniors the recipient is connected to
+ * @param {{period: string, localNow: DateTime, timezone: string}} schedule
+ * @param {Map<string, Promise<Object>>} summaryCache - Shared per run, keyed by "{period}:{seniorId}"
+ * @returns {Promise<Object|null>} - Delivery result, or null if already sent
+ */
+async function sendDigestToRecipient(recipientId, seniorIds, { period, localNow, timezone }, summaryCache) {
+  const days = period === "weekly" ? 7 : 1;
+  const now = localNow.toJSDate();
+  const digestId = `${period}_${localNow.toISODate()}`;
+  const digestRef = db.collection("users").doc(recipientId).collection("digests").doc(digestId);
+  
+  const seniors = await Promise.all(seniorIds.map(seniorId => {
+    const key = `${period}:${seniorId}`;
+    if (!summaryCache.has(key)) {
+      summaryCache.set(key, buildSeniorDigest(seniorId, days, now));
+    }
+    return summaryCache.get(key);
+  }));
+  
+  // Claim the digest; an existing doc means this period was already handled
+  try {
+    await digestRef.create({
+      period,
+      localDate: localNow.toISODate(),
+      timezone,
+      seniors,
+      createdAt: Timestamp.now(),
+    });
+  } catch (error) {
+    if (error.code === 6) return null; // ALREADY_EXISTS
+    throw error;
+  }
+  
+  const type = `${period}_digest`;
+  const result = await sendNotification(recipientId, type, { seniors }, {
+    data: { digestId, period },
+  });
+  const { title, body } = renderTemplate(type, { seniors }, result.language || DEFAULT_LANGUAGE);
+  
+  await digestRef.update({
+    title,
+    body,
+    notificationId: result.notificationId || null,
+    deliveryStatus: result.status,
+  });
+  
+  return result;
+}
+
+/**
+ * Seniors a digest recipient follows: their active connections that have a seniorStates doc
+ * @param {string} recipientId - Family member's user ID
+ * @returns {Promise<Array<string>>} - Senior user IDs
+ */
+async function getDigestSeniorIds(recipientId) {
+  const connectedIds = [...new Set((await getConnectedUsers(recipientId)).map(({ userId }) => userId))];
+  const stateDocs = await getAllInChunks(connectedIds.map(uid => db.collection("seniorStates").doc(uid)));
+  return connectedIds.filter((uid, i) => stateDocs[i].exists);
+}
+
+/**
+ * SCHEDULED: Send daily / weekly digests to family members
+ * Runs hourly (Cloud Scheduler).
+ * 
+ * Only recipients whose digestSchedules/{recipientId}.nextDigestAt has passed are read (paged),
+ * and only those get their connections loaded. Each gets at most one push per run, at the hour
+ * of their digest time (notificationPreferences.digest.time) in their own timezone; on their
+ * weekly day the weekly rollup replaces the daily digest. nextDigestAt then moves on to the
+ * next digest hour, so a timezone change applies from the digest after next.
+ * Digests can be switched off with notificationPreferences.types.daily_digest / weekly_digest.
+ * The digest is stored in users/{recipientId}/digests/{period}_{localDate} for in-app viewing.
+ */
+exports.sendFamilyDigests = onSchedule({
+  schedule: "0 * * * *",
+  timeZone: "UTC",
+  region: "us-central1",
+  timeoutSeconds: 540,
+  memory: "256MiB",
+}, async () => {
+  const startTime = Date.now();
+  const now = new Date();
+  logger.info("Starting family digest run");
+  
+  const stats = { recipients: 0, due: 0, sent: 0, skipped: 0, failed: 0 };
+  const summaryCache = new Map();
+  let lastDoc = null;
+  
+  try {
+    for (;;) {
+      let query = db.collection("digestSchedules")
+        .where("nextDigestAt", "<=", Timestamp.fromDate(now))
+        .orderBy("nextDigestAt")
+        .orderBy(FieldPath.documentId())
+        .limit(BATCH_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc.get("nextDigestAt"), lastDoc.id);
+      }
+      
+      const page = await query.get();
+      if (page.empty) break;
+      stats.recipients += page.size;
+      
+      // ========== Work out whose digest is due this hour ==========
+      const userRefs = page.docs.map(doc => db.collection("users").doc(doc.id).collection("data"));
+      const [profileDocs, preferenceDocs] = await Promise.all([
+        getAllInChunks(userRefs.map(ref => ref.doc("profile"))),
+        getAllInChunks(userRefs.map(ref => ref.doc("notificationPreferences"))),
+      ]);
+      
+      for (let i = 0; i < page.docs.length; i++) {
+        const recipientId = page.docs[i].id;
+        const timezone = resolveTimezone(profileDocs[i].exists ? profileDocs[i].data()?.timezone : null);
+        const preferences = normalizePreferences(preferenceDocs[i].exists ? preferenceDocs[i].data() : null);
+        const localNow = DateTime.fromJSDate(now, { zone: timezone });
+        const period = localNow.weekday === preferences.digest.weeklyDay ? "weekly" : "daily";
+        
+        // Not the digest hour (new recipient, or changed preferences) or switched off: just reschedule
+        if (localNow.hour === Math.floor(preferences.digest.time / 60) &&
+            preferences.types[`${period}_digest`] !== false) {
+          stats.due++;
+          try {
+            const seniorIds = await getDigestSeniorIds(recipientId);
+            const result = seniorIds.length > 0
+              ? await sendDigestToRecipient(recipientId, seniorIds, { period, localNow, timezone }, summaryCache)
+              : null;
+            
+            if (!result) stats.skipped++;
+            else if (result.successCount > 0) stats.sent++;
+            else stats.failed++;
+          } catch (error) {
+            stats.failed++;
+            logger.error(`Error sending ${period} digest to user ${recipientId}:`, { error: error.message });
+          }
+        }
+        
+        await page.docs[i].ref.update({
+          nextDigestAt: Timestamp.fromDate(getNextDigestAt(preferences.digest, timezone, now)),
+          updatedAt: Timestamp.now(),
+        }).catch(error => {
+          logger.error(`sendFamilyDigests: Failed to reschedule user ${recipientId}`, { error: error.message });
+        });
+      }
+      
+      lastDoc = page.docs[page.docs.length - 1];
+      if (page.size < BATCH_SIZE) break;
+    }
+    
+    const duration = Date.now() - startTime;
+    logger.info("Family digest run completed", { ...stats, durationMs: duration });
+    
+    return { ...stats, durationMs: duration };
+    
+  } catch (error) {
+    logger.error("Error in sendFamilyDigests:", { error: error.message });
+    throw error;
+  }
+});
+
+/**
+ * TRIGGER: Give both sides of an active connection a digest schedule
+ * digestSchedules/{userId}.nextDigestAt starts due, so the next sendFamilyDigests run
+ * works out the recipient's first digest hour; an existing schedule is left alone.
+ */
+exports.onConnectionWritten = onDocumentWritten({
+  document: "connections/{connectionId}",
+  region: "us-central1",
+}, async (event) => {
+  const data = event.data?.after?.exists ? event.data.after.data() : null;
+  if (data?.status !== "active") return;
+  
+  await Promise.all([data.familyId, data.seniorId].filter(Boolean).map(async (userId) => {
+    try {
+      await db.collection("digestSchedules").doc(userId).create({
+        nextDigestAt: Timestamp.now(),
+        createdAt: Timestamp.now(),
+      });
+      logger.info(`Created digestSchedules/${userId}`);
+    } catch (error) {
+      if (error.code !== 6) throw error; // ALREADY_EXISTS
+    }
+  }));
+});
+
+/**
+ * TRIGGER: Reschedule a recipient's digest when their notification preferences change
+ * Makes the schedule due, so the next sendFamilyDigests run picks up the new digest time.
+ */
+exports.onNotificationPreferencesWritten = onDocumentWritten({
+  document: "users/{userId}/data/notificationPreferences",
+  region: "us-central1",
+}, async (event) => {
+  const before = event.data?.before?.data?.()?.digest || null;
+  const after = event.data?.after?.data?.()?.digest || null;
+  if (JSON.stringify(before) === JSON.stringify(after)) return;
   
-  if (schedulesChanged || vacationToggled || newSenior) {
-    if (data.vacationMode) {
-      // Cancel task when vacation mode enabled
-      if (data.activeTaskId) {
-        await cancelCloudTask(data.activeTaskId);
-        await db.collection("users").doc(userId)
-          .collection("data").doc("seniorState")
-          .update({ activeTaskId: FieldValue.delete() });
-      }
-    } else {
-      // Schedule new task
-      await scheduleCheckInTask(userId);
-    }
+  try {
+    await db.collection("digestSchedules").doc(event.params.userId).update({
+      nextDigestAt: Timestamp.now(),
+      updatedAt: Timestamp.now(),
+    });
+  } catch (error) {
+    if (error.code !== 5) throw error; // NOT_FOUND: no connections yet
   }
-  
-  logger.info(`Synced seniorStates/${userId}`);
 });
 
+// ========== HEALTH REPORTS ==========
+
 /**
- * TRIGGER: Update nextExpectedCheckIn when a check-in is recorded
- * Cancels pending task and schedules new one for next day
+ * CALLABLE: Generate a senior's health report for a date range as PDF and CSV
+ * Request data: { seniorId, startDate: "yyyy-mm-dd", endDate: "yyyy-mm-dd" } (local days, inclusive)
+ * 
+ * - Caller must be the senior or one of their active connections
+ * - Collects check-ins (with their wellness answers), missed check-ins, wellness concerns,
+ *   game scores and SOS incidents in the senior's timezone (see report.js)
+ * - Files go to reports/{seniorId}/{reportId}/ in the default bucket; the links returned
+ *   expire after REPORT_URL_TTL_MINUTES (clean the files up with a bucket lifecycle rule)
+ * Returns { reportId, pdfUrl, csvUrl, expiresAt, summary }
  */
-exports.onCheckInRecorded = onDocumentWritten({
-  document: "users/{userId}/checkIns/{checkInId}",
+exports.generateHealthReport = onCall({
   region: "us-central1",
-}, async (event) => {
-  if (!event.data?.after?.exists || event.data?.before?.exists) {
-    return;
+  timeoutSeconds: 120,
+  memory: "512MiB",
+}, async (request) => {
+  const callerId = request.auth?.uid;
+  if (!callerId) {
+    throw new HttpsError("unauthenticated", "Sign in to download reports.");
   }
   
-  const userId = event.params.userId;
-  const checkInData = event.data.after.data();
-  const checkInTime = checkInData.timestamp?.toDate?.() || new Date();
+  const { seniorId, startDate, endDate } = request.data || {};
   
-  logger.info(`Check-in recorded for user ${userId}, rescheduling task`);
+  if (typeof seniorId !== "string" || !seniorId) {
+    throw new HttpsError("invalid-argument", "seniorId is required.");
+  }
+  const isDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && DateTime.fromISO(value).isValid;
+  if (!isDate(startDate) || !isDate(endDate)) {
+    throw new HttpsError("invalid-argument", "startDate and endDate must be dates (yyyy-mm-dd).");
+  }
+  const days = DateTime.fromISO(endDate).diff(DateTime.fromISO(startDate), "days").days + 1;
+  if (days < 1 || days > REPORT_MAX_DAYS) {
+    throw new HttpsError("invalid-argument", `The date range must be 1 to ${REPORT_MAX_DAYS} days.`);
+  }
   
-  const seniorStateRef = db.collection("users").doc(userId)
-    .collection("data").doc("seniorState");
+  if (callerId !== seniorId) {
+    const connectedUsers = await getConnectedUsers(seniorId);
+    if (!connectedUsers.some(cu => cu.userId === callerId)) {
+      throw new HttpsError("permission-denied", "You are not connected to this senior.");
+    }
+  }
+  
+  const userRef = db.collection("users").doc(seniorId);
+  const profileDoc = await userRef.collection("data").doc("profile").get();
+  const profile = profileDoc.exists ? profileDoc.data() : {};
+  const tz = resolveTimezone(profile.timezone);
+  
+  const from = Timestamp.fromDate(DateTime.fromISO(startDate, { zone: tz }).startOf("day").toJSDate());
+  const to = Timestamp.fromDate(DateTime.fromISO(endDate, { zone: tz }).plus({ days: 1 }).startOf("day").toJSDate());
+  const inRange = (collection, field) => userRef.collection(collection)
+    .where(field, ">=", from)
+    .where(field, "<", to)
+    .get();
+  
+  const [checkInsSnapshot, activitySnapshot, gamesSnapshot, incidentsSnapshot] = await Promise.all([
+    inRange("checkIns", "timestamp"),
+    inRange("activityLogs", "timestamp"),
+    inRange("gameResults", "timestamp"),
+    inRange("incidents", "createdAt"),
+  ]);
+  
+  const withDate = (snapshot, field) => snapshot.docs.map(doc => {
+    const data = doc.data();
+    return { ...data, [field]: data[field]?.toDate?.() || new Date(0) };
+  });
+  
+  const generatedAt = new Date();
+  const report = buildHealthReport({
+    senior: { name: profile.displayName || null, timezone: tz },
+    startDate,
+    endDate,
+    checkIns: withDate(checkInsSnapshot, "timestamp"),
+    activityLogs: withDate(activitySnapshot, "timestamp"),
+    gameResults: withDate(gamesSnapshot, "timestamp"),
+    sosIncidents: withDate(incidentsSnapshot, "createdAt").filter(incident => incident.type === "sos"),
+    generatedAt,
+  });
+  
+  const reportId = crypto.randomUUID();
+  const baseName = `reports/${seniorId}/${reportId}/health-report-${startDate}-to-${endDate}`;
+  const expiresAt = new Date(generatedAt.getTime() + REPORT_URL_TTL_MINUTES * 60 * 1000);
+  const bucket = getStorage().bucket();
   
   try {
-    // Fetch user timezone for timezone-aware calculations (external I/O outside transaction)
-    const userTimezone = await getUserTimezone(userId);
-    
-    // ========== Read state and cancel task OUTSIDE transaction ==========
-    const initialDoc = await seniorStateRef.get();
+    const upload = async (extension, contents, contentType) => {
+      const file = bucket.file(`${baseName}.${extension}`);
+      await file.save(contents, {
+        contentType,
+        resumable: false,
+        metadata: { metadata: { seniorId, requestedBy: callerId } },
+      });
+      const [url] = await file.getSignedUrl({ version: "v4", action: "read", expires: expiresAt });
+      return url;
+    };
     
-    if (initialDoc.exists) {
-      const initialState = initialDoc.data();
-      // Cancel existing task outside transaction (external I/O)
-      if (initialState.activeTaskId) {
-        await cancelCloudTask(initialState.activeTaskId);
-      }
-    }
+    const [pdfUrl, csvUrl] = await Promise.all([
+      upload("pdf", renderReportPdf(report), "application/pdf"),
+      upload("csv", renderReportCsv(report), "text/csv; charset=utf-8"),
+    ]);
     
-    // ========== Short transaction: re-read, validate, and update atomically ==========
-    await db.runTransaction(async (transaction) => {
-      const seniorStateDoc = await transaction.get(seniorStateRef);
-      
-      if (!seniorStateDoc.exists) return;
-      
-      const seniorState = seniorStateDoc.data();
-      
-      const schedules = seniorState.checkInSchedules || ["11:00 AM"];
-      const completedToday = seniorState.completedSchedulesToday || [];
-      
-      // Pass completedSchedulesToday for multi check-in support
-      const nextExpected = calculateNextExpectedCheckIn(
-        schedules, 
-        new Date(), 
-        checkInTime, 
-        userTimezone,
-        completedToday
-      );
-      
-      // Reset consecutive missed days on successful check-in
-      transaction.update(seniorStateRef, {
-        nextExpectedCheckIn: nextExpected ? Timestamp.fromDate(nextExpected) : FieldValue.delete(),
-        lastCheckIn: Timestamp.fromDate(checkInTime),
-        consecutiveMissedDays: 0, // Reset streak
-        activeTaskId: FieldValue.delete(), // Will be set by scheduleCheckInTask
-      });
-      
-      logger.info(`Updated nextExpectedCheckIn for ${userId}: ${nextExpected?.toISOString()}, completedSchedules: ${completedToday.length}`);
+    logger.info(`Health report ${reportId} generated for senior ${seniorId}`, {
+      requestedBy: callerId,
+      startDate,
+      endDate,
+      events: report.rows.length,
     });
     
-    // Schedule task for next check-in (outside transaction)
-    await scheduleCheckInTask(userId);
-    
+    return { reportId, pdfUrl, csvUrl, expiresAt: expiresAt.toISOString(), summary: report.summary };
   } catch (error) {
-    logger.error(`Error updating check-in for ${userId}:`, { error: error.message });
+    logger.error(`Error storing health report for senior ${seniorId}:`, { error: error.message });
+    throw new HttpsError("internal", "Could not generate the report. Please try again.");
   }
 });
 
 /**
- * SCHEDULED: Reset daily counters at midnight
- * 
- * RACE CONDITION FIX: Only reset if lastScheduleResetDate is from a previous day.
- * This prevents overwriting completedSchedulesToday if a user checks in between
- * the query snapshot and the batch commit.
+ * Append an event to an incident's timeline
+ * @param {string} seniorId - Senior's user ID
+ * @param {string} incidentId - Incident ID
+ * @param {string} eventType - e.g., "alert_sent", "reminder_sent", "resolved"
+ * @param {Object} details - Extra context for the event
  */
-exports.resetDailyCounters = onRequest({
-  region: "us-central1",
-  timeoutSeconds: 540,
-  memory: "256MiB",
-}, async (req, res) => {
-  // This can be called via Cloud Scheduler as a simple HTTP trigger
-  const startTime = Date.now();
-  logger.info("Starting daily counter reset");
+async function appendIncidentTimeline(seniorId, incidentId, eventType, details = {}) {
+  if (!incidentId) return;
+  try {
+    await db.collection("users").doc(seniorId)
+      .collection("incidents").doc(incidentId)
+      .update({
+        timeline: FieldValue.arrayUnion({ event: eventType, at: Timestamp.now(), ...details }),
+      });
+  } catch (error) {
+    logger.warn(`Could not append "${eventType}" to incident ${incidentId}:`, { error: error.message });
+  }
+}
 
-  let resetCount = 0;
-  let skippedCount = 0;
-  let batch = db.batch();
-  let batchCount = 0;
+/**
+ * Send the SOS alert (or a repeat reminder) to all connected users
+ * @param {string} userId - Senior's user ID
+ * @param {Object} sosData - seniorState data holding the SOS location fields
+ * @param {string|null} incidentId - SOS incident ID
+ * @param {number} reminderNumber - 0 for the initial alert, 1+ for reminders
+ * @returns {Promise<{recipients: number, successCount: number, failureCount: number}>}
+ */
+async function sendSosAlert(userId, sosData, incidentId, reminderNumber = 0) {
+  // Get senior's display name
+  const profileDoc = await db.collection("users").doc(userId)
+    .collection("data").doc("profile").get();
+  const seniorName = profileDoc.exists ? (profileDoc.data()?.displayName || null) : null;
+  
+  // Find all connected users (BIDIRECTIONAL)
+  // Query connections where user is EITHER seniorId OR familyId
+  // This supports users who can swap between Senior and Family roles
+  const connectedUsers = await getConnectedUsers(userId);
+  
+  if (connectedUsers.length === 0) {
+    logger.info(`No active family connections for user ${userId}`);
+    return { recipients: 0, successCount: 0, failureCount: 0 };
+  }
+  
+  // Collect connected user IDs
+  const connectedUserIds = connectedUsers.map(cu => cu.userId);
+  logger.info(`Found ${connectedUserIds.length} family members to notify`);
+  
+  // Get SOS location if available
+  const sosLatitude = sosData.sosLocationLatitude || null;
+  const sosLongitude = sosData.sosLocationLongitude || null;
+  const sosAddress = sosData.sosLocationAddress || null;
+  
+  // Fan out to every device of every connected user (invalid tokens are pruned)
+  const isReminder = reminderNumber > 0;
+  const results = await sendNotificationToUsers(
+    connectedUserIds,
+    isReminder ? "sos_reminder" : "sos_alert",
+    { seniorName, sosAddress },
+    {
+      data: {
+        type: "sos_alert",
+        seniorId: userId,
+        seniorName: seniorName || "Your family member",
+        incidentId,
+        reminderNumber,
+        // Include location data for client-side display
+        sosLatitude,
+        sosLongitude,
+        sosAddress,
+      },
+    }
+  );
+  
+  const { successCount, failureCount } = summarizeResults(results);
+  logger.info(`SOS FCM sent for user ${userId}`, { reminderNumber, successCount, failureCount });
   
-  // Get today's date at midnight in the default timezone for comparison
-  const todayStart = DateTime.now().setZone(TIMEZONE).startOf("day");
+  return {
+    recipients: connectedUserIds.length,
+    successCount,
+    failureCount,
+  };
+}
 
-  try {
-    // Query top-level collection for seniors with missed check-ins
-    const snapshot = await db.collection("seniorStates")
-      .where("missedCheckInsToday", ">", 0)
-      .get();
+/**
+ * Schedule the next SOS reminder as a Cloud Task
+ * The task name is stored on the incident so acknowledging/resolving can cancel it
+ * @param {string} userId - Senior's user ID
+ * @param {string} incidentId - SOS incident ID
+ * @param {number} reminderNumber - Reminder to send when the task fires (1-based)
+ */
+async function scheduleSosReminder(userId, incidentId, reminderNumber) {
+  if (reminderNumber > SOS_MAX_REMINDERS) {
+    logger.info(`SOS reminder limit reached for incident ${incidentId}`);
+    await appendIncidentTimeline(userId, incidentId, "reminders_exhausted", { reminders: SOS_MAX_REMINDERS });
+    return;
+  }
+  
+  const taskName = await enqueueTask({
+    target: "handleSosReminder",
+    payload: { userId, incidentId, reminderNumber, createdAt: new Date().toISOString() },
+    executeAt: new Date(Date.now() + SOS_REMINDER_INTERVAL_MINUTES * 60 * 1000),
+    logLabel: `SOS reminder ${reminderNumber} of incident ${incidentId}`,
+  });
+  
+  if (taskName) {
+    await db.collection("users").doc(userId)
+      .collection("incidents").doc(incidentId)
+      .update({ reminderTaskName: taskName })
+      .catch(error => logger.warn(`Could not store reminder task on incident ${incidentId}:`, { error: error.message }));
+  }
+}
 
-    for (const doc of snapshot.docs) {
-      const userId = doc.id;
-      const data = doc.data();
-      
-      // RACE CONDITION GUARD: Only reset if lastScheduleResetDate is from a previous day.
-      // This prevents clearing completedSchedulesToday if the user checked in after
-      // the snapshot was taken but before this batch commits.
-      const lastResetDate = data.lastScheduleResetDate?.toDate?.();
-      if (lastResetDate) {
-        const lastResetLuxon = DateTime.fromJSDate(lastResetDate).setZone(TIMEZONE).startOf("day");
-        if (lastResetLuxon >= todayStart) {
-          // Already reset today (possibly by a concurrent call or recent check-in logic)
-          logger.info(`Skipping reset for ${userId} - already reset today`);
-          skippedCount++;
-          continue;
-        }
+/**
+ * Handle the end of an SOS (sosActive true -> false)
+ * Resolves the incident, stops reminders and tells every connection who resolved it
+ * @param {string} userId - Senior's user ID
+ * @param {Object} beforeData - seniorState before the write
+ * @param {Object} afterData - seniorState after the write
+ */
+async function handleSosResolved(userId, beforeData, afterData) {
+  const incidentId = beforeData.activeSosIncidentId || afterData.activeSosIncidentId || null;
+  const resolvedBy = afterData.sosResolvedBy || null;
+  
+  logger.info(`SOS resolved for user ${userId}`, { incidentId, resolvedBy });
+  
+  if (incidentId) {
+    const incidentRef = db.collection("users").doc(userId).collection("incidents").doc(incidentId);
+    const incidentDoc = await incidentRef.get();
+    
+    if (incidentDoc.exists) {
+      const incident = incidentDoc.data();
+      if (incident.reminderTaskName) {
+        await cancelTask(incident.reminderTaskName);
       }
-      
-      const seniorStateRef = db.collection("users").doc(userId)
-        .collection("data").doc("seniorState");
-      
-      // Reset missed check-ins AND completedSchedulesToday for new day
-      batch.update(seniorStateRef, { 
-        missedCheckInsToday: 0,
-        completedSchedulesToday: [],
-        lastScheduleResetDate: Timestamp.now(),
-      });
-      batchCount++;
-      resetCount++;
-
-      if (batchCount >= BATCH_SIZE) {
-        await batch.commit();
-        batch = db.batch();
-        batchCount = 0;
+      if (incident.status !== "resolved") {
+        await incidentRef.update({
+          status: "resolved",
+          resolvedBy: resolvedBy || "sos_cleared",
+          resolvedAt: Timestamp.now(),
+        });
       }
     }
+  }
+  
+  // Get names for the notification
+  const [seniorProfile, resolverProfile] = await Promise.all([
+    db.collection("users").doc(userId).collection("data").doc("profile").get(),
+    resolvedBy
+      ? db.collection("users").doc(resolvedBy).collection("data").doc("profile").get()
+      : Promise.resolve(null),
+  ]);
+  const seniorName = seniorProfile.exists ? (seniorProfile.data()?.displayName || null) : null;
+  let resolverName = null;
+  if (resolvedBy === userId) {
+    resolverName = seniorName;
+  } else if (resolverProfile?.exists) {
+    resolverName = resolverProfile.data()?.displayName || "a family member";
+  }
+  
+  const connectedUsers = await getConnectedUsers(userId);
+  const results = await sendNotificationToUsers(
+    connectedUsers.map(cu => cu.userId),
+    "sos_resolved",
+    { seniorName, resolverName },
+    { data: { seniorId: userId, incidentId, resolvedBy } }
+  );
+  const successCount = summarizeResults(results).delivered;
+  
+  await appendIncidentTimeline(userId, incidentId, "resolution_announced", {
+    resolvedBy: resolvedBy || null,
+    notified: successCount,
+  });
+  
+  // Clear per-SOS bookkeeping so the next SOS starts fresh
+  await db.collection("users").doc(userId)
+    .collection("data").doc("seniorState")
+    .update({
+      activeSosIncidentId: FieldValue.delete(),
+      sosResolvedBy: FieldValue.delete(),
+    })
+    .catch(error => logger.warn(`Could not clear SOS bookkeeping for user ${userId}:`, { error: error.message }));
+  
+  logger.info(`SOS resolution notifications for user ${userId}: ${successCount}/${connectedUsers.length} sent`);
+}
 
-    if (batchCount > 0) {
-      await batch.commit();
+/**
+ * HTTP Handler: Called by Cloud Tasks to repeat an SOS alert until someone responds
+ * Stops when the incident is acknowledged/resolved or sosActive is false
+ */
+exports.handleSosReminder = onRequest({
+  region: CLOUD_TASKS_LOCATION,
+  timeoutSeconds: 60,
+  memory: "256MiB",
+}, async (req, res) => {
+  if (req.method !== "POST") {
+    logger.error("handleSosReminder: Invalid method", { method: req.method });
+    res.status(405).send("Method not allowed");
+    return;
+  }
+  
+  if (!await authorizeTaskRequest(req, res, "handleSosReminder")) {
+    return;
+  }
+  
+  let payload;
+  try {
+    payload = req.body;
+    if (typeof payload === "string") {
+      payload = JSON.parse(payload);
     }
-
-    const duration = Date.now() - startTime;
-    logger.info("Daily counter reset completed", { resetCount, skippedCount, durationMs: duration });
+  } catch (error) {
+    logger.error("Invalid SOS reminder payload:", { error: error.message });
+    res.status(400).send("Invalid payload");
+    return;
+  }
+  
+  const { userId, incidentId, reminderNumber } = payload || {};
+  
+  if (!userId || !incidentId || !Number.isInteger(reminderNumber)) {
+    logger.error("Missing required SOS reminder fields:", { userId, incidentId, reminderNumber });
+    res.status(400).send("Missing required fields");
+    return;
+  }
+  
+  try {
+    const [seniorStateDoc, incidentDoc] = await Promise.all([
+      db.collection("users").doc(userId).collection("data").doc("seniorState").get(),
+      db.collection("users").doc(userId).collection("incidents").doc(incidentId).get(),
+    ]);
     
-    res.status(200).json({ resetCount, skippedCount, durationMs: duration });
-
+    const seniorState = seniorStateDoc.exists ? seniorStateDoc.data() : {};
+    const incident = incidentDoc.exists ? incidentDoc.data() : null;
+    
+    if (!incident || incident.status !== "open") {
+      logger.info(`handleSosReminder: Incident ${incidentId} is ${incident?.status || "missing"} - EXITING`);
+      res.status(200).send("OK");
+      return;
+    }
+    
+    if (seniorState.sosActive !== true || seniorState.activeSosIncidentId !== incidentId) {
+      logger.info(`handleSosReminder: SOS no longer active for user ${userId} - EXITING`);
+      res.status(200).send("OK");
+      return;
+    }
+    
+    const result = await sendSosAlert(userId, seniorState, incidentId, reminderNumber);
+    await appendIncidentTimeline(userId, incidentId, "reminder_sent", { reminderNumber, ...result });
+    await scheduleSosReminder(userId, incidentId, reminderNumber + 1);
+    
+    res.status(200).send("OK");
   } catch (error) {
-    logger.error("Error in resetDailyCounters:", { error: error.message });
+    logger.error(`handleSosReminder ERROR for user ${userId}:`, { error: error.message, stack: error.stack });
     res.status(500).send("Internal error");
   }
 });
@@ -1319,7 +3868,9 @@ exports.resetDailyCounters = onRequest({
 /**
  * SOS Alert Trigger
  * Sends FCM push notification to all connected family members when senior triggers SOS
- * Includes 5-minute cooldown to prevent duplicate notifications
+ * Includes 1-minute cooldown to prevent duplicate notifications
+ * Repeats the alert via Cloud Tasks until someone responds, and announces the
+ * resolution when sosActive goes back to false
  */
 exports.onSOSTriggered = onDocumentWritten({
   document: "users/{userId}/data/seniorState",
@@ -1328,19 +3879,29 @@ exports.onSOSTriggered = onDocumentWritten({
   const beforeData = event.data?.before?.data() || {};
   const afterData = event.data?.after?.data() || {};
   
-  // Only trigger when sosActive changes from false to true
   const wasActive = beforeData.sosActive === true;
   const isActive = afterData.sosActive === true;
+  const userId = event.params.userId;
+  
+  // SOS ended (resolved by a family member or the senior)
+  if (wasActive && !isActive && event.data?.after?.exists) {
+    try {
+      await handleSosResolved(userId, beforeData, afterData);
+    } catch (error) {
+      logger.error(`Error handling SOS resolution for user ${userId}:`, { error: error.message });
+    }
+    return;
+  }
   
+  // Only trigger when sosActive changes from false to true
   if (wasActive || !isActive) {
     // SOS was not just triggered (either was already active, or is now inactive)
     return;
   }
   
-  const userId = event.params.userId;
   logger.info(`SOS triggered by user ${userId}`);
   
-  // Check cooldown - don't send notification if one was sent within 5 minutes
+  // Check cooldown - don't send notification if one was sent within 1 minute
   const sosTriggeredAt = afterData.sosTriggeredAt?.toDate?.();
   const prevTriggeredAt = beforeData.sosTriggeredAt?.toDate?.();
   
@@ -1358,121 +3919,80 @@ exports.onSOSTriggered = onDocumentWritten({
   }
   
   try {
-    // Get senior's display name
-    const profileDoc = await db.collection("users").doc(userId)
-      .collection("data").doc("profile").get();
-    
-    const seniorName = profileDoc.exists 
-      ? (profileDoc.data()?.displayName || "Your family member")
-      : "Your family member";
-    
-    // Find all connected users (BIDIRECTIONAL)
-    // Query connections where user is EITHER seniorId OR familyId
-    // This supports users who can swap between Senior and Family roles
-    const connectedUsers = await getConnectedUsers(userId);
-    
-    if (connectedUsers.length === 0) {
-      logger.info(`No active family connections for user ${userId}`);
-      return;
+    // Open an SOS incident so family members can coordinate ("I'm handling it")
+    // Deterministic ID keeps trigger retries from opening duplicates
+    const incidentId = `sos_${userId}_${(sosTriggeredAt || new Date(event.time)).getTime()}`;
+    let incidentCreated = false;
+    try {
+      await db.collection("users").doc(userId).collection("incidents").doc(incidentId).create(buildIncident({
+        type: "sos",
+        seniorId: userId,
+        details: {
+          triggeredAt: afterData.sosTriggeredAt || Timestamp.now(),
+          latitude: afterData.sosLocationLatitude || null,
+          longitude: afterData.sosLocationLongitude || null,
+          address: afterData.sosLocationAddress || null,
+        },
+      }));
+      await event.data.after.ref.update({ activeSosIncidentId: incidentId });
+      incidentCreated = true;
+    } catch (incidentError) {
+      // A retried trigger finds its incident: the alert already went out
+      if (incidentError.code === 6) { // ALREADY_EXISTS
+        logger.info(`SOS incident ${incidentId} already exists for user ${userId} - EXITING`);
+        return;
+      }
+      // Any other failure: still alert, without an incident
+      logger.error(`Error creating SOS incident for user ${userId}:`, { error: incidentError.message });
     }
     
-    // Collect connected user IDs
-    const connectedUserIds = connectedUsers.map(cu => cu.userId);
-    logger.info(`Found ${connectedUserIds.length} family members to notify`);
+    const result = await sendSosAlert(userId, afterData, incidentId);
     
-    // Get FCM tokens for all connected users
-    const tokens = [];
-    for (const connectedUserId of connectedUserIds) {
-      try {
-        const connectedProfileDoc = await db.collection("users").doc(connectedUserId)
-          .collection("data").doc("profile").get();
-        
-        if (connectedProfileDoc.exists) {
-          const fcmToken = connectedProfileDoc.data()?.fcmToken;
-          if (fcmToken) {
-            tokens.push(fcmToken);
-          }
-        }
-      } catch (error) {
-        logger.warn(`Error fetching FCM token for connected user ${connectedUserId}:`, { error: error.message });
+    if (incidentCreated) {
+      await appendIncidentTimeline(userId, incidentId, "alert_sent", result);
+      
+      // Keep alerting until someone acknowledges or the SOS is cleared
+      if (result.recipients > 0) {
+        await scheduleSosReminder(userId, incidentId, 1);
       }
     }
     
-    if (tokens.length === 0) {
-      logger.info(`No FCM tokens found for connected users of ${userId}`);
+  } catch (error) {
+    logger.error(`Error handling SOS for user ${userId}:`, { error: error.message });
+  }
+});
+
+/**
+ * EMULATOR ONLY: Fire local tasks that are due
+ * Body or query: { now?: ISO string } - a virtual "current time" to fast-forward to
+ * (defaults to the real clock). Tasks enqueued by the handlers are fired too
+ * if already due, so one call runs the missed check-in chain up to `now`.
+ * Not exported outside the Functions emulator, so it is never deployed.
+ */
+if (process.env.FUNCTIONS_EMULATOR === "true") {
+  exports.runLocalTasks = onRequest({
+    region: "us-central1",
+  }, async (req, res) => {
+    const queue = getTaskQueue();
+    if (queue.name !== "local") {
+      res.status(400).send(`Task queue backend is "${queue.name}", not local`);
       return;
     }
     
-    // Get SOS location if available
-    const sosLatitude = afterData.sosLocationLatitude || null;
-    const sosLongitude = afterData.sosLocationLongitude || null;
-    const sosAddress = afterData.sosLocationAddress || null;
-    
-    // Build notification body with location if available
-    let notificationBody = `${seniorName} needs help! Tap to respond.`;
-    if (sosAddress) {
-      notificationBody = `${seniorName} needs help at ${sosAddress}. Tap to respond.`;
+    const nowParam = req.body?.now || req.query.now;
+    const now = nowParam ? new Date(nowParam) : new Date();
+    if (isNaN(now.getTime())) {
+      res.status(400).send("Invalid now");
+      return;
     }
     
-    // Send FCM notification to all family members
-    const message = {
-      tokens,
-      notification: {
-        title: "🚨 SOS Alert!",
-        body: notificationBody,
-      },
-      data: {
-        type: "sos_alert",
-        seniorId: userId,
-        seniorName,
-        source: "server",
-        timestamp: new Date().toISOString(),
-        // Include location data for client-side display
-        ...(sosLatitude && { sosLatitude: String(sosLatitude) }),
-        ...(sosLongitude && { sosLongitude: String(sosLongitude) }),
-        ...(sosAddress && { sosAddress }),
-      },
-      android: {
-        priority: "high",
-        notification: {
-          channelId: "sos_alerts",
-          priority: "max",
-          sound: "default",
-        },
-      },
-      apns: {
-        payload: {
-          aps: {
-            sound: "default",
-            badge: 1,
-            alert: {
-              title: "🚨 SOS Alert!",
-              body: notificationBody,
-            },
-          },
-        },
-        headers: {
-          "apns-priority": "10",
-        },
-      },
-    };
-    
-    const response = await getMessaging().sendEachForMulticast(message);
-    logger.info(`SOS FCM sent for user ${userId}`, {
-      successCount: response.successCount,
-      failureCount: response.failureCount,
-    });
-    
-    // Handle any failures
-    if (response.failureCount > 0) {
-      response.responses.forEach((resp, idx) => {
-        if (!resp.success) {
-          logger.warn(`FCM send failed for token ${idx}:`, { error: resp.error?.message });
-        }
-      });
+    try {
+      const summary = await queue.runDue(now);
+      logger.info("Local tasks run completed", { now: now.toISOString(), ...summary });
+      res.status(200).json({ now: now.toISOString(), ...summary });
+    } catch (error) {
+      logger.error("Error in runLocalTasks:", { error: error.message });
+      res.status(500).send("Internal error");
     }
-    
-  } catch (error) {
-    logger.error(`Error handling SOS for user ${userId}:`, { error: error.message });
-  }
-});
+  });
+}
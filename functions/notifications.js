@@ -0,0 +1,987 @@
+/**
+ * Notification dispatcher for SafeCheck push notifications
+ *
+ * - Named templates rendered per recipient in their preferred language
+ *   (profile.preferredLanguage, else the locale of their most recently seen device,
+ *   else DEFAULT_LANGUAGE)
+ * - One delivery profile per Android channel so channel IDs, priorities and
+ *   APNs settings are consistent everywhere
+ * - Fans out to every registered device (users/{uid}/devices) and prunes invalid tokens
+ * - Returns a structured result per recipient so callers can log and retry
+ * - Recipient preferences (users/{uid}/data/notificationPreferences) can suppress
+ *   a send: per-type on/off, per-connection mute or high priority, and quiet hours
+ *   in the recipient's own timezone. Critical templates (SOS, escalation) always go out.
+ * - Every send is recorded in the top-level notifications collection; transient
+ *   failures are marked retry_pending with exponential backoff and picked up by
+ *   retryDueNotifications (see exports.retryFailedNotifications)
+ *
+ * Channel IDs must match the channels created in lib/services/notification_service.dart
+ */
+
+const { getFirestore, Timestamp, FieldValue } = require("firebase-admin/firestore");
+const { getMessaging } = require("firebase-admin/messaging");
+const logger = require("firebase-functions/logger");
+const { DateTime } = require("luxon");
+
+const {
+  TIMEZONE,
+  BATCH_SIZE,
+  DIGEST_DEFAULT_TIME_MINUTES,
+  DIGEST_DEFAULT_WEEKLY_DAY,
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_BASE_MINUTES,
+  NOTIFICATION_RETRY_LEASE_MINUTES,
+} = require("./constants");
+
+const DEFAULT_LANGUAGE = "en";
+
+/**
+ * Delivery profiles (Android channel + priorities + APNs settings)
+ */
+const DELIVERY_PROFILES = {
+  // Reminders to the senior themselves
+  reminder: {
+    channelId: "check_in_reminders",
+    androidPriority: "high",
+    notificationPriority: "high",
+    apnsPriority: "10",
+  },
+  // Alerts to family members about a senior
+  alert: {
+    channelId: "high_importance_channel",
+    androidPriority: "high",
+    notificationPriority: "max",
+    apnsPriority: "10",
+  },
+  // SOS emergencies
+  sos: {
+    channelId: "sos_alerts",
+    androidPriority: "high",
+    notificationPriority: "max",
+    apnsPriority: "10",
+  },
+  // Informational follow-ups (someone is handling it, resolved, ...)
+  info: {
+    channelId: "high_importance_channel",
+    androidPriority: "high",
+    notificationPriority: "default",
+    apnsPriority: "5",
+  },
+};
+
+/**
+ * Named templates
+ * Each language maps to { title(params), body(params) }.
+ */
+const TEMPLATES = {
+  missed_checkin: {
+    profile: "reminder",
+    strings: {
+      en: {
+        title: (p) => p.missedCount > 1 ? "Multiple Missed Check-ins" : "Check-in Reminder",
+        body: (p) => p.missedCount > 1
+          ? `You've missed ${p.missedCount} check-ins today. Tap to check in now.`
+          : "You haven't checked in yet today. Tap to let your family know you're okay!",
+      },
+      ur: {
+        title: (p) => p.missedCount > 1 ? "متعدد چیک اِن چھوٹ گئے" : "چیک اِن کی یاد دہانی",
+        body: (p) => p.missedCount > 1
+          ? `آپ آج ${p.missedCount} چیک اِن چھوڑ چکے ہیں۔ ابھی چیک اِن کرنے کے لیے ٹیپ کریں۔`
+          : "آپ نے آج ابھی تک چیک اِن نہیں کیا۔ گھر والوں کو بتانے کے لیے ٹیپ کریں کہ آپ خیریت سے ہیں!",
+      },
+    },
+  },
+  checkin_window_reminder: {
+    profile: "reminder",
+    strings: {
+      en: {
+        title: () => "Time to check in",
+        body: (p) => p.closesAt
+          ? `Your ${p.slot || "scheduled"} check-in is still open until ${p.closesAt}. Tap to let your family know you're okay.`
+          : `Your ${p.slot || "scheduled"} check-in is still open. Tap to let your family know you're okay.`,
+      },
+      ur: {
+        title: () => "چیک اِن کا وقت",
+        body: (p) => p.closesAt
+          ? `آپ کا ${p.slot || "طے شدہ"} چیک اِن ${p.closesAt} تک کھلا ہے۔ گھر والوں کو بتانے کے لیے ٹیپ کریں کہ آپ خیریت سے ہیں۔`
+          : `آپ کا ${p.slot || "طے شدہ"} چیک اِن ابھی کھلا ہے۔ گھر والوں کو بتانے کے لیے ٹیپ کریں کہ آپ خیریت سے ہیں۔`,
+      },
+    },
+  },
+  family_missed_alert: {
+    profile: "alert",
+    strings: {
+      en: {
+        title: () => "Missed Check-in Alert",
+        body: (p) => `${p.seniorName || "A connected senior"} has missed a scheduled check-in. Please check on them.`,
+      },
+      ur: {
+        title: () => "چیک اِن چھوٹ گیا",
+        body: (p) => `${p.seniorName || "آپ کے خاندان کے ایک فرد"} کا ایک طے شدہ چیک اِن چھوٹ گیا ہے۔ براہ کرم ان کی خیریت معلوم کریں۔`,
+      },
+    },
+  },
+  wellness_concern: {
+    profile: "alert",
+    strings: {
+      en: {
+        title: () => "Wellness Check",
+        body: (p) => {
+          const name = p.seniorName || "A connected senior";
+          switch (p.concern) {
+            case "poor_sleep": return `${name} has reported poor sleep several days in a row. It may be worth checking in with them.`;
+            case "mood_drop": return `${name} is feeling much lower than usual today. It may be worth checking in with them.`;
+            case "energy_drop": return `${name} has much less energy than usual today. It may be worth checking in with them.`;
+            case "medication_skipped": return `${name} has skipped their medication more than once this week. Please check in with them.`;
+            default: return `${name}'s check-in answers look different from usual. It may be worth checking in with them.`;
+          }
+        },
+      },
+      ur: {
+        title: () => "خیریت کی جانچ",
+        body: (p) => {
+          const name = p.seniorName || "آپ کے خاندان کے ایک فرد";
+          switch (p.concern) {
+            case "poor_sleep": return `${name} نے کئی دن سے مسلسل کم نیند کی اطلاع دی ہے۔ ان کی خیریت معلوم کر لیں۔`;
+            case "mood_drop": return `${name} آج معمول سے کافی اداس محسوس کر رہے ہیں۔ ان کی خیریت معلوم کر لیں۔`;
+            case "energy_drop": return `${name} آج معمول سے کافی تھکے ہوئے ہیں۔ ان کی خیریت معلوم کر لیں۔`;
+            case "medication_skipped": return `${name} نے اس ہفتے ایک سے زیادہ بار دوا نہیں لی۔ براہ کرم ان کی خیریت معلوم کریں۔`;
+            default: return `${name} کے چیک اِن کے جوابات معمول سے مختلف ہیں۔ ان کی خیریت معلوم کر لیں۔`;
+          }
+        },
+      },
+    },
+  },
+  cognitive_decline: {
+    profile: "info",
+    // Opt-in: only sent when the recipient sets types.cognitive_decline to true
+    optIn: true,
+    strings: {
+      en: {
+        title: () => "Brain game trend",
+        body: (p) => `${p.seniorName || "A connected senior"}'s ${listDomains("en", p.domains)} scores have been lower for the past few weeks. It may be worth checking in with them.`,
+      },
+      ur: {
+        title: () => "دماغی کھیلوں کا رجحان",
+        body: (p) => `${p.seniorName || "آپ کے خاندان کے ایک فرد"} کے ${listDomains("ur", p.domains)} کے اسکور پچھلے چند ہفتوں سے کم ہیں۔ ان کی خیریت معلوم کر لیں۔`,
+      },
+    },
+  },
+  escalation: {
+    profile: "alert",
+    // Critical: ignores quiet hours, type toggles and connection mutes
+    critical: true,
+    strings: {
+      en: {
+        title: () => "Urgent: Check-ins Missed",
+        body: (p) => p.consecutiveMissedDays > 1
+          ? `${p.seniorName || "A connected senior"} has missed check-ins for ${p.consecutiveMissedDays} days in a row. Please check on them now.`
+          : `${p.seniorName || "A connected senior"} missed their ${p.missedSchedule} check-in and has not responded since. Please check on them now.`,
+      },
+      ur: {
+        title: () => "فوری: چیک اِن نہیں ہوئے",
+        body: (p) => p.consecutiveMissedDays > 1
+          ? `${p.seniorName || "آپ کے خاندان کے ایک فرد"} مسلسل ${p.consecutiveMissedDays} دن سے چیک اِن نہیں کر رہے۔ براہ کرم فوراً ان کی خیریت معلوم کریں۔`
+          : `${p.seniorName || "آپ کے خاندان کے ایک فرد"} نے ${p.missedSchedule} کا چیک اِن نہیں کیا اور تب سے کوئی جواب نہیں دیا۔ براہ کرم فوراً ان کی خیریت معلوم کریں۔`,
+      },
+    },
+  },
+  sos_alert: {
+    profile: "sos",
+    // Critical: ignores quiet hours, type toggles and connection mutes
+    critical: true,
+    strings: {
+      en: {
+        title: () => "🚨 SOS Alert!",
+        body: (p) => p.sosAddress
+          ? `${p.seniorName || "Your family member"} needs help at ${p.sosAddress}. Tap to respond.`
+          : `${p.seniorName || "Your family member"} needs help! Tap to respond.`,
+      },
+      ur: {
+        title: () => "🚨 SOS الرٹ!",
+        body: (p) => p.sosAddress
+          ? `${p.seniorName || "آپ کے خاندان کے فرد"} کو ${p.sosAddress} پر مدد کی ضرورت ہے۔ جواب دینے کے لیے ٹیپ کریں۔`
+          : `${p.seniorName || "آپ کے خاندان کے فرد"} کو مدد کی ضرورت ہے! جواب دینے کے لیے ٹیپ کریں۔`,
+      },
+    },
+  },
+  sos_reminder: {
+    profile: "sos",
+    // Critical: ignores quiet hours, type toggles and connection mutes
+    critical: true,
+    strings: {
+      en: {
+        title: () => "🚨 SOS Still Active!",
+        body: (p) => p.sosAddress
+          ? `${p.seniorName || "Your family member"} still needs help at ${p.sosAddress} and no one has responded yet. Tap to respond.`
+          : `${p.seniorName || "Your family member"} still needs help and no one has responded yet. Tap to respond.`,
+      },
+      ur: {
+        title: () => "🚨 SOS ابھی بھی فعال ہے!",
+        body: (p) => p.sosAddress
+          ? `${p.seniorName || "آپ کے خاندان کے فرد"} کو ابھی بھی ${p.sosAddress} پر مدد کی ضرورت ہے اور کسی نے جواب نہیں دیا۔ جواب دینے کے لیے ٹیپ کریں۔`
+          : `${p.seniorName || "آپ کے خاندان کے فرد"} کو ابھی بھی مدد کی ضرورت ہے اور کسی نے جواب نہیں دیا۔ جواب دینے کے لیے ٹیپ کریں۔`,
+      },
+    },
+  },
+  sos_resolved: {
+    profile: "info",
+    strings: {
+      en: {
+        title: () => "SOS Resolved",
+        body: (p) => p.resolverName
+          ? `The SOS alert for ${p.seniorName || "your family member"} was resolved by ${p.resolverName}.`
+          : `The SOS alert for ${p.seniorName || "your family member"} has been resolved.`,
+      },
+      ur: {
+        title: () => "SOS حل ہو گیا",
+        body: (p) => p.resolverName
+          ? `${p.seniorName || "آپ کے خاندان کے فرد"} کا SOS الرٹ ${p.resolverName} نے حل کر دیا۔`
+          : `${p.seniorName || "آپ کے خاندان کے فرد"} کا SOS الرٹ حل ہو گیا ہے۔`,
+      },
+    },
+  },
+  incident_acknowledged: {
+    profile: "info",
+    strings: {
+      en: {
+        title: () => "Someone is responding",
+        body: (p) => `${p.actorName || "A family member"} is handling the ${p.incidentType === "sos" ? "SOS alert" : "missed check-in"} for ${p.seniorName || "your family member"}.`,
+      },
+      ur: {
+        title: () => "کوئی جواب دے رہا ہے",
+        body: (p) => `${p.actorName || "خاندان کا ایک فرد"} ${p.seniorName || "آپ کے خاندان کے فرد"} کے ${p.incidentType === "sos" ? "SOS الرٹ" : "چھوٹے ہوئے چیک اِن"} کو دیکھ رہے ہیں۔`,
+      },
+    },
+  },
+  incident_resolved: {
+    profile: "info",
+    strings: {
+      en: {
+        title: () => "Alert resolved",
+        body: (p) => `${p.actorName || "A family member"} resolved the ${p.incidentType === "sos" ? "SOS alert" : "missed check-in"} for ${p.seniorName || "your family member"}.`,
+      },
+      ur: {
+        title: () => "الرٹ حل ہو گیا",
+        body: (p) => `${p.actorName || "خاندان کے ایک فرد"} نے ${p.seniorName || "آپ کے خاندان کے فرد"} کا ${p.incidentType === "sos" ? "SOS الرٹ" : "چھوٹا ہوا چیک اِن"} حل کر دیا۔`,
+      },
+    },
+  },
+  vacation_started: {
+    profile: "info",
+    strings: {
+      en: {
+        title: () => "Vacation mode on",
+        body: (p) => {
+          const name = p.seniorName || "Your family member";
+          const reason = p.reason ? ` (${p.reason})` : "";
+          return p.untilDate
+            ? `${name} is on vacation${reason} until ${p.untilDate}. Check-in alerts are paused until then.`
+            : `${name} turned on vacation mode${reason}. Check-in alerts are paused until they turn it off.`;
+        },
+      },
+      ur: {
+        title: () => "چھٹی موڈ آن",
+        body: (p) => {
+          const name = p.seniorName || "آپ کے خاندان کے فرد";
+          const reason = p.reason ? ` (${p.reason})` : "";
+          return p.untilDate
+            ? `${name} ${p.untilDate} تک چھٹی پر ہیں${reason}۔ تب تک چیک اِن الرٹ بند ہیں۔`
+            : `${name} نے چھٹی موڈ آن کر دیا ہے${reason}۔ بند کرنے تک چیک اِن الرٹ نہیں آئیں گے۔`;
+        },
+      },
+    },
+  },
+  monitoring_resumed: {
+    profile: "info",
+    strings: {
+      en: {
+        title: () => "Check-ins resumed",
+        body: (p) => p.forSenior
+          ? "Welcome back! Your vacation has ended and daily check-ins are on again."
+          : `${p.seniorName || "Your family member"} is back from vacation. Check-in monitoring has resumed.`,
+      },
+      ur: {
+        title: () => "چیک اِن دوبارہ شروع",
+        body: (p) => p.forSenior
+          ? "خوش آمدید! آپ کی چھٹی ختم ہو گئی ہے اور روزانہ چیک اِن دوبارہ شروع ہو گئے ہیں۔"
+          : `${p.seniorName || "آپ کے خاندان کے فرد"} چھٹی سے واپس آ گئے ہیں۔ چیک اِن کی نگرانی دوبارہ شروع ہو گئی ہے۔`,
+      },
+    },
+  },
+  daily_digest: {
+    profile: "info",
+    strings: {
+      en: {
+        title: () => "Daily summary",
+        body: (p) => p.seniors.map(senior => digestLine("en", senior, false)).join("\n"),
+      },
+      ur: {
+        title: () => "روزانہ خلاصہ",
+        body: (p) => p.seniors.map(senior => digestLine("ur", senior, false)).join("\n"),
+      },
+    },
+  },
+  weekly_digest: {
+    profile: "info",
+    strings: {
+      en: {
+        title: () => "Weekly summary",
+        body: (p) => p.seniors.map(senior => digestLine("en", senior, true)).join("\n"),
+      },
+      ur: {
+        title: () => "ہفتہ وار خلاصہ",
+        body: (p) => p.seniors.map(senior => digestLine("ur", senior, true)).join("\n"),
+      },
+    },
+  },
+};
+
+// Cognitive domains (see cognitive.js) as shown in cognitive_decline
+const DOMAIN_LABELS = {
+  en: { memory: "memory", reaction_speed: "reaction speed", problem_solving: "problem solving", verbal: "word game" },
+  ur: { memory: "یادداشت", reaction_speed: "ردِ عمل کی رفتار", problem_solving: "مسئلہ حل کرنے", verbal: "الفاظ کے کھیل" },
+};
+
+/**
+ * Join domain labels ("memory and reaction speed")
+ */
+function listDomains(language, domains = []) {
+  const labels = domains.map(domain => DOMAIN_LABELS[language][domain] || domain);
+  if (labels.length <= 1) return labels[0] || "";
+  return `${labels.slice(0, -1).join(language === "ur" ? "، " : ", ")}${language === "ur" ? " اور " : " and "}${labels[labels.length - 1]}`;
+}
+
+// Check-in mood values (see senior_checkin_flow.dart) as shown in digests
+const MOOD_LABELS = {
+  en: { happy: "Good", neutral: "Okay", down: "Low", very_sad: "Very low" },
+  ur: { happy: "اچھا", neutral: "ٹھیک", down: "اداس", very_sad: "بہت اداس" },
+};
+
+/**
+ * One digest line for a senior, e.g. "Mom checked in 2/2 times today, mood Good, played 3 brain games"
+ * @param {string} language - "en" or "ur"
+ * @param {{seniorName: string|null, completed: number, expected: number, mood: string|null,
+ *   games: number, alerts: number, vacationMode: boolean}} senior - From buildSeniorDigest (index.js)
+ * @param {boolean} weekly - Weekly wording
+ */
+function digestLine(language, senior, weekly) {
+  const mood = senior.mood ? MOOD_LABELS[language][senior.mood] || null : null;
+
+  if (language === "ur") {
+    const name = senior.seniorName || "آپ کے خاندان کے فرد";
+    if (senior.vacationMode) return `${name}: چھٹی پر (نگرانی بند)`;
+    const parts = [`${name}: ${weekly ? "اس ہفتے" : "آج"} ${senior.completed}/${senior.expected} چیک اِن`];
+    if (mood) parts.push(`${weekly ? "زیادہ تر موڈ" : "موڈ"} ${mood}`);
+    parts.push(`${senior.games} دماغی کھیل`);
+    if (senior.alerts > 0) parts.push(`${senior.alerts} الرٹ`);
+    return parts.join("، ");
+  }
+
+  const name = senior.seniorName || "Your family member";
+  if (senior.vacationMode) return `${name} is on vacation (monitoring paused)`;
+  const parts = [weekly
+    ? `${name} completed ${senior.completed}/${senior.expected} check-ins this week`
+    : `${name} checked in ${senior.completed}/${senior.expected} times today`];
+  if (mood) parts.push(weekly ? `mostly ${mood}` : `mood ${mood}`);
+  parts.push(`played ${senior.games} brain game${senior.games === 1 ? "" : "s"}`);
+  if (senior.alerts > 0) parts.push(`${senior.alerts} alert${senior.alerts === 1 ? "" : "s"}`);
+  return parts.join(", ");
+}
+
+// Messaging client override (tests); null means firebase-admin's getMessaging()
+let messagingOverride = null;
+
+function getMessagingClient() {
+  return messagingOverride || getMessaging();
+}
+
+/**
+ * Override the FCM client (tests / emulator)
+ * Anything with sendEachForMulticast(message) works; pass null to restore the real client
+ */
+function setMessagingClient(client) {
+  messagingOverride = client;
+}
+
+// FCM error codes worth retrying later
+const TRANSIENT_ERROR_CODES = new Set([
+  "messaging/internal-error",
+  "messaging/server-unavailable",
+  "messaging/unavailable",
+  "messaging/quota-exceeded",
+  "messaging/message-rate-exceeded",
+  "messaging/device-message-rate-exceeded",
+]);
+
+/**
+ * Normalize a language tag ("ur-PK", "EN") to a supported template language
+ */
+function resolveLanguage(language) {
+  if (!language || typeof language !== "string") return DEFAULT_LANGUAGE;
+  const base = language.trim().toLowerCase().split(/[-_]/)[0];
+  return TEMPLATES.missed_checkin.strings[base] ? base : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Render a template's title and body
+ * @param {string} type - Template name (key of TEMPLATES)
+ * @param {Object} params - Template parameters
+ * @param {string} language - Recipient language
+ * @returns {{title: string, body: string}}
+ */
+function renderTemplate(type, params, language = DEFAULT_LANGUAGE) {
+  const template = TEMPLATES[type];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${type}`);
+  }
+  const strings = template.strings[resolveLanguage(language)] || template.strings[DEFAULT_LANGUAGE];
+  return { title: strings.title(params), body: strings.body(params) };
+}
+
+/**
+ * FCM data values must be strings; null/undefined entries are dropped
+ */
+function stringifyData(data = {}) {
+  const stringData = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value !== null && value !== undefined) {
+      stringData[key] = String(value);
+    }
+  }
+  return stringData;
+}
+
+/**
+ * Build an FCM message (without tokens) for a template
+ * @param {string} type - Template name
+ * @param {Object} params - Template parameters
+ * @param {string} language - Recipient language
+ * @param {Object} options
+ * @param {Object} options.data - Extra data payload (values are stringified, null/undefined dropped)
+ * @param {number} options.badge - iOS badge count
+ * @returns {Object}
+ */
+function buildMessage(type, params, language, { data = {}, badge = 1 } = {}) {
+  const { title, body } = renderTemplate(type, params, language);
+  const profile = DELIVERY_PROFILES[TEMPLATES[type].profile];
+  const stringData = stringifyData(data);
+
+  return {
+    notification: { title, body },
+    data: {
+      // The client routes on data.type; callers may override it (e.g. SOS reminders stay "sos_alert")
+      type,
+      source: "server",
+      timestamp: new Date().toISOString(),
+      click_action: "FLUTTER_NOTIFICATION_CLICK",
+      ...stringData,
+    },
+    android: {
+      priority: profile.androidPriority,
+      notification: {
+        channelId: profile.channelId,
+        priority: profile.notificationPriority,
+        sound: "default",
+        visibility: "public",
+      },
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: "default",
+          badge,
+          alert: { title, body },
+        },
+      },
+      headers: {
+        "apns-priority": profile.apnsPriority,
+      },
+    },
+  };
+}
+
+/**
+ * Check whether an FCM error means the token is permanently invalid
+ */
+function isInvalidTokenError(error) {
+  return error?.code === "messaging/invalid-registration-token" ||
+         error?.code === "messaging/registration-token-not-registered";
+}
+
+/**
+ * Parse an "HH:mm" (24h) clock time into minutes after midnight
+ * @returns {number|null}
+ */
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(typeof value === "string" ? value.trim() : "");
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Normalize a users/{uid}/data/notificationPreferences document
+ * Shape:
+ * {
+ *   quietHours: { enabled: boolean, start: "22:00", end: "07:00" },  // recipient's profile.timezone
+ *   types: { family_missed_alert: false, ... },                       // missing = enabled (opt-in templates: disabled)
+ *   connections: { [seniorId]: { muted: boolean, priority: "normal" | "high" } },
+ *   digest: { time: "20:00", weeklyDay: 7 }  // local send time; ISO weekday for the weekly rollup
+ * }
+ * Digests are switched on/off with types.daily_digest / types.weekly_digest.
+ * Invalid entries are ignored rather than rejected, so a bad client write never
+ * blocks alerts.
+ */
+function normalizePreferences(raw) {
+  const preferences = {
+    quietHours: null,
+    types: {},
+    connections: {},
+    digest: { time: DIGEST_DEFAULT_TIME_MINUTES, weeklyDay: DIGEST_DEFAULT_WEEKLY_DAY },
+  };
+  if (!raw || typeof raw !== "object") return preferences;
+
+  const quietHours = raw.quietHours;
+  if (quietHours?.enabled === true) {
+    const start = parseClockTime(quietHours.start);
+    const end = parseClockTime(quietHours.end);
+    if (start !== null && end !== null && start !== end) {
+      preferences.quietHours = { start, end };
+    } else {
+      logger.warn("Ignoring invalid quiet hours in notification preferences", { quietHours });
+    }
+  }
+
+  if (raw.types && typeof raw.types === "object") {
+    for (const [type, enabled] of Object.entries(raw.types)) {
+      if (TEMPLATES[type] && typeof enabled === "boolean") {
+        preferences.types[type] = enabled;
+      }
+    }
+  }
+
+  if (raw.connections && typeof raw.connections === "object") {
+    for (const [seniorId, setting] of Object.entries(raw.connections)) {
+      if (!setting || typeof setting !== "object") continue;
+      preferences.connections[seniorId] = {
+        muted: setting.muted === true,
+        priority: setting.priority === "high" ? "high" : "normal",
+      };
+    }
+  }
+
+  const digestTime = parseClockTime(raw.digest?.time);
+  if (digestTime !== null) {
+    preferences.digest.time = digestTime;
+  }
+  if (Number.isInteger(raw.digest?.weeklyDay) && raw.digest.weeklyDay >= 1 && raw.digest.weeklyDay <= 7) {
+    preferences.digest.weeklyDay = raw.digest.weeklyDay;
+  }
+
+  return preferences;
+}
+
+/**
+ * Check whether a moment falls inside quiet hours (windows may wrap past midnight)
+ * @param {{start: number, end: number}|null} quietHours - Minutes after midnight
+ * @param {string} timezone - Recipient's IANA timezone
+ * @param {Date} now - Moment to check
+ */
+function isWithinQuietHours(quietHours, timezone, now = new Date()) {
+  if (!quietHours) return false;
+
+  let local = DateTime.fromJSDate(now).setZone(timezone);
+  if (!local.isValid) {
+    local = DateTime.fromJSDate(now).setZone(TIMEZONE);
+  }
+  const minutes = local.hour * 60 + local.minute;
+
+  return quietHours.start < quietHours.end
+    ? minutes >= quietHours.start && minutes < quietHours.end
+    : minutes >= quietHours.start || minutes < quietHours.end;
+}
+
+/**
+ * Next start of the recipient's digest hour (the hour of preferences.digest.time), after now
+ * @param {{time: number}} digest - From normalizePreferences
+ * @param {string} timezone - Recipient's IANA timezone
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function getNextDigestAt(digest, timezone, now = new Date()) {
+  let local = DateTime.fromJSDate(now).setZone(timezone);
+  if (!local.isValid) {
+    local = DateTime.fromJSDate(now).setZone(TIMEZONE);
+  }
+
+  let next = local.startOf("day").set({ hour: Math.floor(digest.time / 60) });
+  if (next <= local) {
+    next = local.startOf("day").plus({ days: 1 }).set({ hour: Math.floor(digest.time / 60) });
+  }
+  return next.toJSDate();
+}
+
+/**
+ * Decide whether a recipient's preferences suppress a notification
+ * @param {Object} preferences - From normalizePreferences
+ * @param {string} type - Template name
+ * @param {string|null} seniorId - Senior the notification is about, if any
+ * @param {string} timezone - Recipient's timezone
+ * @param {Date} now - Current time
+ * @returns {string|null} - Suppression reason, or null to deliver
+ */
+function getSuppressionReason(preferences, type, seniorId, timezone, now = new Date()) {
+  if (TEMPLATES[type]?.critical) return null;
+
+  const enabled = preferences.types[type];
+  if (TEMPLATES[type]?.optIn ? enabled !== true : enabled === false) return "type_disabled";
+
+  const connection = seniorId ? preferences.connections[seniorId] : null;
+  if (connection?.muted) return "connection_muted";
+
+  // Seniors the recipient follows closely break through quiet hours
+  if (connection?.priority === "high") return null;
+
+  if (isWithinQuietHours(preferences.quietHours, timezone, now)) return "quiet_hours";
+
+  return null;
+}
+
+/**
+ * Load what's needed to deliver to a user: devices, language, timezone and preferences
+ * Tokens live in users/{uid}/devices/{deviceId} ({ token, platform, lastSeen }).
+ * The legacy single profile.fcmToken is included until that device re-registers.
+ * @param {string} userId - User ID
+ * @returns {Promise<{language: string, timezone: string, preferences: Object,
+ *   devices: Array<{token: string, ref: FirebaseFirestore.DocumentReference, legacy: boolean}>}>}
+ */
+async function getRecipient(userId) {
+  const userRef = getFirestore().collection("users").doc(userId);
+  const [devicesSnapshot, profileDoc, preferencesDoc] = await Promise.all([
+    userRef.collection("devices").get(),
+    userRef.collection("data").doc("profile").get(),
+    userRef.collection("data").doc("notificationPreferences").get(),
+  ]);
+
+  const profile = profileDoc.exists ? profileDoc.data() : {};
+  const seen = new Set();
+  const devices = [];
+  let deviceLocale = null;
+  let deviceLocaleSeenAt = -1;
+
+  devicesSnapshot.docs.forEach(doc => {
+    const { token, locale, lastSeen } = doc.data() || {};
+    // The app registers each device with its locale (devices/{token}.locale)
+    const seenAt = lastSeen?.toMillis?.() || 0;
+    if (typeof locale === "string" && seenAt > deviceLocaleSeenAt) {
+      deviceLocale = locale;
+      deviceLocaleSeenAt = seenAt;
+    }
+    if (!token || seen.has(token)) return;
+    seen.add(token);
+    devices.push({ token, ref: doc.ref, legacy: false });
+  });
+
+  const legacyToken = profile?.fcmToken;
+  if (legacyToken && !seen.has(legacyToken)) {
+    devices.push({ token: legacyToken, ref: profileDoc.ref, legacy: true });
+  }
+
+  return {
+    language: resolveLanguage(profile?.preferredLanguage || deviceLocale),
+    timezone: profile?.timezone || TIMEZONE,
+    preferences: normalizePreferences(preferencesDoc.exists ? preferencesDoc.data() : null),
+    devices,
+  };
+}
+
+/**
+ * Remove a token that FCM reported as invalid
+ * Device tokens delete their device doc; the legacy profile token is cleared
+ */
+async function pruneInvalidDeviceToken(userId, device) {
+  logger.warn(`Invalid FCM token for user ${userId}, pruning ${device.legacy ? "profile token" : `device ${device.ref.id}`}`);
+  try {
+    if (device.legacy) {
+      await device.ref.update({ fcmToken: FieldValue.delete() });
+    } else {
+      await device.ref.delete();
+    }
+  } catch (error) {
+    logger.error("Error clearing invalid token:", { error: error.message });
+  }
+}
+
+/**
+ * Render and send a template to all of a user's devices (a single attempt)
+ * Invalid tokens are pruned one by one.
+ * @param {string} userId - Recipient user ID
+ * @param {string} type - Template name
+ * @param {Object} params - Template parameters
+ * @param {{data?: Object, badge?: number}} options - See buildMessage
+ * @returns {Promise<{userId: string, type: string, language: string|null, status: string,
+ *   tokenCount: number, successCount: number, failureCount: number,
+ *   errorCodes: Array<string>, retryable: boolean}>}
+ *   status is "sent", "partial", "failed", "suppressed", "no_devices" or "error";
+ *   suppressed results also carry suppressedReason
+ */
+async function deliverNotification(userId, type, params, options) {
+  const result = {
+    userId,
+    type,
+    language: null,
+    status: "error",
+    tokenCount: 0,
+    successCount: 0,
+    failureCount: 0,
+    errorCodes: [],
+    retryable: false,
+  };
+
+  try {
+    const { language, timezone, preferences, devices } = await getRecipient(userId);
+    result.language = language;
+    result.tokenCount = devices.length;
+
+    const data = options.data || {};
+    const suppressedReason = getSuppressionReason(preferences, type, data.seniorId || data.seniorUserId || null, timezone);
+    if (suppressedReason) {
+      logger.info(`Suppressed ${type} notification to user ${userId}: ${suppressedReason}`);
+      result.status = "suppressed";
+      result.suppressedReason = suppressedReason;
+      return result;
+    }
+
+    if (devices.length === 0) {
+      logger.info(`No FCM tokens for user ${userId}, skipping ${type} notification`);
+      result.status = "no_devices";
+      return result;
+    }
+
+    const response = await getMessagingClient().sendEachForMulticast({
+      ...buildMessage(type, params, language, options),
+      tokens: devices.map(device => device.token),
+    });
+
+    result.successCount = response.successCount;
+    result.failureCount = response.failureCount;
+
+    for (let i = 0; i < response.responses.length; i++) {
+      const sendResult = response.responses[i];
+      if (sendResult.success) continue;
+
+      const code = sendResult.error?.code || "unknown";
+      if (!result.errorCodes.includes(code)) result.errorCodes.push(code);
+
+      if (isInvalidTokenError(sendResult.error)) {
+        await pruneInvalidDeviceToken(userId, devices[i]);
+      } else {
+        logger.warn(`FCM send failed for user ${userId} device ${i}:`, { error: sendResult.error?.message, code });
+      }
+    }
+
+    if (result.failureCount === 0) {
+      result.status = "sent";
+    } else {
+      result.status = result.successCount > 0 ? "partial" : "failed";
+    }
+    result.retryable = result.successCount === 0 &&
+      result.errorCodes.some(code => TRANSIENT_ERROR_CODES.has(code));
+  } catch (error) {
+    logger.error(`Error sending ${type} notification to user ${userId}:`, { error: error.message, code: error.code });
+    result.errorCodes.push(error.code || "unknown");
+    result.retryable = true;
+  }
+
+  return result;
+}
+
+/**
+ * Delivery log fields for an attempt
+ * Retryable failures are rescheduled with exponential backoff until
+ * NOTIFICATION_MAX_ATTEMPTS is reached.
+ * @param {Object} result - deliverNotification result
+ * @param {number} attemptCount - Attempts made so far (including this one)
+ */
+function buildAttemptFields(result, attemptCount) {
+  const willRetry = result.retryable && attemptCount < NOTIFICATION_MAX_ATTEMPTS;
+  const backoffMinutes = NOTIFICATION_RETRY_BASE_MINUTES * Math.pow(2, attemptCount - 1);
+
+  return {
+    status: willRetry ? "retry_pending" : result.status,
+    suppressedReason: result.suppressedReason || null,
+    errorCode: result.errorCodes[0] || null,
+    errorCodes: result.errorCodes,
+    attemptCount,
+    tokenCount: result.tokenCount,
+    successCount: result.successCount,
+    failureCount: result.failureCount,
+    lastAttemptAt: Timestamp.now(),
+    nextAttemptAt: willRetry
+      ? Timestamp.fromMillis(Date.now() + backoffMinutes * 60 * 1000)
+      : null,
+  };
+}
+
+/**
+ * Render and send a template to all of a user's devices, recording it in notifications/{id}
+ * The record keeps recipient, type, payload, status, error code and attempt count,
+ * so family members can see the alerts they were sent.
+ * @param {string} userId - Recipient user ID
+ * @param {string} type - Template name
+ * @param {Object} params - Template parameters
+ * @param {{data?: Object, badge?: number}} options - See buildMessage
+ * @returns {Promise<Object>} - deliverNotification result plus notificationId and willRetry
+ */
+async function sendNotification(userId, type, params = {}, options = {}) {
+  const logRef = getFirestore().collection("notifications").doc();
+  const result = await deliverNotification(userId, type, params, options);
+  const attemptFields = buildAttemptFields(result, 1);
+  const data = stringifyData(options.data);
+  const { title, body } = renderTemplate(type, params, result.language || DEFAULT_LANGUAGE);
+
+  result.notificationId = logRef.id;
+  result.willRetry = attemptFields.status === "retry_pending";
+
+  try {
+    await logRef.set({
+      recipientUserId: userId,
+      seniorId: data.seniorId || data.seniorUserId || null,
+      type,
+      language: result.language,
+      title,
+      body,
+      // Kept so a retry can rebuild the exact message
+      params: JSON.parse(JSON.stringify(params)),
+      data,
+      badge: options.badge ?? 1,
+      createdAt: Timestamp.now(),
+      ...attemptFields,
+    });
+  } catch (error) {
+    logger.error(`Error recording ${type} notification for user ${userId}:`, { error: error.message });
+  }
+
+  return result;
+}
+
+/**
+ * Retry a logged notification that is due
+ * The record is claimed in a transaction by pushing nextAttemptAt out by a lease,
+ * so overlapping sweeps don't double-send and a crashed attempt is picked up again.
+ * @param {string} notificationId - notifications/{id}
+ * @returns {Promise<Object|null>} - Delivery result, or null if not due / already claimed
+ */
+async function retryNotification(notificationId) {
+  const db = getFirestore();
+  const logRef = db.collection("notifications").doc(notificationId);
+
+  const record = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(logRef);
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    if (data.status !== "retry_pending" || data.nextAttemptAt?.toMillis() > Date.now()) {
+      return null;
+    }
+
+    transaction.update(logRef, {
+      nextAttemptAt: Timestamp.fromMillis(Date.now() + NOTIFICATION_RETRY_LEASE_MINUTES * 60 * 1000),
+    });
+    return data;
+  });
+
+  if (!record) return null;
+
+  const attemptCount = (record.attemptCount || 0) + 1;
+  const result = await deliverNotification(record.recipientUserId, record.type, record.params || {}, {
+    data: record.data,
+    badge: record.badge,
+  });
+  const attemptFields = buildAttemptFields(result, attemptCount);
+
+  result.notificationId = notificationId;
+  result.willRetry = attemptFields.status === "retry_pending";
+
+  await logRef.update(attemptFields)
+    .catch(error => logger.error(`Error updating notification ${notificationId}:`, { error: error.message }));
+
+  logger.info(`Notification ${notificationId} retry ${attemptCount}: ${attemptFields.status}`, {
+    recipientUserId: record.recipientUserId,
+    type: record.type,
+    errorCode: attemptFields.errorCode,
+  });
+  return result;
+}
+
+/**
+ * Retry every logged notification whose backoff has elapsed
+ * @returns {Promise<{due: number, delivered: number, rescheduled: number, failed: number}>}
+ */
+async function retryDueNotifications() {
+  const snapshot = await getFirestore().collection("notifications")
+    .where("status", "==", "retry_pending")
+    .where("nextAttemptAt", "<=", Timestamp.now())
+    .orderBy("nextAttemptAt")
+    .limit(BATCH_SIZE)
+    .get();
+
+  const summary = { due: snapshot.size, delivered: 0, rescheduled: 0, failed: 0 };
+
+  // Sequential on purpose: keeps FCM and Firestore load flat on large backlogs
+  for (const doc of snapshot.docs) {
+    const result = await retryNotification(doc.id);
+    if (!result) continue;
+
+    if (result.successCount > 0) summary.delivered++;
+    else if (result.willRetry) summary.rescheduled++;
+    else summary.failed++;
+  }
+
+  return summary;
+}
+
+/**
+ * Send a template to several users in parallel (each rendered in their own language)
+ * @param {Array<string>} userIds - Recipient user IDs
+ * @param {string} type - Template name
+ * @param {Object} params - Template parameters
+ * @param {Object} options - See buildMessage
+ * @returns {Promise<Array<Object>>} - One sendNotification result per recipient
+ */
+async function sendNotificationToUsers(userIds, type, params = {}, options = {}) {
+  return Promise.all(userIds.map(userId => sendNotification(userId, type, params, options)));
+}
+
+/**
+ * Summarize delivery results for logging
+ */
+function summarizeResults(results) {
+  return {
+    recipients: results.length,
+    delivered: results.filter(r => r.successCount > 0).length,
+    successCount: results.reduce((sum, r) => sum + r.successCount, 0),
+    failureCount: results.reduce((sum, r) => sum + r.failureCount, 0),
+  };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  DELIVERY_PROFILES,
+  TEMPLATES,
+  renderTemplate,
+  buildMessage,
+  normalizePreferences,
+  isWithinQuietHours,
+  getNextDigestAt,
+  getSuppressionReason,
+  sendNotification,
+  sendNotificationToUsers,
+  retryNotification,
+  retryDueNotifications,
+  summarizeResults,
+  setMessagingClient,
+};
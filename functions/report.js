@@ -0,0 +1,220 @@
+/**
+ * Health reports
+ *
+ * Pure functions (no Firestore or Storage access) behind generateHealthReport in index.js:
+ * buildHealthReport turns a senior's records for a date range into one report, which is
+ * rendered as CSV (one row per event) and as a plain-text PDF (summary, then the events).
+ *
+ * The PDF is written directly (PDF 1.4, built-in Helvetica) so the functions need no PDF
+ * library. Helvetica only covers Latin-1: other characters (e.g. Urdu names) print as "?"
+ * in the PDF but are kept in the CSV, which is UTF-8.
+ */
+
+const { DateTime } = require("luxon");
+
+const ANSWER_FIELDS = ["mood", "sleep", "energy", "medication"];
+
+/**
+ * Build a report from the raw records of a period
+ * @param {Object} options
+ * @param {{name: string|null, timezone: string}} options.senior
+ * @param {string} options.startDate - First local day (yyyy-mm-dd)
+ * @param {string} options.endDate - Last local day (yyyy-mm-dd), inclusive
+ * @param {Array<Object>} options.checkIns - checkIns data, timestamp as Date
+ * @param {Array<Object>} options.activityLogs - activityLogs data, timestamp as Date
+ * @param {Array<Object>} options.gameResults - gameResults data, timestamp as Date
+ * @param {Array<Object>} options.sosIncidents - sos incidents data, createdAt as Date
+ * @param {Date} options.generatedAt
+ * @returns {{senior: Object, startDate: string, endDate: string, generatedAt: Date,
+ *   summary: Object, answers: Object, rows: Array<{timestamp: Date, category: string, item: string, value: string}>}}
+ */
+function buildHealthReport({ senior, startDate, endDate, checkIns, activityLogs, gameResults, sosIncidents, generatedAt }) {
+  const rows = [];
+  const answers = Object.fromEntries(ANSWER_FIELDS.map(field => [field, {}]));
+
+  for (const checkIn of checkIns) {
+    const given = ANSWER_FIELDS.filter(field => typeof checkIn[field] === "string" && checkIn[field]);
+    given.forEach(field => { answers[field][checkIn[field]] = (answers[field][checkIn[field]] || 0) + 1; });
+    rows.push({
+      timestamp: checkIn.timestamp,
+      category: "check_in",
+      item: (checkIn.scheduledFor || []).join(" + ") || "check-in",
+      value: given.map(field => `${field}: ${checkIn[field]}`).join(", "),
+    });
+  }
+
+  const activities = { missed_check_in: 0, wellness_concern: 0 };
+  for (const log of activityLogs) {
+    if (log.activityType === "missed_check_in") {
+      activities.missed_check_in++;
+      rows.push({ timestamp: log.timestamp, category: "missed_check_in", item: log.metadata?.scheduledTime || "", value: "" });
+    } else if (log.activityType === "wellness_concern") {
+      activities.wellness_concern++;
+      rows.push({ timestamp: log.timestamp, category: "wellness_concern", item: log.metadata?.concern || "", value: "" });
+    }
+  }
+
+  for (const game of gameResults) {
+    rows.push({ timestamp: game.timestamp, category: "game", item: game.gameType || "", value: String(game.score ?? "") });
+  }
+
+  for (const incident of sosIncidents) {
+    rows.push({ timestamp: incident.createdAt, category: "sos", item: incident.details?.address || "", value: incident.status || "" });
+  }
+
+  rows.sort((a, b) => a.timestamp - b.timestamp);
+
+  const scores = gameResults.map(game => game.score).filter(score => typeof score === "number");
+  return {
+    senior,
+    startDate,
+    endDate,
+    generatedAt,
+    summary: {
+      checkIns: checkIns.length,
+      slotsCompleted: checkIns.reduce((sum, c) => sum + (Array.isArray(c.scheduledFor) ? c.scheduledFor.length : 1), 0),
+      missedCheckIns: activities.missed_check_in,
+      wellnessConcerns: activities.wellness_concern,
+      gamesPlayed: gameResults.length,
+      averageGameScore: scores.length ? Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length) : null,
+      sosEvents: sosIncidents.length,
+    },
+    answers,
+    rows,
+  };
+}
+
+/**
+ * Quote a CSV cell; cells that a spreadsheet would run as a formula are prefixed with '
+ */
+function csvCell(value) {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Render a report as CSV (one row per event, times in the senior's timezone)
+ * @param {Object} report - From buildHealthReport
+ * @returns {string}
+ */
+function renderReportCsv(report) {
+  const lines = [["date", "time", "category", "item", "value"]];
+  for (const row of report.rows) {
+    const local = DateTime.fromJSDate(row.timestamp, { zone: report.senior.timezone });
+    lines.push([local.toISODate(), local.toFormat("HH:mm"), row.category, row.item, row.value]);
+  }
+  return lines.map(line => line.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+const CATEGORY_LABELS = {
+  check_in: "Check-in",
+  missed_check_in: "Missed check-in",
+  wellness_concern: "Wellness concern",
+  game: "Brain game",
+  sos: "SOS",
+};
+
+/**
+ * Lines of the PDF version
+ * @returns {Array<{text: string, bold?: boolean}>}
+ */
+function getReportLines(report) {
+  const { senior, summary } = report;
+  const lines = [
+    { text: "Health Report", bold: true },
+    { text: `${senior.name || "Senior"}, ${report.startDate} to ${report.endDate} (${senior.timezone})` },
+    { text: `Generated ${DateTime.fromJSDate(report.generatedAt, { zone: senior.timezone }).toFormat("yyyy-MM-dd HH:mm")}` },
+    { text: "" },
+    { text: "Summary", bold: true },
+    { text: `Check-ins: ${summary.checkIns} (${summary.slotsCompleted} scheduled check-ins completed)` },
+    { text: `Missed check-ins: ${summary.missedCheckIns}` },
+    { text: `Wellness concerns: ${summary.wellnessConcerns}` },
+    { text: `Brain games played: ${summary.gamesPlayed}` +
+      (summary.averageGameScore === null ? "" : ` (average score ${summary.averageGameScore}/100)`) },
+    { text: `SOS events: ${summary.sosEvents}` },
+    { text: "" },
+    { text: "Wellness answers", bold: true },
+  ];
+  for (const field of ANSWER_FIELDS) {
+    const counts = Object.entries(report.answers[field]).sort((a, b) => b[1] - a[1]);
+    const text = counts.length ? counts.map(([answer, count]) => `${answer} x${count}`).join(", ") : "-";
+    lines.push({ text: `${field[0].toUpperCase()}${field.slice(1)}: ${text}` });
+  }
+  lines.push({ text: "" }, { text: "Events", bold: true });
+  if (report.rows.length === 0) lines.push({ text: "No events in this period." });
+  for (const row of report.rows) {
+    const local = DateTime.fromJSDate(row.timestamp, { zone: senior.timezone }).toFormat("yyyy-MM-dd HH:mm");
+    const detail = [row.item, row.value].filter(Boolean).join(" - ");
+    lines.push({ text: `${local}  ${CATEGORY_LABELS[row.category]}${detail ? `: ${detail}` : ""}` });
+  }
+  return lines;
+}
+
+/**
+ * Escape text for a PDF string, replacing what Helvetica (WinAnsi) can't show
+ */
+function pdfString(text) {
+  const latin1 = Array.from(text, ch => /[\x20-\x7e\xa0-\xff]/.test(ch) ? ch : "?").join("");
+  return `(${latin1.replace(/[\\()]/g, "\\$&")})`;
+}
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 14;
+const MAX_LINE_CHARS = 100;
+
+/**
+ * Render a report as a PDF
+ * @param {Object} report - From buildHealthReport
+ * @returns {Buffer}
+ */
+function renderReportPdf(report) {
+  const lines = getReportLines(report).map(line => ({
+    ...line,
+    text: line.text.length > MAX_LINE_CHARS ? `${line.text.slice(0, MAX_LINE_CHARS - 3)}...` : line.text,
+  }));
+  const linesPerPage = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+  const pages = [];
+  for (let i = 0; i < lines.length; i += linesPerPage) pages.push(lines.slice(i, i + linesPerPage));
+
+  // Objects 1-4: catalog, page tree, regular and bold font; then a page and its content per page
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${5 + i * 2} 0 R`).join(" ")}] /Count ${pages.length} >>`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>",
+  ];
+  pages.forEach((pageLines, i) => {
+    const text = pageLines
+      .map(line => `/F${line.bold ? 2 : 1} ${FONT_SIZE} Tf ${pdfString(line.text)} Tj T*`)
+      .join("\n");
+    const stream = `BT\n${LINE_HEIGHT} TL\n${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td\n${text}\n` +
+      `/F1 8 Tf ${pdfString(`Page ${i + 1} of ${pages.length}`)} Tj\nET`;
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`
+    );
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((object, i) => {
+    const offset = Buffer.byteLength(pdf, "latin1");
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = {
+  buildHealthReport,
+  renderReportCsv,
+  renderReportPdf,
+};
@@ -0,0 +1,601 @@
+/**
+ * Check-in schedule time helpers
+ *
+ * Pure functions (no Firestore access) shared by the check-in scheduler,
+ * escalation and daily-counter code in index.js. Kept separate so they can
+ * be unit tested without the emulator (see test/schedule.test.js).
+ *
+ * Schedules are display strings like "11:00 AM" interpreted as wall-clock
+ * times in the senior's IANA timezone; Luxon handles DST transitions.
+ *
+ * Every helper taking `schedules` accepts either the plain list (same times every
+ * day, seniorState.checkInSchedules) or a schedule object built by scheduleFromState:
+ *   {
+ *     daily: ["9:00 AM", "6:00 PM"],                 // checkInSchedules
+ *     weekdays: { "2": ["2:00 PM"], "7": [] },       // ISO weekday (1 = Monday) -> replaces daily; [] = none
+ *     exceptions: [                                   // one-off changes on a local date
+ *       { date: "2026-11-03", type: "skip" },                              // whole day
+ *       { date: "2026-11-04", type: "skip", slot: "9:00 AM" },
+ *       { date: "2026-11-05", type: "move", slot: "9:00 AM", to: "1:30 PM" },
+ *     ],
+ *   }
+ */
+
+const logger = require("firebase-functions/logger");
+const { DateTime } = require("luxon");
+
+const {
+  TIMEZONE,
+  DEFAULT_CHECK_IN_SCHEDULE,
+  CHECK_IN_WINDOW_MINUTES,
+  GRACE_PERIOD_MINUTES,
+  MAX_CHECK_IN_WINDOW_MINUTES,
+  MAX_GRACE_PERIOD_MINUTES,
+} = require("./constants");
+
+/**
+ * Parse a schedule time string (e.g., "11:00 AM") into hours and minutes
+ */
+function parseScheduleToTime(schedule) {
+  try {
+    if (!schedule || typeof schedule !== "string") return null;
+    
+    // First add space before AM/PM if missing, then normalize all whitespace
+    let normalized = schedule.trim().toUpperCase();
+    normalized = normalized.replace(/(AM|PM)$/i, " $1"); // Add space before AM/PM
+    normalized = normalized.replace(/\s+/g, " ").trim(); // Normalize to single spaces
+    
+    const parts = normalized.split(" ");
+    if (parts.length !== 2) return null;
+
+    const [time, period] = parts;
+    if (period !== "AM" && period !== "PM") return null;
+    
+    const timeParts = time.split(":");
+    if (timeParts.length !== 2) return null;
+
+    let hours = parseInt(timeParts[0], 10);
+    const minutes = parseInt(timeParts[1], 10);
+
+    if (isNaN(hours) || isNaN(minutes)) return null;
+    if (hours < 1 || hours > 12 || minutes < 0 || minutes > 59) return null;
+
+    if (period === "PM" && hours !== 12) hours += 12;
+    if (period === "AM" && hours === 12) hours = 0;
+
+    return { hours, minutes };
+  } catch (error) {
+    return null;
+  }
+}
+
+// How far ahead to look for the next day with check-ins (e.g. skipped weekends)
+const MAX_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Build the schedule object from a seniorState document
+ * Seniors without scheduleRules keep using the plain checkInSchedules list.
+ * @param {Object} state - seniorState data
+ * @returns {Array<string>|Object}
+ */
+function scheduleFromState(state) {
+  const daily = state?.checkInSchedules || [];
+  if (!state?.scheduleRules) return daily;
+  return {
+    daily,
+    weekdays: state.scheduleRules.weekdays || {},
+    exceptions: state.scheduleRules.exceptions || [],
+  };
+}
+
+/**
+ * Whether a senior still has only the default schedule (no custom times or weekday rules)
+ * Such seniors are not expected to check in on the day their account was created.
+ * @param {Object} state - seniorState data
+ * @returns {boolean}
+ */
+function hasOnlyDefaultSchedule(state) {
+  const schedules = state?.checkInSchedules || [DEFAULT_CHECK_IN_SCHEDULE];
+  return schedules.length === 1 &&
+    schedules[0].toUpperCase() === DEFAULT_CHECK_IN_SCHEDULE &&
+    !state?.scheduleRules;
+}
+
+/**
+ * Normalize a schedule list or object, dropping malformed weekday entries and exceptions
+ * @returns {{daily: Array<string>, weekdays: Object<string, Array<string>>, exceptions: Array<Object>}}
+ */
+function normalizeSchedule(schedules) {
+  if (!schedules || Array.isArray(schedules)) {
+    return { daily: schedules?.length ? schedules : ["11:00 AM"], weekdays: {}, exceptions: [] };
+  }
+  
+  const weekdays = {};
+  for (const [weekday, times] of Object.entries(schedules.weekdays || {})) {
+    if (/^[1-7]$/.test(weekday) && Array.isArray(times)) {
+      weekdays[weekday] = times;
+    }
+  }
+  
+  const exceptions = (Array.isArray(schedules.exceptions) ? schedules.exceptions : []).filter(exception =>
+    exception && /^\d{4}-\d{2}-\d{2}$/.test(exception.date || "") && (
+      (exception.type === "skip" && (!exception.slot || parseScheduleToTime(exception.slot))) ||
+      (exception.type === "move" && parseScheduleToTime(exception.slot) && parseScheduleToTime(exception.to))
+    )
+  );
+  
+  return {
+    daily: schedules.daily?.length ? schedules.daily : ["11:00 AM"],
+    weekdays,
+    exceptions,
+  };
+}
+
+/**
+ * Whether two schedule strings are the same time of day ("9:00 am" == "9:00 AM")
+ */
+function isSameScheduleTime(a, b) {
+  const first = parseScheduleToTime(a);
+  const second = parseScheduleToTime(b);
+  return Boolean(first && second && first.hours === second.hours && first.minutes === second.minutes);
+}
+
+/**
+ * Schedule times on one local date, after weekday overrides and exceptions
+ * @param {Array<string>|Object} schedules - Schedule list or object
+ * @param {DateTime|string} day - Luxon DateTime in the senior's timezone, or ISO date
+ * @returns {Array<string>}
+ */
+function getSchedulesForDate(schedules, day) {
+  const { daily, weekdays, exceptions } = normalizeSchedule(schedules);
+  const date = typeof day === "string" ? DateTime.fromISO(day) : day;
+  const isoDate = date.toISODate();
+  
+  let times = weekdays[String(date.weekday)] || daily;
+  for (const exception of exceptions) {
+    if (exception.date !== isoDate) continue;
+    if (exception.type === "skip") {
+      times = exception.slot ? times.filter(time => !isSameScheduleTime(time, exception.slot)) : [];
+    } else {
+      times = times.map(time => isSameScheduleTime(time, exception.slot) ? exception.to : time);
+    }
+  }
+  return times;
+}
+
+/**
+ * Earliest schedule time on the first later day (after nowInZone's date) that has any
+ * @param {Array<string>|Object} schedules - Schedule list or object
+ * @param {DateTime} nowInZone - Current time in the senior's timezone
+ * @returns {DateTime|null}
+ */
+function findEarliestOnLaterDay(schedules, nowInZone) {
+  for (let dayOffset = 1; dayOffset <= MAX_LOOKAHEAD_DAYS; dayOffset++) {
+    const day = nowInZone.plus({ days: dayOffset });
+    let earliest = null;
+    
+    for (const schedule of getSchedulesForDate(schedules, day)) {
+      const parsed = parseScheduleToTime(schedule);
+      if (!parsed) continue;
+      
+      const time = day.set({ 
+        hour: parsed.hours, 
+        minute: parsed.minutes, 
+        second: 0, 
+        millisecond: 0 
+      });
+      if (!earliest || time < earliest) {
+        earliest = time;
+      }
+    }
+    
+    if (earliest) return earliest;
+  }
+  return null;
+}
+
+/**
+ * Calculate the next expected check-in time based on schedules
+ * Uses Luxon for timezone-aware date handling
+ * For multi check-in support, considers which schedules are already completed today
+ * @param {Array<string>|Object} schedules - Check-in schedule times (list or schedule object)
+ * @param {Date} now - Current time
+ * @param {Date|null} lastCheckIn - Last check-in time
+ * @param {string|null} userTimezone - User's IANA timezone (optional, defaults to TIMEZONE constant)
+ * @param {Array<string>} completedSchedulesToday - List of schedule times already completed today
+ * @returns {Date|null} - JS Date object for caller compatibility
+ */
+function calculateNextExpectedCheckIn(schedules, now, lastCheckIn, userTimezone = null, completedSchedulesToday = []) {
+  // Use user's timezone if provided, otherwise fall back to default
+  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
+    ? userTimezone.trim() 
+    : TIMEZONE;
+  
+  // Convert to timezone-aware DateTime
+  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
+  const effectiveSchedules = getSchedulesForDate(schedules, nowInZone);
+  
+  // Normalize completed schedules for comparison
+  const completedSet = new Set(
+    (completedSchedulesToday || []).map(s => s.toUpperCase().trim())
+  );
+  
+  // Check if ALL past-due schedules are completed
+  const allPastDueCompleted = effectiveSchedules.every(schedule => {
+    const parsed = parseScheduleToTime(schedule);
+    if (!parsed) return true;
+    
+    const scheduleTime = nowInZone.set({ 
+      hour: parsed.hours, 
+      minute: parsed.minutes, 
+      second: 0, 
+      millisecond: 0 
+    });
+    
+    // If schedule hasn't passed yet, it doesn't count as past-due
+    if (scheduleTime > nowInZone) return true;
+    
+    // Check if this past-due schedule is completed
+    return completedSet.has(schedule.toUpperCase().trim());
+  });
+  
+  // Find next pending schedule today (not completed and in the future)
+  let nextPendingToday = null;
+  let earliestPastDueToday = null; // For "running late" detection
+  
+  for (const schedule of effectiveSchedules) {
+    const parsed = parseScheduleToTime(schedule);
+    if (!parsed) continue;
+    
+    const isCompleted = completedSet.has(schedule.toUpperCase().trim());
+    
+    const todayTime = nowInZone.set({ 
+      hour: parsed.hours, 
+      minute: parsed.minutes, 
+      second: 0, 
+      millisecond: 0 
+    });
+    
+    // Track earliest past-due incomplete schedule for "running late" detection
+    if (!isCompleted && todayTime <= nowInZone) {
+      if (!earliestPastDueToday || todayTime < earliestPastDueToday) {
+        earliestPastDueToday = todayTime;
+      }
+    }
+    
+    // Track next future schedule today that's not completed
+    if (!isCompleted && todayTime > nowInZone) {
+      if (!nextPendingToday || todayTime < nextPendingToday) {
+        nextPendingToday = todayTime;
+      }
+    }
+  }
+  
+  // Priority: 
+  // 1. Next pending future today
+  // 2. Past-due incomplete (for "running late" detection)
+  // 3. Earliest on the next day with check-ins (if all today's schedules are done or none today)
+  let result;
+  if (nextPendingToday) {
+    result = nextPendingToday;
+  } else if (earliestPastDueToday) {
+    result = earliestPastDueToday;
+  } else {
+    // All today's schedules done OR no past-due schedules - go to the next scheduled day
+    result = findEarliestOnLaterDay(schedules, nowInZone);
+  }
+  
+  return result ? result.toJSDate() : null;
+}
+
+/**
+ * Get list of schedule times that have passed but are not yet completed
+ * Used for multi check-in tracking
+ * @param {Array<string>|Object} schedules - All scheduled times (list or schedule object)
+ * @param {Array<string>} completedSchedules - Already completed schedules
+ * @param {Date} now - Current time
+ * @param {string} userTimezone - User's timezone
+ * @returns {Array<string>} - List of pending past-due schedules
+ */
+function getPendingSchedules(schedules, completedSchedules, now, userTimezone) {
+  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
+    ? userTimezone.trim() 
+    : TIMEZONE;
+  
+  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
+  const effectiveSchedules = getSchedulesForDate(schedules, nowInZone);
+  const completedSet = new Set(
+    (completedSchedules || []).map(s => s.toUpperCase().trim())
+  );
+  
+  const pending = [];
+  
+  for (const schedule of effectiveSchedules) {
+    const normalizedSchedule = schedule.toUpperCase().trim();
+    
+    // Skip if already completed
+    if (completedSet.has(normalizedSchedule)) continue;
+    
+    const parsed = parseScheduleToTime(schedule);
+    if (!parsed) continue;
+    
+    const scheduleTime = nowInZone.set({ 
+      hour: parsed.hours, 
+      minute: parsed.minutes, 
+      second: 0, 
+      millisecond: 0 
+    });
+    
+    // If schedule time has passed, it's pending
+    if (nowInZone >= scheduleTime) {
+      pending.push(normalizedSchedule);
+    }
+  }
+  
+  return pending;
+}
+
+/**
+ * Get the schedules a check-in made now satisfies
+ * Late check-ins resolve every past-due pending schedule (getPendingSchedules); an early
+ * check-in, with nothing past due, resolves only the nearest upcoming schedule today.
+ * @param {Array<string>|Object} schedules - All scheduled times (list or schedule object)
+ * @param {Array<string>} completedSchedules - Already completed schedules
+ * @param {Date} now - Check-in time
+ * @param {string} userTimezone - User's timezone
+ * @returns {Array<string>} - Normalized schedules to mark completed
+ */
+function getSchedulesToResolve(schedules, completedSchedules, now, userTimezone) {
+  const pending = getPendingSchedules(schedules, completedSchedules, now, userTimezone);
+  if (pending.length > 0) return pending;
+  
+  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
+    ? userTimezone.trim() 
+    : TIMEZONE;
+  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
+  const completedSet = new Set(
+    (completedSchedules || []).map(s => s.toUpperCase().trim())
+  );
+  
+  let nearest = null;
+  for (const schedule of getSchedulesForDate(schedules, nowInZone)) {
+    const normalizedSchedule = schedule.toUpperCase().trim();
+    if (completedSet.has(normalizedSchedule)) continue;
+    
+    const parsed = parseScheduleToTime(schedule);
+    if (!parsed) continue;
+    
+    const scheduleTime = nowInZone.set({ hour: parsed.hours, minute: parsed.minutes, second: 0, millisecond: 0 });
+    if (scheduleTime > nowInZone && (!nearest || scheduleTime < nearest.time)) {
+      nearest = { schedule: normalizedSchedule, time: scheduleTime };
+    }
+  }
+  
+  return nearest ? [nearest.schedule] : [];
+}
+
+/**
+ * Find the next future schedule time (for Cloud Task scheduling)
+ * Unlike calculateNextExpectedCheckIn which returns earliest missed for UI,
+ * this returns only schedules that are still in the future
+ * @param {Array<string>|Object} schedules - Check-in schedule times (list or schedule object)
+ * @param {Date} now - Current time
+ * @param {string|null} userTimezone - User's IANA timezone
+ * @returns {Date|null} - Next future schedule time, or null if none today
+ */
+function findNextFutureSchedule(schedules, now, userTimezone = null) {
+  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
+    ? userTimezone.trim() 
+    : TIMEZONE;
+  
+  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
+  const effectiveSchedules = getSchedulesForDate(schedules, nowInZone);
+  
+  logger.info(`findNextFutureSchedule DEBUG:`, {
+    schedules: effectiveSchedules,
+    rawNow: now.toISOString(),
+    timezone: tz,
+    nowInZone: nowInZone.toISO(),
+  });
+  
+  let nextFuture = null;
+  
+  for (const schedule of effectiveSchedules) {
+    const parsed = parseScheduleToTime(schedule);
+    
+    logger.info(`findNextFutureSchedule - parsing schedule "${schedule}":`, {
+      parsed: parsed ? JSON.stringify(parsed) : 'null (PARSE FAILED)',
+    });
+    
+    if (!parsed) continue;
+    
+    const todayTime = nowInZone.set({ 
+      hour: parsed.hours, 
+      minute: parsed.minutes, 
+      second: 0, 
+      millisecond: 0 
+    });
+    
+    const isFuture = todayTime > nowInZone;
+    logger.info(`findNextFutureSchedule - time comparison:`, {
+      schedule,
+      todayTimeISO: todayTime.toISO(),
+      nowInZoneISO: nowInZone.toISO(),
+      isFuture,
+      diffMs: todayTime.toMillis() - nowInZone.toMillis(),
+    });
+    
+    // Only consider future times for task scheduling
+    if (isFuture) {
+      if (!nextFuture || todayTime < nextFuture) {
+        nextFuture = todayTime;
+      }
+    }
+  }
+  
+  // Return next future today, or the earliest on the next day with check-ins
+  const earliestLater = nextFuture ? null : findEarliestOnLaterDay(schedules, nowInZone);
+  const result = nextFuture || earliestLater;
+  
+  logger.info(`findNextFutureSchedule - result:`, {
+    nextFuture: nextFuture?.toISO() || 'null',
+    earliestLater: earliestLater?.toISO() || 'null',
+    finalResult: result?.toISO() || 'null',
+  });
+  
+  return result ? result.toJSDate() : null;
+}
+
+/**
+ * List every schedule slot occurring in (now, now + horizonHours]
+ * Used to keep one Cloud Task per upcoming slot. Keys are "yyyyMMdd_HHmm" in the
+ * senior's timezone, so the same slot on the same local day always maps to the same key.
+ * @param {Array<string>|Object} schedules - Check-in schedule times (list or schedule object)
+ * @param {Date} now - Current time
+ * @param {string|null} userTimezone - User's IANA timezone
+ * @param {number} horizonHours - How far ahead to look (default 24h: each slot once)
+ * @returns {Array<{key: string, slot: string, localDate: string, scheduledTime: Date}>} - Sorted by time
+ */
+function getUpcomingSlots(schedules, now, userTimezone = null, horizonHours = 24) {
+  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
+    ? userTimezone.trim() 
+    : TIMEZONE;
+  
+  const nowInZone = DateTime.fromJSDate(now, { zone: tz });
+  const horizon = nowInZone.plus({ hours: horizonHours });
+  const slots = new Map();
+  
+  for (let dayOffset = 0; dayOffset <= Math.ceil(horizonHours / 24); dayOffset++) {
+    const day = nowInZone.plus({ days: dayOffset });
+    
+    for (const schedule of getSchedulesForDate(schedules, day)) {
+      const parsed = parseScheduleToTime(schedule);
+      if (!parsed) continue;
+      
+      const slotTime = day.set({ 
+        hour: parsed.hours, 
+        minute: parsed.minutes, 
+        second: 0, 
+        millisecond: 0 
+      });
+      if (slotTime <= nowInZone || slotTime > horizon) continue;
+      
+      // Key from the requested wall-clock time, not the DST-shifted one
+      const key = `${day.toFormat("yyyyMMdd")}_${String(parsed.hours).padStart(2, "0")}${String(parsed.minutes).padStart(2, "0")}`;
+      if (slots.has(key)) continue; // duplicate schedule entries
+      
+      slots.set(key, {
+        key,
+        slot: schedule.trim(),
+        localDate: day.toISODate(),
+        scheduledTime: slotTime.toJSDate(),
+      });
+    }
+  }
+  
+  return [...slots.values()].sort((a, b) => a.scheduledTime - b.scheduledTime);
+}
+
+/**
+ * Slot key ("yyyyMMdd_HHmm") for a schedule string on a local date
+ * @param {string} schedule - e.g. "9:00 AM"
+ * @param {string} localDate - ISO date in the senior's timezone, e.g. "2026-10-19"
+ * @returns {string|null} - null if the schedule can't be parsed
+ */
+function getSlotKey(schedule, localDate) {
+  const parsed = parseScheduleToTime(schedule);
+  if (!parsed || !localDate) return null;
+  return `${localDate.replace(/-/g, "")}_${String(parsed.hours).padStart(2, "0")}${String(parsed.minutes).padStart(2, "0")}`;
+}
+
+/**
+ * Format a moment as a schedule string ("9:05 PM") in the senior's timezone
+ * @param {Date} date - Moment to format
+ * @param {string|null} userTimezone - User's IANA timezone (defaults to TIMEZONE constant)
+ * @returns {string}
+ */
+function formatTimeToSchedule(date, userTimezone = null) {
+  if (!date) return "11:00 AM";
+  const tz = userTimezone && typeof userTimezone === 'string' && userTimezone.trim() 
+    ? userTimezone.trim() 
+    : TIMEZONE;
+  
+  let local = DateTime.fromJSDate(date, { zone: tz });
+  if (!local.isValid) {
+    local = DateTime.fromJSDate(date, { zone: TIMEZONE });
+  }
+  return local.setLocale("en-US").toFormat("h:mm a");
+}
+
+/**
+ * Deterministic activity log ID for a missed slot (idempotency across task retries)
+ * The slot is canonicalized first, so "9:00 am" and "09:00 AM" share a key.
+ * @param {string} userId - Senior's user ID
+ * @param {string} schedule - Slot string, e.g. "9:00 AM"
+ * @param {string} localDate - ISO date in the senior's timezone, e.g. "2026-10-19"
+ * @returns {string} - e.g. "missed_abc_900AM_2026-10-19"
+ */
+function getMissedCheckInKey(userId, schedule, localDate) {
+  const parsed = parseScheduleToTime(schedule);
+  const slot = parsed
+    ? DateTime.fromObject({ hour: parsed.hours, minute: parsed.minutes }, { zone: "UTC" }).setLocale("en-US").toFormat("h:mm a")
+    : String(schedule);
+  return `missed_${userId}_${slot.replace(/[^a-zA-Z0-9]/g, "")}_${localDate}`;
+}
+
+/**
+ * Resolve a senior's check-in window settings (seniorState.checkInWindow)
+ * Missing or invalid values fall back to the defaults in constants.js:
+ * - windowMinutes: how long a slot stays open (0 = due at the exact slot time)
+ * - graceMinutes: extra time after the window closes before the miss is declared
+ * - reminderMinutes: minutes after the slot time for the reminder push, at most the window
+ *   length (default: half of it); null or 0 turns the reminder off
+ * @param {Object|null} config - seniorState.checkInWindow
+ * @returns {{windowMinutes: number, graceMinutes: number, reminderMinutes: number|null}}
+ */
+function resolveCheckInWindow(config) {
+  const minutes = (value, fallback, max) =>
+    Number.isInteger(value) && value >= 0 && value <= max ? value : fallback;
+  
+  const windowMinutes = minutes(config?.windowMinutes, CHECK_IN_WINDOW_MINUTES, MAX_CHECK_IN_WINDOW_MINUTES);
+  const graceMinutes = minutes(config?.graceMinutes, GRACE_PERIOD_MINUTES, MAX_GRACE_PERIOD_MINUTES);
+  const reminderMinutes = config?.reminderMinutes === null
+    ? null
+    : minutes(config?.reminderMinutes, Math.floor(windowMinutes / 2), windowMinutes);
+  
+  return { windowMinutes, graceMinutes, reminderMinutes: reminderMinutes || null };
+}
+
+/**
+ * Key moments of one slot's check-in window
+ * @param {Date} scheduledTime - Slot time (window opens)
+ * @param {{windowMinutes: number, graceMinutes: number, reminderMinutes: number|null}} window - From resolveCheckInWindow
+ * @returns {{reminderAt: Date|null, closesAt: Date, deadline: Date}} - deadline is when the miss is declared
+ */
+function getSlotWindow(scheduledTime, window) {
+  const start = scheduledTime.getTime();
+  const closesAt = new Date(start + window.windowMinutes * 60 * 1000);
+  return {
+    reminderAt: window.reminderMinutes ? new Date(start + window.reminderMinutes * 60 * 1000) : null,
+    closesAt,
+    deadline: new Date(closesAt.getTime() + window.graceMinutes * 60 * 1000),
+  };
+}
+
+module.exports = {
+  parseScheduleToTime,
+  isSameScheduleTime,
+  formatTimeToSchedule,
+  getMissedCheckInKey,
+  scheduleFromState,
+  hasOnlyDefaultSchedule,
+  getSchedulesForDate,
+  calculateNextExpectedCheckIn,
+  getPendingSchedules,
+  getSchedulesToResolve,
+  findNextFutureSchedule,
+  getUpcomingSlots,
+  getSlotKey,
+  resolveCheckInWindow,
+  getSlotWindow,
+};
@@ -0,0 +1,129 @@
+/**
+ * Authentication for HTTP endpoints that only Cloud Tasks / Cloud Scheduler may call
+ * (task handlers and scheduled jobs)
+ *
+ * A request is accepted if it carries either:
+ * - an OIDC token (Authorization: Bearer ...) issued by Google for one of the allowed
+ *   service accounts, with the endpoint's URL as audience. Cloud Tasks attaches one
+ *   (see taskQueue.js); Cloud Scheduler jobs must be created with --oidc-service-account-email.
+ * - an HMAC-SHA256 of the raw body, hex encoded in the X-Task-Signature header,
+ *   keyed with TASKS_HMAC_SECRET. Every task we enqueue is signed when the secret is set,
+ *   which is also how the emulator's local queue authenticates.
+ *
+ * Allowed service accounts: TASKS_SERVICE_ACCOUNT (default: App Engine default SA)
+ * plus SCHEDULER_SERVICE_ACCOUNT, if set.
+ *
+ * Inside the Functions emulator requests are let through when no secret is configured.
+ */
+
+const crypto = require("crypto");
+const logger = require("firebase-functions/logger");
+const { OAuth2Client } = require("google-auth-library");
+
+const SIGNATURE_HEADER = "x-task-signature";
+
+let oauthClient = null;
+
+/**
+ * Service account whose OIDC token Cloud Tasks attaches to our tasks
+ * @returns {string}
+ */
+function getTasksServiceAccount() {
+  const projectId = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+  return process.env.TASKS_SERVICE_ACCOUNT || `${projectId}@appspot.gserviceaccount.com`;
+}
+
+/**
+ * Service accounts allowed to call task handlers and scheduled jobs
+ * @returns {Array<string>}
+ */
+function getAllowedServiceAccounts() {
+  return [getTasksServiceAccount(), process.env.SCHEDULER_SERVICE_ACCOUNT]
+    .filter(Boolean)
+    .map(email => email.toLowerCase());
+}
+
+/**
+ * HMAC signature of a request body (hex), or null if no secret is configured
+ * @param {string|Buffer} body - Exact bytes that will be sent
+ * @returns {string|null}
+ */
+function signPayload(body) {
+  const secret = process.env.TASKS_HMAC_SECRET;
+  if (!secret) return null;
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * Check the X-Task-Signature header against the raw body
+ * @returns {boolean}
+ */
+function hasValidSignature(req) {
+  const signature = req.get?.(SIGNATURE_HEADER) || req.headers?.[SIGNATURE_HEADER];
+  if (!signature || !process.env.TASKS_HMAC_SECRET) return false;
+
+  const body = req.rawBody ?? (typeof req.body === "string" ? req.body : JSON.stringify(req.body ?? {}));
+  const expected = Buffer.from(signPayload(body), "hex");
+  const received = Buffer.from(String(signature), "hex");
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Verify the Google-signed OIDC token in the Authorization header
+ * @param {Object} req - Express request
+ * @param {Array<string>} audiences - Accepted audiences
+ * @returns {Promise<string|null>} - Rejection reason, or null if valid
+ */
+async function checkOidcToken(req, audiences) {
+  const header = req.get?.("authorization") || req.headers?.authorization || "";
+  const match = /^Bearer\s+(.+)$/i.exec(header);
+  if (!match) return "missing_token";
+
+  try {
+    if (!oauthClient) oauthClient = new OAuth2Client();
+    const ticket = await oauthClient.verifyIdToken({ idToken: match[1], audience: audiences });
+    const claims = ticket.getPayload() || {};
+
+    if (!claims.email || claims.email_verified === false) return "token_without_email";
+    if (!getAllowedServiceAccounts().includes(claims.email.toLowerCase())) {
+      logger.warn("Rejected OIDC token from unexpected service account", { email: claims.email });
+      return "service_account_not_allowed";
+    }
+    return null;
+  } catch (error) {
+    logger.warn("Rejected invalid OIDC token", { error: error.message });
+    return "invalid_token";
+  }
+}
+
+/**
+ * Authenticate a request to a task handler or scheduled job
+ * @param {Object} req - Express request
+ * @param {Object} options
+ * @param {Array<string>} options.audiences - Accepted OIDC audiences (the endpoint's URL)
+ * @returns {Promise<{ok: boolean, method: string|null, reason: string|null}>}
+ */
+async function verifyTaskRequest(req, { audiences }) {
+  if (hasValidSignature(req)) {
+    return { ok: true, method: "hmac", reason: null };
+  }
+
+  const reason = await checkOidcToken(req, audiences.filter(Boolean));
+  if (!reason) {
+    return { ok: true, method: "oidc", reason: null };
+  }
+
+  if (process.env.FUNCTIONS_EMULATOR === "true" && !process.env.TASKS_HMAC_SECRET) {
+    return { ok: true, method: "emulator", reason: null };
+  }
+
+  return { ok: false, method: null, reason };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  getTasksServiceAccount,
+  getAllowedServiceAccounts,
+  signPayload,
+  verifyTaskRequest,
+};
@@ -0,0 +1,457 @@
+/**
+ * Task queue used for delayed HTTP calls to our own task handlers
+ * (handleMissedCheckIn, handleEscalationStep, handleSosReminder)
+ *
+ * A backend is any object with:
+ * - name: string
+ * - enqueue({ url, payload, executeAt, logLabel, taskId }) => Promise<string|null>  (task name, null on failure)
+ *   When taskId is given the task name is deterministic and enqueueing is idempotent:
+ *   if a task with that id already exists its name is returned instead of creating another.
+ * - cancel(taskName) => Promise<boolean>  (true if cancelled or already gone)
+ * - list() => Promise<Array<{name, url, payload, executeAt}>>  (pending tasks; used by the reconciler)
+ *
+ * Backends:
+ * - cloud: Google Cloud Tasks (production)
+ * - local: tasks stored in the localTasks Firestore collection and POSTed to the
+ *   handler by runDue(now) once `now` (real or virtual) passes executeAt.
+ *   Used under `firebase emulators:start`, driven by the runLocalTasks endpoint
+ *   or a poller (LOCAL_TASKS_POLL_SECONDS).
+ *
+ * Selection (see getTaskQueue):
+ * - TASK_QUEUE_BACKEND=cloud|local
+ * - otherwise local inside the Functions emulator, cloud everywhere else
+ *
+ * Target URLs come from getFunctionUrl, never from hard-coded hosts.
+ */
+
+const { getFirestore, Timestamp } = require("firebase-admin/firestore");
+const logger = require("firebase-functions/logger");
+const { CloudTasksClient } = require("@google-cloud/tasks");
+const { getTasksServiceAccount, signPayload } = require("./taskAuth");
+
+const {
+  CLOUD_TASKS_QUEUE,
+  CLOUD_TASKS_LOCATION,
+} = require("./constants");
+
+const LOCAL_TASKS_COLLECTION = "localTasks";
+const LOCAL_TASK_MAX_ATTEMPTS = 3;
+
+// Env vars that predate the generated HANDLE_..._URL names
+const LEGACY_URL_ENV = {
+  handleMissedCheckIn: "HANDLE_MISSED_CHECKIN_URL",
+};
+
+let activeQueue = null;
+
+function getProjectId() {
+  return process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT;
+}
+
+function isEmulator() {
+  return process.env.FUNCTIONS_EMULATOR === "true";
+}
+
+/**
+ * Env var that overrides a function's URL, e.g. handleEscalationStep -> HANDLE_ESCALATION_STEP_URL
+ */
+function getUrlEnvVar(functionName) {
+  return functionName.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase() + "_URL";
+}
+
+/**
+ * Resolve the HTTPS URL of one of our onRequest functions
+ * 1. <FUNCTION_NAME>_URL env var (plus legacy names)
+ * 2. FUNCTIONS_BASE_URL + "/" + functionName
+ * 3. Functions emulator: http://<FUNCTIONS_EMULATOR_HOST>/<project>/<region>/<functionName>
+ * 4. https://<region>-<project>.cloudfunctions.net/<functionName> (also serves v2 functions)
+ * @param {string} functionName - Exported function name, e.g. "handleMissedCheckIn"
+ * @returns {string}
+ */
+function getFunctionUrl(functionName) {
+  const override = process.env[getUrlEnvVar(functionName)] ||
+    (LEGACY_URL_ENV[functionName] && process.env[LEGACY_URL_ENV[functionName]]);
+  if (override) return override;
+
+  if (process.env.FUNCTIONS_BASE_URL) {
+    return `${process.env.FUNCTIONS_BASE_URL.replace(/\/+$/, "")}/${functionName}`;
+  }
+
+  const projectId = getProjectId();
+  // Task handlers are deployed next to the queue (region: CLOUD_TASKS_LOCATION)
+  const region = process.env.FUNCTIONS_REGION || CLOUD_TASKS_LOCATION;
+
+  if (isEmulator()) {
+    const host = process.env.FUNCTIONS_EMULATOR_HOST || "127.0.0.1:5001";
+    return `http://${host}/${projectId}/${region}/${functionName}`;
+  }
+
+  return `https://${region}-${projectId}.cloudfunctions.net/${functionName}`;
+}
+
+/**
+ * Request headers for a task body, signed when TASKS_HMAC_SECRET is set (see taskAuth.js)
+ * @param {string} body - JSON body as sent
+ */
+function buildTaskHeaders(body) {
+  const signature = signPayload(body);
+  return {
+    "Content-Type": "application/json",
+    ...(signature ? { "X-Task-Signature": signature } : {}),
+  };
+}
+
+/**
+ * Create a backend backed by Google Cloud Tasks
+ * Tasks carry an OIDC token for TASKS_SERVICE_ACCOUNT (default: App Engine default SA)
+ * with the target URL as audience
+ * @param {{client?: CloudTasksClient}} options
+ */
+function createCloudTasksQueue({ client = null } = {}) {
+  let tasksClient = client;
+  const getClient = () => {
+    if (!tasksClient) tasksClient = new CloudTasksClient();
+    return tasksClient;
+  };
+
+  async function enqueue({ url, payload, executeAt, logLabel, taskId = null }) {
+    const projectId = getProjectId();
+    const queuePath = getClient().queuePath(projectId, CLOUD_TASKS_LOCATION, CLOUD_TASKS_QUEUE);
+
+    const body = JSON.stringify(payload);
+
+    const task = {
+      ...(taskId ? { name: `${queuePath}/tasks/${taskId}` } : {}),
+      httpRequest: {
+        httpMethod: "POST",
+        url,
+        headers: buildTaskHeaders(body),
+        body: Buffer.from(body).toString("base64"),
+        oidcToken: {
+          serviceAccountEmail: getTasksServiceAccount(),
+          audience: url,
+        },
+      },
+      scheduleTime: {
+        seconds: Math.floor(executeAt.getTime() / 1000),
+      },
+    };
+
+    // Retry with exponential backoff (3 attempts: 1s, 2s, 4s delays)
+    const maxAttempts = 3;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const [response] = await getClient().createTask({
+          parent: queuePath,
+          task,
+        });
+
+        logger.info(`Created Cloud Task for ${logLabel}`, {
+          taskName: response.name,
+          url,
+          executeAt: executeAt.toISOString(),
+          attempt,
+        });
+
+        return response.name;
+      } catch (error) {
+        // Named task already exists (or ran / was deleted recently - Cloud Tasks
+        // reserves names for a while): treat as created
+        if (taskId && error.code === 6) { // ALREADY_EXISTS
+          logger.info(`Cloud Task for ${logLabel} already exists`, { taskName: task.name });
+          return task.name;
+        }
+
+        // Only retry on transient errors
+        const isTransient = error.code === 14 || // UNAVAILABLE
+                           error.code === 4 ||  // DEADLINE_EXCEEDED
+                           error.message?.includes("UNAVAILABLE");
+
+        if (!isTransient || attempt === maxAttempts) {
+          logger.error(`Error creating Cloud Task for ${logLabel} (attempt ${attempt}/${maxAttempts}):`, {
+            error: error.message,
+            code: error.code,
+          });
+          break;
+        }
+
+        // Exponential backoff: 1s, 2s, 4s
+        const delay = Math.pow(2, attempt - 1) * 1000;
+        logger.warn(`Retrying Cloud Task creation for ${logLabel} (attempt ${attempt}/${maxAttempts}), waiting ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+
+    return null;
+  }
+
+  async function cancel(taskName) {
+    try {
+      await getClient().deleteTask({ name: taskName });
+      logger.info(`Cancelled Cloud Task: ${taskName}`);
+      return true;
+    } catch (error) {
+      // Task may have already executed or been deleted
+      if (error.code === 5) { // NOT_FOUND
+        logger.info(`Task already gone: ${taskName}`);
+        return true;
+      }
+      logger.error(`Error cancelling Cloud Task:`, { taskName, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * List every task in the queue with its decoded JSON payload
+   * Needs the FULL response view (cloudtasks.tasks.fullView) to see request bodies.
+   */
+  async function list() {
+    const projectId = getProjectId();
+    const queuePath = getClient().queuePath(projectId, CLOUD_TASKS_LOCATION, CLOUD_TASKS_QUEUE);
+    const tasks = [];
+
+    for await (const task of getClient().listTasksAsync({ parent: queuePath, responseView: "FULL" })) {
+      let payload = null;
+      try {
+        const body = task.httpRequest?.body;
+        if (body && body.length) {
+          payload = JSON.parse(Buffer.from(body).toString("utf8"));
+        }
+      } catch (error) {
+        logger.warn(`Could not decode payload of Cloud Task ${task.name}:`, { error: error.message });
+      }
+
+      tasks.push({
+        name: task.name,
+        url: task.httpRequest?.url || null,
+        payload,
+        executeAt: task.scheduleTime?.seconds != null ? new Date(Number(task.scheduleTime.seconds) * 1000) : null,
+      });
+    }
+
+    return tasks;
+  }
+
+  return { name: "cloud", enqueue, cancel, list };
+}
+
+/**
+ * Create a backend that keeps tasks in Firestore (localTasks/{id}) and fires them itself
+ * Task names are "localTasks/{id}".
+ * @param {{fetchImpl?: Function}} options - fetchImpl lets tests capture the HTTP calls
+ */
+function createLocalTaskQueue({ fetchImpl = (...args) => fetch(...args) } = {}) {
+  const collection = () => getFirestore().collection(LOCAL_TASKS_COLLECTION);
+  const refForName = (taskName) => collection().doc(String(taskName).split("/").pop());
+
+  async function enqueue({ url, payload, executeAt, logLabel, taskId = null }) {
+    const ref = taskId ? collection().doc(taskId) : collection().doc();
+    try {
+      await ref.create({
+        url,
+        payload,
+        executeAt: Timestamp.fromDate(executeAt),
+        logLabel: logLabel || null,
+        status: "pending",
+        attempts: 0,
+        createdAt: Timestamp.now(),
+      });
+
+      const taskName = `${LOCAL_TASKS_COLLECTION}/${ref.id}`;
+      logger.info(`Created local task for ${logLabel}`, { taskName, url, executeAt: executeAt.toISOString() });
+      return taskName;
+    } catch (error) {
+      if (taskId && error.code === 6) { // ALREADY_EXISTS
+        logger.info(`Local task for ${logLabel} already exists`, { taskName: `${LOCAL_TASKS_COLLECTION}/${ref.id}` });
+        return `${LOCAL_TASKS_COLLECTION}/${ref.id}`;
+      }
+      logger.error(`Error creating local task for ${logLabel}:`, { error: error.message });
+      return null;
+    }
+  }
+
+  async function cancel(taskName) {
+    try {
+      await refForName(taskName).delete();
+      logger.info(`Cancelled local task: ${taskName}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error cancelling local task:`, { taskName, error: error.message });
+      return false;
+    }
+  }
+
+  async function list() {
+    const snapshot = await collection().where("status", "==", "pending").get();
+    return snapshot.docs.map(doc => ({
+      name: `${LOCAL_TASKS_COLLECTION}/${doc.id}`,
+      url: doc.get("url"),
+      payload: doc.get("payload"),
+      executeAt: doc.get("executeAt")?.toDate?.() || null,
+    }));
+  }
+
+  /**
+   * Claim a due task so concurrent runners don't fire it twice
+   * @returns {Promise<Object|null>} - Task data (attempts already incremented) or null
+   */
+  async function claim(ref, now) {
+    return getFirestore().runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return null;
+
+      const task = doc.data();
+      if (task.status !== "pending" || task.executeAt.toMillis() > now.getTime()) return null;
+
+      const attempts = (task.attempts || 0) + 1;
+      transaction.update(ref, { status: "running", attempts, startedAt: Timestamp.now() });
+      return { ...task, attempts };
+    });
+  }
+
+  async function fire(ref, task) {
+    try {
+      const body = JSON.stringify(task.payload);
+      const response = await fetchImpl(task.url, {
+        method: "POST",
+        headers: {
+          ...buildTaskHeaders(body),
+          // Same headers Cloud Tasks sets on HTTP targets
+          "X-CloudTasks-TaskName": ref.id,
+          "X-CloudTasks-TaskRetryCount": String(task.attempts - 1),
+        },
+        body,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Handler responded with HTTP ${response.status}`);
+      }
+
+      await ref.update({ status: "done", completedAt: Timestamp.now(), lastError: null });
+      return "succeeded";
+    } catch (error) {
+      const retry = task.attempts < LOCAL_TASK_MAX_ATTEMPTS;
+      logger.warn(`Local task ${ref.id} (${task.logLabel}) failed, attempt ${task.attempts}/${LOCAL_TASK_MAX_ATTEMPTS}:`, {
+        error: error.message,
+      });
+      // Retries become due again immediately; the next runDue call picks them up
+      await ref.update({
+        status: retry ? "pending" : "failed",
+        lastError: error.message,
+      });
+      return retry ? "retried" : "failed";
+    }
+  }
+
+  /**
+   * Fire every pending task whose executeAt is at or before `now`
+   * Tasks enqueued by handlers during the run are fired too if already due,
+   * so advancing a virtual clock runs the whole chain up to that point.
+   * @param {Date} now - Real or virtual current time
+   * @returns {Promise<{succeeded: number, retried: number, failed: number}>}
+   */
+  async function runDue(now = new Date()) {
+    const summary = { succeeded: 0, retried: 0, failed: 0 };
+    const maxRounds = 20;
+
+    for (let round = 0; round < maxRounds; round++) {
+      const snapshot = await collection()
+        .where("status", "==", "pending")
+        .where("executeAt", "<=", Timestamp.fromDate(now))
+        .orderBy("executeAt")
+        .limit(100)
+        .get();
+
+      if (snapshot.empty) break;
+
+      let fired = 0;
+      for (const doc of snapshot.docs) {
+        const task = await claim(doc.ref, now);
+        if (!task) continue;
+        fired++;
+        summary[await fire(doc.ref, task)]++;
+      }
+      if (fired === 0) break;
+    }
+
+    return summary;
+  }
+
+  return { name: "local", enqueue, cancel, list, runDue };
+}
+
+/**
+ * Get the active task queue, creating it from environment on first use
+ */
+function getTaskQueue() {
+  if (activeQueue) return activeQueue;
+
+  const selected = process.env.TASK_QUEUE_BACKEND || (isEmulator() ? "local" : "cloud");
+  activeQueue = selected === "local" ? createLocalTaskQueue() : createCloudTasksQueue();
+
+  // Optional real-clock poller for the local backend (never keeps the process alive)
+  const pollSeconds = parseInt(process.env.LOCAL_TASKS_POLL_SECONDS || "", 10);
+  if (activeQueue.name === "local" && pollSeconds > 0) {
+    const queue = activeQueue;
+    setInterval(() => {
+      queue.runDue(new Date())
+        .catch(error => logger.error("Local task poll failed:", { error: error.message }));
+    }, pollSeconds * 1000).unref();
+  }
+
+  return activeQueue;
+}
+
+/**
+ * Override the active task queue (tests / emulator)
+ * Pass null to fall back to environment-based selection
+ */
+function setTaskQueue(queue) {
+  activeQueue = queue;
+}
+
+/**
+ * Enqueue a POST to one of our task handlers
+ * @param {Object} options
+ * @param {string} options.target - Exported function name (resolved with getFunctionUrl)
+ * @param {Object} options.payload - JSON body for the handler
+ * @param {Date} options.executeAt - When the task should run
+ * @param {string} options.logLabel - Context for log messages (e.g., "check-in for user X")
+ * @param {string} [options.taskId] - Deterministic id ([A-Za-z0-9_-]); makes the call idempotent
+ * @returns {Promise<string|null>} - Task name if created (or already existing), null on failure
+ */
+async function enqueueTask({ target, payload, executeAt, logLabel, taskId = null }) {
+  return getTaskQueue().enqueue({ url: getFunctionUrl(target), payload, executeAt, logLabel, taskId });
+}
+
+/**
+ * Cancel a task created by enqueueTask
+ * @param {string} taskName - Name returned by enqueueTask
+ * @returns {Promise<boolean>} - True if cancelled or not found, false on error
+ */
+async function cancelTask(taskName) {
+  if (!taskName) return true;
+  return getTaskQueue().cancel(taskName);
+}
+
+/**
+ * List pending tasks of the active queue
+ * @returns {Promise<Array<{name: string, url: string, payload: Object, executeAt: Date}>|null>} - null if the backend can't list
+ */
+async function listTasks() {
+  const queue = getTaskQueue();
+  if (typeof queue.list !== "function") return null;
+  return queue.list();
+}
+
+module.exports = {
+  getFunctionUrl,
+  getTaskQueue,
+  setTaskQueue,
+  createCloudTasksQueue,
+  createLocalTaskQueue,
+  enqueueTask,
+  cancelTask,
+  listTasks,
+};
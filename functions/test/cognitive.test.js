@@ -0,0 +1,63 @@
+/**
+ * Unit tests for cognitive trends (cognitive.js)
+ * Run with: npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildCognitiveTrend } = require("../cognitive");
+
+const now = new Date("2026-10-19T12:00:00Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const result = (gameType, score, daysAgo) => ({ gameType, score, timestamp: new Date(now - daysAgo * DAY_MS) });
+
+// Three games a week for eight weeks, scoring scoreForWeek(weeksAgo) give or take a point
+const games = (gameType, scoreForWeek) => Array.from({ length: 8 }, (_, weeksAgo) =>
+  [1, 3, 5].map((day, i) => result(gameType, scoreForWeek(weeksAgo) + i - 1, weeksAgo * 7 + day))).flat();
+
+describe("buildCognitiveTrend", () => {
+  it("flags a sustained decline over the recent weeks", () => {
+    const trend = buildCognitiveTrend(games("memory_match", weeksAgo => weeksAgo < 2 ? 60 : 80), now);
+
+    assert.equal(trend.gamesPlayed, 24);
+    assert.equal(trend.games.memory_match.trend, "declining");
+    assert.equal(trend.domains.memory.trend, "declining");
+    assert.equal(trend.domains.memory.sustained, true);
+    assert.equal(trend.domains.memory.change, -20);
+    assert.deepEqual(trend.sustainedDeclines, ["memory"]);
+    assert.equal(trend.domains.verbal.trend, "insufficient_data");
+    assert.equal(trend.domains.memory.weekly.length, 8);
+    assert.equal(trend.domains.memory.weekly[7].mean, 60);
+  });
+
+  it("doesn't call one bad week sustained", () => {
+    const trend = buildCognitiveTrend(games("speed_tap", weeksAgo => weeksAgo === 0 ? 50 : 80), now);
+
+    assert.equal(trend.domains.reaction_speed.trend, "declining");
+    assert.equal(trend.domains.reaction_speed.sustained, false);
+    assert.deepEqual(trend.sustainedDeclines, []);
+  });
+
+  it("ignores small or noisy changes", () => {
+    const small = buildCognitiveTrend(games("word_jumble", weeksAgo => weeksAgo < 2 ? 75 : 80), now);
+    assert.equal(small.domains.verbal.trend, "stable");
+
+    // Scores all over the place: a big drop in the mean but not a meaningful one
+    const noisy = [0, 100, 10, 95, 20, 90].map((score, i) => result("simple_sums", score, 15 + i * 5))
+      .concat([5, 60, 20].map((score, i) => result("simple_sums", score, 2 + i * 3)));
+    assert.equal(buildCognitiveTrend(noisy, now).domains.problem_solving.trend, "stable");
+  });
+
+  it("reports improvements and leaves out results outside the window", () => {
+    const trend = buildCognitiveTrend([
+      ...games("odd_one_out", weeksAgo => weeksAgo < 2 ? 90 : 70),
+      result("odd_one_out", 0, 60),
+      result("odd_one_out", 0, -1),
+    ], now);
+
+    assert.equal(trend.gamesPlayed, 24);
+    assert.equal(trend.games.odd_one_out.trend, "improving");
+    assert.equal(trend.domains.problem_solving.sustained, false);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for the daily check-in rollups (dailySummary.js)
+ * Run with: npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildDailySummary, getNextStreak, getSuccessRate } = require("../dailySummary");
+const { resolveCheckInWindow } = require("../schedule");
+
+const checkInWindow = resolveCheckInWindow({ windowMinutes: 60, graceMinutes: 0 });
+const at = (iso, scheduledFor) => ({ timestamp: new Date(iso), scheduledFor });
+
+describe("buildDailySummary", () => {
+  it("splits slots into on time, late and missed", () => {
+    const summary = buildDailySummary({
+      schedule: ["9:00 AM", "2:00 PM", "8:00 PM"],
+      localDate: "2026-10-19",
+      timezone: "Asia/Karachi",
+      checkIns: [
+        at("2026-10-19T04:30:00Z", ["9:00 AM"]), // 9:30 AM local
+        at("2026-10-19T11:00:00Z", ["2:00 PM"]), // 4:00 PM local, window closed at 3:00 PM
+      ],
+      checkInWindow,
+    });
+
+    assert.equal(summary.scheduled, 3);
+    assert.equal(summary.completed, 2);
+    assert.equal(summary.onTime, 1);
+    assert.equal(summary.late, 1);
+    assert.equal(summary.missed, 1);
+    assert.deepEqual(summary.slots.map(s => s.status), ["on_time", "late", "missed"]);
+  });
+
+  it("lets check-ins without scheduledFor complete every slot that was due", () => {
+    const summary = buildDailySummary({
+      schedule: ["9:00 AM", "6:00 PM"],
+      localDate: "2026-10-19",
+      timezone: "UTC",
+      checkIns: [at("2026-10-19T12:00:00Z")],
+      checkInWindow,
+    });
+
+    assert.deepEqual(summary.slots.map(s => s.status), ["late", "missed"]);
+  });
+
+  it("counts an early check-in listed in scheduledFor as on time", () => {
+    const summary = buildDailySummary({
+      schedule: ["11:00 AM"],
+      localDate: "2026-10-19",
+      timezone: "UTC",
+      checkIns: [at("2026-10-19T10:45:00Z", ["11:00 AM"])],
+      checkInWindow,
+    });
+
+    assert.equal(summary.onTime, 1);
+  });
+
+  it("uses weekday rules and schedules nothing on vacation", () => {
+    const schedule = { daily: ["9:00 AM"], weekdays: { "1": ["9:00 AM", "5:00 PM"] }, exceptions: [] };
+    const monday = { schedule, localDate: "2026-10-19", timezone: "UTC", checkIns: [], checkInWindow };
+
+    assert.equal(buildDailySummary(monday).scheduled, 2);
+    const vacation = buildDailySummary({ ...monday, vacation: true });
+    assert.equal(vacation.scheduled, 0);
+    assert.equal(vacation.missed, 0);
+  });
+
+  it("leaves out slots before `since`", () => {
+    const summary = buildDailySummary({
+      schedule: ["9:00 AM", "6:00 PM"],
+      localDate: "2026-10-19",
+      timezone: "UTC",
+      checkIns: [],
+      checkInWindow,
+      since: new Date("2026-10-19T12:00:00Z"),
+    });
+
+    assert.deepEqual(summary.slots.map(s => [s.slot, s.status]), [["6:00 PM", "missed"]]);
+  });
+
+  it("leaves out slots still open at `until` unless they were completed", () => {
+    const summary = buildDailySummary({
+      schedule: ["9:00 AM", "2:00 PM", "6:00 PM", "8:00 PM"],
+      localDate: "2026-10-19",
+      timezone: "UTC",
+      checkIns: [at("2026-10-19T18:15:00Z", ["6:00 PM"])],
+      checkInWindow,
+      until: new Date("2026-10-19T18:30:00Z"),
+    });
+
+    assert.equal(summary.scheduled, 3);
+    assert.deepEqual(summary.slots.map(s => [s.slot, s.status]),
+      [["9:00 AM", "missed"], ["2:00 PM", "missed"], ["6:00 PM", "on_time"]]);
+  });
+});
+
+describe("getNextStreak", () => {
+  it("extends on complete days, resets on a miss and keeps empty days", () => {
+    assert.equal(getNextStreak(4, { scheduled: 2, missed: 0 }), 5);
+    assert.equal(getNextStreak(4, { scheduled: 2, missed: 1 }), 0);
+    assert.equal(getNextStreak(4, { scheduled: 0, missed: 0 }), 4);
+  });
+});
+
+describe("getSuccessRate", () => {
+  it("weights days by their scheduled slots", () => {
+    assert.equal(getSuccessRate([{ scheduled: 2, completed: 2 }, { scheduled: 1, completed: 0 }]), 0.667);
+    assert.equal(getSuccessRate([{ scheduled: 0, completed: 0 }]), null);
+    assert.equal(getSuccessRate([]), null);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Shared setup for the emulator-backed integration tests
+ *
+ * Requires the Firestore emulator (FIRESTORE_EMULATOR_HOST); run with:
+ *   npm run test:integration
+ * Cloud Tasks and FCM are replaced with in-memory fakes, so nothing leaves the machine.
+ */
+
+const PROJECT_ID = "demo-safecheck";
+
+// Slot strings are derived from Date objects; keep them stable across machines
+process.env.TZ = "UTC";
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+// Task handlers require a signature (see taskAuth.js); callHttp signs every request
+process.env.TASKS_HMAC_SECRET = "integration-test-secret";
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST || null;
+
+const functionsTest = require("firebase-functions-test")({ projectId: PROJECT_ID });
+const myFunctions = require("../../index");
+const { getFirestore } = require("firebase-admin/firestore");
+const { setTaskQueue } = require("../../taskQueue");
+const { signPayload } = require("../../taskAuth");
+const { setMessagingClient } = require("../../notifications");
+
+/**
+ * In-memory task queue; task names are the taskId when given, else "fake-task-N"
+ */
+function createFakeTaskQueue() {
+  const tasks = new Map();
+  const cancelled = [];
+  let counter = 0;
+
+  return {
+    name: "fake",
+    tasks,
+    cancelled,
+    async enqueue(task) {
+      const name = task.taskId || `fake-task-${++counter}`;
+      if (!tasks.has(name)) tasks.set(name, task);
+      return name;
+    },
+    async cancel(name) {
+      cancelled.push(name);
+      tasks.delete(name);
+      return true;
+    },
+    async list() {
+      return [...tasks.entries()].map(([name, task]) => ({ name, ...task }));
+    },
+    // Pending tasks for one handler, e.g. byTarget("handleEscalationStep")
+    byTarget(target) {
+      return [...tasks.entries()]
+        .filter(([, task]) => task.url.endsWith(`/${target}`))
+        .map(([name, task]) => ({ name, ...task }));
+    },
+    reset() {
+      tasks.clear();
+      cancelled.length = 0;
+    },
+  };
+}
+
+/**
+ * In-memory FCM client; every token succeeds
+ */
+function createFakeMessaging() {
+  const sent = [];
+
+  return {
+    sent,
+    async sendEachForMulticast(message) {
+      sent.push(message);
+      return {
+        successCount: message.tokens.length,
+        failureCount: 0,
+        responses: message.tokens.map(() => ({ success: true })),
+      };
+    },
+    reset() {
+      sent.length = 0;
+    },
+  };
+}
+
+const taskQueue = createFakeTaskQueue();
+const messaging = createFakeMessaging();
+setTaskQueue(taskQueue);
+setMessagingClient(messaging);
+
+const db = getFirestore();
+
+/**
+ * Delete every document in the emulator and reset the fakes
+ */
+async function resetState() {
+  taskQueue.reset();
+  messaging.reset();
+  const response = await fetch(
+    `http://${emulatorHost}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: "DELETE" }
+  );
+  if (!response.ok) {
+    throw new Error(`Could not clear the Firestore emulator: HTTP ${response.status}`);
+  }
+}
+
+/**
+ * Write a document and run a wrapped onDocumentWritten trigger with the real before/after snapshots
+ * @param {Function} cloudFunction - Exported trigger, e.g. myFunctions.onCheckInRecorded
+ * @param {FirebaseFirestore.DocumentReference} ref - Document to write
+ * @param {Object|null} data - New data, or null to delete
+ * @param {Object} params - Path params, e.g. { userId }
+ */
+async function writeAndTrigger(cloudFunction, ref, data, params) {
+  const before = await ref.get();
+  if (data === null) {
+    await ref.delete();
+  } else {
+    await ref.set(data);
+  }
+  const after = await ref.get();
+  await functionsTest.wrap(cloudFunction)({
+    data: functionsTest.makeChange(before, after),
+    params,
+  });
+}
+
+/**
+ * Call an onRequest handler with a JSON body, signed like our own tasks
+ * @param {Object} options
+ * @param {boolean} options.signed - Set false to send an unauthenticated request
+ * @returns {Promise<{status: number, body: *}>}
+ */
+async function callHttp(handler, { method = "POST", body = {}, signed = true } = {}) {
+  return new Promise((resolve, reject) => {
+    const response = { statusCode: 200, headers: {} };
+    const res = {
+      status(code) {
+        response.statusCode = code;
+        return res;
+      },
+      set(name, value) {
+        response.headers[name] = value;
+        return res;
+      },
+      send(payload) {
+        resolve({ status: response.statusCode, body: payload });
+        return res;
+      },
+      json(payload) {
+        resolve({ status: response.statusCode, body: payload });
+        return res;
+      },
+      on() {
+        return res;
+      },
+    };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const headers = signed ? { "x-task-signature": signPayload(rawBody) } : {};
+    const req = {
+      method,
+      body,
+      rawBody,
+      query: {},
+      headers,
+      get: (name) => headers[name.toLowerCase()],
+      header: (name) => headers[name.toLowerCase()],
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+/**
+ * Seed a senior with a profile and seniorState (no trigger is run)
+ */
+async function seedSenior(userId, seniorState = {}, profile = {}) {
+  const userRef = db.collection("users").doc(userId);
+  await userRef.collection("data").doc("profile").set({
+    displayName: "Test Senior",
+    timezone: "UTC",
+    ...profile,
+  });
+  await userRef.collection("data").doc("seniorState").set({
+    checkInSchedules: ["9:00 AM", "6:00 PM"],
+    vacationMode: false,
+    missedCheckInsToday: 0,
+    completedSchedulesToday: [],
+    consecutiveMissedDays: 0,
+    seniorCreatedAt: new Date("2025-01-01T00:00:00Z"),
+    ...seniorState,
+  });
+}
+
+/**
+ * Seed an active connection and a family member with one registered device
+ */
+async function seedFamilyMember(seniorId, familyId, token) {
+  await db.collection("connections").doc(`${seniorId}_${familyId}`).set({
+    seniorId,
+    familyId,
+    status: "active",
+    createdAt: new Date(),
+  });
+  const userRef = db.collection("users").doc(familyId);
+  await userRef.collection("data").doc("profile").set({ displayName: "Test Family", timezone: "UTC" });
+  await userRef.collection("devices").doc(token).set({ token, platform: "android", lastSeen: new Date() });
+}
+
+module.exports = {
+  emulatorHost,
+  functionsTest,
+  myFunctions,
+  db,
+  taskQueue,
+  messaging,
+  resetState,
+  writeAndTrigger,
+  callHttp,
+  seedSenior,
+  seedFamilyMember,
+};
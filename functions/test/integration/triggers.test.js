@@ -0,0 +1,1172 @@
+/**
+ * Emulator-backed integration tests for the check-in and SOS triggers
+ * Run with: npm run test:integration (starts the Firestore emulator)
+ */
+
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  emulatorHost,
+  functionsTest,
+  myFunctions,
+  db,
+  taskQueue,
+  messaging,
+  resetState,
+  writeAndTrigger,
+  callHttp,
+  seedSenior,
+  seedFamilyMember,
+} = require("./setup");
+const { DateTime } = require("luxon");
+const { formatTimeToSchedule, getMissedCheckInKey } = require("../../schedule");
+
+const SENIOR_ID = "senior-1";
+const FAMILY_ID = "family-1";
+const FAMILY_TOKEN = "family-device-token";
+
+const skip = emulatorHost ? false : "FIRESTORE_EMULATOR_HOST is not set (use npm run test:integration)";
+
+const seniorStateRef = () => db.collection("users").doc(SENIOR_ID).collection("data").doc("seniorState");
+const seniorRef = () => db.collection("users").doc(SENIOR_ID);
+
+// scheduledTasks map with tomorrow's 9:00 AM (UTC) slot
+const pendingSlot = (taskName, taskId = "checkin-existing") => {
+  const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const scheduledTime = new Date(`${tomorrow}T09:00:00Z`);
+  return {
+    [`${tomorrow.replace(/-/g, "")}_0900`]: {
+      taskName,
+      taskId,
+      slot: "9:00 AM",
+      localDate: tomorrow,
+      scheduledTime,
+      executeAt: scheduledTime,
+    },
+  };
+};
+
+describe("integration", { skip }, () => {
+  beforeEach(resetState);
+  after(() => functionsTest.cleanup());
+
+  describe("syncSeniorStateToTopLevel", () => {
+    it("mirrors a new senior to seniorStates and schedules one task per upcoming slot", async () => {
+      await db.collection("users").doc(SENIOR_ID).collection("data").doc("profile").set({ timezone: "UTC" });
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        checkInSchedules: ["9:00 AM", "6:00 PM"],
+        vacationMode: false,
+        completedSchedulesToday: ["9:00 AM"],
+      }, { userId: SENIOR_ID });
+
+      const mirror = (await db.collection("seniorStates").doc(SENIOR_ID).get()).data();
+      assert.deepEqual(mirror.checkInSchedules, ["9:00 AM", "6:00 PM"]);
+      assert.equal(mirror.completedSchedulesTodayCount, 1);
+      assert.equal(mirror.vacationMode, false);
+      // Due for the daily rollup until it has run
+      assert.ok(mirror.nextRollupAt.toDate() <= new Date());
+
+      // Both slots occur within the next 24 hours
+      const tasks = taskQueue.byTarget("handleMissedCheckIn");
+      assert.equal(tasks.length, 2);
+      for (const task of tasks) {
+        assert.equal(task.payload.userId, SENIOR_ID);
+        assert.ok(task.executeAt > new Date());
+      }
+
+      const state = (await seniorStateRef().get()).data();
+      const entries = Object.entries(state.scheduledTasks);
+      assert.equal(entries.length, 2);
+      for (const [key, entry] of entries) {
+        assert.ok(taskQueue.tasks.has(entry.taskName));
+        assert.equal(taskQueue.tasks.get(entry.taskName).payload.taskKey, key);
+      }
+    });
+
+    it("does not duplicate tasks when scheduling runs again", async () => {
+      await db.collection("users").doc(SENIOR_ID).collection("data").doc("profile").set({ timezone: "UTC" });
+      const state = { checkInSchedules: ["9:00 AM", "6:00 PM"], vacationMode: false };
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), state, { userId: SENIOR_ID });
+      const current = (await seniorStateRef().get()).data();
+      // Lose the map: names are deterministic, so the same tasks are found again
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        ...state,
+        checkInSchedules: ["6:00 PM", "9:00 AM"],
+      }, { userId: SENIOR_ID });
+
+      assert.equal(taskQueue.byTarget("handleMissedCheckIn").length, 2);
+      assert.deepEqual(
+        Object.keys((await seniorStateRef().get()).data().scheduledTasks).sort(),
+        Object.keys(current.scheduledTasks).sort(),
+      );
+    });
+
+    it("cancels the task of a slot removed from the schedule", async () => {
+      await db.collection("users").doc(SENIOR_ID).collection("data").doc("profile").set({ timezone: "UTC" });
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        checkInSchedules: ["9:00 AM", "6:00 PM"],
+        vacationMode: false,
+      }, { userId: SENIOR_ID });
+      const current = (await seniorStateRef().get()).data();
+      const [removedKey, removed] = Object.entries(current.scheduledTasks).find(([key]) => key.endsWith("_1800"));
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        ...current,
+        checkInSchedules: ["9:00 AM"],
+      }, { userId: SENIOR_ID });
+
+      assert.ok(taskQueue.cancelled.includes(removed.taskName));
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.scheduledTasks[removedKey], undefined);
+      assert.equal(Object.keys(state.scheduledTasks).length, 1);
+      assert.equal(state.taskGeneration, 1);
+    });
+
+    it("schedules each slot as a window with a reminder partway through", async () => {
+      await db.collection("users").doc(SENIOR_ID).collection("data").doc("profile").set({ timezone: "UTC" });
+      const state = {
+        checkInSchedules: ["9:00 AM"],
+        vacationMode: false,
+        checkInWindow: { windowMinutes: 90, graceMinutes: 10 },
+      };
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), state, { userId: SENIOR_ID });
+
+      const [[, entry]] = Object.entries((await seniorStateRef().get()).data().scheduledTasks);
+      const slotTime = entry.scheduledTime.toDate().getTime();
+      assert.equal(entry.closesAt.toDate().getTime(), slotTime + 90 * 60 * 1000);
+      assert.equal(entry.executeAt.toDate().getTime(), slotTime + 100 * 60 * 1000);
+      assert.equal(taskQueue.tasks.get(entry.taskName).executeAt.getTime(), slotTime + 100 * 60 * 1000);
+      const [reminder] = taskQueue.byTarget("handleCheckInReminder");
+      assert.equal(reminder.name, entry.reminderTaskName);
+      assert.equal(reminder.executeAt.getTime(), slotTime + 45 * 60 * 1000);
+
+      // New window settings replace the tasks of slots that haven't opened yet
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        ...(await seniorStateRef().get()).data(),
+        checkInWindow: { windowMinutes: 30, reminderMinutes: null },
+      }, { userId: SENIOR_ID });
+
+      assert.ok(taskQueue.cancelled.includes(entry.taskName));
+      assert.ok(taskQueue.cancelled.includes(entry.reminderTaskName));
+      const [[, updated]] = Object.entries((await seniorStateRef().get()).data().scheduledTasks);
+      assert.equal(updated.executeAt.toDate().getTime(), slotTime + 30 * 60 * 1000);
+      assert.equal(updated.reminderTaskName, null);
+      assert.equal(taskQueue.byTarget("handleCheckInReminder").length, 0);
+    });
+
+    it("cancels every slot task when vacation mode is turned on", async () => {
+      await seedSenior(SENIOR_ID, { scheduledTasks: pendingSlot("fake-task-existing") });
+      const current = (await seniorStateRef().get()).data();
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        ...current,
+        vacationMode: true,
+      }, { userId: SENIOR_ID });
+
+      assert.ok(taskQueue.cancelled.includes("fake-task-existing"));
+      const state = (await seniorStateRef().get()).data();
+      assert.deepEqual(state.scheduledTasks, {});
+      assert.equal(taskQueue.byTarget("handleMissedCheckIn").length, 0);
+      assert.equal((await db.collection("seniorStates").doc(SENIOR_ID).get()).data().vacationMode, true);
+    });
+
+    it("removes the mirror and cancels tasks when the senior state is deleted", async () => {
+      await seedSenior(SENIOR_ID, { scheduledTasks: pendingSlot("fake-task-existing") });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false });
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), null, { userId: SENIOR_ID });
+
+      assert.equal((await db.collection("seniorStates").doc(SENIOR_ID).get()).exists, false);
+      assert.ok(taskQueue.cancelled.includes("fake-task-existing"));
+    });
+  });
+
+  describe("handleMissedCheckIn", () => {
+    const missedPayload = () => ({
+      userId: SENIOR_ID,
+      scheduledTime: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+      timezone: "UTC",
+    });
+
+    it("rejects non-POST requests and missing fields", async () => {
+      assert.equal((await callHttp(myFunctions.handleMissedCheckIn, { method: "GET" })).status, 405);
+      assert.equal((await callHttp(myFunctions.handleMissedCheckIn, { body: { userId: SENIOR_ID } })).status, 400);
+    });
+
+    it("rejects requests that are not signed or carry no valid token", async () => {
+      await seedSenior(SENIOR_ID);
+
+      const response = await callHttp(myFunctions.handleMissedCheckIn, { body: missedPayload(), signed: false });
+      assert.equal(response.status, 401);
+      assert.equal((await seniorRef().collection("activityLogs").get()).size, 0);
+    });
+
+    it("logs the miss, opens an incident and starts the escalation ladder", async () => {
+      await seedSenior(SENIOR_ID);
+
+      const response = await callHttp(myFunctions.handleMissedCheckIn, { body: missedPayload() });
+      assert.equal(response.status, 200);
+
+      const misses = await seniorRef().collection("activityLogs")
+        .where("activityType", "==", "missed_check_in").get();
+      assert.equal(misses.size, 1);
+
+      const incidents = await seniorRef().collection("incidents").get();
+      assert.equal(incidents.size, 1);
+      assert.equal(incidents.docs[0].data().status, "open");
+
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.missedCheckInsToday, 1);
+      assert.equal(state.consecutiveMissedDays, 1);
+      assert.ok(state.activeEscalation);
+
+      // One task per default ladder step, plus the two upcoming check-in slots
+      const steps = taskQueue.byTarget("handleEscalationStep");
+      assert.equal(steps.length, 4);
+      assert.deepEqual(state.activeEscalation.taskNames.sort(), steps.map(step => step.name).sort());
+      assert.equal(taskQueue.byTarget("handleMissedCheckIn").length, 2);
+    });
+
+    it("is idempotent for the same scheduled slot", async () => {
+      await seedSenior(SENIOR_ID);
+      const payload = missedPayload();
+
+      await callHttp(myFunctions.handleMissedCheckIn, { body: payload });
+      await callHttp(myFunctions.handleMissedCheckIn, { body: payload });
+
+      const misses = await seniorRef().collection("activityLogs")
+        .where("activityType", "==", "missed_check_in").get();
+      assert.equal(misses.size, 1);
+      assert.equal(taskQueue.byTarget("handleEscalationStep").length, 4);
+      assert.equal((await seniorStateRef().get()).data().missedCheckInsToday, 1);
+    });
+
+    it("delivers each ladder step once, even when its task runs twice", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      await callHttp(myFunctions.handleMissedCheckIn, { body: missedPayload() });
+      const step = taskQueue.byTarget("handleEscalationStep").find(task => task.payload.audience === "primary_family");
+      messaging.reset();
+
+      const [first, second] = await Promise.all([
+        callHttp(myFunctions.handleEscalationStep, { body: step.payload }),
+        callHttp(myFunctions.handleEscalationStep, { body: step.payload }),
+      ]);
+      assert.equal(first.status, 200);
+      assert.equal(second.status, 200);
+      assert.equal(messaging.sent.length, 1);
+      assert.deepEqual(messaging.sent[0].tokens, [FAMILY_TOKEN]);
+
+      const state = (await seniorStateRef().get()).data();
+      assert.deepEqual(state.activeEscalation.claimedSteps, [step.payload.stepIndex]);
+      assert.deepEqual(state.activeEscalation.completedSteps, [step.payload.stepIndex]);
+    });
+
+    it("does nothing if the senior checked in after the task was created", async () => {
+      await seedSenior(SENIOR_ID, { lastCheckIn: new Date() });
+
+      const response = await callHttp(myFunctions.handleMissedCheckIn, { body: missedPayload() });
+      assert.equal(response.status, 200);
+
+      const logs = await seniorRef().collection("activityLogs").get();
+      assert.equal(logs.size, 0);
+      assert.equal(taskQueue.byTarget("handleEscalationStep").length, 0);
+    });
+
+    it("ignores a slot task whose slot was removed or that was replaced", async () => {
+      await seedSenior(SENIOR_ID, { scheduledTasks: pendingSlot("fake-task-existing") });
+      const [[key, entry]] = Object.entries(pendingSlot("fake-task-existing"));
+      const slotPayload = {
+        ...missedPayload(),
+        slot: "9:00 AM",
+        localDate: entry.localDate,
+        taskKey: key,
+      };
+
+      await callHttp(myFunctions.handleMissedCheckIn, { body: { ...slotPayload, taskId: "an-older-task" } });
+      await callHttp(myFunctions.handleMissedCheckIn, {
+        body: { ...slotPayload, slot: "7:00 AM", taskKey: key.replace("_0900", "_0700"), taskId: "removed-slot" },
+      });
+
+      assert.equal((await seniorRef().collection("activityLogs").get()).size, 0);
+    });
+
+    it("ignores a slot skipped by a dated exception", async () => {
+      const [[key, entry]] = Object.entries(pendingSlot("fake-task-existing"));
+      await seedSenior(SENIOR_ID, {
+        scheduledTasks: { [key]: entry },
+        scheduleRules: { exceptions: [{ date: entry.localDate, type: "skip", slot: "9:00 AM" }] },
+      });
+
+      await callHttp(myFunctions.handleMissedCheckIn, {
+        body: { ...missedPayload(), slot: "9:00 AM", localDate: entry.localDate, taskKey: key, taskId: entry.taskId },
+      });
+
+      assert.equal((await seniorRef().collection("activityLogs").get()).size, 0);
+    });
+
+    it("derives slot and date of an older task in the senior's timezone", async () => {
+      const scheduledTime = new Date(Date.now() - 60 * 1000);
+      const slot = formatTimeToSchedule(scheduledTime, "Asia/Karachi");
+      const localDate = DateTime.fromJSDate(scheduledTime, { zone: "Asia/Karachi" }).toISODate();
+      await seedSenior(SENIOR_ID, { checkInSchedules: [slot] }, { timezone: "Asia/Karachi" });
+      const payload = { ...missedPayload(), scheduledTime: scheduledTime.toISOString(), timezone: "Asia/Karachi" };
+
+      await callHttp(myFunctions.handleMissedCheckIn, { body: payload });
+
+      const logs = await seniorRef().collection("activityLogs").where("activityType", "==", "missed_check_in").get();
+      assert.deepEqual(logs.docs.map(doc => doc.id), [getMissedCheckInKey(SENIOR_ID, slot, localDate)]);
+      assert.equal(logs.docs[0].data().metadata.scheduledTime, slot);
+
+      // Completed slots are matched against the local slot string
+      await resetState();
+      await seedSenior(SENIOR_ID, { checkInSchedules: [slot], completedSchedulesToday: [slot.toLowerCase()] });
+      await callHttp(myFunctions.handleMissedCheckIn, { body: payload });
+      assert.equal((await seniorRef().collection("activityLogs").get()).size, 0);
+    });
+
+    it("does not log a miss again that was logged under its pre-timezone key", async () => {
+      await seedSenior(SENIOR_ID, {}, { timezone: "Asia/Karachi" });
+      const payload = { ...missedPayload(), timezone: "Asia/Karachi" };
+      const scheduledTime = new Date(payload.scheduledTime);
+      const legacyId = getMissedCheckInKey(
+        SENIOR_ID,
+        formatTimeToSchedule(scheduledTime, "UTC"),
+        scheduledTime.toISOString().slice(0, 10),
+      );
+      await seniorRef().collection("activityLogs").doc(legacyId).set({ activityType: "missed_check_in" });
+
+      await callHttp(myFunctions.handleMissedCheckIn, { body: payload });
+
+      assert.equal((await seniorRef().collection("activityLogs").get()).size, 1);
+      assert.equal((await seniorStateRef().get()).data().missedCheckInsToday, 0);
+    });
+
+    it("does nothing on vacation", async () => {
+      await seedSenior(SENIOR_ID, { vacationMode: true });
+
+      await callHttp(myFunctions.handleMissedCheckIn, { body: missedPayload() });
+
+      assert.equal((await seniorRef().collection("activityLogs").get()).size, 0);
+      assert.equal(taskQueue.tasks.size, 0);
+    });
+  });
+
+  describe("handleCheckInReminder", () => {
+    const reminderPayload = (entry, key) => ({
+      userId: SENIOR_ID,
+      taskKey: key,
+      taskId: entry.taskId,
+      slot: entry.slot,
+      scheduledTime: entry.scheduledTime.toISOString(),
+      closesAt: new Date(entry.scheduledTime.getTime() + 90 * 60 * 1000).toISOString(),
+      timezone: "UTC",
+    });
+
+    it("reminds the senior once while the window is open", async () => {
+      const [[key, entry]] = Object.entries(pendingSlot("fake-task-existing"));
+      await seedSenior(SENIOR_ID, { scheduledTasks: { [key]: entry } });
+      await seniorRef().collection("devices").doc("senior-token").set({ token: "senior-token", platform: "android" });
+
+      const first = await callHttp(myFunctions.handleCheckInReminder, { body: reminderPayload(entry, key) });
+      const second = await callHttp(myFunctions.handleCheckInReminder, { body: reminderPayload(entry, key) });
+
+      assert.equal(first.body.sent, true);
+      assert.deepEqual(second.body, { sent: false, reason: "already_sent" });
+      assert.equal(messaging.sent.length, 1);
+      assert.match(messaging.sent[0].notification.body, /10:30 AM/);
+      assert.ok((await seniorStateRef().get()).data().scheduledTasks[key].reminderSentAt);
+    });
+
+    it("stays quiet after a check-in or when the slot task was replaced", async () => {
+      const [[key, entry]] = Object.entries(pendingSlot("fake-task-existing"));
+      await seedSenior(SENIOR_ID, {
+        scheduledTasks: { [key]: entry },
+        lastCheckIn: new Date(entry.scheduledTime.getTime() + 5 * 60 * 1000),
+      });
+
+      const checkedIn = await callHttp(myFunctions.handleCheckInReminder, { body: reminderPayload(entry, key) });
+      const replaced = await callHttp(myFunctions.handleCheckInReminder, {
+        body: { ...reminderPayload(entry, key), taskId: "an-older-task" },
+      });
+
+      assert.equal(checkedIn.body.reason, "checked_in");
+      assert.equal(replaced.body.reason, "slot_released");
+      assert.equal(messaging.sent.length, 0);
+    });
+  });
+
+  describe("recordCheckIn", () => {
+    const recordCheckIn = (data, uid = SENIOR_ID) =>
+      functionsTest.wrap(myFunctions.recordCheckIn)({ data, auth: uid ? { uid } : undefined });
+
+    it("rejects callers who are not signed in or not seniors", async () => {
+      await assert.rejects(recordCheckIn({}, null), { code: "unauthenticated" });
+      await assert.rejects(recordCheckIn({}, FAMILY_ID), { code: "failed-precondition" });
+      await seedSenior(SENIOR_ID);
+      await assert.rejects(recordCheckIn({ mood: 42 }), { code: "invalid-argument" });
+    });
+
+    it("uses server time to complete the pending slots in one write", async () => {
+      // 12:00 AM has always passed today (UTC); 11:59 PM is still ahead
+      await seedSenior(SENIOR_ID, {
+        checkInSchedules: ["12:00 AM", "11:59 PM"],
+        lastCheckIn: new Date(Date.now() - 24 * 60 * 60 * 1000),
+        completedSchedulesToday: ["11:59 PM"],
+        currentStreak: 3,
+        missedCheckInsToday: 1,
+      });
+
+      const result = await recordCheckIn({ requestId: "tap-1", mood: "happy" });
+
+      assert.deepEqual(result.scheduledFor, ["12:00 AM"]);
+      assert.equal(result.duplicate, false);
+      // The streak is left to the daily summaries
+      assert.equal(result.currentStreak, 3);
+      const checkIn = (await seniorRef().collection("checkIns").doc(result.checkInId).get()).data();
+      assert.deepEqual(checkIn.scheduledFor, ["12:00 AM"]);
+      assert.equal(checkIn.mood, "happy");
+      assert.equal(checkIn.source, "recordCheckIn");
+      assert.ok(Math.abs(checkIn.timestamp.toDate().getTime() - Date.now()) < 60 * 1000);
+
+      // Yesterday's completions are dropped
+      const state = (await seniorStateRef().get()).data();
+      assert.deepEqual(state.completedSchedulesToday, ["12:00 AM"]);
+      assert.equal(state.missedCheckInsToday, 0);
+      assert.equal(state.lastCheckIn.toDate().toISOString(), result.timestamp);
+      assert.ok(Object.keys(state.scheduledTasks).length > 0);
+    });
+
+    it("lets an early check-in complete the nearest slot, so its miss task stands down", async () => {
+      // 11:59 PM (UTC) is still ahead today
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["11:59 PM"] });
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(),
+        (await seniorStateRef().get()).data(), { userId: SENIOR_ID });
+      const today = DateTime.utc().toISODate();
+      const slotTask = taskQueue.byTarget("handleMissedCheckIn").find(task => task.payload.localDate === today);
+      assert.ok(slotTask);
+
+      const result = await recordCheckIn({ requestId: "early-1" });
+      assert.deepEqual(result.scheduledFor, ["11:59 PM"]);
+      assert.ok(taskQueue.cancelled.includes(slotTask.name));
+
+      // Even if the cancelled task still runs, the slot is not missed
+      const response = await callHttp(myFunctions.handleMissedCheckIn, { body: slotTask.payload });
+      assert.equal(response.status, 200);
+      const misses = await seniorRef().collection("activityLogs")
+        .where("activityType", "==", "missed_check_in").get();
+      assert.equal(misses.size, 0);
+      assert.equal((await seniorStateRef().get()).data().activeEscalation, undefined);
+    });
+
+    it("records a retried request again if its check-in is gone", async () => {
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["12:00 AM"] });
+      const first = await recordCheckIn({ requestId: "tap-1" });
+      await seniorRef().collection("checkIns").doc(first.checkInId).delete();
+
+      const retry = await recordCheckIn({ requestId: "tap-1" });
+
+      assert.equal(retry.duplicate, false);
+      assert.notEqual(retry.checkInId, first.checkInId);
+      assert.ok((await seniorRef().collection("checkIns").doc(retry.checkInId).get()).exists);
+      const request = (await seniorRef().collection("checkInRequests").doc("tap-1").get()).data();
+      assert.equal(request.checkInId, retry.checkInId);
+    });
+
+    it("returns the first result when a request is retried", async () => {
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["12:00 AM"] });
+
+      const first = await recordCheckIn({ requestId: "tap-1" });
+      const retry = await recordCheckIn({ requestId: "tap-1" });
+
+      assert.equal(retry.duplicate, true);
+      assert.equal(retry.checkInId, first.checkInId);
+      assert.equal(retry.timestamp, first.timestamp);
+      assert.deepEqual(retry.scheduledFor, first.scheduledFor);
+      assert.equal((await seniorRef().collection("checkIns").get()).size, 1);
+      // The requestId is not the check-in's id
+      assert.notEqual(first.checkInId, "tap-1");
+      const request = (await seniorRef().collection("checkInRequests").doc("tap-1").get()).data();
+      assert.equal(request.checkInId, first.checkInId);
+    });
+  });
+
+  describe("onCheckInRecorded", () => {
+    it("cancels the pending task and ladder, resets the streak and reschedules", async () => {
+      await seedSenior(SENIOR_ID);
+      await callHttp(myFunctions.handleMissedCheckIn, {
+        body: {
+          userId: SENIOR_ID,
+          scheduledTime: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+          createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+          timezone: "UTC",
+        },
+      });
+      const ladderTasks = taskQueue.byTarget("handleEscalationStep").map(task => task.name);
+      assert.equal(ladderTasks.length, 4);
+
+      const checkInRef = seniorRef().collection("checkIns").doc("check-in-1");
+      await writeAndTrigger(myFunctions.onCheckInRecorded, checkInRef, {
+        userId: SENIOR_ID,
+        timestamp: new Date(),
+        mood: "happy",
+        scheduledFor: [],
+      }, { userId: SENIOR_ID, checkInId: "check-in-1" });
+
+      for (const name of ladderTasks) {
+        assert.ok(taskQueue.cancelled.includes(name), `expected ${name} to be cancelled`);
+      }
+
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.consecutiveMissedDays, 0);
+      assert.equal(state.activeEscalation, undefined);
+      assert.ok(state.lastCheckIn);
+      for (const entry of Object.values(state.scheduledTasks)) {
+        assert.ok(taskQueue.tasks.has(entry.taskName));
+      }
+
+      const incidents = await seniorRef().collection("incidents").get();
+      assert.equal(incidents.docs[0].data().status, "resolved");
+      assert.equal(incidents.docs[0].data().resolvedBy, "check_in");
+    });
+
+    it("cancels only the slots listed in scheduledFor", async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const slotEntry = (taskName, slot, time) => ({
+        taskName,
+        taskId: taskName,
+        slot,
+        localDate: today,
+        scheduledTime: new Date(`${today}T${time}:00Z`),
+        // Still pending as far as the map is concerned
+        executeAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+      const key = (time) => `${today.replace(/-/g, "")}_${time}`;
+      await seedSenior(SENIOR_ID, {
+        scheduledTasks: {
+          [key("0900")]: slotEntry("fake-task-morning", "9:00 AM", "09:00"),
+          [key("1800")]: slotEntry("fake-task-evening", "6:00 PM", "18:00"),
+        },
+      });
+
+      const checkInRef = seniorRef().collection("checkIns").doc("check-in-1");
+      await writeAndTrigger(myFunctions.onCheckInRecorded, checkInRef, {
+        userId: SENIOR_ID,
+        timestamp: new Date(),
+        mood: "happy",
+        scheduledFor: ["9:00 am"],
+      }, { userId: SENIOR_ID, checkInId: "check-in-1" });
+
+      assert.ok(taskQueue.cancelled.includes("fake-task-morning"));
+      assert.ok(!taskQueue.cancelled.includes("fake-task-evening"));
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.scheduledTasks[key("0900")], undefined);
+      assert.equal(state.scheduledTasks[key("1800")].taskName, "fake-task-evening");
+    });
+
+    it("logs a wellness concern and alerts the family once", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      const checkIns = seniorRef().collection("checkIns");
+      for (const daysAgo of [1, 2]) {
+        await checkIns.doc(`earlier-${daysAgo}`).set({
+          userId: SENIOR_ID,
+          timestamp: new Date(Date.now() - daysAgo * 24 * 60 * 60 * 1000),
+          sleep: "poorly",
+        });
+      }
+
+      const checkIn = (id) => writeAndTrigger(myFunctions.onCheckInRecorded, checkIns.doc(id), {
+        userId: SENIOR_ID,
+        timestamp: new Date(),
+        sleep: "poorly",
+        scheduledFor: [],
+      }, { userId: SENIOR_ID, checkInId: id });
+      await checkIn("check-in-1");
+
+      const today = new Date().toISOString().slice(0, 10);
+      const log = await seniorRef().collection("activityLogs").doc(`wellness_${SENIOR_ID}_poor_sleep_${today}`).get();
+      assert.equal(log.data().activityType, "wellness_concern");
+      assert.equal(log.data().metadata.checkInId, "check-in-1");
+      assert.equal(messaging.sent.length, 1);
+      assert.deepEqual(messaging.sent[0].tokens, [FAMILY_TOKEN]);
+      assert.equal(messaging.sent[0].data.concern, "poor_sleep");
+      assert.ok((await seniorStateRef().get()).data().wellnessAlerts.poor_sleep);
+
+      // A second answer the same day doesn't alert again
+      await checkIn("check-in-2");
+      assert.equal(messaging.sent.length, 1);
+    });
+
+    it("ignores updates to an existing check-in", async () => {
+      await seedSenior(SENIOR_ID);
+      const checkInRef = seniorRef().collection("checkIns").doc("check-in-1");
+      await checkInRef.set({ userId: SENIOR_ID, timestamp: new Date() });
+
+      await writeAndTrigger(myFunctions.onCheckInRecorded, checkInRef, {
+        userId: SENIOR_ID,
+        timestamp: new Date(),
+        mood: "down",
+      }, { userId: SENIOR_ID, checkInId: "check-in-1" });
+
+      assert.equal(taskQueue.tasks.size, 0);
+      assert.equal((await seniorStateRef().get()).data().lastCheckIn, undefined);
+    });
+  });
+
+  describe("onGameResultRecorded", () => {
+    // Eight weeks of memory_match results, the last two weeks 20 points lower
+    const seedGameResults = async () => {
+      const results = seniorRef().collection("gameResults");
+      for (let weeksAgo = 0; weeksAgo < 8; weeksAgo++) {
+        for (const day of [2, 4]) {
+          await results.doc(`game-${weeksAgo}-${day}`).set({
+            gameType: "memory_match",
+            score: weeksAgo < 2 ? 60 + day : 80 + day,
+            timestamp: new Date(Date.now() - (weeksAgo * 7 + day) * 24 * 60 * 60 * 1000),
+            metrics: {},
+          });
+        }
+      }
+      return writeAndTrigger(myFunctions.onGameResultRecorded, results.doc("game-new"), {
+        gameType: "memory_match",
+        score: 62,
+        timestamp: new Date(),
+        metrics: {},
+      }, { userId: SENIOR_ID, resultId: "game-new" });
+    };
+
+    it("stores the trend and alerts family who opted in, once", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      await db.collection("users").doc(FAMILY_ID).collection("data").doc("notificationPreferences")
+        .set({ types: { cognitive_decline: true } });
+
+      await seedGameResults();
+
+      const trend = (await seniorRef().collection("data").doc("cognitiveTrend").get()).data();
+      assert.equal(trend.gamesPlayed, 17);
+      assert.equal(trend.domains.memory.trend, "declining");
+      assert.deepEqual(trend.sustainedDeclines, ["memory"]);
+      assert.ok(trend.alerts.memory);
+      assert.equal(messaging.sent.length, 1);
+      assert.deepEqual(messaging.sent[0].tokens, [FAMILY_TOKEN]);
+      assert.match(messaging.sent[0].notification.body, /memory/);
+
+      // Still declining on the next game, but within the cooldown
+      await writeAndTrigger(myFunctions.onGameResultRecorded, seniorRef().collection("gameResults").doc("game-next"), {
+        gameType: "memory_match",
+        score: 61,
+        timestamp: new Date(),
+        metrics: {},
+      }, { userId: SENIOR_ID, resultId: "game-next" });
+      assert.equal(messaging.sent.length, 1);
+    });
+
+    it("doesn't notify family who haven't opted in", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+
+      await seedGameResults();
+
+      const trend = (await seniorRef().collection("data").doc("cognitiveTrend").get()).data();
+      assert.deepEqual(trend.sustainedDeclines, ["memory"]);
+      assert.equal(messaging.sent.length, 0);
+    });
+  });
+
+  describe("resetDailyCounters", () => {
+    const yesterday = () => new Date(Date.now() - 26 * 60 * 60 * 1000);
+
+    it("resets yesterday's counters and records the run in jobRuns", async () => {
+      await seedSenior(SENIOR_ID, {
+        missedCheckInsToday: 2,
+        lastMissedCheckIn: yesterday(),
+        completedSchedulesToday: ["9:00 AM"],
+        lastCheckIn: yesterday(),
+      });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ missedCheckInsToday: 2, completedSchedulesTodayCount: 1 });
+
+      const scheduleTime = "2026-05-10T04:00:00.000Z";
+      await functionsTest.wrap(myFunctions.resetDailyCounters)({ scheduleTime });
+
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.missedCheckInsToday, 0);
+      assert.deepEqual(state.completedSchedulesToday, []);
+
+      const runs = await db.collection("jobRuns").where("job", "==", "resetDailyCounters").get();
+      assert.equal(runs.size, 1);
+      const run = runs.docs[0].data();
+      assert.equal(run.status, "completed");
+      assert.equal(run.metrics.reset, 1);
+      assert.equal(run.metrics.failed, 0);
+
+      // Same invocation again (a retry after success) does nothing
+      await seniorStateRef().update({ missedCheckInsToday: 3 });
+      await functionsTest.wrap(myFunctions.resetDailyCounters)({ scheduleTime });
+      assert.equal((await seniorStateRef().get()).data().missedCheckInsToday, 3);
+    });
+
+    it("resumes from the saved checkpoint", async () => {
+      await seedSenior(SENIOR_ID, { missedCheckInsToday: 1, lastMissedCheckIn: yesterday() });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ missedCheckInsToday: 1 });
+
+      // A failed attempt already got past this senior
+      const scheduleTime = "2026-05-10T05:00:00.000Z";
+      await db.collection("jobRuns").doc("resetDailyCounters_20260510T050000000Z").set({
+        job: "resetDailyCounters",
+        runKey: scheduleTime,
+        status: "failed",
+        attempts: 1,
+        pages: 1,
+        metrics: { reset: 5, skipped: 0, failed: 0 },
+        checkpoint: { phase: 0, lastValue: 1, lastId: SENIOR_ID },
+      });
+
+      await functionsTest.wrap(myFunctions.resetDailyCounters)({ scheduleTime });
+
+      assert.equal((await seniorStateRef().get()).data().missedCheckInsToday, 1);
+      const run = (await db.collection("jobRuns").doc("resetDailyCounters_20260510T050000000Z").get()).data();
+      assert.equal(run.status, "completed");
+      assert.equal(run.attempts, 2);
+      assert.equal(run.metrics.reset, 5);
+    });
+  });
+
+  describe("rollupDailySummaries", () => {
+    const localDay = (daysAgo) => DateTime.utc().minus({ days: daysAgo }).toISODate();
+
+    it("summarizes yesterday once and updates the streak and success rates", async () => {
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["9:00 AM", "6:00 PM"], currentStreak: 5, lastSummaryDate: localDay(2) });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false, nextRollupAt: new Date() });
+      await seniorRef().collection("dailySummaries").doc(localDay(2)).set({
+        date: localDay(2),
+        scheduled: 2,
+        completed: 2,
+        missed: 0,
+        streak: 5,
+      });
+      await seniorRef().collection("checkIns").add({
+        userId: SENIOR_ID,
+        timestamp: new Date(`${localDay(1)}T09:10:00Z`),
+        scheduledFor: ["9:00 AM"],
+      });
+
+      await functionsTest.wrap(myFunctions.rollupDailySummaries)({ scheduleTime: "2026-05-10T00:05:00.000Z" });
+
+      const summary = (await seniorRef().collection("dailySummaries").doc(localDay(1)).get()).data();
+      assert.equal(summary.scheduled, 2);
+      assert.equal(summary.onTime, 1);
+      assert.equal(summary.missed, 1);
+      assert.equal(summary.streak, 0);
+
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.currentStreak, 0);
+      assert.equal(state.successRate7d, 0.75);
+      assert.equal(state.successRate30d, 0.75);
+      assert.equal(state.lastSummaryDate, localDay(1));
+      // Due again when today ends
+      assert.equal(state.nextRollupAt.toDate().toISOString(), `${localDay(-1)}T00:00:00.000Z`);
+
+      // The next hour skips the senior
+      await functionsTest.wrap(myFunctions.rollupDailySummaries)({ scheduleTime: "2026-05-10T01:05:00.000Z" });
+      const run = (await db.collection("jobRuns").doc("rollupDailySummaries_20260510T010500000Z").get()).data();
+      assert.equal(run.metrics.summarized, 0);
+      assert.equal(run.metrics.skipped, 1);
+    });
+
+    it("reads only seniors whose nextRollupAt has passed", async () => {
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["9:00 AM"], lastSummaryDate: localDay(2) });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false, nextRollupAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+      await functionsTest.wrap(myFunctions.rollupDailySummaries)({ scheduleTime: "2026-05-10T02:05:00.000Z" });
+
+      assert.equal((await seniorRef().collection("dailySummaries").get()).size, 0);
+      const run = (await db.collection("jobRuns").doc("rollupDailySummaries_20260510T020500000Z").get()).data();
+      assert.equal(run.metrics.summarized, 0);
+      assert.equal(run.metrics.skipped, 0);
+    });
+
+    it("backfills days missed since the last summary, in order", async () => {
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["9:00 AM"], lastSummaryDate: localDay(4) });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false, nextRollupAt: new Date() });
+      await seniorRef().collection("dailySummaries").doc(localDay(4)).set({
+        date: localDay(4),
+        scheduled: 1,
+        completed: 1,
+        missed: 0,
+        streak: 5,
+      });
+      for (const daysAgo of [2, 1]) {
+        await seniorRef().collection("checkIns").add({
+          userId: SENIOR_ID,
+          timestamp: new Date(`${localDay(daysAgo)}T09:10:00Z`),
+          scheduledFor: ["9:00 AM"],
+        });
+      }
+
+      await functionsTest.wrap(myFunctions.rollupDailySummaries)({ scheduleTime: "2026-05-11T00:05:00.000Z" });
+
+      const summaries = seniorRef().collection("dailySummaries");
+      assert.equal((await summaries.doc(localDay(3)).get()).data().streak, 0);
+      assert.equal((await summaries.doc(localDay(2)).get()).data().streak, 1);
+      assert.equal((await summaries.doc(localDay(1)).get()).data().streak, 2);
+
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.currentStreak, 2);
+      assert.equal(state.lastSummaryDate, localDay(1));
+      const run = (await db.collection("jobRuns").doc("rollupDailySummaries_20260511T000500000Z").get()).data();
+      assert.equal(run.metrics.summarized, 1);
+      assert.equal(run.metrics.days, 3);
+    });
+
+    it("starts on the day the account was created", async () => {
+      const createdAt = new Date(`${localDay(1)}T12:00:00Z`);
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["9:00 AM", "6:00 PM"], seniorCreatedAt: createdAt });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false, nextRollupAt: new Date() });
+
+      await functionsTest.wrap(myFunctions.rollupDailySummaries)({ scheduleTime: "2026-05-12T00:05:00.000Z" });
+
+      const summaries = await seniorRef().collection("dailySummaries").get();
+      assert.deepEqual(summaries.docs.map(doc => doc.id), [localDay(1)]);
+      // The 9:00 AM slot came before the account existed
+      assert.deepEqual(summaries.docs[0].data().slots.map(slot => slot.slot), ["6:00 PM"]);
+    });
+
+    it("expects nothing on the first day from seniors with only the default schedule", async () => {
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["11:00 AM"], seniorCreatedAt: new Date(`${localDay(1)}T06:00:00Z`) });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false, nextRollupAt: new Date() });
+
+      await functionsTest.wrap(myFunctions.rollupDailySummaries)({ scheduleTime: "2026-05-13T00:05:00.000Z" });
+
+      const summary = (await seniorRef().collection("dailySummaries").doc(localDay(1)).get()).data();
+      assert.equal(summary.scheduled, 0);
+      assert.equal(summary.streak, 0);
+    });
+  });
+
+  describe("sendFamilyDigests", () => {
+    it("covers the senior's local day, not the last 24 hours", async () => {
+      const now = DateTime.utc();
+      const today = now.startOf("day");
+      await seedSenior(SENIOR_ID, { checkInSchedules: ["12:00 AM"] });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false });
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      await db.collection("users").doc(FAMILY_ID).collection("data").doc("notificationPreferences").set({
+        digest: { time: now.toFormat("HH:00"), weeklyDay: now.plus({ days: 1 }).weekday },
+      });
+      await db.collection("digestSchedules").doc(FAMILY_ID).set({ nextDigestAt: now.toJSDate() });
+      await seniorRef().collection("checkIns").add({
+        userId: SENIOR_ID,
+        timestamp: today.minus({ minutes: 1 }).toJSDate(),
+        scheduledFor: ["12:00 AM"],
+      });
+      await seniorRef().collection("checkIns").add({
+        userId: SENIOR_ID,
+        timestamp: today.toJSDate(),
+        scheduledFor: ["12:00 AM"],
+        mood: "happy",
+      });
+
+      const stats = await functionsTest.wrap(myFunctions.sendFamilyDigests)({});
+      assert.equal(stats.due, 1);
+      assert.equal(stats.sent, 1);
+
+      const digest = (await db.collection("users").doc(FAMILY_ID).collection("digests")
+        .doc(`daily_${today.toISODate()}`).get()).data();
+      assert.deepEqual(digest.seniors[0], {
+        seniorId: SENIOR_ID,
+        seniorName: "Test Senior",
+        startDate: today.toISODate(),
+        endDate: today.toISODate(),
+        checkIns: 1,
+        completed: 1,
+        expected: 1,
+        missed: 0,
+        alerts: 0,
+        games: 0,
+        mood: "happy",
+        vacationMode: false,
+      });
+
+      // Due again at the same hour tomorrow
+      const schedule = (await db.collection("digestSchedules").doc(FAMILY_ID).get()).data();
+      assert.equal(schedule.nextDigestAt.toDate().getTime(), now.startOf("hour").plus({ days: 1 }).toMillis());
+    });
+
+    it("reads only recipients whose digest is due and reschedules new ones", async () => {
+      const now = DateTime.utc();
+      await seedSenior(SENIOR_ID);
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false });
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      await db.collection("users").doc(FAMILY_ID).collection("data").doc("notificationPreferences").set({
+        digest: { time: now.plus({ hours: 2 }).toFormat("HH:00") },
+      });
+      await db.collection("digestSchedules").doc("not-due").set({ nextDigestAt: now.plus({ hours: 1 }).toJSDate() });
+
+      // A new connection makes both sides due
+      await writeAndTrigger(myFunctions.onConnectionWritten, db.collection("connections").doc(`${SENIOR_ID}_${FAMILY_ID}`), {
+        seniorId: SENIOR_ID,
+        familyId: FAMILY_ID,
+        status: "active",
+        createdAt: new Date(),
+      }, { connectionId: `${SENIOR_ID}_${FAMILY_ID}` });
+
+      const stats = await functionsTest.wrap(myFunctions.sendFamilyDigests)({});
+      assert.equal(stats.recipients, 2);
+      assert.equal(messaging.sent.length, 0);
+
+      const schedule = (await db.collection("digestSchedules").doc(FAMILY_ID).get()).data();
+      assert.equal(schedule.nextDigestAt.toDate().getTime(), now.startOf("hour").plus({ hours: 2 }).toMillis());
+    });
+  });
+
+  describe("reconcileCheckInTasks", () => {
+    it("re-schedules seniors without tasks and deletes orphaned tasks", async () => {
+      await seedSenior(SENIOR_ID);
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false });
+      // Task for a senior that no longer exists
+      await taskQueue.enqueue({
+        url: "http://localhost/handleMissedCheckIn",
+        payload: { userId: "deleted-senior" },
+        executeAt: new Date(Date.now() + 60 * 60 * 1000),
+      });
+
+      const report = await functionsTest.wrap(myFunctions.reconcileCheckInTasks)({});
+      assert.equal(report.rescheduled, 1);
+      assert.equal(report.orphansDeleted, 1);
+      assert.deepEqual(report.rescheduledUserIds, [SENIOR_ID]);
+
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(Object.keys(state.scheduledTasks).length, 2);
+      assert.equal(taskQueue.byTarget("handleMissedCheckIn").length, 2);
+    });
+
+    it("re-creates a recorded task that is no longer queued", async () => {
+      await seedSenior(SENIOR_ID, { scheduledTasks: pendingSlot("fake-task-lost") });
+      await db.collection("seniorStates").doc(SENIOR_ID).set({ vacationMode: false });
+
+      const report = await functionsTest.wrap(myFunctions.reconcileCheckInTasks)({});
+      assert.equal(report.lostTasks, 1);
+
+      const state = (await seniorStateRef().get()).data();
+      const [key] = Object.keys(pendingSlot("fake-task-lost"));
+      assert.notEqual(state.scheduledTasks[key].taskName, "fake-task-lost");
+      assert.ok(taskQueue.tasks.has(state.scheduledTasks[key].taskName));
+    });
+  });
+
+  describe("scheduled vacations", () => {
+    const hours = (n) => new Date(Date.now() + n * 60 * 60 * 1000);
+
+    it("plans start and end tasks for a future vacation", async () => {
+      await seedSenior(SENIOR_ID);
+      const current = (await seniorStateRef().get()).data();
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        ...current,
+        vacationStart: hours(24),
+        vacationEnd: hours(72),
+        vacationReason: "Visiting family",
+      }, { userId: SENIOR_ID });
+
+      const tasks = taskQueue.byTarget("handleVacationTransition");
+      assert.deepEqual(tasks.map(task => task.payload.action).sort(), ["end", "start"]);
+      const state = (await seniorStateRef().get()).data();
+      assert.deepEqual(Object.values(state.vacationTasks).sort(), tasks.map(task => task.name).sort());
+    });
+
+    it("tells family members when vacation mode is turned on", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      const current = (await seniorStateRef().get()).data();
+
+      await writeAndTrigger(myFunctions.syncSeniorStateToTopLevel, seniorStateRef(), {
+        ...current,
+        vacationMode: true,
+        vacationReason: "Hospital stay",
+      }, { userId: SENIOR_ID });
+
+      assert.equal(messaging.sent.length, 1);
+      assert.deepEqual(messaging.sent[0].tokens, [FAMILY_TOKEN]);
+      assert.equal(messaging.sent[0].data.type, "vacation_started");
+      assert.match(messaging.sent[0].notification.body, /Hospital stay/);
+    });
+
+    it("ends the vacation, notifies everyone and resumes monitoring", async () => {
+      const vacationStart = hours(-48);
+      const vacationEnd = hours(-0.01);
+      await seedSenior(SENIOR_ID, { vacationMode: true, vacationStart, vacationEnd, vacationReason: "Trip" });
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      await seniorRef().collection("devices").doc("senior-token").set({ token: "senior-token", platform: "android" });
+
+      const response = await callHttp(myFunctions.handleVacationTransition, {
+        body: {
+          userId: SENIOR_ID,
+          action: "end",
+          vacationStart: vacationStart.toISOString(),
+          vacationEnd: vacationEnd.toISOString(),
+        },
+      });
+      assert.equal(response.body.outcome, "ended");
+
+      const state = (await seniorStateRef().get()).data();
+      assert.equal(state.vacationMode, false);
+      assert.equal(state.vacationEnd, undefined);
+      assert.equal(Object.keys(state.scheduledTasks).length, 2);
+
+      const resumed = messaging.sent.filter(message => message.data.type === "monitoring_resumed");
+      assert.deepEqual(resumed.map(message => message.tokens[0]).sort(), [FAMILY_TOKEN, "senior-token"].sort());
+    });
+
+    it("skips a transition planned for dates that have since changed", async () => {
+      await seedSenior(SENIOR_ID, { vacationMode: true, vacationEnd: hours(48) });
+
+      const response = await callHttp(myFunctions.handleVacationTransition, {
+        body: { userId: SENIOR_ID, action: "end", vacationStart: null, vacationEnd: hours(-1).toISOString() },
+      });
+      assert.equal(response.body.outcome, "superseded");
+      assert.equal((await seniorStateRef().get()).data().vacationMode, true);
+    });
+  });
+
+  describe("onSOSTriggered", () => {
+    it("opens an incident, alerts every connection and schedules a reminder", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      const current = (await seniorStateRef().get()).data();
+
+      await writeAndTrigger(myFunctions.onSOSTriggered, seniorStateRef(), {
+        ...current,
+        sosActive: true,
+        sosTriggeredAt: new Date(),
+        sosLocationAddress: "1 Test Street",
+      }, { userId: SENIOR_ID });
+
+      const state = (await seniorStateRef().get()).data();
+      assert.ok(state.activeSosIncidentId);
+      const incident = (await seniorRef().collection("incidents").doc(state.activeSosIncidentId).get()).data();
+      assert.equal(incident.type, "sos");
+      assert.equal(incident.status, "open");
+
+      assert.equal(messaging.sent.length, 1);
+      assert.deepEqual(messaging.sent[0].tokens, [FAMILY_TOKEN]);
+      assert.equal(messaging.sent[0].data.type, "sos_alert");
+      assert.equal(messaging.sent[0].data.sosAddress, "1 Test Street");
+      assert.equal(messaging.sent[0].android.notification.channelId, "sos_alerts");
+
+      const [reminder] = taskQueue.byTarget("handleSosReminder");
+      assert.equal(reminder.payload.incidentId, state.activeSosIncidentId);
+      assert.equal(reminder.payload.reminderNumber, 1);
+
+      const log = await db.collection("notifications").where("recipientUserId", "==", FAMILY_ID).get();
+      assert.equal(log.size, 1);
+      assert.equal(log.docs[0].data().status, "sent");
+    });
+
+    it("alerts once when the trigger is retried", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      const before = await seniorStateRef().get();
+      await seniorStateRef().update({ sosActive: true, sosTriggeredAt: new Date() });
+      const change = functionsTest.makeChange(before, await seniorStateRef().get());
+
+      const trigger = functionsTest.wrap(myFunctions.onSOSTriggered);
+      await trigger({ data: change, params: { userId: SENIOR_ID } });
+      await trigger({ data: change, params: { userId: SENIOR_ID } });
+
+      assert.equal(messaging.sent.length, 1);
+      assert.equal((await seniorRef().collection("incidents").get()).size, 1);
+      assert.equal(taskQueue.byTarget("handleSosReminder").length, 1);
+    });
+
+    it("writes the alert in the language of the family member's device", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      await db.collection("users").doc(FAMILY_ID).collection("devices").doc(FAMILY_TOKEN).update({ locale: "ur-PK" });
+      const current = (await seniorStateRef().get()).data();
+
+      await writeAndTrigger(myFunctions.onSOSTriggered, seniorStateRef(), {
+        ...current,
+        sosActive: true,
+        sosTriggeredAt: new Date(),
+      }, { userId: SENIOR_ID });
+
+      assert.equal(messaging.sent[0].notification.title, "🚨 SOS الرٹ!");
+    });
+
+    it("announces the resolution and stops reminders", async () => {
+      await seedSenior(SENIOR_ID);
+      await seedFamilyMember(SENIOR_ID, FAMILY_ID, FAMILY_TOKEN);
+      const triggered = (await seniorStateRef().get()).data();
+      await writeAndTrigger(myFunctions.onSOSTriggered, seniorStateRef(), {
+        ...triggered,
+        sosActive: true,
+        sosTriggeredAt: new Date(),
+      }, { userId: SENIOR_ID });
+      const [reminder] = taskQueue.byTarget("handleSosReminder");
+      const active = (await seniorStateRef().get()).data();
+      messaging.reset();
+
+      await writeAndTrigger(myFunctions.onSOSTriggered, seniorStateRef(), {
+        ...active,
+        sosActive: false,
+        sosResolvedBy: FAMILY_ID,
+      }, { userId: SENIOR_ID });
+
+      assert.ok(taskQueue.cancelled.includes(reminder.name));
+      const incident = (await seniorRef().collection("incidents").doc(active.activeSosIncidentId).get()).data();
+      assert.equal(incident.status, "resolved");
+      assert.equal(incident.resolvedBy, FAMILY_ID);
+
+      assert.equal(messaging.sent.length, 1);
+      assert.equal(messaging.sent[0].data.type, "sos_resolved");
+      assert.equal((await seniorStateRef().get()).data().activeSosIncidentId, undefined);
+    });
+
+    it("ignores writes that don't start or end an SOS", async () => {
+      await seedSenior(SENIOR_ID);
+      const current = (await seniorStateRef().get()).data();
+
+      await writeAndTrigger(myFunctions.onSOSTriggered, seniorStateRef(), {
+        ...current,
+        missedCheckInsToday: 2,
+      }, { userId: SENIOR_ID });
+
+      assert.equal(messaging.sent.length, 0);
+      assert.equal((await seniorRef().collection("incidents").get()).size, 0);
+    });
+  });
+
+  // Uploads need the Storage emulator, so only the checks before them are covered here
+  describe("generateHealthReport", () => {
+    const generateHealthReport = (data, uid) =>
+      functionsTest.wrap(myFunctions.generateHealthReport)({ data, auth: uid ? { uid } : undefined });
+    const range = { seniorId: SENIOR_ID, startDate: "2026-10-01", endDate: "2026-10-07" };
+
+    it("rejects callers who are not the senior or connected to them", async () => {
+      await seedSenior(SENIOR_ID);
+
+      await assert.rejects(generateHealthReport(range, null), { code: "unauthenticated" });
+      await assert.rejects(generateHealthReport(range, FAMILY_ID), { code: "permission-denied" });
+
+      await db.collection("connections").doc(`${SENIOR_ID}_${FAMILY_ID}`).set({
+        seniorId: SENIOR_ID,
+        familyId: FAMILY_ID,
+        status: "pending",
+      });
+      await assert.rejects(generateHealthReport(range, FAMILY_ID), { code: "permission-denied" });
+    });
+
+    it("validates the date range", async () => {
+      await assert.rejects(generateHealthReport({ ...range, startDate: "10/01/2026" }, SENIOR_ID), { code: "invalid-argument" });
+      await assert.rejects(generateHealthReport({ ...range, endDate: "2026-09-30" }, SENIOR_ID), { code: "invalid-argument" });
+      await assert.rejects(generateHealthReport({ ...range, endDate: "2027-10-07" }, SENIOR_ID), { code: "invalid-argument" });
+    });
+  });
+});
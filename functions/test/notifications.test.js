@@ -0,0 +1,131 @@
+/**
+ * Unit tests for notification preferences (notifications.js)
+ * Run with: npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizePreferences, isWithinQuietHours, getNextDigestAt, getSuppressionReason } = require("../notifications");
+
+// 22:00-07:00 quiet hours in minutes after midnight
+const overnight = { start: 22 * 60, end: 7 * 60 };
+const at = (iso) => new Date(iso);
+
+describe("normalizePreferences", () => {
+  it("defaults to no quiet hours, everything enabled and the default digest time", () => {
+    const preferences = normalizePreferences(undefined);
+
+    assert.equal(preferences.quietHours, null);
+    assert.deepEqual(preferences.types, {});
+    assert.deepEqual(preferences.connections, {});
+    assert.deepEqual(preferences.digest, { time: 20 * 60, weeklyDay: 7 });
+  });
+
+  it("keeps valid entries and drops invalid ones", () => {
+    const preferences = normalizePreferences({
+      quietHours: { enabled: true, start: "22:00", end: "07:00" },
+      types: { daily_digest: false, not_a_template: false, weekly_digest: "no" },
+      connections: { "senior-1": { muted: true }, "senior-2": { priority: "high" }, "senior-3": "loud" },
+      digest: { time: "18:30", weeklyDay: 9 },
+    });
+
+    assert.deepEqual(preferences.quietHours, overnight);
+    assert.deepEqual(preferences.types, { daily_digest: false });
+    assert.deepEqual(preferences.connections, {
+      "senior-1": { muted: true, priority: "normal" },
+      "senior-2": { muted: false, priority: "high" },
+    });
+    assert.deepEqual(preferences.digest, { time: 18 * 60 + 30, weeklyDay: 7 });
+  });
+
+  it("ignores quiet hours that are disabled, malformed or empty", () => {
+    assert.equal(normalizePreferences({ quietHours: { enabled: false, start: "22:00", end: "07:00" } }).quietHours, null);
+    assert.equal(normalizePreferences({ quietHours: { enabled: true, start: "25:00", end: "07:00" } }).quietHours, null);
+    assert.equal(normalizePreferences({ quietHours: { enabled: true, start: "07:00", end: "07:00" } }).quietHours, null);
+  });
+});
+
+describe("isWithinQuietHours", () => {
+  it("handles ranges that span midnight", () => {
+    assert.equal(isWithinQuietHours(overnight, "UTC", at("2026-10-19T23:30:00Z")), true);
+    assert.equal(isWithinQuietHours(overnight, "UTC", at("2026-10-19T03:00:00Z")), true);
+    assert.equal(isWithinQuietHours(overnight, "UTC", at("2026-10-19T07:00:00Z")), false);
+    assert.equal(isWithinQuietHours(overnight, "UTC", at("2026-10-19T21:59:00Z")), false);
+    assert.equal(isWithinQuietHours(overnight, "UTC", at("2026-10-19T22:00:00Z")), true);
+  });
+
+  it("handles ranges within one day", () => {
+    const afternoon = { start: 13 * 60, end: 15 * 60 };
+    assert.equal(isWithinQuietHours(afternoon, "UTC", at("2026-10-19T14:00:00Z")), true);
+    assert.equal(isWithinQuietHours(afternoon, "UTC", at("2026-10-19T15:00:00Z")), false);
+    assert.equal(isWithinQuietHours(afternoon, "UTC", at("2026-10-19T02:00:00Z")), false);
+  });
+
+  it("uses the recipient's timezone and falls back for invalid ones", () => {
+    // 18:00 UTC is 23:00 in Karachi (the fallback timezone)
+    assert.equal(isWithinQuietHours(overnight, "Asia/Karachi", at("2026-10-19T18:00:00Z")), true);
+    assert.equal(isWithinQuietHours(overnight, "UTC", at("2026-10-19T18:00:00Z")), false);
+    assert.equal(isWithinQuietHours(overnight, "Not/AZone", at("2026-10-19T18:00:00Z")), true);
+    assert.equal(isWithinQuietHours(null, "UTC", at("2026-10-19T23:00:00Z")), false);
+  });
+});
+
+describe("getNextDigestAt", () => {
+  const digest = { time: 20 * 60 + 30, weeklyDay: 7 };
+
+  it("returns the next start of the digest hour in the recipient's timezone", () => {
+    // 20:00 in Karachi is 15:00 UTC
+    assert.equal(getNextDigestAt(digest, "Asia/Karachi", at("2026-10-19T09:00:00Z")).toISOString(), "2026-10-19T15:00:00.000Z");
+    assert.equal(getNextDigestAt(digest, "UTC", at("2026-10-19T09:00:00Z")).toISOString(), "2026-10-19T20:00:00.000Z");
+  });
+
+  it("moves to the next day once the digest hour has started", () => {
+    assert.equal(getNextDigestAt(digest, "UTC", at("2026-10-19T20:00:00Z")).toISOString(), "2026-10-20T20:00:00.000Z");
+    assert.equal(getNextDigestAt(digest, "UTC", at("2026-10-19T21:00:00Z")).toISOString(), "2026-10-20T20:00:00.000Z");
+  });
+});
+
+describe("getSuppressionReason", () => {
+  const night = at("2026-10-19T23:00:00Z");
+  const preferences = normalizePreferences({
+    quietHours: { enabled: true, start: "22:00", end: "07:00" },
+    types: { vacation_started: false },
+    connections: { "senior-1": { muted: true }, "senior-2": { priority: "high" } },
+  });
+
+  it("applies type toggles, mutes and quiet hours in that order", () => {
+    assert.equal(getSuppressionReason(preferences, "vacation_started", "senior-2", "UTC", night), "type_disabled");
+    assert.equal(getSuppressionReason(preferences, "wellness_concern", "senior-1", "UTC", night), "connection_muted");
+    assert.equal(getSuppressionReason(preferences, "wellness_concern", "senior-3", "UTC", night), "quiet_hours");
+    assert.equal(getSuppressionReason(preferences, "wellness_concern", "senior-3", "UTC", at("2026-10-19T12:00:00Z")), null);
+  });
+
+  it("lets high-priority seniors through quiet hours", () => {
+    assert.equal(getSuppressionReason(preferences, "wellness_concern", "senior-2", "UTC", night), null);
+  });
+
+  it("always delivers SOS and escalation alerts", () => {
+    const strict = normalizePreferences({
+      quietHours: { enabled: true, start: "22:00", end: "07:00" },
+      types: { escalation: false, sos_alert: false },
+      connections: { "senior-1": { muted: true } },
+    });
+    for (const type of ["escalation", "sos_alert", "sos_reminder"]) {
+      assert.equal(getSuppressionReason(strict, type, "senior-1", "UTC", night), null, type);
+    }
+  });
+
+  it("applies preferences to family missed check-in alerts", () => {
+    assert.equal(getSuppressionReason(preferences, "family_missed_alert", "senior-3", "UTC", night), "quiet_hours");
+    assert.equal(getSuppressionReason(preferences, "family_missed_alert", "senior-1", "UTC", at("2026-10-19T12:00:00Z")), "connection_muted");
+    const disabled = normalizePreferences({ types: { family_missed_alert: false } });
+    assert.equal(getSuppressionReason(disabled, "family_missed_alert", "senior-3", "UTC", at("2026-10-19T12:00:00Z")), "type_disabled");
+  });
+
+  it("only sends opt-in types to recipients who switched them on", () => {
+    assert.equal(getSuppressionReason(normalizePreferences({}), "cognitive_decline", "senior-3", "UTC", at("2026-10-19T12:00:00Z")), "type_disabled");
+    const optedIn = normalizePreferences({ types: { cognitive_decline: true } });
+    assert.equal(getSuppressionReason(optedIn, "cognitive_decline", "senior-3", "UTC", at("2026-10-19T12:00:00Z")), null);
+  });
+});
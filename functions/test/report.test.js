@@ -0,0 +1,101 @@
+/**
+ * Unit tests for health reports (report.js)
+ * Run with: npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildHealthReport, renderReportCsv, renderReportPdf } = require("../report");
+
+const build = (overrides = {}) => buildHealthReport({
+  senior: { name: "Test Senior", timezone: "Asia/Karachi" },
+  startDate: "2026-10-01",
+  endDate: "2026-10-07",
+  checkIns: [
+    { timestamp: new Date("2026-10-02T04:15:00Z"), mood: "happy", sleep: "good", scheduledFor: ["9:00 AM"] },
+    { timestamp: new Date("2026-10-01T04:00:00Z"), mood: "down" },
+  ],
+  activityLogs: [
+    { timestamp: new Date("2026-10-03T05:00:00Z"), activityType: "missed_check_in", metadata: { scheduledTime: "9:00 AM" } },
+    { timestamp: new Date("2026-10-03T06:00:00Z"), activityType: "escalation_triggered" },
+    { timestamp: new Date("2026-10-04T06:00:00Z"), activityType: "wellness_concern", metadata: { concern: "mood_drop" } },
+  ],
+  gameResults: [
+    { timestamp: new Date("2026-10-05T10:00:00Z"), gameType: "memory_match", score: 70 },
+    { timestamp: new Date("2026-10-06T10:00:00Z"), gameType: "speed_tap", score: 81 },
+  ],
+  sosIncidents: [{ createdAt: new Date("2026-10-06T12:00:00Z"), status: "resolved", details: { address: "Home" } }],
+  generatedAt: new Date("2026-10-08T09:00:00Z"),
+  ...overrides,
+});
+
+describe("buildHealthReport", () => {
+  it("summarizes the period and lists events in order", () => {
+    const report = build();
+
+    assert.deepEqual(report.summary, {
+      checkIns: 2,
+      slotsCompleted: 2,
+      missedCheckIns: 1,
+      wellnessConcerns: 1,
+      gamesPlayed: 2,
+      averageGameScore: 76,
+      sosEvents: 1,
+    });
+    assert.deepEqual(report.answers.mood, { happy: 1, down: 1 });
+    assert.deepEqual(report.rows.map(row => row.category),
+      ["check_in", "check_in", "missed_check_in", "wellness_concern", "game", "game", "sos"]);
+    assert.equal(report.rows[1].value, "mood: happy, sleep: good");
+  });
+});
+
+describe("renderReportCsv", () => {
+  it("writes one row per event in the senior's timezone", () => {
+    const lines = renderReportCsv(build()).trimEnd().split("\r\n");
+
+    assert.equal(lines[0], "date,time,category,item,value");
+    assert.equal(lines.length, 8);
+    assert.equal(lines[2], "2026-10-02,09:15,check_in,9:00 AM,\"mood: happy, sleep: good\"");
+  });
+
+  it("quotes and defuses cells a spreadsheet would treat as formulas", () => {
+    const csv = renderReportCsv(build({
+      checkIns: [{ timestamp: new Date("2026-10-02T04:15:00Z"), mood: "=HYPERLINK(\"x\")" }],
+      activityLogs: [],
+      gameResults: [],
+      sosIncidents: [],
+    }));
+
+    assert.match(csv, /,"mood: =HYPERLINK\(""x""\)"\r\n$/);
+    assert.equal(renderReportCsv(build({ checkIns: [], activityLogs: [], gameResults: [],
+      sosIncidents: [{ createdAt: new Date(), status: "open", details: { address: "-1 Main St" } }] }))
+      .split("\r\n")[1].split(",")[3], "'-1 Main St");
+  });
+});
+
+describe("renderReportPdf", () => {
+  it("writes a PDF whose cross-reference table points at each object", () => {
+    const pdf = renderReportPdf(build()).toString("latin1");
+
+    assert.ok(pdf.startsWith("%PDF-1.4\n"));
+    assert.ok(pdf.endsWith("%%EOF\n"));
+    const xrefOffset = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+    assert.ok(pdf.startsWith("xref", xrefOffset));
+    const offsets = [...pdf.slice(xrefOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+    offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, offset)));
+    assert.match(pdf, /\(2026-10-03 10:00  Missed check-in: 9:00 AM\) Tj/);
+  });
+
+  it("adds pages for long reports and escapes text", () => {
+    const checkIns = Array.from({ length: 120 }, (_, i) => ({
+      timestamp: new Date(Date.UTC(2026, 9, 1, 4, i)),
+      mood: "(ok)",
+    }));
+    const pdf = renderReportPdf(build({ checkIns, senior: { name: "امی", timezone: "UTC" } })).toString("latin1");
+
+    assert.match(pdf, /\/Count 3 >>/);
+    assert.match(pdf, /mood: \\\(ok\\\)/);
+    assert.match(pdf, /\(\?\?\?, 2026-10-01 to 2026-10-07 \\\(UTC\\\)\)/);
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * Unit tests for the schedule time helpers (schedule.js)
+ * Run with: npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseScheduleToTime,
+  calculateNextExpectedCheckIn,
+  getPendingSchedules,
+  getSchedulesToResolve,
+  findNextFutureSchedule,
+  getUpcomingSlots,
+  getSlotKey,
+  scheduleFromState,
+  getSchedulesForDate,
+  resolveCheckInWindow,
+  getSlotWindow,
+  formatTimeToSchedule,
+  getMissedCheckInKey,
+} = require("../schedule");
+const { CHECK_IN_WINDOW_MINUTES, GRACE_PERIOD_MINUTES } = require("../constants");
+
+const iso = (date) => (date ? date.toISOString() : null);
+
+describe("parseScheduleToTime", () => {
+  it("parses 12-hour times", () => {
+    assert.deepEqual(parseScheduleToTime("11:00 AM"), { hours: 11, minutes: 0 });
+    assert.deepEqual(parseScheduleToTime("6:45 PM"), { hours: 18, minutes: 45 });
+  });
+
+  it("maps 12 AM to midnight and 12 PM to noon", () => {
+    assert.deepEqual(parseScheduleToTime("12:00 AM"), { hours: 0, minutes: 0 });
+    assert.deepEqual(parseScheduleToTime("12:30 PM"), { hours: 12, minutes: 30 });
+  });
+
+  it("accepts lower case, missing space and extra whitespace", () => {
+    assert.deepEqual(parseScheduleToTime("9:05pm"), { hours: 21, minutes: 5 });
+    assert.deepEqual(parseScheduleToTime("  7:15   am "), { hours: 7, minutes: 15 });
+  });
+
+  it("rejects invalid input", () => {
+    for (const value of ["13:00 PM", "0:30 AM", "11:60 AM", "11 AM", "11:00", "11:00 XM", "", null, undefined, 42]) {
+      assert.equal(parseScheduleToTime(value), null, `expected null for ${JSON.stringify(value)}`);
+    }
+  });
+});
+
+describe("calculateNextExpectedCheckIn", () => {
+  // Asia/Karachi is UTC+5 all year
+  const tz = "Asia/Karachi";
+  const schedules = ["9:00 AM", "6:00 PM"];
+
+  it("returns the next schedule later today", () => {
+    const now = new Date("2026-05-10T03:00:00Z"); // 08:00 local
+    assert.equal(iso(calculateNextExpectedCheckIn(schedules, now, null, tz)), "2026-05-10T04:00:00.000Z");
+  });
+
+  it("prefers the next future schedule over an incomplete past one", () => {
+    const now = new Date("2026-05-10T05:00:00Z"); // 10:00 local, 9:00 AM missed
+    assert.equal(iso(calculateNextExpectedCheckIn(schedules, now, null, tz)), "2026-05-10T13:00:00.000Z");
+  });
+
+  it("returns the earliest incomplete past schedule when none are left today", () => {
+    const now = new Date("2026-05-10T14:00:00Z"); // 19:00 local
+    assert.equal(iso(calculateNextExpectedCheckIn(schedules, now, null, tz)), "2026-05-10T04:00:00.000Z");
+  });
+
+  it("moves to tomorrow once today's schedules are completed", () => {
+    const now = new Date("2026-05-10T14:00:00Z");
+    const completed = ["9:00 am", "6:00 PM"]; // matching is case-insensitive
+    assert.equal(iso(calculateNextExpectedCheckIn(schedules, now, null, tz, completed)), "2026-05-11T04:00:00.000Z");
+  });
+
+  it("falls back to the default schedule and timezone", () => {
+    const now = new Date("2026-05-10T03:00:00Z"); // 08:00 in the default Asia/Karachi
+    assert.equal(iso(calculateNextExpectedCheckIn([], now, null)), "2026-05-10T06:00:00.000Z");
+  });
+
+  it("uses the senior's local day, not the UTC day", () => {
+    // 2026-06-15T20:00Z is 08:00 on June 16 in Auckland
+    const now = new Date("2026-06-15T20:00:00Z");
+    assert.equal(iso(calculateNextExpectedCheckIn(["9:00 AM"], now, null, "Pacific/Auckland")), "2026-06-15T21:00:00.000Z");
+  });
+});
+
+describe("getPendingSchedules", () => {
+  const tz = "Asia/Karachi";
+
+  it("returns past-due schedules that are not completed, normalized", () => {
+    const now = new Date("2026-05-10T14:00:00Z"); // 19:00 local
+    const pending = getPendingSchedules(["9:00 am", "1:00 PM", "8:00 PM"], ["1:00 PM"], now, tz);
+    assert.deepEqual(pending, ["9:00 AM"]);
+  });
+
+  it("counts a schedule as pending at exactly its time", () => {
+    const now = new Date("2026-05-10T04:00:00Z"); // 09:00 local
+    assert.deepEqual(getPendingSchedules(["9:00 AM"], [], now, tz), ["9:00 AM"]);
+  });
+
+  it("ignores unparseable schedules", () => {
+    const now = new Date("2026-05-10T14:00:00Z");
+    assert.deepEqual(getPendingSchedules(["nine", "9:00 AM"], [], now, tz), ["9:00 AM"]);
+  });
+
+  it("returns nothing before the first schedule", () => {
+    const now = new Date("2026-05-10T02:00:00Z"); // 07:00 local
+    assert.deepEqual(getPendingSchedules(["9:00 AM", "6:00 PM"], [], now, tz), []);
+  });
+});
+
+describe("getSchedulesToResolve", () => {
+  const tz = "Asia/Karachi";
+
+  it("resolves every past-due schedule when checking in late", () => {
+    const now = new Date("2026-05-10T14:00:00Z"); // 19:00 local
+    assert.deepEqual(getSchedulesToResolve(["9:00 AM", "1:00 PM", "8:00 PM"], [], now, tz), ["9:00 AM", "1:00 PM"]);
+  });
+
+  it("resolves only the nearest upcoming schedule when checking in early", () => {
+    const now = new Date("2026-05-10T03:50:00Z"); // 08:50 local
+    assert.deepEqual(getSchedulesToResolve(["6:00 PM", "9:00 AM", "1:00 PM"], [], now, tz), ["9:00 AM"]);
+    assert.deepEqual(getSchedulesToResolve(["9:00 AM", "1:00 PM"], ["9:00 AM"], now, tz), ["1:00 PM"]);
+  });
+
+  it("resolves nothing once every schedule today is completed", () => {
+    const now = new Date("2026-05-10T03:50:00Z");
+    assert.deepEqual(getSchedulesToResolve(["9:00 AM"], ["9:00 AM"], now, tz), []);
+  });
+});
+
+describe("findNextFutureSchedule", () => {
+  const tz = "Asia/Karachi";
+
+  it("returns the earliest future schedule today", () => {
+    const now = new Date("2026-05-10T05:00:00Z"); // 10:00 local
+    assert.equal(iso(findNextFutureSchedule(["9:00 AM", "8:00 PM", "3:00 PM"], now, tz)), "2026-05-10T10:00:00.000Z");
+  });
+
+  it("does not treat the current minute as future", () => {
+    const now = new Date("2026-05-10T04:00:00Z"); // exactly 09:00 local
+    assert.equal(iso(findNextFutureSchedule(["9:00 AM"], now, tz)), "2026-05-11T04:00:00.000Z");
+  });
+
+  it("rolls over to tomorrow's earliest schedule", () => {
+    const now = new Date("2026-05-10T18:50:00Z"); // 23:50 local
+    assert.equal(iso(findNextFutureSchedule(["6:00 PM", "9:00 AM"], now, tz)), "2026-05-11T04:00:00.000Z");
+  });
+
+  it("handles half-hour offsets", () => {
+    // Asia/Kolkata is UTC+5:30; 23:50 local on May 10
+    const now = new Date("2026-05-10T18:20:00Z");
+    assert.equal(iso(findNextFutureSchedule(["7:00 AM"], now, "Asia/Kolkata")), "2026-05-11T01:30:00.000Z");
+  });
+});
+
+describe("getUpcomingSlots", () => {
+  const tz = "Asia/Karachi";
+
+  it("returns each slot once within the next 24 hours, keyed by local date", () => {
+    const now = new Date("2026-05-10T05:00:00Z"); // 10:00 local
+    const slots = getUpcomingSlots(["9:00 AM", "6:00 PM"], now, tz);
+    assert.deepEqual(slots.map((s) => [s.key, s.slot, s.localDate, iso(s.scheduledTime)]), [
+      ["20260510_1800", "6:00 PM", "2026-05-10", "2026-05-10T13:00:00.000Z"],
+      ["20260511_0900", "9:00 AM", "2026-05-11", "2026-05-11T04:00:00.000Z"],
+    ]);
+  });
+
+  it("collapses duplicate schedule entries", () => {
+    const now = new Date("2026-05-10T05:00:00Z");
+    assert.equal(getUpcomingSlots(["6:00 PM", "6:00 pm"], now, tz).length, 1);
+  });
+
+  it("keys a spring-forward gap slot by its requested time", () => {
+    const now = new Date("2026-03-08T05:30:00Z"); // 00:30 EST
+    const [slot] = getUpcomingSlots(["2:30 AM"], now, "America/New_York");
+    assert.equal(slot.key, "20260308_0230");
+    assert.equal(iso(slot.scheduledTime), "2026-03-08T07:30:00.000Z");
+  });
+
+  it("builds the same key with getSlotKey", () => {
+    assert.equal(getSlotKey("6:00 pm", "2026-05-10"), "20260510_1800");
+    assert.equal(getSlotKey("nope", "2026-05-10"), null);
+  });
+});
+
+describe("weekday slots and exceptions", () => {
+  const tz = "Asia/Karachi";
+  // 2026-05-10 is a Sunday, 2026-05-12 a Tuesday
+  const schedule = scheduleFromState({
+    checkInSchedules: ["9:00 AM", "6:00 PM"],
+    scheduleRules: {
+      weekdays: { "2": ["10:00 AM", "8:00 PM"], "7": ["12:00 PM"], "9": ["1:00 AM"] },
+      exceptions: [
+        { date: "2026-05-11", type: "move", slot: "9:00 am", to: "1:30 PM" },
+        { date: "2026-05-13", type: "skip" },
+        { date: "2026-05-14", type: "skip", slot: "6:00 PM" },
+        { date: "not-a-date", type: "skip" },
+      ],
+    },
+  });
+
+  it("keeps a plain list as the same times every day", () => {
+    assert.deepEqual(scheduleFromState({ checkInSchedules: ["9:00 AM"] }), ["9:00 AM"]);
+    assert.deepEqual(getSchedulesForDate(["9:00 AM"], "2026-05-12"), ["9:00 AM"]);
+    assert.deepEqual(getSchedulesForDate([], "2026-05-12"), ["11:00 AM"]);
+  });
+
+  it("uses weekday slots instead of the daily list", () => {
+    assert.deepEqual(getSchedulesForDate(schedule, "2026-05-10"), ["12:00 PM"]);
+    assert.deepEqual(getSchedulesForDate(schedule, "2026-05-12"), ["10:00 AM", "8:00 PM"]);
+    assert.deepEqual(getSchedulesForDate(schedule, "2026-05-15"), ["9:00 AM", "6:00 PM"]);
+  });
+
+  it("applies dated skip and move exceptions", () => {
+    assert.deepEqual(getSchedulesForDate(schedule, "2026-05-11"), ["1:30 PM", "6:00 PM"]);
+    assert.deepEqual(getSchedulesForDate(schedule, "2026-05-13"), []);
+    assert.deepEqual(getSchedulesForDate(schedule, "2026-05-14"), ["9:00 AM"]);
+  });
+
+  it("finds the next future slot across a skipped day", () => {
+    const now = new Date("2026-05-12T16:00:00Z"); // Tue 21:00 local, Wed skipped
+    assert.equal(iso(findNextFutureSchedule(schedule, now, tz)), "2026-05-14T04:00:00.000Z");
+    assert.equal(iso(calculateNextExpectedCheckIn(schedule, now, null, tz, ["10:00 AM", "8:00 PM"])), "2026-05-14T04:00:00.000Z");
+  });
+
+  it("reports pending slots and upcoming tasks from the day's own list", () => {
+    const now = new Date("2026-05-11T09:00:00Z"); // Mon 14:00 local, 9:00 AM moved to 1:30 PM
+    assert.deepEqual(getPendingSchedules(schedule, [], now, tz), ["1:30 PM"]);
+    assert.deepEqual(getUpcomingSlots(schedule, now, tz).map((s) => s.key), ["20260511_1800", "20260512_1000"]);
+  });
+});
+
+describe("formatTimeToSchedule / getMissedCheckInKey", () => {
+  it("formats the slot in the senior's timezone, not the server's", () => {
+    const date = new Date("2026-10-19T06:00:00Z");
+    assert.equal(formatTimeToSchedule(date, "Asia/Karachi"), "11:00 AM");
+    assert.equal(formatTimeToSchedule(date, "America/New_York"), "2:00 AM");
+    assert.equal(formatTimeToSchedule(date, "UTC"), "6:00 AM");
+  });
+
+  it("falls back to the default timezone", () => {
+    assert.equal(formatTimeToSchedule(new Date("2026-10-19T18:30:00Z"), null), "11:30 PM");
+    assert.equal(formatTimeToSchedule(new Date("2026-10-19T18:30:00Z"), "Not/AZone"), "11:30 PM");
+  });
+
+  it("keys the miss by slot and local date", () => {
+    assert.equal(getMissedCheckInKey("u1", "9:00 AM", "2026-10-19"), "missed_u1_900AM_2026-10-19");
+    assert.equal(getMissedCheckInKey("u1", "09:00 am", "2026-10-19"), "missed_u1_900AM_2026-10-19");
+    assert.equal(getMissedCheckInKey("u1", "12:05PM", "2026-10-19"), "missed_u1_1205PM_2026-10-19");
+  });
+});
+
+describe("check-in windows", () => {
+  it("falls back to the defaults without settings", () => {
+    assert.deepEqual(resolveCheckInWindow(undefined), {
+      windowMinutes: CHECK_IN_WINDOW_MINUTES,
+      graceMinutes: GRACE_PERIOD_MINUTES,
+      reminderMinutes: Math.floor(CHECK_IN_WINDOW_MINUTES / 2) || null,
+    });
+  });
+
+  it("keeps seniors without settings due at the slot time, with no reminder", () => {
+    const slot = new Date("2026-10-19T09:00:00Z");
+    assert.deepEqual(getSlotWindow(slot, resolveCheckInWindow(undefined)), {
+      reminderAt: null,
+      closesAt: slot,
+      deadline: slot,
+    });
+  });
+
+  it("uses per-senior values and ignores invalid ones", () => {
+    assert.deepEqual(resolveCheckInWindow({ windowMinutes: 90, graceMinutes: 15, reminderMinutes: 60 }), {
+      windowMinutes: 90,
+      graceMinutes: 15,
+      reminderMinutes: 60,
+    });
+    const invalid = resolveCheckInWindow({ windowMinutes: -5, graceMinutes: "10", reminderMinutes: 500 });
+    assert.equal(invalid.windowMinutes, CHECK_IN_WINDOW_MINUTES);
+    assert.equal(invalid.graceMinutes, GRACE_PERIOD_MINUTES);
+    assert.equal(invalid.reminderMinutes, Math.floor(CHECK_IN_WINDOW_MINUTES / 2) || null);
+  });
+
+  it("turns the reminder off with null, or when the window is zero", () => {
+    assert.equal(resolveCheckInWindow({ windowMinutes: 90, reminderMinutes: null }).reminderMinutes, null);
+    assert.equal(resolveCheckInWindow({ windowMinutes: 0 }).reminderMinutes, null);
+  });
+
+  it("computes reminder, close and deadline times for a 9:00-10:30 window", () => {
+    const window = resolveCheckInWindow({ windowMinutes: 90, graceMinutes: 10 });
+    const times = getSlotWindow(new Date("2026-10-19T09:00:00Z"), window);
+    assert.equal(iso(times.reminderAt), "2026-10-19T09:45:00.000Z");
+    assert.equal(iso(times.closesAt), "2026-10-19T10:30:00.000Z");
+    assert.equal(iso(times.deadline), "2026-10-19T10:40:00.000Z");
+  });
+
+  it("is due at the slot time with a zero window and no grace", () => {
+    const times = getSlotWindow(new Date("2026-10-19T09:00:00Z"), resolveCheckInWindow({ windowMinutes: 0, graceMinutes: 0 }));
+    assert.equal(times.reminderAt, null);
+    assert.equal(iso(times.deadline), "2026-10-19T09:00:00.000Z");
+  });
+});
+
+describe("DST transitions", () => {
+  describe("America/New_York (spring forward 2026-03-08, fall back 2026-11-01)", () => {
+    const tz = "America/New_York";
+
+    it("keeps tomorrow's wall-clock time across spring forward", () => {
+      const now = new Date("2026-03-08T01:00:00Z"); // Mar 7 20:00 EST
+      // 9:00 AM EDT (UTC-4)
+      assert.equal(iso(findNextFutureSchedule(["9:00 AM"], now, tz)), "2026-03-08T13:00:00.000Z");
+    });
+
+    it("keeps tomorrow's wall-clock time across fall back", () => {
+      const now = new Date("2026-11-01T00:00:00Z"); // Oct 31 20:00 EDT
+      // 9:00 AM EST (UTC-5)
+      assert.equal(iso(findNextFutureSchedule(["9:00 AM"], now, tz)), "2026-11-01T14:00:00.000Z");
+    });
+
+    it("moves a schedule inside the spring-forward gap to just after it", () => {
+      const now = new Date("2026-03-08T05:30:00Z"); // 00:30 EST
+      // 2:30 AM does not exist; it becomes 3:30 AM EDT rather than being skipped
+      assert.equal(iso(findNextFutureSchedule(["2:30 AM"], now, tz)), "2026-03-08T07:30:00.000Z");
+    });
+
+    it("uses the first occurrence of an ambiguous fall-back time", () => {
+      const now = new Date("2026-11-01T04:30:00Z"); // 00:30 EDT
+      // 1:30 AM happens twice; the EDT one comes first
+      assert.equal(iso(findNextFutureSchedule(["1:30 AM"], now, tz)), "2026-11-01T05:30:00.000Z");
+    });
+
+    it("does not report a gap schedule as pending before the gap", () => {
+      const now = new Date("2026-03-08T06:30:00Z"); // 01:30 EST
+      assert.deepEqual(getPendingSchedules(["2:30 AM"], [], now, tz), []);
+    });
+  });
+
+  describe("Europe/London (spring forward 2026-03-29, fall back 2026-10-25)", () => {
+    const tz = "Europe/London";
+
+    it("schedules tomorrow in BST after a completed day in GMT", () => {
+      const now = new Date("2026-03-28T22:00:00Z"); // 22:00 GMT
+      const next = calculateNextExpectedCheckIn(["8:00 AM"], now, null, tz, ["8:00 AM"]);
+      assert.equal(iso(next), "2026-03-29T07:00:00.000Z"); // 08:00 BST
+    });
+
+    it("schedules tomorrow in GMT after a completed day in BST", () => {
+      const now = new Date("2026-10-24T21:00:00Z"); // 22:00 BST
+      const next = calculateNextExpectedCheckIn(["8:00 AM"], now, null, tz, ["8:00 AM"]);
+      assert.equal(iso(next), "2026-10-25T08:00:00.000Z"); // 08:00 GMT
+    });
+
+    it("finds pending schedules on the 25-hour day", () => {
+      const now = new Date("2026-10-25T12:00:00Z"); // 12:00 GMT
+      assert.deepEqual(getPendingSchedules(["1:30 AM", "11:00 AM", "6:00 PM"], [], now, tz), ["1:30 AM", "11:00 AM"]);
+    });
+  });
+
+  describe("Australia/Sydney (DST ends 2026-04-05, starts 2026-10-04)", () => {
+    const tz = "Australia/Sydney";
+
+    it("schedules tomorrow in AEST when DST ends overnight", () => {
+      const now = new Date("2026-04-04T12:00:00Z"); // 23:00 AEDT
+      const next = calculateNextExpectedCheckIn(["10:00 AM"], now, null, tz, ["10:00 AM"]);
+      assert.equal(iso(next), "2026-04-05T00:00:00.000Z"); // 10:00 AEST (UTC+10)
+    });
+
+    it("treats a gap schedule as pending once the clock has jumped past it", () => {
+      const now = new Date("2026-10-03T17:00:00Z"); // 04:00 AEDT on Oct 4
+      assert.deepEqual(getPendingSchedules(["2:30 AM", "9:00 AM"], [], now, tz), ["2:30 AM"]);
+    });
+
+    it("finds today's next schedule on the DST start day", () => {
+      const now = new Date("2026-10-03T17:00:00Z"); // 04:00 AEDT
+      assert.equal(iso(findNextFutureSchedule(["2:30 AM", "9:00 AM"], now, tz)), "2026-10-03T22:00:00.000Z");
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for task handler authentication (taskAuth.js)
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { signPayload, verifyTaskRequest, getAllowedServiceAccounts } = require("../taskAuth");
+
+const ENV_KEYS = ["TASKS_HMAC_SECRET", "FUNCTIONS_EMULATOR", "TASKS_SERVICE_ACCOUNT", "SCHEDULER_SERVICE_ACCOUNT", "GCLOUD_PROJECT"];
+
+const request = (body, headers = {}) => ({
+  body: JSON.parse(body),
+  rawBody: Buffer.from(body),
+  headers,
+  get(name) {
+    return headers[name.toLowerCase()];
+  },
+});
+
+describe("verifyTaskRequest", () => {
+  const saved = {};
+  const audiences = ["https://example.test/handleMissedCheckIn"];
+  const body = JSON.stringify({ userId: "senior-1", scheduledTime: "2026-05-10T04:00:00.000Z" });
+
+  beforeEach(() => {
+    for (const key of ENV_KEYS) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    }
+    process.env.GCLOUD_PROJECT = "demo";
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it("accepts a body signed with the shared secret", async () => {
+    process.env.TASKS_HMAC_SECRET = "secret";
+    const result = await verifyTaskRequest(request(body, { "x-task-signature": signPayload(body) }), { audiences });
+    assert.deepEqual(result, { ok: true, method: "hmac", reason: null });
+  });
+
+  it("rejects a tampered body or a wrong signature", async () => {
+    process.env.TASKS_HMAC_SECRET = "secret";
+    const signature = signPayload(body);
+    const tampered = body.replace("senior-1", "senior-2");
+
+    assert.equal((await verifyTaskRequest(request(tampered, { "x-task-signature": signature }), { audiences })).ok, false);
+    assert.equal((await verifyTaskRequest(request(body, { "x-task-signature": "abcd" }), { audiences })).ok, false);
+  });
+
+  it("rejects requests without a token or signature", async () => {
+    const result = await verifyTaskRequest(request(body), { audiences });
+    assert.deepEqual(result, { ok: false, method: null, reason: "missing_token" });
+  });
+
+  it("lets unauthenticated requests through in the emulator only without a secret", async () => {
+    process.env.FUNCTIONS_EMULATOR = "true";
+    assert.equal((await verifyTaskRequest(request(body), { audiences })).method, "emulator");
+
+    process.env.TASKS_HMAC_SECRET = "secret";
+    assert.equal((await verifyTaskRequest(request(body), { audiences })).ok, false);
+  });
+
+  it("allows the tasks and scheduler service accounts", () => {
+    process.env.SCHEDULER_SERVICE_ACCOUNT = "Scheduler@demo.iam.gserviceaccount.com";
+    assert.deepEqual(getAllowedServiceAccounts(), [
+      "demo@appspot.gserviceaccount.com",
+      "scheduler@demo.iam.gserviceaccount.com",
+    ]);
+  });
+});
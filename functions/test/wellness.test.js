@@ -0,0 +1,67 @@
+/**
+ * Unit tests for wellness anomaly detection (wellness.js)
+ * Run with: npm test
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { scoreAnswer, detectWellnessConcerns } = require("../wellness");
+
+const day = (n, hour = 5) => new Date(Date.UTC(2026, 9, 19 - n, hour)); // n days before Oct 19
+const checkIn = (n, answers, hour) => ({ timestamp: day(n, hour), ...answers });
+const detect = (current, history, timezone = "Asia/Karachi") =>
+  detectWellnessConcerns({ current, history, timezone }).map(c => c.type);
+
+describe("scoreAnswer", () => {
+  it("scores known answers and treats unknown ones as neutral", () => {
+    assert.equal(scoreAnswer({ happy: 1.0 }, " Happy "), 1.0);
+    assert.equal(scoreAnswer({ happy: 1.0 }, "grumpy"), 0.5);
+    assert.equal(scoreAnswer({ happy: 1.0 }, ""), null);
+    assert.equal(scoreAnswer({ happy: 1.0 }, undefined), null);
+  });
+});
+
+describe("detectWellnessConcerns", () => {
+  it("flags the third night of poor sleep in a row, once", () => {
+    const history = [checkIn(2, { sleep: "poorly" }), checkIn(1, { sleep: "poorly" })];
+
+    assert.deepEqual(detect(checkIn(0, { sleep: "poorly" }), history), ["poor_sleep"]);
+    assert.deepEqual(detect(checkIn(0, { sleep: "good" }), history), []);
+    // A fourth night doesn't fire again
+    assert.deepEqual(detect(checkIn(0, { sleep: "poorly" }), [checkIn(3, { sleep: "poorly" }), ...history]), []);
+    // A good night in between breaks the run
+    assert.deepEqual(detect(checkIn(0, { sleep: "poorly" }), [checkIn(2, { sleep: "poorly" }), checkIn(1, { sleep: "great" })]), []);
+  });
+
+  it("counts sleep per local day", () => {
+    // 8 PM UTC is already the next day in Karachi, so these are three local days
+    const history = [checkIn(3, { sleep: "poorly" }, 20), checkIn(1, { sleep: "poorly" }, 5)];
+    assert.deepEqual(detect(checkIn(0, { sleep: "poorly" }, 5), history), ["poor_sleep"]);
+    assert.deepEqual(detect(checkIn(0, { sleep: "poorly" }, 5), history, "UTC"), []);
+  });
+
+  it("flags a mood or energy drop against the senior's own baseline", () => {
+    const history = [1, 2, 3, 4, 5].map(n => checkIn(n, { mood: "happy", energy: "medium" }));
+
+    assert.deepEqual(detect(checkIn(0, { mood: "down", energy: "medium" }), history), ["mood_drop"]);
+    assert.deepEqual(detect(checkIn(0, { mood: "neutral", energy: "very_tired" }), history), ["energy_drop"]);
+    assert.deepEqual(detect(checkIn(0, { mood: "neutral" }), history), []);
+  });
+
+  it("needs enough recent history for a baseline", () => {
+    const short = [1, 2, 3, 4].map(n => checkIn(n, { mood: "happy" }));
+    assert.deepEqual(detect(checkIn(0, { mood: "very_sad" }), short), []);
+
+    const stale = [20, 21, 22, 23, 24].map(n => checkIn(n, { mood: "happy" }));
+    assert.deepEqual(detect(checkIn(0, { mood: "very_sad" }), stale), []);
+  });
+
+  it("flags medication skipped twice within a week", () => {
+    const skipped = checkIn(0, { medication: "skipped" });
+
+    assert.deepEqual(detect(skipped, [checkIn(3, { medication: "no" })]), ["medication_skipped"]);
+    assert.deepEqual(detect(skipped, [checkIn(9, { medication: "skipped" })]), []);
+    assert.deepEqual(detect(checkIn(0, { medication: "taken" }), [checkIn(3, { medication: "skipped" })]), []);
+  });
+});
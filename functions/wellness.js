@@ -0,0 +1,112 @@
+/**
+ * Wellness anomaly detection on check-in answers
+ *
+ * Pure functions (no Firestore access) used by onCheckInRecorded in index.js.
+ * Answers are scored 0..1 the same way the app does (lib/models/wellness_data.dart),
+ * and each new check-in is compared with the senior's own recent check-ins:
+ * - poor_sleep: sleep answered poorly on WELLNESS_POOR_SLEEP_DAYS local days in a row
+ * - mood_drop / energy_drop: the answer is WELLNESS_DROP_THRESHOLD below the senior's
+ *   average over the baseline (needs WELLNESS_MIN_BASELINE earlier answers)
+ * - medication_skipped: medication skipped WELLNESS_SKIPPED_MEDICATION_COUNT times
+ *   within WELLNESS_SKIPPED_MEDICATION_DAYS
+ * A concern only fires on the check-in that completes the pattern.
+ */
+
+const { DateTime } = require("luxon");
+
+const {
+  WELLNESS_BASELINE_DAYS,
+  WELLNESS_MIN_BASELINE,
+  WELLNESS_DROP_THRESHOLD,
+  WELLNESS_POOR_SLEEP_DAYS,
+  WELLNESS_SKIPPED_MEDICATION_COUNT,
+  WELLNESS_SKIPPED_MEDICATION_DAYS,
+} = require("./constants");
+
+const MOOD_SCORES = { happy: 1.0, neutral: 0.7, down: 0.4, very_sad: 0.1, sad: 0.4 };
+const SLEEP_SCORES = { great: 1.0, good: 0.8, okay: 0.5, poorly: 0.2, average: 0.5, poor: 0.2 };
+const ENERGY_SCORES = { great: 1.0, good: 0.8, high: 1.0, medium: 0.6, low: 0.4, very_tired: 0.1 };
+const SKIPPED_MEDICATION = new Set(["skipped", "no"]);
+
+// Sleep at or below this score counts as a poor night
+const POOR_SLEEP_SCORE = 0.2;
+
+/**
+ * Score an answer, or null if it wasn't given (unknown answers score 0.5, as in the app)
+ */
+function scoreAnswer(scores, answer) {
+  if (typeof answer !== "string" || !answer.trim()) return null;
+  return scores[answer.trim().toLowerCase()] ?? 0.5;
+}
+
+/**
+ * Average of the scored answers, or null with too little history
+ */
+function getBaseline(history, field, scores) {
+  const values = history.map(checkIn => scoreAnswer(scores, checkIn[field])).filter(v => v !== null);
+  if (values.length < WELLNESS_MIN_BASELINE) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Find wellness concerns raised by a new check-in
+ * @param {Object} options
+ * @param {{timestamp: Date, mood?: string, sleep?: string, energy?: string, medication?: string}} options.current
+ * @param {Array<Object>} options.history - Earlier check-ins (same shape), any order
+ * @param {string} options.timezone - Senior's IANA timezone (sleep is counted per local day)
+ * @returns {Array<{type: string, details: Object}>}
+ */
+function detectWellnessConcerns({ current, history, timezone }) {
+  const concerns = [];
+  const since = current.timestamp.getTime() - WELLNESS_BASELINE_DAYS * 24 * 60 * 60 * 1000;
+  const baseline = history.filter(c => c.timestamp.getTime() >= since && c.timestamp < current.timestamp);
+  const localDay = (date) => DateTime.fromJSDate(date, { zone: timezone }).toISODate();
+
+  // Poor sleep on consecutive local days, ending today (the latest answer of a day counts)
+  const sleep = scoreAnswer(SLEEP_SCORES, current.sleep);
+  if (sleep !== null && sleep <= POOR_SLEEP_SCORE) {
+    const sleepByDay = new Map();
+    for (const checkIn of [...baseline, current].sort((a, b) => a.timestamp - b.timestamp)) {
+      const score = scoreAnswer(SLEEP_SCORES, checkIn.sleep);
+      if (score !== null) sleepByDay.set(localDay(checkIn.timestamp), score);
+    }
+    let day = DateTime.fromJSDate(current.timestamp, { zone: timezone });
+    let nights = 0;
+    while (sleepByDay.get(day.toISODate()) <= POOR_SLEEP_SCORE) {
+      nights++;
+      day = day.minus({ days: 1 });
+    }
+    if (nights === WELLNESS_POOR_SLEEP_DAYS) {
+      concerns.push({ type: "poor_sleep", details: { nights, answer: current.sleep } });
+    }
+  }
+
+  // Sudden drop against the senior's own average
+  for (const [type, field, scores] of [["mood_drop", "mood", MOOD_SCORES], ["energy_drop", "energy", ENERGY_SCORES]]) {
+    const score = scoreAnswer(scores, current[field]);
+    const average = getBaseline(baseline, field, scores);
+    if (score !== null && average !== null && average - score >= WELLNESS_DROP_THRESHOLD) {
+      concerns.push({
+        type,
+        details: { answer: current[field], score, baseline: Math.round(average * 100) / 100 },
+      });
+    }
+  }
+
+  // Medication skipped repeatedly
+  if (SKIPPED_MEDICATION.has(String(current.medication || "").trim().toLowerCase())) {
+    const windowStart = current.timestamp.getTime() - WELLNESS_SKIPPED_MEDICATION_DAYS * 24 * 60 * 60 * 1000;
+    const skipped = 1 + baseline.filter(c => c.timestamp.getTime() >= windowStart &&
+      SKIPPED_MEDICATION.has(String(c.medication || "").trim().toLowerCase())).length;
+    if (skipped === WELLNESS_SKIPPED_MEDICATION_COUNT) {
+      concerns.push({ type: "medication_skipped", details: { skipped, days: WELLNESS_SKIPPED_MEDICATION_DAYS } });
+    }
+  }
+
+  return concerns;
+}
+
+module.exports = {
+  scoreAnswer,
+  detectWellnessConcerns,
+};
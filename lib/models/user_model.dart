@@ -367,25 +367,21 @@ class SeniorState {
     );
   }
 
+  /// Fields the app may write. lastCheckIn, completedSchedulesToday, lastScheduleResetDate
+  /// and currentStreak are kept by Cloud Functions (recordCheckIn, rollupDailySummaries).
   Map<String, dynamic> toFirestore() {
     return {
-      'lastCheckIn': lastCheckIn != null
-          ? Timestamp.fromDate(lastCheckIn!)
-          : null,
       'vacationMode': vacationMode,
       'emergencyContact': emergencyContact?.toMap(),
       'checkInSchedules': checkInSchedules,
       'brainGamesEnabled': brainGamesEnabled,
       'healthQuizEnabled': healthQuizEnabled,
       'escalationAlarmActive': escalationAlarmActive,
-      'currentStreak': currentStreak,
       'startDate': startDate != null ? Timestamp.fromDate(startDate!) : null,
       'seniorCreatedAt': seniorCreatedAt != null ? Timestamp.fromDate(seniorCreatedAt!) : null,
       'missedCheckInsToday': missedCheckInsToday,
       'lastMissedCheckIn': lastMissedCheckIn != null ? Timestamp.fromDate(lastMissedCheckIn!) : null,
       'nextExpectedCheckIn': nextExpectedCheckIn != null ? Timestamp.fromDate(nextExpectedCheckIn!) : null,
-      'completedSchedulesToday': completedSchedulesToday,
-      'lastScheduleResetDate': lastScheduleResetDate != null ? Timestamp.fromDate(lastScheduleResetDate!) : null,
       'activeTaskId': activeTaskId,
       'consecutiveMissedDays': consecutiveMissedDays,
       'lastEscalationNotificationAt': lastEscalationNotificationAt != null ? Timestamp.fromDate(lastEscalationNotificationAt!) : null,
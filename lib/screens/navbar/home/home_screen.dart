@@ -3991,7 +3991,10 @@ class _FamilyHomeScreenState extends State<FamilyHomeScreen>
     if (_selectedSeniorId == null) return;
     
     try {
-      await context.read<FirestoreService>().resolveSOS(_selectedSeniorId!);
+      await context.read<FirestoreService>().resolveSOS(
+        _selectedSeniorId!,
+        resolvedBy: FirebaseAuth.instance.currentUser?.uid,
+      );
       
       if (mounted) {
         ScaffoldMessenger.of(context).showSnackBar(
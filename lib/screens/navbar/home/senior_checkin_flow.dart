@@ -256,18 +256,6 @@ class _SeniorCheckInFlowState extends State<SeniorCheckInFlow>
       }
     }
 
-    // Get scheduled check-in count for accurate success rate tracking
-    int scheduledCount = 1; // Default fallback
-    try {
-      final seniorState = await firestoreService.getSeniorState(user.uid);
-      if (seniorState != null && seniorState.checkInSchedules.isNotEmpty) {
-        scheduledCount = seniorState.checkInSchedules.length;
-      }
-    } catch (e) {
-      debugPrint('Error fetching scheduled count: $e');
-      // Use default of 1 if we can't get schedule
-    }
-
     final record = CheckInRecord(
       id: '', // Generated by Firestore
       userId: user.uid,
@@ -280,17 +268,18 @@ class _SeniorCheckInFlowState extends State<SeniorCheckInFlow>
       latitude: position?.latitude,
       longitude: position?.longitude,
       locationAddress: address,
-      scheduledCount: scheduledCount,
       customResponses: _response.customResponses,
     );
 
-    // Retry logic with exponential backoff
+    // Retry logic with exponential backoff; every attempt sends the same request id,
+    // so a retry after a lost response doesn't record the check-in twice
+    final requestId = firestoreService.newCheckInRequestId();
     const maxAttempts = 3;
     var attempt = 0;
 
     while (attempt < maxAttempts) {
       try {
-        await firestoreService.recordCheckIn(user.uid, record);
+        await firestoreService.recordCheckIn(record, requestId: requestId);
         
         // Log the check-in activity for the family dashboard
         try {
@@ -1,6 +1,8 @@
 import 'package:firebase_auth/firebase_auth.dart';
 import 'package:google_sign_in/google_sign_in.dart';
 
+import 'fcm_service.dart';
+
 /// Exception thrown when account linking is required
 class AccountLinkingRequiredException implements Exception {
   final String email;
@@ -163,7 +165,9 @@ class AuthService {
   }
 
   /// Sign out from all providers
+  /// This device's push token is unregistered first, while still signed in.
   Future<void> signOut() async {
+    await FcmService().unregisterToken();
     await Future.wait([
       _auth.signOut(),
       _googleSignIn.signOut(),
@@ -1,4 +1,5 @@
 import 'dart:async';
+import 'dart:ui' show PlatformDispatcher;
 
 import 'package:firebase_messaging/firebase_messaging.dart';
 import 'package:flutter/foundation.dart';
@@ -160,7 +161,12 @@ class FcmService {
     final String capturedUserId = userId;
     _tokenRefreshSubscription = _messaging.onTokenRefresh.listen((newToken) async {
       debugPrint('FCM Token refreshed: $newToken');
+      final String? oldToken = _currentToken;
       _currentToken = newToken;
+      // The old token no longer reaches this device
+      if (oldToken != null && oldToken != newToken) {
+        await _removeTokenFromFirestore(capturedUserId, oldToken);
+      }
       try {
         await _updateTokenInFirestore(capturedUserId, newToken);
       } catch (e) {
@@ -178,11 +184,15 @@ class FcmService {
     });
   }
   
-  /// Unregisters FCM token listener on logout.
-  /// Call this when user logs out to prevent stale token updates.
+  /// Unregisters FCM token listener on logout and removes this device's token
+  /// from the user's devices, so their pushes stop reaching it.
+  /// Call this before signing out (the token is removed as the signed-in user).
   Future<void> unregisterToken() async {
     await _tokenRefreshSubscription?.cancel();
     _tokenRefreshSubscription = null;
+    if (_userId != null && _currentToken != null) {
+      await _removeTokenFromFirestore(_userId!, _currentToken!);
+    }
     _userId = null;
     debugPrint('FCM: Token listener unregistered');
   }
@@ -190,13 +200,28 @@ class FcmService {
   /// Updates the FCM token in Firestore for server-side push.
   Future<void> _updateTokenInFirestore(String userId, String token) async {
     try {
-      await FirestoreService().updateFcmToken(userId, token);
+      await FirestoreService().updateFcmToken(
+        userId,
+        token,
+        platform: defaultTargetPlatform.name,
+        locale: PlatformDispatcher.instance.locale.toLanguageTag(),
+      );
       debugPrint('FCM token stored in Firestore for user $userId');
     } catch (e) {
       debugPrint('Error storing FCM token: $e');
     }
   }
   
+  /// Removes an FCM token from Firestore (sign-out or token refresh).
+  Future<void> _removeTokenFromFirestore(String userId, String token) async {
+    try {
+      await FirestoreService().removeFcmToken(userId, token);
+      debugPrint('FCM token removed from Firestore for user $userId');
+    } catch (e) {
+      debugPrint('Error removing FCM token: $e');
+    }
+  }
+  
   /// Handles FCM messages received while app is in foreground.
   /// Shows local notification to display the message.
   Future<void> _handleForegroundMessage(RemoteMessage message) async {
@@ -1,5 +1,6 @@
 import 'dart:async';
 import 'package:cloud_firestore/cloud_firestore.dart';
+import 'package:cloud_functions/cloud_functions.dart';
 import '../models/user_model.dart';
 import '../models/connection_model.dart';
 import '../models/checkin_model.dart';
@@ -9,24 +10,6 @@ import '../models/activity_log.dart';
 import '../models/custom_question_model.dart';
 import '../utils/constants.dart';
 
-/// Explicit streak state for clear state transitions
-enum StreakState {
-  sameDay,     // 0 days since last check-in
-  consecutive, // 1 day since last check-in
-  broken       // 2+ days since last check-in
-}
-
-/// Calculate the streak state between two dates
-StreakState calculateStreakState(DateTime last, DateTime now) {
-  final lastDay = DateTime(last.year, last.month, last.day);
-  final nowDay = DateTime(now.year, now.month, now.day);
-  final diff = nowDay.difference(lastDay).inDays;
-  
-  if (diff == 0) return StreakState.sameDay;
-  if (diff == 1) return StreakState.consecutive;
-  return StreakState.broken;
-}
-
 /// Parse a schedule time string (e.g., "11:00 AM") into hours and minutes
 ({int hours, int minutes})? _parseScheduleTime(String schedule) {
   try {
@@ -283,59 +266,6 @@ List<String> getOverdueSchedules(
   return overdue;
 }
 
-/// Get the next schedule to resolve when checking in.
-/// - If checking in EARLY (before any schedule time): returns only the nearest upcoming schedule
-/// - If checking in LATE (after one or more schedule times): returns all overdue schedules
-/// 
-/// This ensures that early check-ins only resolve the nearest schedule,
-/// while late check-ins resolve all missed schedules at once.
-List<String> getSchedulesToResolve(
-  List<String> allSchedules,
-  List<String> completedSchedules,
-  DateTime now,
-) {
-  final overdue = getOverdueSchedules(allSchedules, completedSchedules, now);
-  
-  // If there are overdue schedules, resolve all of them
-  if (overdue.isNotEmpty) {
-    return overdue;
-  }
-  
-  // No overdue schedules - find the nearest upcoming schedule
-  String? nearestSchedule;
-  DateTime? nearestTime;
-  
-  for (final schedule in allSchedules) {
-    final scheduleUpper = schedule.toUpperCase();
-    
-    // Skip if already completed
-    if (completedSchedules.contains(scheduleUpper) ||
-        completedSchedules.contains(schedule)) {
-      continue;
-    }
-    
-    final parsed = _parseScheduleTime(schedule);
-    if (parsed == null) continue;
-    
-    // Calculate today's time for this schedule
-    final scheduleTime = DateTime(
-      now.year, now.month, now.day,
-      parsed.hours, parsed.minutes,
-    );
-    
-    // Only consider future schedules
-    if (scheduleTime.isAfter(now)) {
-      if (nearestTime == null || scheduleTime.isBefore(nearestTime)) {
-        nearestTime = scheduleTime;
-        nearestSchedule = scheduleUpper;
-      }
-    }
-  }
-  
-  // Return the nearest upcoming schedule, or empty if none found
-  return nearestSchedule != null ? [nearestSchedule] : [];
-}
-
 /// Retry a Future with exponential backoff for transient failures
 /// Useful for critical Firestore operations that may fail due to network issues
 Future<T> retryWithBackoff<T>(
@@ -372,6 +302,7 @@ Future<T> retryWithBackoff<T>(
 /// Firestore operations with subcollection structure
 class FirestoreService {
   final FirebaseFirestore _db = FirebaseFirestore.instance;
+  final FirebaseFunctions _functions = FirebaseFunctions.instanceFor(region: 'us-central1');
 
   // ===== Collection References =====
 
@@ -405,6 +336,9 @@ class FirestoreService {
   CollectionReference _customQuestionsRef(String uid) =>
       _db.collection('users').doc(uid).collection('customQuestions');
 
+  CollectionReference _devicesRef(String uid) =>
+      _db.collection('users').doc(uid).collection('devices');
+
   CollectionReference get _connectionsRef => _db.collection('connections');
 
   // ===== Profile Operations =====
@@ -486,11 +420,36 @@ class FirestoreService {
   }
 
   /// Updates FCM token for push notifications
-  Future<void> updateFcmToken(String uid, String token) async {
-    await _profileRef(uid).set({
+  /// Registers the token in users/{uid}/devices (one doc per device token) so
+  /// server pushes fan out to every device, and keeps profile.fcmToken for
+  /// backward compatibility. [locale] (e.g. "ur-PK") picks the language of the
+  /// user's push notifications.
+  Future<void> updateFcmToken(String uid, String token, {String? platform, String? locale}) async {
+    final batch = _db.batch();
+    batch.set(_profileRef(uid), {
       'fcmToken': token,
       'fcmTokenUpdatedAt': Timestamp.now(),
     }, SetOptions(merge: true));
+    batch.set(_devicesRef(uid).doc(token), {
+      'token': token,
+      if (platform != null) 'platform': platform,
+      if (locale != null) 'locale': locale,
+      'lastSeen': Timestamp.now(),
+    }, SetOptions(merge: true));
+    await batch.commit();
+  }
+
+  /// Unregisters a device token: deletes users/{uid}/devices/{token} and clears
+  /// profile.fcmToken if it still holds this token, so no more pushes reach it.
+  Future<void> removeFcmToken(String uid, String token) async {
+    await _db.runTransaction((transaction) async {
+      final profileDoc = await transaction.get(_profileRef(uid));
+      final profile = profileDoc.data() as Map<String, dynamic>?;
+      transaction.delete(_devicesRef(uid).doc(token));
+      if (profile?['fcmToken'] == token) {
+        transaction.update(_profileRef(uid), {'fcmToken': FieldValue.delete()});
+      }
+    });
   }
 
   // ===== Roles Operations =====
@@ -663,9 +622,12 @@ class FirestoreService {
 
   /// Resolves an SOS alert - sets sosActive to false
   /// Called by family member to acknowledge the alert
-  Future<void> resolveSOS(String uid) async {
+  /// [resolvedBy] is the UID of the user resolving it, used by the
+  /// "SOS resolved by X" notification sent to all connections
+  Future<void> resolveSOS(String uid, {String? resolvedBy}) async {
     await _seniorStateRef(uid).set({
       'sosActive': false,
+      if (resolvedBy != null) 'sosResolvedBy': resolvedBy,
     }, SetOptions(merge: true));
   }
 
@@ -799,7 +761,7 @@ class FirestoreService {
         }
       }
       
-      // Remove time (also remove from completed if present) and calculate next expected
+      // Remove time and calculate next expected (completedSchedulesToday is left to recordCheckIn)
       final updatedSchedules = currentSchedules.where((s) => s != time).toList();
       final updatedCompleted = completedSchedulesToday
           .where((s) => s.toUpperCase() != time.toUpperCase())
@@ -814,8 +776,6 @@ class FirestoreService {
       
       transaction.set(_seniorStateRef(uid), {
         'checkInSchedules': FieldValue.arrayRemove([time]),
-        // Also remove from completed to clean up state
-        'completedSchedulesToday': updatedCompleted,
         if (nextExpected != null) 'nextExpectedCheckIn': Timestamp.fromDate(nextExpected),
       }, SetOptions(merge: true));
     });
@@ -908,142 +868,28 @@ class FirestoreService {
   
   // ===== Check-in Operations =====
   
-  /// Records a check-in atomically using a transaction to prevent race conditions
-  /// For multi check-in support, this satisfies all past-due schedules not yet completed.
-  Future<void> recordCheckIn(String uid, CheckInRecord record) async {
-    final seniorStateRef = _seniorStateRef(uid);
-    final profileRef = _profileRef(uid);
-    
-    await _db.runTransaction((transaction) async {
-      // Capture timestamp once at start for consistent day-boundary logic
-      final now = DateTime.now();
-      
-      // 1. Read senior state within transaction
-      final seniorStateDoc = await transaction.get(seniorStateRef);
-      
-      int newStreak = 1;
-      DateTime startDate = DateTime.now();
-      List<String> schedules = ['11:00 AM'];
-      List<String> completedSchedulesToday = [];
-      DateTime? lastScheduleResetDate;
-      
-      if (seniorStateDoc.exists) {
-        final rawData = seniorStateDoc.data();
-        if (rawData != null && rawData is Map<String, dynamic>) {
-          final data = rawData;
-          // Get current streak (validate: must be non-negative)
-          final currentStreak = (data['currentStreak'] as num?)?.toInt() ?? 0;
-          
-          // Get stored start date
-          if (data['startDate'] is Timestamp) {
-            startDate = (data['startDate'] as Timestamp).toDate();
-          }
-          
-          // Get schedules
-          if (data['checkInSchedules'] is List) {
-            schedules = (data['checkInSchedules'] as List)
-                .map((e) => e.toString())
-                .toList();
-          }
-          
-          // Get completed schedules and reset date
-          if (data['completedSchedulesToday'] is List) {
-            completedSchedulesToday = (data['completedSchedulesToday'] as List)
-                .map((e) => e.toString())
-                .toList();
-          }
-          if (data['lastScheduleResetDate'] is Timestamp) {
-            lastScheduleResetDate = (data['lastScheduleResetDate'] as Timestamp).toDate();
-          }
-          
-          final isNewDay = lastScheduleResetDate == null ||
-              lastScheduleResetDate.year != now.year ||
-              lastScheduleResetDate.month != now.month ||
-              lastScheduleResetDate.day != now.day;
-          
-          if (isNewDay) {
-            completedSchedulesToday = [];
-            lastScheduleResetDate = now;
-          }
-          
-          // Get last check-in for streak calculation
-          final lastCheckInTimestamp = data['lastCheckIn'] as Timestamp?;
-          if (lastCheckInTimestamp != null) {
-            final lastCheckIn = lastCheckInTimestamp.toDate();
-            
-            // Use explicit state machine for clarity
-            final streakState = calculateStreakState(lastCheckIn, record.timestamp);
-            
-            switch (streakState) {
-              case StreakState.sameDay:
-                // Same day check-in, keep current streak (minimum 1)
-                newStreak = currentStreak > 0 ? currentStreak : 1;
-              case StreakState.consecutive:
-                // Consecutive day, increment streak
-                newStreak = currentStreak + 1;
-              case StreakState.broken:
-                // Streak broken, reset to 1 and update startDate
-                newStreak = 1;
-                startDate = record.timestamp;
-            }
-          } else if (currentStreak > 0) {
-            // Edge case: has streak but no lastCheckIn timestamp
-            // This shouldn't happen in normal operation - reset to safe state
-            newStreak = 1;
-            startDate = record.timestamp;
-          }
-        }
-      }
-      
-      // 2. Calculate which schedules this check-in satisfies
-      // Uses getSchedulesToResolve to handle both early and late check-ins correctly:
-      // - Early check-in (before schedule time): resolves only the nearest upcoming schedule
-      // - Late check-in (after schedule time): resolves all overdue schedules
-      final satisfiedSchedules = getSchedulesToResolve(
-        schedules,
-        completedSchedulesToday,
-        now,
-      );
-      
-      // Add satisfied schedules to completed list
-      final updatedCompleted = [...completedSchedulesToday, ...satisfiedSchedules];
-      
-      // 3. Create check-in document with scheduledFor field populated
-      final checkInWithSchedule = record.copyWith(
-        scheduledFor: satisfiedSchedules,
-      );
-      final checkInDocRef = _checkInsRef(uid).doc();
-      transaction.set(checkInDocRef, checkInWithSchedule.toFirestore());
-      
-      // 4. Calculate next expected check-in
-      final nextExpected = calculateNextExpectedCheckIn(
-        schedules,
-        now,
-        record.timestamp,
-      );
-      
-      // 5. Update senior state with all multi check-in tracking
-      transaction.set(seniorStateRef, {
-        'lastCheckIn': Timestamp.fromDate(record.timestamp),
-        'currentStreak': newStreak,
-        'startDate': Timestamp.fromDate(startDate),
-        'completedSchedulesToday': updatedCompleted,
-        'lastScheduleResetDate': Timestamp.fromDate(lastScheduleResetDate ?? now),
-        'missedCheckInsToday': 0, // Reset missed counter on successful check-in
-        if (nextExpected != null) 'nextExpectedCheckIn': Timestamp.fromDate(nextExpected),
-      }, SetOptions(merge: true));
-      
-      // 6. If location info is present, update user profile location
-      if (record.latitude != null && record.longitude != null) {
-        final Map<String, dynamic> locationUpdates = {
-          'latitude': record.latitude,
-          'longitude': record.longitude,
-        };
-        if (record.locationAddress != null) {
-          locationUpdates['locationAddress'] = record.locationAddress;
-        }
-        transaction.set(profileRef, locationUpdates, SetOptions(merge: true));
-      }
+  /// A fresh id for one check-in, reused when that check-in is retried
+  String newCheckInRequestId() => _db.collection('users').doc().id;
+
+  /// Records a check-in through the recordCheckIn callable (functions/index.js).
+  /// The server stamps the time, picks the schedules the check-in satisfies and updates
+  /// seniorState (completedSchedulesToday, lastCheckIn, nextExpectedCheckIn) in one
+  /// transaction; currentStreak is kept by the rollupDailySummaries function.
+  /// Calls with the same [requestId] record the check-in only once.
+  Future<void> recordCheckIn(CheckInRecord record, {required String requestId}) async {
+    await _functions.httpsCallable('recordCheckIn').call(<String, dynamic>{
+      'requestId': requestId,
+      'mood': record.mood,
+      'sleep': record.sleep,
+      'energy': record.energy,
+      'medication': record.medication,
+      'brainExerciseCompleted': record.brainExerciseCompleted,
+      if (record.latitude != null && record.longitude != null) ...{
+        'latitude': record.latitude,
+        'longitude': record.longitude,
+        'locationAddress': record.locationAddress,
+      },
+      if (record.customResponses.isNotEmpty) 'customResponses': record.customResponses,
     });
   }
   